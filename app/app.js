@@ -8,8 +8,9 @@ const { ValidationError } = require('express-validation');
 const { AuthMode } = require('./src/components/constants');
 const log = require('./src/components/log')(module.filename);
 const httpLogger = require('./src/components/log').httpLogger;
-const { getAppAuthMode, getGitRevision } = require('./src/components/utils');
+const { getAppAuthMode, getGitRevision, isTruthy } = require('./src/components/utils');
 const v1Router = require('./src/routes/v1');
+const { storageService } = require('./src/services');
 
 const DataConnection = require('./src/db/dataConnection');
 const dataConnection = new DataConnection();
@@ -27,6 +28,7 @@ let probeId;
 const app = express();
 app.use(compression());
 app.use(cors({
+  exposedHeaders: ['X-Total-Count'],
   origin: true // Set true to dynamically set Access-Control-Allow-Origin based on Origin
 }));
 app.use(express.json({ limit: config.get('server.bodyLimit') }));
@@ -181,7 +183,7 @@ function cleanup() {
 
 /**
  * @function initializeConnections
- * Initializes the database connections
+ * Initializes the database connections and enforces bucket encryption if configured
  * This will force the application to exit if it fails
  */
 function initializeConnections() {
@@ -190,6 +192,13 @@ function initializeConnections() {
     dataConnection.checkAll()
   ];
 
+  // Enforce default bucket encryption if configured
+  if (config.has('objectStorage.encryption') && isTruthy(config.get('objectStorage.encryption'))) {
+    tasks.push(storageService.enforceBucketEncryption().then(applied => {
+      if (applied) log.info('Applied default encryption to the bucket', { function: 'initializeConnections' });
+    }));
+  }
+
   Promise.all(tasks)
     .then(results => {
       state.connections.data = results[0];
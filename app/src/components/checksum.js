@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+/**
+ * A passthrough stream which computes the MD5 and SHA-256 digests and the size of the data piped through it
+ * The results are available on the `digests` property once the stream has finished
+ */
+class ChecksumStream extends Transform {
+  constructor(options) {
+    super(options);
+    this._md5 = crypto.createHash('md5');
+    this._sha256 = crypto.createHash('sha256');
+    this._size = 0;
+    this.digests = undefined;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this._md5.update(chunk);
+    this._sha256.update(chunk);
+    this._size += chunk.length;
+    callback(null, chunk);
+  }
+
+  _flush(callback) {
+    this.digests = {
+      md5: this._md5.digest('base64'),
+      sha256: this._sha256.digest('base64'),
+      size: this._size
+    };
+    callback();
+  }
+}
+
+/**
+ * @function digestStream
+ * Consumes `stream` entirely, computing its digests along the way
+ * @param {Readable} stream The stream to digest
+ * @returns {Promise<object>} An object with the base64 encoded `md5` and `sha256` digests and the `size` in bytes
+ */
+function digestStream(stream) {
+  return new Promise((resolve, reject) => {
+    const hasher = new ChecksumStream();
+    stream.on('error', reject);
+    hasher.on('error', reject);
+    hasher.on('finish', () => resolve(hasher.digests));
+    stream.pipe(hasher).resume();
+  });
+}
+
+module.exports = { ChecksumStream, digestStream };
@@ -21,6 +21,20 @@ module.exports = Object.freeze({
     NONE: 'NONE'
   },
 
+  /** Content checksum algorithms */
+  ChecksumAlgorithm: {
+    /** Base64 encoded SHA-256 digest */
+    SHA256: 'SHA256'
+  },
+
+  /** Handling of database records whose content is missing from the bucket during reconciliation */
+  DanglingAction: {
+    /** Objects are marked inactive, while versions are only reported */
+    FLAG: 'flag',
+    /** Objects and versions are removed from the database */
+    REMOVE: 'remove'
+  },
+
   /** Download mode behavior overrides */
   DownloadMode: {
     /** Proxies payload data through COMS */
@@ -29,12 +43,118 @@ module.exports = Object.freeze({
     URL: 'url'
   },
 
+  /** Default number of results in a page of search results */
+  DEFAULTPAGELIMIT: 100,
+
+  /** The S3 storage class of content written without requesting one */
+  DEFAULTSTORAGECLASS: 'STANDARD',
+
+  /** Default part size used when copying an object with S3 UploadPartCopyCommand */
+  COPYPARTLENGTH: 512 * 1024 * 1024,
+
+  /** Asynchronous job states */
+  JobStatus: {
+    /** The job has been recorded but has not started */
+    QUEUED: 'QUEUED',
+    /** The job is in progress */
+    RUNNING: 'RUNNING',
+    /** The job finished successfully */
+    COMPLETED: 'COMPLETED',
+    /** The job encountered an error and was stopped */
+    FAILED: 'FAILED'
+  },
+
+  /** Asynchronous job operations */
+  JobType: {
+    /** Adds metadata to the latest version of many objects */
+    ADD_METADATA: 'ADD_METADATA',
+    /** Adds tags to the latest version of many objects */
+    ADD_TAGS: 'ADD_TAGS',
+    /** Records the size, ETag and storage class of versions recorded without them */
+    BACKFILL_VERSIONS: 'BACKFILL_VERSIONS',
+    /** Copies an object larger than MAXCOPYOBJECTLENGTH as a multipart copy */
+    COPY_OBJECT: 'COPY_OBJECT',
+    /** Extracts the text content of versions for full-text search */
+    EXTRACT_TEXT: 'EXTRACT_TEXT',
+    /** Moves an object and all of its versions to a new path, optionally renaming it */
+    MOVE_OBJECT: 'MOVE_OBJECT',
+    /** Compares the bucket with the database, optionally repairing any differences */
+    RECONCILE: 'RECONCILE',
+    /** Replaces the metadata of the latest version of many objects */
+    REPLACE_METADATA: 'REPLACE_METADATA',
+    /** Replaces the tags of the latest version of many objects */
+    REPLACE_TAGS: 'REPLACE_TAGS'
+  },
+
+  /** Milliseconds without recorded progress after which a queued or running job is considered interrupted */
+  JOBSTALEPERIOD: 60 * 60 * 1000,
+
+  /** S3 Object Lock legal hold states */
+  LegalHoldStatus: {
+    /** The object version is not under a legal hold */
+    OFF: 'OFF',
+    /** The object version cannot be deleted or overwritten until the hold is removed */
+    ON: 'ON'
+  },
+
+  /** Comparison operators of metadata and tag match conditions */
+  MatchOperator: {
+    /** The value is equal to the given value */
+    EQ: 'eq',
+    /** The version does not have the key with the given value */
+    NE: 'ne',
+    /** The value is greater than the given value */
+    GT: 'gt',
+    /** The value is greater than or equal to the given value */
+    GTE: 'gte',
+    /** The value is less than the given value */
+    LT: 'lt',
+    /** The value is less than or equal to the given value */
+    LTE: 'lte',
+    /** The value begins with the given value */
+    PREFIX: 'prefix',
+    /** The value contains the given value */
+    CONTAINS: 'contains',
+    /** The value is one of the given values */
+    IN: 'in',
+    /** The key is present with any value */
+    EXISTS: 'exists'
+  },
+
+  /** Types that metadata and tag values are compared as */
+  MatchType: {
+    /** Values are compared as text */
+    STRING: 'string',
+    /** Values are compared as numbers, ignoring values that are not numeric */
+    NUMBER: 'number',
+    /** Values are compared as ISO 8601 dates, ignoring values that are not dates */
+    DATE: 'date'
+  },
+
   /** Maximum Content Length supported by S3 CopyObjectCommand */
   MAXCOPYOBJECTLENGTH: 5 * 1024 * 1024 * 1024,
 
+  /** Maximum number of keys supported by a single S3 delete objects operation */
+  MAXDELETEKEYS: 1000,
+
+  /** Maximum number of characters of an error message recorded on a failed job */
+  MAXJOBERRORLENGTH: 1024,
+
+  /** Maximum Content Length of a document whose text is extracted for full-text search */
+  MAXEXTRACTLENGTH: 50 * 1024 * 1024,
+
   /** Default maximum number of keys to list. S3 default cap is 1000*/
   MAXKEYS: (2 ** 31) - 1,
 
+  /** Maximum number of results in a page of search results */
+  MAXPAGELIMIT: 1000,
+
+  /** Maximum number of objects inspected at once while searching storage without a database */
+  MAXSTORAGESEARCHREQUESTS: 10,
+
+  /** Maximum number of parts supported by an S3 multipart upload */
+  MAXPARTS: 10000,
+
   /** Allowable values for the Metadata Directive parameter */
   MetadataDirective: {
     /** The original metadata is copied to the new version as-is where applicable. */
@@ -43,6 +163,31 @@ module.exports = Object.freeze({
     REPLACE: 'REPLACE'
   },
 
+  /** S3 Object Lock retention modes */
+  ObjectLockMode: {
+    /** No user, including the bucket owner, can delete the version or shorten its retention */
+    COMPLIANCE: 'COMPLIANCE',
+    /** Users with bypass permissions can delete the version or alter its retention */
+    GOVERNANCE: 'GOVERNANCE'
+  },
+
+  /** Milliseconds before a reconciliation starts from which changed keys and records are skipped as uploads in progress */
+  RECONCILEGRACEPERIOD: 15 * 60 * 1000,
+
+  /** Search result sort orders */
+  SortOrder: {
+    /** Ascending order */
+    ASC: 'asc',
+    /** Descending order */
+    DESC: 'desc'
+  },
+
+  /** Server side encryption algorithms */
+  SSEAlgorithm: {
+    /** 256-bit Advanced Encryption Standard */
+    AES256: 'AES256'
+  },
+
   /** Allowable values for the Tagging Directive parameter */
   TaggingDirective: {
     /** The original tags are copied to the new version as-is where applicable. */
@@ -51,6 +196,30 @@ module.exports = Object.freeze({
     REPLACE: 'REPLACE'
   },
 
+  /** The Postgres text search configuration of the full-text search index */
+  TEXTSEARCHCONFIG: 'english',
+
+  /** Maximum number of characters of extracted text kept in the full-text search index */
+  TEXTSEARCHLENGTH: 500000,
+
+  /** Multipart upload session states */
+  UploadStatus: {
+    /** The upload session is accepting parts */
+    PENDING: 'PENDING',
+    /** The upload session was assembled into an object */
+    COMPLETED: 'COMPLETED',
+    /** The upload session was cancelled and its parts discarded */
+    ABORTED: 'ABORTED'
+  },
+
+  /** Upload session mechanisms */
+  UploadType: {
+    /** Parts are streamed through COMS into an S3 multipart upload */
+    MULTIPART: 'MULTIPART',
+    /** The client puts the object directly to S3 with a pre-signed url */
+    PRESIGNED: 'PRESIGNED'
+  },
+
   /** Object permissions */
   Permissions: {
     /** Grants object creation permission */
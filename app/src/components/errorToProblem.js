@@ -3,7 +3,10 @@ const Problem = require('api-problem');
 const log = require('./log')(module.filename);
 
 function errorToProblem(service, e) {
-  if (e.response) {
+  if (e instanceof Problem) {
+    // Already an intentional Problem; pass through untouched
+    return e;
+  } else if (e.response) {
     // Handle raw data
     let data;
     if (typeof e.response.data === 'string' || e.response.data instanceof String) {
@@ -0,0 +1,98 @@
+const { TEXTSEARCHLENGTH } = require('./constants');
+
+/**
+ * @constant CONTROLCHARACTERS
+ * Matches the control characters other than tabs and line breaks, along with byte order marks
+ * Postgres text cannot hold NUL characters, and the others are not text
+ */
+const CONTROLCHARACTERS = new RegExp('[' + [[0x00, 0x08], [0x0b, 0x0c], [0x0e, 0x1f], [0xfeff, 0xfeff]]
+  .map(([from, to]) => `${String.fromCharCode(from)}-${String.fromCharCode(to)}`)
+  .join('') + ']', 'g');
+
+/** Markup documents read as text once their tags are removed */
+const MARKUPTYPES = ['application/xml', 'text/html', 'text/xml'];
+
+/** Other documents read as UTF-8 text */
+const TEXTTYPES = ['application/json', 'application/x-yaml', 'application/yaml'];
+
+/**
+ * @function getType
+ * Yields the bare media type of `mimeType`, without any parameters
+ * @param {string} mimeType The content type
+ * @returns {string} The lowercase media type
+ */
+function getType(mimeType) {
+  return (mimeType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * @function decodeEntities
+ * Replaces the predefined and numeric character references of XML
+ * @param {string} text The XML text
+ * @returns {string} The decoded text
+ */
+function decodeEntities(text) {
+  const named = { amp: '&', apos: '\'', gt: '>', lt: '<', nbsp: ' ', quot: '"' };
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, ref) => {
+    if (ref[0] !== '#') return named[ref.toLowerCase()] || entity;
+    const code = ref[1].toLowerCase() === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+  });
+}
+
+/**
+ * @function markupText
+ * Yields the text content of an XML or HTML document, placing each paragraph on its own line
+ * @param {string} markup The document markup
+ * @returns {string} The text of the document
+ */
+function markupText(markup) {
+  return decodeEntities(markup
+    // Scripts and styles are not part of the visible text
+    .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<\/(p|div|li|tr|h[1-6])>|<br\b[^>]*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, ''));
+}
+
+/**
+ * @function isExtractable
+ * Whether the text of documents of `mimeType` can be extracted
+ * @param {string} mimeType The content type of the document
+ * @returns {boolean} True if the text of the document can be extracted
+ */
+function isExtractable(mimeType) {
+  const type = getType(mimeType);
+  return type.startsWith('text/') || MARKUPTYPES.includes(type) || TEXTTYPES.includes(type);
+}
+
+/**
+ * @function extractText
+ * Extracts the text of a plain text or markup document
+ * Binary formats such as PDF and Office documents are not extracted, as they are only indexed by their name,
+ * metadata and tags
+ * Whitespace is collapsed and the text is truncated to TEXTSEARCHLENGTH characters
+ * @param {Buffer} buffer The document content
+ * @param {string} mimeType The content type of the document
+ * @returns {string} The text of the document, or undefined if its type is not extractable
+ */
+function extractText(buffer, mimeType) {
+  const type = getType(mimeType);
+  let text;
+
+  if (MARKUPTYPES.includes(type)) {
+    text = markupText(buffer.toString('utf8'));
+  } else if (isExtractable(type)) {
+    text = buffer.toString('utf8');
+  } else {
+    return undefined;
+  }
+
+  return text
+    .replace(CONTROLCHARACTERS, ' ')
+    .replace(/[ \t\r\u00a0]+/g, ' ')
+    .replace(/ ?\n\s*/g, '\n')
+    .trim()
+    .slice(0, TEXTSEARCHLENGTH);
+}
+
+module.exports = { extractText, isExtractable };
@@ -2,7 +2,7 @@ const config = require('config');
 const { existsSync, readFileSync } = require('fs');
 const { join } = require('path');
 
-const { AuthMode, AuthType } = require('./constants');
+const { AuthMode, AuthType, DEFAULTSTORAGECLASS } = require('./constants');
 const log = require('./log')(module.filename);
 
 const DELIMITER = '/';
@@ -127,9 +127,45 @@ const utils = {
     );
   },
 
+  /**
+   * @function getPageParams
+   * Derives the sorting and paging parameters of a search from the request query
+   * @param {object} query The request query
+   * @returns {object} The `sort`, `order`, `page` and `limit` search parameters
+   */
+  getPageParams(query) {
+    return {
+      sort: query.sort,
+      order: query.order,
+      page: query.page ? parseInt(query.page, 10) : undefined,
+      limit: query.limit ? parseInt(query.limit, 10) : undefined
+    };
+  },
+
+  /**
+   * @function getPageResults
+   * Normalizes the response of a search service that may have been paged
+   * @param {object[]|object} response The matching records, or a page of them along with the `total` number of matches
+   * @returns {object} The `results` and the `total` number of matches
+   */
+  getPageResults(response) {
+    return Array.isArray(response) ? { results: response, total: response.length } : response;
+  },
+
+  /**
+   * @function getFolderPath
+   * Gets the relative path of the logical `folder`, with a trailing delimiter unless it is the bucket root
+   * @param {string} [folder] The logical folder, relative to the configured storage key
+   * @returns {string} The path
+   */
+  getFolderPath(folder) {
+    const key = utils.delimit(config.get('objectStorage.key'));
+    return utils.delimit(utils.joinPath(key, folder));
+  },
+
   /**
    * @function getPath
-   * Gets the relative path of `objId`
+   * Gets the default relative path of `objId`, used unless the object was stored at a path of the caller's choosing
    * @param {string} objId The object id
    * @returns {string} The path
    */
@@ -138,6 +174,145 @@ const utils = {
     return utils.joinPath(key, objId);
   },
 
+  /**
+   * @function getPreconditionStatus
+   * Evaluates the HTTP conditional request headers against the current state of an object
+   * Preconditions are evaluated in the order defined by RFC 7232 section 6
+   * @param {object} headers The request headers, keyed in lowercase
+   * @param {string} [etag] The current ETag of the object, or undefined if it does not exist
+   * @param {Date|string} [lastModified] The time the object was last modified
+   * @param {boolean} [safe=true] Whether the request is a GET or HEAD request
+   * @returns {number|undefined} 304 or 412 if a precondition fails, otherwise undefined
+   */
+  getPreconditionStatus(headers, etag, lastModified, safe = true) {
+    const parseTags = (value) => value.split(',').map(tag => tag.trim()).filter(tag => tag);
+    const opaqueTag = (tag) => tag.replace(/^W\//, '');
+    // HTTP dates are only precise to the second
+    const toSeconds = (value) => {
+      const time = value ? new Date(value).getTime() : NaN;
+      return isNaN(time) ? undefined : Math.floor(time / 1000);
+    };
+    const modified = toSeconds(lastModified);
+
+    if (headers['if-match']) {
+      const tags = parseTags(headers['if-match']);
+      // Strong comparison; weak tags never match
+      const matched = etag && (tags.includes('*') || tags.some(tag => !tag.startsWith('W/') && tag === etag));
+      if (!matched) return 412;
+    } else if (headers['if-unmodified-since']) {
+      const since = toSeconds(headers['if-unmodified-since']);
+      if (since !== undefined && modified !== undefined && modified > since) return 412;
+    }
+
+    if (headers['if-none-match']) {
+      const tags = parseTags(headers['if-none-match']);
+      // Weak comparison
+      const matched = etag && (tags.includes('*') || tags.some(tag => opaqueTag(tag) === opaqueTag(etag)));
+      if (matched) return safe ? 304 : 412;
+    } else if (safe && headers['if-modified-since']) {
+      const since = toSeconds(headers['if-modified-since']);
+      if (since !== undefined && modified !== undefined && modified <= since) return 304;
+    }
+
+    return undefined;
+  },
+
+  /**
+   * @function getQuotas
+   * Yields the configured storage quotas of the bucket, an identity provider and each user
+   * Identity provider quotas are shared by all of its users, and limits that are not configured are null
+   * @param {string} [idp] Optional identity provider code of the user
+   * @returns {object} The maximum `bytes` and `objects` of the `bucket`, `idp` and `user` quota scopes
+   */
+  getQuotas(idp = undefined) {
+    const limit = (key) => config.has(key) ? parseInt(config.get(key)) : null;
+    return {
+      bucket: { bytes: limit('quota.bucketBytes'), objects: limit('quota.bucketObjects') },
+      idp: idp
+        ? { bytes: limit(`quota.idp.${idp}.bytes`), objects: limit(`quota.idp.${idp}.objects`) }
+        : { bytes: null, objects: null },
+      user: { bytes: limit('quota.userBytes'), objects: limit('quota.userObjects') }
+    };
+  },
+
+  /**
+   * @function getServerSideEncryption
+   * Derives the requested server side encryption options from a request header object
+   * @param {object} headers The request headers, keyed in lowercase
+   * @returns {object|undefined} An object with the `algorithm`, `customerAlgorithm`, `customerKey` and
+   * `customerKeyMD5` attributes that were requested, or undefined if no encryption headers are present
+   */
+  getServerSideEncryption(headers) {
+    const sse = Object.fromEntries(Object.entries({
+      algorithm: headers['x-amz-server-side-encryption'],
+      customerAlgorithm: headers['x-amz-server-side-encryption-customer-algorithm'],
+      customerKey: headers['x-amz-server-side-encryption-customer-key'],
+      customerKeyMD5: headers['x-amz-server-side-encryption-customer-key-md5']
+    }).filter(([, value]) => value));
+
+    return Object.keys(sse).length ? sse : undefined;
+  },
+
+  /**
+   * @function getStorageDetails
+   * Yields the ETag and storage class of an object version from the response of an S3 operation
+   * S3 omits the storage class of STANDARD content, and COMS never writes content with another one
+   * @param {object} s3Response The response of a head, put, copy or complete multipart upload operation
+   * @returns {object} An object with the `etag` and `storageClass` of the object version
+   */
+  getStorageDetails(s3Response) {
+    const result = s3Response.CopyObjectResult || s3Response;
+    return {
+      etag: result.ETag,
+      storageClass: s3Response.StorageClass || DEFAULTSTORAGECLASS
+    };
+  },
+
+  /**
+   * @function getVersionValidators
+   * Yields the HTTP validators of a version recorded in the database
+   * Unlike the S3 ETag and LastModified of its content, the version record changes whenever its metadata or tags do
+   * @param {object} version The version record
+   * @returns {object} An object with the `ETag` and `LastModified` of the version
+   */
+  getVersionValidators(version) {
+    const modified = new Date(version.updatedAt || version.createdAt);
+    return {
+      ETag: `"${version.id}-${modified.getTime()}"`,
+      LastModified: modified
+    };
+  },
+
+  /**
+   * @function isDedupEnabled
+   * Whether uploads with identical content should share the content already in object storage
+   * Deduplication matches on recorded checksums, and is unavailable without a database
+   * @returns {boolean} True if deduplication is enabled
+   */
+  isDedupEnabled() {
+    return config.has('db.enabled') && config.has('objectStorage.dedup') && !!utils.isTruthy(config.get('objectStorage.dedup'));
+  },
+
+  /**
+   * @function isQuotaEnabled
+   * Whether any storage quota is configured
+   * Usage is totalled from the sizes of recorded versions, so quotas are unavailable without a database
+   * @returns {boolean} True if quotas are enforced
+   */
+  isQuotaEnabled() {
+    return config.has('db.enabled') && config.has('quota');
+  },
+
+  /**
+   * @function isTextExtractionEnabled
+   * Whether the text of uploaded documents should be extracted into the full-text search index
+   * The index is kept in the database, so extraction is unavailable without one
+   * @returns {boolean} True if text extraction is enabled
+   */
+  isTextExtractionEnabled() {
+    return config.has('db.enabled') && config.has('server.extractText') && !!utils.isTruthy(config.get('server.extractText'));
+  },
+
   /**
    * @function isTruthy
    * Returns true if the element name in the object contains a truthy value
@@ -1,4 +1,5 @@
 module.exports = {
+  jobController: require('./job'),
   objectController: require('./object'),
   permissionController: require('./permission'),
   userController: require('./user')
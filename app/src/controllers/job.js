@@ -0,0 +1,137 @@
+const Problem = require('api-problem');
+const { NIL: SYSTEM_USER } = require('uuid');
+
+const { AuthType, DanglingAction, JobType } = require('../components/constants');
+const errorToProblem = require('../components/errorToProblem');
+const { addDashesToUuid, getCurrentIdentity } = require('../components/utils');
+const jobRunner = require('../jobs');
+const { jobService, userService } = require('../services');
+
+const SERVICE = 'JobService';
+
+/**
+ * The Job Controller
+ */
+const controller = {
+  /**
+   * @function _readJob
+   * Gets the job requested by the current user
+   * Jobs belonging to other users are treated as missing to avoid id discovery
+   * @param {object} req Express request object
+   * @returns {Promise<object>} The job record
+   * @throws {Problem} 403 if the job is missing or belongs to another user
+   */
+  async _readJob(req) {
+    const job = await jobService.read(addDashesToUuid(req.params.jobId));
+
+    // Bearer users may only see their own jobs
+    let visible = job && job.id;
+    if (visible && req.currentUser && req.currentUser.authType === AuthType.BEARER) {
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+      visible = job.createdBy === userId;
+    }
+
+    if (!visible) throw new Problem(403, { detail: 'User lacks permission to complete this action' });
+    return job;
+  },
+
+  /**
+   * @function backfillVersions
+   * Starts a job recording the size, ETag and storage class of versions recorded without them
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async backfillVersions(req, res, next) {
+    try {
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+
+      const job = await jobRunner.start(JobType.BACKFILL_VERSIONS, {}, { userId });
+      res.status(202).json(job);
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function extractText
+   * Starts a job extracting the text of every version not yet in the full-text search index
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async extractText(req, res, next) {
+    try {
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+
+      const job = await jobRunner.start(JobType.EXTRACT_TEXT, {}, { userId });
+      res.status(202).json(job);
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function readJob
+   * Returns the status of an asynchronous job
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async readJob(req, res, next) {
+    try {
+      const job = await controller._readJob(req);
+
+      res.status(200).json(job);
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function reconcile
+   * Starts a job comparing the bucket with the database, optionally repairing any differences
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async reconcile(req, res, next) {
+    try {
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+      const body = req.body || {};
+      const params = {
+        repair: body.repair === true,
+        dangling: body.dangling || DanglingAction.FLAG
+      };
+
+      const job = await jobRunner.start(JobType.RECONCILE, params, { userId });
+      res.status(202).json(job);
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function resumeJob
+   * Runs a failed or interrupted job again, continuing from its recorded progress
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async resumeJob(req, res, next) {
+    try {
+      const job = await jobRunner.resume(await controller._readJob(req));
+
+      res.status(202).json(job);
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  }
+};
+
+module.exports = controller;
@@ -1,12 +1,30 @@
+const archiver = require('archiver');
 const busboy = require('busboy');
+const config = require('config');
 const cors = require('cors');
+const path = require('path');
+const Problem = require('api-problem');
 const { v4: uuidv4, NIL: SYSTEM_USER } = require('uuid');
 
+const { ChecksumStream, digestStream } = require('../components/checksum');
 const {
   AuthMode,
+  AuthType,
+  ChecksumAlgorithm,
+  DEFAULTPAGELIMIT,
   DownloadMode,
+  JobStatus,
+  JobType,
+  LegalHoldStatus,
   MAXCOPYOBJECTLENGTH,
-  MetadataDirective
+  MAXPAGELIMIT,
+  MAXSTORAGESEARCHREQUESTS,
+  ObjectLockMode,
+  Permissions,
+  SortOrder,
+  SSEAlgorithm,
+  UploadStatus,
+  UploadType
 } = require('../components/constants');
 const errorToProblem = require('../components/errorToProblem');
 const {
@@ -14,31 +32,548 @@ const {
   getAppAuthMode,
   getKeyValue,
   toLowerKeys,
+  getFolderPath,
   getMetadata,
+  getPageParams,
+  getPageResults,
   getPath,
+  getPreconditionStatus,
+  getServerSideEncryption,
+  getStorageDetails,
+  getVersionValidators,
+  isDedupEnabled,
+  isQuotaEnabled,
   isTruthy,
+  joinPath,
   mixedQueryToArray,
   getCurrentIdentity
 } = require('../components/utils');
 const utils = require('../db/models/utils');
+const jobRunner = require('../jobs');
+const quota = require('../middleware/quota');
 
 const {
+  jobService,
   metadataService,
   objectService,
+  permissionService,
   storageService,
   tagService,
+  uploadService,
   userService,
   versionService
 } = require('../services');
 
 const SERVICE = 'ObjectService';
 
+/** The name of the archive entry listing the zipped and skipped objects */
+const ZIP_MANIFEST = 'manifest.json';
+
 const authMode = getAppAuthMode();
 
 /**
  * The Object Controller
  */
 const controller = {
+  /**
+   * @function _copyVersion
+   * Creates a new version of an object from a copy of one of its versions made within object storage, and records it
+   * A deduplicated version is copied from the content it references along with its recorded metadata and tags, so that
+   * the new version stores its own content while the versions sharing that content are left untouched. Sources larger
+   * than S3 can copy in one operation continue as a copy job unless copied `inline`.
+   * @param {string} options.objId The object id
+   * @param {string} options.filePath The filePath of the object
+   * @param {string} [options.versionId] The S3 VersionId to copy, or the latest version if undefined
+   * @param {function} [options.metadata] Optional function yielding the metadata of the copy from that of the source
+   * @param {string} options.userId The current userId
+   * @param {object} [options.sse] Optional server side encryption options of the object
+   * @param {boolean} [inline=false] Copies sources of any size before resolving instead of starting a job if true
+   * @returns {Promise<object>} The `version` record with the `ETag` and `VersionId` of the copy, or the copy `job` started
+   */
+  async _copyVersion({ objId, filePath, versionId, metadata, userId, sse }, inline = false) {
+    const blob = await controller._getBlob(objId, versionId);
+    const copySource = blob ?
+      { filePath: blob.blobPath, versionId: blob.blobVersionId } :
+      { filePath: filePath, versionId: versionId };
+    const source = await storageService.headObject({ ...copySource, sse });
+    if (blob) Object.assign(source, controller._getBlobHeaders(blob));
+    const copySse = controller._getCopyEncryption(sse, source);
+
+    const data = {
+      copySource: copySource.filePath,
+      filePath: filePath,
+      metadata: metadata ? metadata(source.Metadata) : source.Metadata,
+      tags: blob ? Object.fromEntries(blob.tag.map(({ key, value }) => [key, value])) : undefined,
+      mimeType: source.ContentType,
+      versionId: copySource.versionId
+    };
+    // The version record to copy, which differs from the copied S3 version for deduplicated content
+    const sourceVersionId = blob ? blob.versionId : versionId;
+
+    if (source.ContentLength > MAXCOPYOBJECTLENGTH && !inline) {
+      const job = await jobRunner.start(JobType.COPY_OBJECT, { ...data, sourceVersionId, objId }, { objectId: objId, userId, secrets: { sse: copySse } });
+      return { job };
+    }
+
+    const s3Response = await storageService.copyObjectMultipart({ ...data, sse: copySse });
+
+    const version = await utils.trxWrapper(async (trx) => {
+      // create or update version in DB (if a non-versioned object)
+      const version = s3Response.VersionId ?
+        await versionService.copy(sourceVersionId, { versionId: s3Response.VersionId, ...getStorageDetails(s3Response) }, objId, userId, trx) :
+        await versionService.update({ ...data, ...getStorageDetails(s3Response), id: objId }, userId, trx);
+
+      // update metadata for version in DB
+      await metadataService.associateMetadata(version.id, getKeyValue(data.metadata), userId, trx);
+      return version;
+    });
+
+    return { version, ETag: s3Response.ETag, VersionId: s3Response.VersionId };
+  },
+
+  /**
+   * @function _deduplicateObject
+   * Discards the content just written for a new object if identical content is already in storage
+   * Content encrypted with a customer-provided key is never shared
+   * @param {object} req Express request object
+   * @param {object} data The object data that was put
+   * @param {object} s3Response The response of the put object operation, with the `ChecksumSHA256` and `ContentLength` of the content
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<object>} The `blobPath` and `blobVersionId` of the identical content, or undefined if it is kept
+   */
+  async _deduplicateObject(req, data, s3Response, etrx = undefined) {
+    const sse = getServerSideEncryption(req.headers);
+    if (!isDedupEnabled() || !s3Response.VersionId || (sse && sse.customerKey)) return undefined;
+
+    const blob = await versionService.findBlob({
+      checksum: s3Response.ChecksumSHA256,
+      checksumAlgorithm: ChecksumAlgorithm.SHA256,
+      size: s3Response.ContentLength
+    }, etrx);
+    if (!blob) return undefined;
+
+    try {
+      // The identical content must still be readable without a customer-provided key
+      await storageService.headObject({ filePath: blob.blobPath, versionId: blob.blobVersionId });
+    } catch (err) {
+      return undefined; // Keep the uploaded copy instead
+    }
+
+    await storageService.deleteObject({ filePath: data.path, versionId: s3Response.VersionId });
+    return blob;
+  },
+
+  /**
+   * @function _finalizeUploadSession
+   * Records the object data of a completed upload session and closes the session
+   * Creates a new object, or a new version of an existing object, depending on the session
+   * @param {object} session The upload session record
+   * @param {object} content The uploaded content
+   * @param {string} [content.versionId] The S3 VersionId of the uploaded object, if any
+   * @param {number} [content.size] The size of the uploaded object in bytes
+   * @param {string} [content.etag] The ETag of the uploaded object
+   * @param {string} [content.storageClass] The S3 storage class of the uploaded object
+   * @param {string} userId The current userId
+   * @returns {Promise<object>} The merged upload data and object record
+   */
+  async _finalizeUploadSession(session, { versionId, ...storage }, userId) {
+    const data = {
+      id: session.objectId,
+      mimeType: session.mimeType,
+      metadata: session.metadata,
+      tags: session.tags,
+      versionId: versionId
+    };
+
+    const dbResponse = await utils.trxWrapper(async (trx) => {
+      let object = undefined;
+      let version = undefined;
+
+      if (session.newObject) {
+        // create object
+        object = await objectService.create({ ...data, userId, path: session.path }, trx);
+
+        // create new version in DB
+        version = await versionService.create({ ...data, ...storage }, userId, trx);
+      } else {
+        // update object in DB
+        object = await objectService.update({ ...data, userId, path: session.path }, trx);
+
+        // if versioning enabled, create new version in DB, else update only version in DB
+        version = versionId ?
+          await versionService.create({ ...data, ...storage }, userId, trx) :
+          await versionService.update({ ...data, ...storage, versionId: null }, userId, trx);
+      }
+
+      // add metadata to version in DB
+      await metadataService.associateMetadata(version.id, getKeyValue(data.metadata), userId, trx);
+
+      // add tags to version in DB
+      if (data.tags && Object.keys(data.tags).length) {
+        session.newObject ?
+          await tagService.associateTags(version.id, getKeyValue(data.tags), userId, trx) :
+          await tagService.replaceTags(version.id, getKeyValue(data.tags), userId, trx);
+      }
+
+      // close the upload session
+      await uploadService.updateStatus(session.id, UploadStatus.COMPLETED, userId, trx);
+
+      return object;
+    });
+
+    return { ...data, ...dbResponse };
+  },
+
+  /**
+   * @function _getBlob
+   * Gets the version of `objId` if it references deduplicated content instead of storing its own
+   * @param {string} objId The object id
+   * @param {string} [versionId] The S3 VersionId, or the latest version if undefined
+   * @returns {Promise<object>} The version along with its `metadata` and `tag`, or undefined
+   */
+  async _getBlob(objId, versionId) {
+    return isDedupEnabled() ? versionService.getBlob(versionId, objId) : undefined;
+  },
+
+  /**
+   * @function _getBlobRetention
+   * Determines whether deleting a version must retain its S3 content
+   * Content shared by deduplicated versions is retained until no version references it
+   * @param {string} objId The object id
+   * @param {string} options.filePath The filePath of the object
+   * @param {string} [options.versionId] The S3 VersionId being deleted, if any
+   * @returns {Promise<object>} The `blob` referenced by the version if any, and whether to `retain` the S3 content
+   */
+  async _getBlobRetention(objId, { filePath, versionId }) {
+    if (!versionId || !isDedupEnabled()) return { blob: undefined, retain: false };
+
+    const blob = await controller._getBlob(objId, versionId);
+    const retain = !!blob || await versionService.countBlobReferences(filePath, versionId) > 1;
+    return { blob, retain };
+  },
+
+  /**
+   * @function _getBlobHeaders
+   * Yields the S3 response attributes describing a deduplicated version rather than the content it references
+   * @param {object} version The version along with its `metadata`
+   * @returns {object} The `ContentType`, `Metadata` and `VersionId` of the version
+   */
+  _getBlobHeaders(version) {
+    return {
+      ContentType: version.mimeType,
+      Metadata: Object.fromEntries(version.metadata.map(({ key, value }) => [key, value])),
+      VersionId: version.versionId
+    };
+  },
+
+  /**
+   * @function _getBulkObjectIds
+   * Resolves the objects a bulk operation applies to, either listed by `objId` or matching a `filter`
+   * Only objects the current user has UPDATE permission on are matched by a filter
+   * @param {object} req Express request object
+   * @returns {Promise<string[]>} The uuids of the objects to operate on
+   * @throws {Problem} 403 if a listed object is missing or the current user lacks UPDATE permission on it
+   */
+  async _getBulkObjectIds(req) {
+    const { objId, filter = {} } = req.body;
+    const ids = objId ? objId.map(id => addDashesToUuid(id)) : undefined;
+
+    const objects = await objectService.searchObjects({
+      id: ids,
+      name: filter.name,
+      path: filter.path,
+      mimeType: filter.mimeType,
+      hash: filter.hash,
+      metadata: filter.metadata,
+      tag: filter.tagset,
+      public: filter.public,
+      active: filter.active,
+      deleteMarker: filter.deleteMarker,
+      all: true
+    });
+    const permitted = await controller._getPermittedObjects(req, objects, Permissions.UPDATE);
+
+    // Force 403 on unauthorized or not found; do not allow 404 id brute force discovery
+    if (ids && ids.some(id => !permitted.some(obj => obj.id === id))) {
+      throw new Problem(403, { detail: 'User lacks permission to complete this action' });
+    }
+    return permitted.map(obj => obj.id);
+  },
+
+  /**
+   * @function _getChecksumFields
+   * Collects the checksum form fields of a multipart upload, each applying to the file that follows it
+   * Request headers describe the whole form rather than a file, and are not used
+   * @param {object} bb The busboy instance parsing the upload
+   * @returns {function} Yields the `contentMD5` and `checksumSHA256` provided for the next file
+   */
+  _getChecksumFields(bb) {
+    let checksums = {};
+    bb.on('field', (name, value) => {
+      if (name === 'content-md5') checksums.contentMD5 = value;
+      else if (name === 'x-amz-checksum-sha256') checksums.checksumSHA256 = value;
+    });
+
+    return () => {
+      const provided = checksums;
+      checksums = {};
+      return provided;
+    };
+  },
+
+  /**
+   * @function _getCopyEncryption
+   * Yields the server side encryption options for copying `source` onto a new version of itself
+   * Customer-provided keys must accompany the request, while S3 managed encryption of the source is preserved
+   * @param {object} [sse] The server side encryption options of the request
+   * @param {object} source The head object response of the copy source
+   * @returns {object|undefined} The server side encryption options for the copy
+   */
+  _getCopyEncryption(sse, source) {
+    if (sse) return sse;
+    return source.ServerSideEncryption === SSEAlgorithm.AES256 ? { algorithm: SSEAlgorithm.AES256 } : undefined;
+  },
+
+  /**
+   * @function _getNewObjectPath
+   * Chooses the path of a new object
+   * Objects are stored at their default path unless the caller supplies a logical `folder`, in which case
+   * the object is stored in that folder under its filename, suffixing a counter to filenames already in use
+   * @param {string} objId The object id
+   * @param {string} [folder] The optional logical folder chosen by the caller
+   * @param {string} [filename] The filename of the object
+   * @param {Set<string>} [reserved] Paths already chosen for other objects of the same request,
+   * which will include the returned path
+   * @returns {Promise<string>} The path of the new object
+   * @throws {Problem} 501 if a folder is supplied while running without a database
+   */
+  async _getNewObjectPath(objId, folder, filename, reserved = new Set()) {
+    if (folder === undefined) return getPath(objId);
+    if (!config.has('db.enabled')) {
+      throw new Problem(501, { detail: 'Choosing the path of an object is not supported while running without a database' });
+    }
+
+    // Filenames are flat; path separators would place the object in another folder
+    const base = (filename || objId).replace(/[\\/]/g, '_');
+    const ext = path.extname(base);
+    const stem = joinPath(getFolderPath(folder), path.basename(base, ext));
+
+    // Paths of pending upload sessions are taken once their uploads complete
+    const [objects, uploads] = await Promise.all([
+      objectService.searchObjects({ pathPrefix: stem, all: true }),
+      uploadService.searchUploads({ pathPrefix: stem, status: UploadStatus.PENDING })
+    ]);
+    const taken = new Set([...objects, ...uploads].map(item => item.path));
+
+    let objPath = `${stem}${ext}`;
+    for (let i = 1; taken.has(objPath) || reserved.has(objPath); i++) {
+      objPath = `${stem} (${i})${ext}`;
+    }
+
+    reserved.add(objPath);
+    return objPath;
+  },
+
+  /**
+   * @function _getObjectLockProblem
+   * Explains an S3 error caused by Object Lock as a Problem
+   * Versions under a legal hold or governance retention are locked (423), while compliance retention conflicts (409)
+   * @param {object} err The error thrown by the S3 operation
+   * @param {string} options.filePath The filePath of the object
+   * @param {string} [options.versionId] Optional specific versionId for the object
+   * @returns {Promise<object>} A Problem describing the lock, or `err` if it was not caused by Object Lock
+   */
+  async _getObjectLockProblem(err, { filePath, versionId }) {
+    const status = err.$metadata ? err.$metadata.httpStatusCode : undefined;
+    if (status === 400 && err.name === 'InvalidRequest' && /object ?lock/i.test(err.message)) {
+      return new Problem(409, { detail: 'Object Lock is not enabled for the bucket' });
+    }
+    if (status !== 403) return err;
+
+    // S3 reports locked versions as access denied; inspect the version to tell them apart
+    const [legalHold, retention] = await Promise.all([
+      storageService.getObjectLegalHold({ filePath, versionId }).then(r => r.LegalHold, () => undefined),
+      storageService.getObjectRetention({ filePath, versionId }).then(r => r.Retention, () => undefined)
+    ]);
+
+    if (legalHold && legalHold.Status === LegalHoldStatus.ON) {
+      return new Problem(423, { detail: 'Object is under a legal hold', legalHold: legalHold.Status });
+    }
+    if (retention && new Date(retention.RetainUntilDate) > new Date()) {
+      const retainUntilDate = new Date(retention.RetainUntilDate).toISOString();
+      return new Problem(retention.Mode === ObjectLockMode.COMPLIANCE ? 409 : 423, {
+        detail: `Object is retained in ${retention.Mode} mode until ${retainUntilDate}`,
+        mode: retention.Mode,
+        retainUntilDate: retainUntilDate
+      });
+    }
+    return err;
+  },
+
+  /**
+   * @function _getObjectPath
+   * Gets the path of an existing object as recorded on its object record
+   * Objects are at their default path while running without a database
+   * @param {string} objId The object id
+   * @param {object} [object] The object record of `objId`, if already at hand
+   * @returns {Promise<string>} The path of the object
+   */
+  async _getObjectPath(objId, object) {
+    if (object && object.path) return object.path;
+    if (!config.has('db.enabled')) return getPath(objId);
+
+    return (await objectService.read(objId)).path;
+  },
+
+  /**
+   * @function _getPermissionUser
+   * Yields the user whose object permissions the current request is limited to
+   * Mirrors the checks performed by the `hasPermission` middleware
+   * @param {object} req Express request object
+   * @returns {Promise<string|null|undefined>} The uuid of the current user, null if the request may only access
+   * public objects, or undefined if the request is not limited by object permissions
+   */
+  async _getPermissionUser(req) {
+    const authType = req.currentUser ? req.currentUser.authType : undefined;
+    if (![AuthMode.OIDCAUTH, AuthMode.FULLAUTH].includes(authMode) || authType === AuthType.BASIC) return undefined;
+
+    const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+    return (authType === AuthType.BEARER && userId) ? userId : null;
+  },
+
+  /**
+   * @function _getPermittedObjects
+   * Yields the subset of `objects` the current user has `permission` on
+   * Mirrors the checks performed by the `hasPermission` middleware for a single object
+   * @param {object} req Express request object
+   * @param {object[]} objects The object records to check
+   * @param {string} permission The permission to check against
+   * @returns {Promise<object[]>} The object records the current user has `permission` on
+   */
+  async _getPermittedObjects(req, objects, permission) {
+    const userId = await controller._getPermissionUser(req);
+    if (userId === undefined) return objects;
+
+    const permissions = (userId && objects.length)
+      ? await permissionService.searchPermissions({
+        objId: objects.map(obj => obj.id),
+        userId: userId,
+        permCode: permission,
+        all: true
+      })
+      : [];
+
+    return objects.filter(obj => (obj.public && permission === Permissions.READ) ||
+      permissions.some(p => p.objectId === obj.id));
+  },
+
+  /**
+   * @function _getSearchParams
+   * Maps the object search filters of the request onto object service search parameters
+   * @param {object} req Express request object
+   * @returns {object} The object service search parameters
+   */
+  _getSearchParams(req) {
+    const toUuids = (param) => {
+      const ids = mixedQueryToArray(param);
+      return ids ? ids.map(id => addDashesToUuid(id)) : ids;
+    };
+    const toInt = (param) => param !== undefined ? parseInt(param, 10) : undefined;
+    const metadata = getMetadata(req.headers);
+    const tagging = req.query.tagset;
+    return {
+      id: toUuids(req.query.objId),
+      name: req.query.name,
+      path: req.query.path,
+      mimeType: req.query.mimeType,
+      hash: req.query.hash,
+      metadata: metadata && Object.keys(metadata).length ? metadata : undefined,
+      tag: tagging && Object.keys(tagging).length ? tagging : undefined,
+      public: isTruthy(req.query.public),
+      active: isTruthy(req.query.active),
+      deleteMarker: isTruthy(req.query.deleteMarker),
+      latest: isTruthy(req.query.latest),
+      minSize: toInt(req.query.minSize),
+      maxSize: toInt(req.query.maxSize),
+      createdAfter: req.query.createdAfter,
+      createdBefore: req.query.createdBefore,
+      updatedAfter: req.query.updatedAfter,
+      updatedBefore: req.query.updatedBefore,
+      createdBy: toUuids(req.query.createdBy),
+      updatedBy: toUuids(req.query.updatedBy),
+      text: req.query.q
+    };
+  },
+
+  /**
+   * @function _getVersionValidators
+   * Yields the validators of a version for conditional requests when it is recorded in the database
+   * @param {string} objId The object id
+   * @param {string} [versionId] The S3 VersionId, or the latest version if undefined
+   * @returns {Promise<object>} The `ETag` and `LastModified` of the version, or undefined without a database
+   */
+  async _getVersionValidators(objId, versionId) {
+    const version = await versionService.get(versionId, objId);
+    return version && version.id ? getVersionValidators(version) : undefined;
+  },
+
+  /**
+   * @function _getZipEntryName
+   * Yields a unique archive entry name for an object, suffixing a counter to names already in use
+   * @param {string} name The desired filename
+   * @param {Set<string>} names The entry names already in use, which will include the returned name
+   * @returns {string} The unique entry name
+   */
+  _getZipEntryName(name, names) {
+    // Entries are flat; path separators would let a name escape the extraction directory
+    const base = name.replace(/[\\/]/g, '_');
+    const ext = path.extname(base);
+
+    let entry = base;
+    for (let i = 1; names.has(entry); i++) {
+      entry = `${path.basename(base, ext)} (${i})${ext}`;
+    }
+
+    names.add(entry);
+    return entry;
+  },
+
+  /**
+   * @function _materializeObject
+   * Copies the content referenced by a deduplicated version of `objId` onto the object itself, so that
+   * its tags or lock can be modified in place without affecting the other versions sharing that content.
+   * The copy is written as the latest S3 version, so only a deduplicated latest version can be materialized.
+   * @param {string} objId The object id
+   * @param {string} [versionId] The S3 VersionId, or the latest version if undefined
+   * @param {string} userId The current userId
+   * @param {string} filePath The filePath of the object
+   * @returns {Promise<string>} The S3 VersionId to modify in place of `versionId`
+   * @throws {Problem} 409 if the deduplicated version is not the latest version of the object
+   */
+  async _materializeObject(objId, versionId, userId, filePath) {
+    const version = await controller._getBlob(objId, versionId);
+    if (!version) return versionId;
+
+    const latest = await versionService.getLatest(objId);
+    if (!latest || latest.id !== version.id) {
+      throw new Problem(409, { detail: 'Only the latest version of an object sharing deduplicated content can be modified in place' });
+    }
+
+    const s3Response = await storageService.copyObjectMultipart({
+      copySource: version.blobPath,
+      filePath: filePath,
+      metadata: controller._getBlobHeaders(version).Metadata,
+      tags: Object.fromEntries(version.tag.map(({ key, value }) => [key, value])),
+      mimeType: version.mimeType,
+      versionId: version.blobVersionId
+    });
+
+    await versionService.detachBlob(version.id, { versionId: s3Response.VersionId, ...getStorageDetails(s3Response) }, userId);
+    await controller._pruneBlob(version.blobPath, version.blobVersionId);
+
+    return versionId ? s3Response.VersionId : undefined;
+  },
+
   /**
    * @function _processS3Headers
    * Accepts a typical S3 response object and inserts appropriate express response headers
@@ -51,7 +586,17 @@ const controller = {
     // TODO: Consider adding 'x-coms-public' and 'x-coms-path' headers into API spec?
     const exposedHeaders = [];
 
+    if (s3Resp.AcceptRanges) {
+      const acceptRanges = 'Accept-Ranges';
+      res.set(acceptRanges, s3Resp.AcceptRanges);
+      exposedHeaders.push(acceptRanges);
+    }
     if (s3Resp.ContentLength) res.set('Content-Length', s3Resp.ContentLength);
+    if (s3Resp.ContentRange) {
+      const contentRange = 'Content-Range';
+      res.set(contentRange, s3Resp.ContentRange);
+      exposedHeaders.push(contentRange);
+    }
     if (s3Resp.ContentType) res.set('Content-Type', s3Resp.ContentType);
     if (s3Resp.ETag) {
       const etag = 'ETag';
@@ -73,6 +618,16 @@ const controller = {
       res.set(sse, s3Resp.ServerSideEncryption);
       exposedHeaders.push(sse);
     }
+    if (s3Resp.SSECustomerAlgorithm) {
+      const sseCustomerAlgorithm = 'x-amz-server-side-encryption-customer-algorithm';
+      res.set(sseCustomerAlgorithm, s3Resp.SSECustomerAlgorithm);
+      exposedHeaders.push(sseCustomerAlgorithm);
+    }
+    if (s3Resp.SSECustomerKeyMD5) {
+      const sseCustomerKeyMD5 = 'x-amz-server-side-encryption-customer-key-md5';
+      res.set(sseCustomerKeyMD5, s3Resp.SSECustomerKeyMD5);
+      exposedHeaders.push(sseCustomerKeyMD5);
+    }
     if (s3Resp.VersionId) {
       const versionId = 'x-amz-version-id';
       res.set(versionId, s3Resp.VersionId);
@@ -82,6 +637,298 @@ const controller = {
     return exposedHeaders;
   },
 
+  /**
+   * @function _pruneBlob
+   * Deletes deduplicated content from S3 once no version references it anymore
+   * @param {string} blobPath The S3 key of the content
+   * @param {string} blobVersionId The S3 VersionId of the content
+   * @returns {Promise<void>}
+   */
+  async _pruneBlob(blobPath, blobVersionId) {
+    const references = await versionService.countBlobReferences(blobPath, blobVersionId);
+    if (!references) await storageService.deleteObject({ filePath: blobPath, versionId: blobVersionId });
+  },
+
+  /**
+   * @function _putObject
+   * Streams the object `data.id` to S3, computing the checksum and size of its content along the way
+   * Checksums provided for the file are passed on to S3, which rejects mismatching content before storing it.
+   * The content is counted against the storage quotas as it is streamed, and the put is abandoned once they are exceeded
+   * @param {object} req Express request object
+   * @param {object} data The object data to put
+   * @param {Readable} stream The binary stream of the object
+   * @param {object} [checksums={}] The `contentMD5` and `checksumSHA256` provided for the file, if any
+   * @returns {Promise<object>} The response of the put object operation along with the `ChecksumSHA256` and `ContentLength` of the content
+   * @throws {Problem} 400 if the content does not match a provided checksum, or 507 if it would exceed a storage quota
+   */
+  async _putObject(req, data, stream, checksums = {}) {
+    const hasher = new ChecksumStream();
+    const limiter = quota.limitUpload(req);
+    const abort = new AbortController();
+    let exceeded = undefined;
+
+    limiter.on('error', (err) => {
+      exceeded = err;
+      stream.unpipe(limiter);
+      stream.resume(); // Discard the rest of the file so that the remaining form is still read
+      abort.abort();
+    });
+
+    try {
+      const s3Response = await storageService.putObject({
+        ...data,
+        filePath: data.path,
+        stream: stream.pipe(limiter).pipe(hasher),
+        sse: getServerSideEncryption(req.headers),
+        contentMD5: checksums.contentMD5,
+        checksumSHA256: checksums.checksumSHA256,
+        abortSignal: abort.signal
+      });
+      const { sha256, size } = hasher.digests;
+
+      return { ...s3Response, ChecksumSHA256: sha256, ContentLength: size };
+    } catch (err) {
+      if (exceeded) throw exceeded;
+      if (['BadDigest', 'InvalidDigest'].includes(err.name)) {
+        throw new Problem(400, { detail: 'The uploaded content does not match the provided checksum' });
+      }
+      throw err;
+    }
+  },
+
+  /**
+   * @function _putZipEntry
+   * Appends `source` to `archive`, resolving once the archive has consumed it
+   * @param {object} archive The archiver instance
+   * @param {Readable|string} source The entry content
+   * @param {object} data The archiver entry data, including its `name`
+   * @returns {Promise<void>} Resolves when the entry has been written
+   */
+  _putZipEntry(archive, source, data) {
+    return new Promise((resolve, reject) => {
+      const onError = (err) => {
+        archive.removeListener('entry', onEntry);
+        reject(err);
+      };
+      const onEntry = () => {
+        archive.removeListener('error', onError);
+        resolve();
+      };
+      archive.once('entry', onEntry);
+      archive.once('error', onError);
+      archive.append(source, data);
+    });
+  },
+
+  /**
+   * @function _recordDeletion
+   * Applies the outcome of deleting an object or version on S3 to the database
+   * @param {string} objId The object id
+   * @param {string} [versionId] The S3 VersionId that was deleted, or undefined if the object was deleted
+   * @param {object} s3Response The `VersionId` and `DeleteMarker` outcome of the S3 delete
+   * @param {string} userId The current userId
+   * @returns {Promise<boolean>} True if orphaned metadata and tags may need pruning
+   */
+  async _recordDeletion(objId, versionId, s3Response, userId) {
+    // if request is to delete a version
+    if (versionId) {
+      // delete version in DB
+      await versionService.delete(objId, s3Response.VersionId);
+      // if no other versions in DB, delete object record
+      const remainingVersions = await versionService.list(objId);
+      if (remainingVersions.length === 0) await objectService.delete(objId);
+      return true;
+    } else if (s3Response.DeleteMarker) { // versioned buckets create a DeleteMarker when deleting the object
+      // create DeleteMarker version in DB
+      const deleteMarker = {
+        id: objId,
+        deleteMarker: true,
+        versionId: s3Response.VersionId,
+        mimeType: null
+      };
+      await versionService.create(deleteMarker, userId);
+      return false;
+    } else { // else object in bucket is not versioned
+      // delete object record from DB
+      await objectService.delete(objId);
+      return true;
+    }
+  },
+
+  /**
+   * @function _readObjectRange
+   * Reads the object described by `data`, honouring any `Range` and `If-Range` request headers
+   * An `If-Range` validator is applied as a read precondition; should it fail, the entire object is read instead
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {string} data.filePath The filePath of the object
+   * @param {string} [data.versionId] Optional specific versionId for the object
+   * @param {object} [validators] Optional `ETag` and `LastModified` of the version to evaluate `If-Range` against,
+   * instead of those of the S3 content
+   * @returns {Promise<object>} The response of the get object operation
+   * @throws {Problem} 416 if the requested range cannot be satisfied
+   */
+  async _readObjectRange(req, res, data, validators = undefined) {
+    let range = req.get('Range');
+    const ifRange = req.get('If-Range');
+    const conditions = {};
+
+    if (range && ifRange) {
+      if (validators) {
+        // Compared the same way S3 compares If-Match and If-Unmodified-Since; HTTP dates are only precise to the second
+        const matched = ifRange.startsWith('"') ? ifRange === validators.ETag :
+          !ifRange.startsWith('W/') && !isNaN(Date.parse(ifRange)) &&
+          Math.floor(validators.LastModified.getTime() / 1000) <= Math.floor(Date.parse(ifRange) / 1000);
+        if (!matched) range = undefined;
+      } else if (ifRange.startsWith('"')) conditions.ifMatch = ifRange;
+      else if (!ifRange.startsWith('W/') && !isNaN(Date.parse(ifRange))) conditions.ifUnmodifiedSince = new Date(ifRange);
+      else range = undefined; // Weak or malformed validators never match
+    }
+
+    try {
+      return await storageService.readObject({ ...data, range, ...conditions });
+    } catch (err) {
+      const status = err.$metadata ? err.$metadata.httpStatusCode : undefined;
+      if (status === 412 && Object.keys(conditions).length) {
+        // The object has changed since the client read its range
+        return storageService.readObject(data);
+      } else if (status === 416) {
+        const head = await storageService.headObject(data);
+        res.set('Content-Range', `bytes */${head.ContentLength}`);
+        throw new Problem(416, { detail: `Range ${range} is not satisfiable` });
+      }
+      throw err;
+    }
+  },
+
+  /**
+   * @function _readUploadSession
+   * Gets the pending upload session `req.params.uploadId` on behalf of the current user
+   * Sessions belonging to other users, or of another type, are treated as missing to avoid id discovery
+   * @param {object} req Express request object
+   * @param {string} userId The current userId
+   * @param {string} type The expected upload session type
+   * @returns {Promise<object>} The upload session record
+   * @throws {Problem} 403 if the session is not visible to the user, or 409 if it is no longer pending
+   */
+  async _readUploadSession(req, userId, type) {
+    const session = await uploadService.read(addDashesToUuid(req.params.uploadId));
+    const isBearer = req.currentUser && req.currentUser.authType === AuthType.BEARER;
+
+    if (!session || !session.id || session.type !== type || (isBearer && session.createdBy !== userId)) {
+      throw new Problem(403, { detail: 'User lacks permission to complete this action' });
+    }
+    if (session.status !== UploadStatus.PENDING) {
+      throw new Problem(409, { detail: `Upload session is ${session.status.toLowerCase()}`, uploadStatus: session.status });
+    }
+
+    return session;
+  },
+
+  /**
+   * @function _searchStorage
+   * Searches a page of the objects stored under the configured key while running without a database
+   * Only the current version of each object is listed. Name, mimeType and metadata filters are matched against the HEAD
+   * of each object, and tag filters against its tag set
+   * @param {object} params The object search parameters, of which `limit` caps the number of keys listed, defaulting
+   * to DEFAULTPAGELIMIT
+   * @param {string} [continuationToken] The continuation token of the page to search, if not the first
+   * @returns {Promise<object>} The matching `objects` of the page, and the `continuationToken` of the next page if any
+   * @throws {Problem} 501 if filtering, sorting or paging on an attribute only recorded in the database
+   */
+  async _searchStorage(params, continuationToken) {
+    const unsupported = [
+      'public', 'active', 'deleteMarker', 'hash', 'createdAfter', 'createdBefore', 'updatedAfter', 'updatedBefore',
+      'createdBy', 'updatedBy', 'text', 'sort', 'page'
+    ].filter(key => params[key] !== undefined);
+    if (unsupported.length) {
+      throw new Problem(501, {
+        detail: `Searching by ${unsupported.join(', ')} is not supported while running without a database`
+      });
+    }
+
+    const contains = (value, search) => !search || (value || '').toLowerCase().includes(search.toLowerCase());
+    // Empty filter values only require the key to be present, as in database searches
+    const matches = (pairs, filter) => !filter || Object.entries(filter)
+      .every(([key, value]) => pairs.some(p => p.key === key && (!value.length || p.value === value)));
+
+    // Objects are stored directly under the key without a database, so nested keys are not listed
+    const response = await storageService.listObjectsV2({
+      filePath: getFolderPath(),
+      continuationToken: continuationToken,
+      delimiter: '/',
+      maxKeys: params.limit || DEFAULTPAGELIMIT
+    });
+    const inspect = async ({ Key, LastModified, Size, ...content }) => {
+      const object = { id: path.basename(Key), path: Key, size: Size, ...getStorageDetails(content), updatedAt: LastModified };
+      if ((params.id && !params.id.includes(object.id)) || !contains(Key, params.path)) return undefined;
+      if (Size < params.minSize || Size > params.maxSize) return undefined;
+
+      if (params.name || params.mimeType || params.metadata) {
+        const head = await storageService.headObject({ filePath: Key });
+        const metadata = head.Metadata || {};
+        if (!contains(metadata.name, params.name) || !contains(head.ContentType, params.mimeType) ||
+          !matches(getKeyValue(metadata), params.metadata)) return undefined;
+      }
+
+      if (params.tag) {
+        const { TagSet } = await storageService.getObjectTagging({ filePath: Key });
+        if (!matches(toLowerKeys(TagSet || []), params.tag)) return undefined;
+      }
+
+      return object;
+    };
+
+    // Each object may need its own HEAD and tagging requests, so only a few objects are inspected at once
+    const contents = response.Contents || [];
+    const objects = [];
+    for (let i = 0; i < contents.length; i += MAXSTORAGESEARCHREQUESTS) {
+      objects.push(...await Promise.all(contents.slice(i, i + MAXSTORAGESEARCHREQUESTS).map(inspect)));
+    }
+
+    return {
+      objects: objects.filter(object => object),
+      continuationToken: response.IsTruncated ? response.NextContinuationToken : undefined
+    };
+  },
+
+  /**
+   * @function _startBulkJob
+   * Starts a background job applying an operation to each object selected by the request
+   * @param {object} req Express request object
+   * @param {string} type The job operation
+   * @param {object} params The parameters of the operation, excluding the selected `objIds`
+   * @returns {Promise<object>} The queued job record
+   */
+  async _startBulkJob(req, type, params) {
+    const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+    const objIds = await controller._getBulkObjectIds(req);
+
+    return jobRunner.start(type, { ...params, objIds }, { userId });
+  },
+
+  /**
+   * @function abortUpload
+   * Aborts a multipart upload session and discards its uploaded parts
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async abortUpload(req, res, next) {
+    try {
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+      const session = await controller._readUploadSession(req, userId, UploadType.MULTIPART);
+
+      await storageService.abortMultipartUpload({ filePath: session.path, uploadId: session.uploadId });
+      await uploadService.updateStatus(session.id, UploadStatus.ABORTED, userId);
+
+      res.status(204).end();
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
   /**
    * @function addMetadata
    * Creates a new version of the object via copy with the new metadata added
@@ -93,14 +940,8 @@ const controller = {
   async addMetadata(req, res, next) {
     try {
       const objId = addDashesToUuid(req.params.objId);
-      const objPath = getPath(objId);
+      const objPath = await controller._getObjectPath(objId, req.currentObject);
       const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
-      const sourceVersionId = req.query.versionId ? req.query.versionId.toString() : undefined;
-
-      const source = await storageService.headObject({ filePath: objPath, versionId: sourceVersionId });
-      if (source.ContentLength > MAXCOPYOBJECTLENGTH) {
-        throw new Error('Cannot copy an object larger than 5GB');
-      }
 
       const metadataToAppend = getMetadata(req.headers);
       if (!Object.keys(metadataToAppend).length) {
@@ -109,80 +950,286 @@ const controller = {
         res.status(422).end();
       }
       else {
-        const data = {
-          copySource: objPath,
+        // create new version with metadata in S3
+        const { job } = await controller._copyVersion({
+          objId: objId,
           filePath: objPath,
-          metadata: {
-            ...source.Metadata,  // Take existing metadata first
+          versionId: req.query.versionId ? req.query.versionId.toString() : undefined,
+          metadata: metadata => ({
+            ...metadata,  // Take existing metadata first
             ...metadataToAppend, // Append new metadata
-            id: source.Metadata.id // Always enforce id key behavior
-          },
-          metadataDirective: MetadataDirective.REPLACE,
-          versionId: sourceVersionId
+            id: metadata.id // Always enforce id key behavior
+          }),
+          userId: userId,
+          sse: getServerSideEncryption(req.headers)
+        });
+
+        if (job) res.status(202).json(job);
+        else res.status(204).end();
+      }
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function addTags
+   * Adds the tag set to the requested object
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async addTags(req, res, next) {
+    try {
+      const objId = addDashesToUuid(req.params.objId);
+      const objPath = await controller._getObjectPath(objId, req.currentObject);
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+      const newTags = req.query.tagset;
+      const versionId = await controller._materializeObject(objId, req.query.versionId, userId, objPath);
+      const objectTagging = await storageService.getObjectTagging({ filePath: objPath, versionId });
+
+      // Join new and existing tags then filter duplicates
+      let newSet = newTags ? Object.entries(newTags).map(([k, v]) => ({ Key: k, Value: v })) : [];
+      if (objectTagging.TagSet) newSet = newSet.concat(objectTagging.TagSet);
+      newSet = newSet.filter((element, idx, arr) => arr.findIndex(element2 => (element2.Key === element.Key)) === idx);
+
+      if (!newTags || !Object.keys(newTags).length || newSet.length > 10) {
+        // TODO: Validation level logic. To be moved.
+        // 422 when no new tags or when tag limit will be exceeded
+        res.status(422).end();
+      } else {
+        const data = {
+          filePath: objPath,
+          tags: newSet,
+          versionId: versionId ? versionId.toString() : undefined
         };
-        // create new version with metadata in S3
-        const s3Response = await storageService.copyObject(data);
+        // Add tags to the version in S3
+        await storageService.putObjectTagging(data);
+
+        // Add tags to version in DB
+        await utils.trxWrapper(async (trx) => {
+          const version = await versionService.get(data.versionId, objId, trx);
+          // use replaceTags() in case they are replacing an existing tag with same key which we need to dissociate
+          await tagService.replaceTags(version.id, toLowerKeys(data.tags), userId, trx);
+          await versionService.touch(version.id, userId, trx);
+        });
+
+        res.status(204).end();
+      }
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function bulkAddMetadata
+   * Starts a background job adding metadata to each selected object
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async bulkAddMetadata(req, res, next) {
+    try {
+      const metadata = getMetadata(req.headers);
+      if (!Object.keys(metadata).length) throw new Problem(422, { detail: 'At least one metadata header is required' });
+
+      const job = await controller._startBulkJob(req, JobType.ADD_METADATA, { metadata });
+
+      res.status(202).json(job);
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function bulkAddTags
+   * Starts a background job adding tags to each selected object
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async bulkAddTags(req, res, next) {
+    try {
+      const job = await controller._startBulkJob(req, JobType.ADD_TAGS, { tagset: req.query.tagset });
+
+      res.status(202).json(job);
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function bulkReplaceMetadata
+   * Starts a background job replacing the metadata of each selected object
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async bulkReplaceMetadata(req, res, next) {
+    try {
+      const metadata = getMetadata(req.headers);
+      if (!Object.keys(metadata).length) throw new Problem(422, { detail: 'At least one metadata header is required' });
+
+      const job = await controller._startBulkJob(req, JobType.REPLACE_METADATA, { metadata });
+
+      res.status(202).json(job);
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function bulkReplaceTags
+   * Starts a background job replacing the tags of each selected object
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async bulkReplaceTags(req, res, next) {
+    try {
+      const job = await controller._startBulkJob(req, JobType.REPLACE_TAGS, { tagset: req.query.tagset });
+
+      res.status(202).json(job);
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function cloneObject
+   * Creates a new object from a copy of a version of an existing object, made within object storage
+   * The metadata and tags of the version are carried over unless opted out of, and the caller is granted
+   * every permission on the new object
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async cloneObject(req, res, next) {
+    try {
+      const sourceId = addDashesToUuid(req.params.objId);
+      const sourcePath = await controller._getObjectPath(sourceId, req.currentObject);
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+      const versionId = req.query.versionId ? req.query.versionId.toString() : undefined;
+      const sse = getServerSideEncryption(req.headers);
+      const objId = uuidv4();
+
+      // Deduplicated versions are copied from the content they reference
+      const blob = await controller._getBlob(sourceId, versionId);
+      const copySource = blob ?
+        { filePath: blob.blobPath, versionId: blob.blobVersionId } :
+        { filePath: sourcePath, versionId: versionId };
+      const source = await storageService.headObject({ ...copySource, sse });
+      if (blob) Object.assign(source, controller._getBlobHeaders(blob));
+      await quota.assertQuota(req, source.ContentLength, 1);
+
+      let tags = {};
+      if (isTruthy(req.query.copyTags) !== false) {
+        const tagSet = blob ?
+          blob.tag.map(({ key, value }) => ({ Key: key, Value: value })) :
+          (await storageService.getObjectTagging(copySource)).TagSet || [];
+        tags = Object.fromEntries(tagSet.map(({ Key, Value }) => [Key, Value]));
+      }
+      tags = { ...tags, ...req.query.tagset };
+      if (Object.keys(tags).length > 10) throw new Problem(422, { detail: 'An object may have at most 10 tags' });
+
+      const data = {
+        id: objId,
+        path: await controller._getNewObjectPath(objId, req.query.path, source.Metadata.name),
+        mimeType: source.ContentType,
+        metadata: {
+          // Always enforce name and id key behavior
+          ...(isTruthy(req.query.copyMetadata) !== false ? source.Metadata : { name: source.Metadata.name }),
+          ...getMetadata(req.headers),
+          id: objId
+        },
+        tags: tags
+      };
 
-        await utils.trxWrapper(async (trx) => {
-          // create or update version in DB (if a non-versioned object)
-          const version = s3Response.VersionId ?
-            await versionService.copy(sourceVersionId, s3Response.VersionId, objId, userId, trx) :
-            await versionService.update({ ...data, id: objId }, userId, trx);
+      const copy = {
+        copySource: copySource.filePath,
+        filePath: data.path,
+        metadata: data.metadata,
+        tags: data.tags,
+        mimeType: data.mimeType,
+        versionId: copySource.versionId,
+        sse: controller._getCopyEncryption(sse, source)
+      };
 
-          // update metadata for version in DB
-          await metadataService.associateMetadata(version.id, getKeyValue(data.metadata), userId, trx);
-        });
+      const s3Response = await storageService.copyObjectMultipart(copy);
+      data.versionId = s3Response.VersionId;
 
-        res.status(204).end();
-      }
+      const dbResponse = await utils.trxWrapper(async (trx) => {
+        // create object, granting the current user every permission
+        const object = await objectService.create({ ...data, userId }, trx);
+
+        // create new version in DB, carrying over what is known of the copied content
+        const sourceVersion = await versionService.get(versionId, sourceId, trx);
+        const version = await versionService.create({
+          ...data,
+          checksum: sourceVersion ? sourceVersion.checksum : undefined,
+          checksumAlgorithm: sourceVersion ? sourceVersion.checksumAlgorithm : undefined,
+          size: source.ContentLength,
+          ...getStorageDetails(s3Response)
+        }, userId, trx);
+
+        // add metadata and tags to version in DB
+        await metadataService.associateMetadata(version.id, getKeyValue(data.metadata), userId, trx);
+        if (Object.keys(data.tags).length) await tagService.associateTags(version.id, getKeyValue(data.tags), userId, trx);
+
+        return object;
+      });
+
+      res.status(201).json({ ...data, ...dbResponse });
     } catch (e) {
       next(errorToProblem(SERVICE, e));
     }
   },
 
   /**
-   * @function addTags
-   * Adds the tag set to the requested object
+   * @function completeUpload
+   * Assembles the uploaded parts of a multipart upload session into a new object
    * @param {object} req Express request object
    * @param {object} res Express response object
    * @param {function} next The next callback function
    * @returns {function} Express middleware function
    */
-  async addTags(req, res, next) {
+  async completeUpload(req, res, next) {
     try {
-      const objId = addDashesToUuid(req.params.objId);
-      const objPath = getPath(objId);
       const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
-      const { versionId, tagset: newTags } = req.query;
-      const objectTagging = await storageService.getObjectTagging({ filePath: objPath, versionId });
+      const session = await controller._readUploadSession(req, userId, UploadType.MULTIPART);
 
-      // Join new and existing tags then filter duplicates
-      let newSet = newTags ? Object.entries(newTags).map(([k, v]) => ({ Key: k, Value: v })) : [];
-      if (objectTagging.TagSet) newSet = newSet.concat(objectTagging.TagSet);
-      newSet = newSet.filter((element, idx, arr) => arr.findIndex(element2 => (element2.Key === element.Key)) === idx);
+      const parts = await storageService.listParts({ filePath: session.path, uploadId: session.uploadId });
+      if (!parts.length) throw new Problem(422, { detail: 'The upload session has no uploaded parts to assemble' });
 
-      if (!newTags || !Object.keys(newTags).length || newSet.length > 10) {
-        // TODO: Validation level logic. To be moved.
-        // 422 when no new tags or when tag limit will be exceeded
-        res.status(422).end();
-      } else {
-        const data = {
-          filePath: objPath,
-          tags: newSet,
-          versionId: versionId ? versionId.toString() : undefined
-        };
-        // Add tags to the version in S3
-        await storageService.putObjectTagging(data);
+      // Parts are not counted towards a quota until they are assembled
+      const size = parts.reduce((total, part) => total + part.Size, 0);
+      await quota.assertQuota(req, size, 1);
 
-        // Add tags to version in DB
-        await utils.trxWrapper(async (trx) => {
-          const version = await versionService.get(data.versionId, objId, trx);
-          // use replaceTags() in case they are replacing an existing tag with same key which we need to dissociate
-          await tagService.replaceTags(version.id, toLowerKeys(data.tags), userId, trx);
-        });
+      const s3Response = await storageService.completeMultipartUpload({
+        filePath: session.path,
+        uploadId: session.uploadId,
+        parts: parts.map(({ ETag, PartNumber }) => ({ ETag, PartNumber }))
+      });
 
-        res.status(204).end();
-      }
+      const response = await controller._finalizeUploadSession(session, {
+        versionId: s3Response.VersionId,
+        size: size,
+        ...getStorageDetails(s3Response)
+      }, userId);
+
+      // Intentionally not awaited; the text of the new version is indexed in the background
+      jobRunner.extractText();
+
+      res.status(201).json({
+        ...response,
+        ...s3Response
+      });
     } catch (e) {
       next(errorToProblem(SERVICE, e));
     }
@@ -191,6 +1238,8 @@ const controller = {
   /**
    * @function createObjects
    * Creates new objects
+   * Files beyond the number of new objects or bytes the quotas allow are not stored; the outcome of each file is
+   * then reported individually with a 207 response
    * @param {object} req Express request object
    * @param {object} res Express response object
    * @param {function} next The next callback function
@@ -199,11 +1248,28 @@ const controller = {
   async createObjects(req, res, next) {
     try {
       const bb = busboy({ headers: req.headers });
+      const nextChecksums = controller._getChecksumFields(bb);
       const objects = [];
+      const reserved = new Set();
       const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
 
+      // Paths are chosen one file at a time so that files of the same name are told apart
+      let choosing = Promise.resolve();
+
       bb.on('file', (name, stream, info) => {
+        const checksums = nextChecksums();
+
+        // Files beyond the number of new objects the quotas allow are discarded and reported individually
+        if (req.remainingObjects !== undefined && objects.filter(object => !object.skipped).length >= req.remainingObjects) {
+          objects.push({
+            skipped: { fieldName: name, name: info.filename, status: 507, detail: 'Upload would exceed the object storage quota' }
+          });
+          return stream.resume();
+        }
+
         const objId = uuidv4();
+        const objPath = choosing.then(() => controller._getNewObjectPath(objId, req.query.path, info.filename, reserved));
+        choosing = objPath.catch(() => undefined);
 
         const data = {
           id: objId,
@@ -218,16 +1284,33 @@ const controller = {
         };
 
         // TODO: Consider refactoring to use Upload instead from @aws-sdk/lib-storage
-        const s3Response = storageService.putObject({ ...data, stream });
+        const s3Response = objPath
+          .then(p => {
+            data.path = p;
+            return controller._putObject(req, data, stream, checksums);
+          })
+          .catch(err => {
+            stream.resume(); // Discard the file so that the remaining files are still read
+            throw err;
+          });
 
         const dbResponse = utils.trxWrapper(async (trx) => {
           // create object
-          const object = await objectService.create({ ...data, userId, path: getPath(objId) }, trx);
+          const object = await objectService.create({ ...data, userId, path: await objPath }, trx);
 
           // create new version in DB
           const s3Resolved = await s3Response;
           data.versionId = s3Resolved.VersionId;
-          const versions = await versionService.create(data, userId, trx);
+          // reference identical content already in storage instead of keeping another copy
+          const blob = await controller._deduplicateObject(req, data, s3Resolved, trx);
+          const versions = await versionService.create({
+            ...data,
+            ...blob,
+            checksum: s3Resolved.ChecksumSHA256,
+            checksumAlgorithm: ChecksumAlgorithm.SHA256,
+            size: s3Resolved.ContentLength,
+            ...getStorageDetails(s3Resolved)
+          }, userId, trx);
 
           // add metadata to version in DB
           await metadataService.associateMetadata(versions.id, getKeyValue(data.metadata), userId, trx);
@@ -246,20 +1329,35 @@ const controller = {
       });
 
       bb.on('close', async () => {
-        await Promise.all(objects.map(async (object) => {
-          // wait for file to finish uploading to S3
-          object.s3Response = await object.s3Response;
-          // wait for object and permission db update
-          object.dbResponse = await object.dbResponse;
-        }));
-
-        // merge returned responses into a result
-        const result = objects.map((object) => ({
-          ...object.data,
-          ...object.dbResponse,
-          ...object.s3Response
-        }));
-        res.status(201).json(result);
+        try {
+          await Promise.all(objects.filter(object => !object.skipped).map(async (object) => {
+            try {
+              // wait for file to finish uploading to S3 and for object and permission db update
+              [object.s3Response, object.dbResponse] = await Promise.all([object.s3Response, object.dbResponse]);
+            } catch (err) {
+              // Files exceeding what remains of the storage quotas were abandoned before being stored
+              if (!(err instanceof Problem) || err.status !== 507) throw err;
+              object.skipped = { fieldName: object.data.fieldName, name: object.data.metadata.name, status: 507, detail: err.detail };
+            }
+          }));
+
+          // merge returned responses into a result
+          const result = objects.map((object) => object.skipped || {
+            ...object.data,
+            ...object.dbResponse,
+            ...object.s3Response
+          });
+
+          // Intentionally not awaited; the text of the new versions is indexed in the background
+          jobRunner.extractText();
+          if (objects.some(object => object.skipped)) {
+            res.status(207).json(objects.map((object, i) => object.skipped || { status: 201, ...result[i] }));
+          } else {
+            res.status(201).json(result);
+          }
+        } catch (e) {
+          next(errorToProblem(SERVICE, e));
+        }
       });
 
       req.pipe(bb);
@@ -268,6 +1366,47 @@ const controller = {
     }
   },
 
+  /**
+   * @function createUpload
+   * Initiates a resumable multipart upload session for a new object
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async createUpload(req, res, next) {
+    try {
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+      const objId = uuidv4();
+
+      const data = {
+        id: uuidv4(),
+        objectId: objId,
+        path: await controller._getNewObjectPath(objId, req.body.path, req.body.name),
+        mimeType: req.body.mimeType || 'application/octet-stream',
+        metadata: {
+          name: req.body.name, // provide a default of `name: <file name>`
+          ...getMetadata(req.headers),
+          id: objId
+        },
+        tags: req.query.tagset
+      };
+
+      const s3Response = await storageService.createMultipartUpload({
+        filePath: data.path,
+        mimeType: data.mimeType,
+        metadata: data.metadata,
+        tags: data.tags,
+        sse: getServerSideEncryption(req.headers)
+      });
+
+      const response = await uploadService.create({ ...data, type: UploadType.MULTIPART, uploadId: s3Response.UploadId, userId });
+      res.status(201).json(response);
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
   /**
    * @function deleteMetadata
    * Creates a new version of the object via copy with the given metadata removed
@@ -279,50 +1418,28 @@ const controller = {
   async deleteMetadata(req, res, next) {
     try {
       const objId = addDashesToUuid(req.params.objId);
-      const objPath = getPath(objId);
+      const objPath = await controller._getObjectPath(objId, req.currentObject);
       const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
 
-      const sourceVersionId = req.query.versionId ? req.query.versionId.toString() : undefined;
-
-      const source = await storageService.headObject({ filePath: objPath, versionId: sourceVersionId });
-      if (source.ContentLength > MAXCOPYOBJECTLENGTH) {
-        throw new Error('Cannot copy an object larger than 5GB');
-      }
-
       // Generate object subset by subtracting/omitting defined keys via filter/inclusion
       const keysToRemove = Object.keys(getMetadata(req.headers));
-      let metadata = undefined;
-      if (keysToRemove.length) {
-        metadata = Object.fromEntries(
-          Object.entries(source.Metadata)
-            .filter(([key]) => !keysToRemove.includes(key))
-        );
-      }
 
-      const data = {
-        copySource: objPath,
-        filePath: objPath,
-        metadata: {
-          ...metadata,
-          name: source.Metadata.name,  // Always enforce name and id key behavior
-          id: source.Metadata.id
-        },
-        metadataDirective: MetadataDirective.REPLACE,
-        versionId: sourceVersionId
-      };
       // create new version with metadata in S3
-      const s3Response = await storageService.copyObject(data);
-
-      await utils.trxWrapper(async (trx) => {
-        // create or update version in DB(if a non-versioned object)
-        const version = s3Response.VersionId ?
-          await versionService.copy(sourceVersionId, s3Response.VersionId, objId, userId, trx) :
-          await versionService.update({ ...data, id: objId }, userId, trx);
-        // add metadata to version in DB
-        await metadataService.associateMetadata(version.id, getKeyValue(data.metadata), userId, trx);
+      const { job } = await controller._copyVersion({
+        objId: objId,
+        filePath: objPath,
+        versionId: req.query.versionId ? req.query.versionId.toString() : undefined,
+        metadata: metadata => ({
+          ...(keysToRemove.length ? Object.fromEntries(Object.entries(metadata).filter(([key]) => !keysToRemove.includes(key))) : undefined),
+          name: metadata.name,  // Always enforce name and id key behavior
+          id: metadata.id
+        }),
+        userId: userId,
+        sse: getServerSideEncryption(req.headers)
       });
 
-      res.status(204).end();
+      if (job) res.status(202).json(job);
+      else res.status(204).end();
     } catch (e) {
       next(errorToProblem(SERVICE, e));
     }
@@ -340,44 +1457,29 @@ const controller = {
     try {
       const objId = addDashesToUuid(req.params.objId);
       const data = {
-        filePath: getPath(objId),
+        filePath: await controller._getObjectPath(objId, req.currentObject),
         versionId: req.query.versionId
       };
       const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
 
+      const { blob, retain } = await controller._getBlobRetention(objId, data);
+
       // delete version on S3
-      const s3Response = await storageService.deleteObject(data);
+      let s3Response = { VersionId: data.versionId };
+      if (!retain) {
+        try {
+          s3Response = await storageService.deleteObject(data);
+        } catch (err) {
+          throw await controller._getObjectLockProblem(err, data);
+        }
+      }
 
-      // if request is to delete a version
-      if (data.versionId) {
-        const objectVersionId = s3Response.VersionId;
-        // delete version in DB
-        await versionService.delete(objId, objectVersionId);
+      if (await controller._recordDeletion(objId, data.versionId, s3Response, userId)) {
         // prune tags amd metadata
         await metadataService.pruneOrphanedMetadata();
         await tagService.pruneOrphanedTags();
-        // if other versions in DB, delete object record
-        const remainingVersions = await versionService.list(objId);
-        if (remainingVersions.length === 0) await objectService.delete(objId);
-      } else { // else deleting the object
-        // if versioning enabled s3Response will contain DeleteMarker: true
-        if (s3Response.DeleteMarker) {
-          // create DeleteMarker version in DB
-          const deleteMarker = {
-            id: objId,
-            deleteMarker: true,
-            versionId: s3Response.VersionId,
-            mimeType: null
-          };
-          await versionService.create(deleteMarker, userId);
-        } else { // else object in bucket is not versioned
-          // delete object record from DB
-          await objectService.delete(objId);
-          // prune tags amd metadata
-          await metadataService.pruneOrphanedMetadata();
-          await tagService.pruneOrphanedTags();
-        }
       }
+      if (blob) await controller._pruneBlob(blob.blobPath, blob.blobVersionId);
 
       res.status(200).json(s3Response);
     } catch (e) {
@@ -385,6 +1487,94 @@ const controller = {
     }
   },
 
+  /**
+   * @function deleteObjects
+   * Deletes multiple objects or versions, reporting the outcome of each
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async deleteObjects(req, res, next) {
+    try {
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+      const items = req.body.map(item => ({
+        objId: addDashesToUuid(item.objId),
+        versionId: item.versionId
+      }));
+
+      // Check DELETE permission on every object at once
+      const objIds = [...new Set(items.map(item => item.objId))];
+      const objects = await objectService.searchObjects({ id: objIds, all: true });
+      const permitted = await controller._getPermittedObjects(req, objects, Permissions.DELETE);
+
+      const results = [];
+      const pending = [];
+      for (const item of items) {
+        const result = { objId: item.objId, versionId: item.versionId };
+        results.push(result);
+        const object = permitted.find(obj => obj.id === item.objId);
+        if (!object) {
+          // Force 403 on unauthorized or not found; do not allow 404 id brute force discovery
+          Object.assign(result, { status: 403, detail: 'User lacks permission to complete this action' });
+        } else {
+          item.filePath = await controller._getObjectPath(item.objId, object);
+          Object.assign(item, await controller._getBlobRetention(item.objId, item), { result });
+          pending.push(item);
+        }
+      }
+
+      // delete versions and objects on S3
+      const s3Response = await storageService.deleteObjects({
+        objects: pending.filter(item => !item.retain).map(({ filePath, versionId }) => ({ filePath, versionId }))
+      });
+
+      let prune = false;
+      for (const item of pending) {
+        const { filePath, result, versionId } = item;
+        const isItem = entry => entry.Key === filePath && entry.VersionId === versionId;
+        const deleted = item.retain ? { VersionId: versionId } : s3Response.Deleted.find(isItem);
+        const error = s3Response.Errors.find(isItem);
+
+        try {
+          if (deleted) {
+            const itemResponse = {
+              DeleteMarker: deleted.DeleteMarker,
+              VersionId: versionId ? deleted.VersionId : deleted.DeleteMarkerVersionId
+            };
+            if (await controller._recordDeletion(item.objId, versionId, itemResponse, userId)) prune = true;
+            if (item.blob) await controller._pruneBlob(item.blob.blobPath, item.blob.blobVersionId);
+            Object.assign(result, { status: 200 }, itemResponse);
+          } else {
+            // S3 reports locked versions as access denied
+            const status = error && error.Code === 'AccessDenied' ? 403 : 500;
+            const err = Object.assign(new Error(error ? error.Message : 'Object was not deleted'), {
+              name: error ? error.Code : 'InternalError',
+              $metadata: { httpStatusCode: status }
+            });
+            const problem = await controller._getObjectLockProblem(err, item);
+            Object.assign(result, problem instanceof Problem
+              ? { status: problem.status, detail: problem.detail }
+              : { status: status, detail: err.message });
+          }
+        } catch (err) {
+          const problem = errorToProblem(SERVICE, err);
+          Object.assign(result, { status: problem.status, detail: problem.detail });
+        }
+      }
+
+      if (prune) {
+        // prune tags amd metadata
+        await metadataService.pruneOrphanedMetadata();
+        await tagService.pruneOrphanedTags();
+      }
+
+      res.status(207).json(results);
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
   /**
    * @function deleteTags
    * Deletes the tag set on the requested object
@@ -396,9 +1586,9 @@ const controller = {
   async deleteTags(req, res, next) {
     try {
       const objId = addDashesToUuid(req.params.objId);
-      const objPath = getPath(objId);
-      const versionId = req.query.versionId;
+      const objPath = await controller._getObjectPath(objId, req.currentObject);
       const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+      const versionId = await controller._materializeObject(objId, req.query.versionId, userId, objPath);
       const objectTagging = await storageService.getObjectTagging({ filePath: objPath, versionId });
 
       // Generate object subset by subtracting/omitting defined keys via filter/inclusion
@@ -420,74 +1610,395 @@ const controller = {
       } else {
         await storageService.deleteObjectTagging(data);
       }
-      // dissociate provided tags or all tags if no tagset passed in query parameter
-      await utils.trxWrapper(async (trx) => {
-        const version = await versionService.get(data.versionId, objId, trx);
+      // dissociate provided tags or all tags if no tagset passed in query parameter
+      await utils.trxWrapper(async (trx) => {
+        const version = await versionService.get(data.versionId, objId, trx);
+
+        let dissociateTags = [];
+        if (req.query.tagset) {
+          dissociateTags = getKeyValue(req.query.tagset);
+        } else if (objectTagging.TagSet && objectTagging.TagSet.length) {
+          dissociateTags = toLowerKeys(objectTagging.TagSet);
+        }
+        if (dissociateTags.length) await tagService.dissociateTags(version.id, dissociateTags, userId, trx);
+        await versionService.touch(version.id, userId, trx);
+      });
+
+      res.status(204).end();
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function finalizeUpload
+   * Records the object put directly to S3 with a pre-signed upload url
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async finalizeUpload(req, res, next) {
+    try {
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+      const session = await controller._readUploadSession(req, userId, UploadType.PRESIGNED);
+
+      let s3Response = undefined;
+      try {
+        s3Response = await storageService.headObject({ filePath: session.path });
+      } catch (err) {
+        if (!err.$metadata || err.$metadata.httpStatusCode !== 404) throw err;
+      }
+
+      // The key must have been written after the reservation was made; S3 LastModified is only precise to the second
+      const reservedAt = Math.floor(new Date(session.createdAt).getTime() / 1000) * 1000;
+      if (!s3Response || new Date(s3Response.LastModified).getTime() < reservedAt) {
+        throw new Problem(409, { detail: 'Object has not been uploaded to the pre-signed url' });
+      }
+
+      // Usage may have grown since the declared size was checked when the url was issued
+      try {
+        await quota.assertQuota(req, s3Response.ContentLength, session.newObject ? 1 : 0);
+      } catch (err) {
+        // Discard the content, unless it has overwritten the only copy of an existing object
+        if (err instanceof Problem && (session.newObject || s3Response.VersionId)) {
+          await storageService.deleteObject({ filePath: session.path, versionId: s3Response.VersionId });
+        }
+        throw err;
+      }
+
+      const response = await controller._finalizeUploadSession(session, {
+        versionId: s3Response.VersionId,
+        size: s3Response.ContentLength,
+        ...getStorageDetails(s3Response)
+      }, userId);
+
+      // Intentionally not awaited; the text of the new version is indexed in the background
+      jobRunner.extractText();
+
+      res.status(session.newObject ? 201 : 200).json({
+        ...response,
+        ETag: s3Response.ETag,
+        VersionId: s3Response.VersionId
+      });
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function headObject
+   * Returns object headers
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async headObject(req, res, next) {
+    try {
+      const objId = addDashesToUuid(req.params.objId);
+      const data = {
+        filePath: await controller._getObjectPath(objId, req.currentObject),
+        versionId: req.query.versionId ? req.query.versionId.toString() : undefined,
+        sse: getServerSideEncryption(req.headers)
+      };
+
+      // Deduplicated versions are read from the content they reference
+      const blob = await controller._getBlob(objId, data.versionId);
+      const response = await storageService.headObject(blob ? { ...data, filePath: blob.blobPath, versionId: blob.blobVersionId } : data);
+      if (blob) Object.assign(response, controller._getBlobHeaders(blob));
+      Object.assign(response, await controller._getVersionValidators(objId, data.versionId));
+      // Proxied downloads always support byte ranges
+      if (!response.AcceptRanges) response.AcceptRanges = 'bytes';
+
+      const status = getPreconditionStatus(req.headers, response.ETag, response.LastModified);
+      if (status === 412) throw new Problem(412, { detail: 'The object does not satisfy the request preconditions' });
+
+      // Set Headers via CORS library
+      cors({
+        exposedHeaders: controller._processS3Headers(response, res),
+        origin: true // Set true to dynamically set Access-Control-Allow-Origin based on Origin
+      })(req, res, () => { });
+      res.status(status === 304 ? 304 : 204).end();
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function listFolder
+   * Lists the objects and subfolders directly within a logical folder, like a file browser
+   * Only objects the current user may read are listed, and subfolders only if they contain such an object.
+   * Objects are listed a page at a time in path order, with the total number reported in the `X-Total-Count`
+   * header, while subfolders are always listed in full
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async listFolder(req, res, next) {
+    try {
+      const prefix = getFolderPath(req.query.path);
+      const { page, limit } = getPageParams(req.query);
+      const readableBy = await controller._getPermissionUser(req);
+
+      const [response, folders] = await Promise.all([
+        objectService.searchObjects({
+          folder: prefix,
+          readableBy: readableBy,
+          sort: 'path',
+          order: SortOrder.ASC,
+          page: page,
+          limit: limit
+        }),
+        objectService.listFolders({ folder: prefix, readableBy: readableBy })
+      ]);
+      const { results, total } = getPageResults(response);
+
+      res.set('X-Total-Count', total);
+      res.status(200).json({
+        path: joinPath(req.query.path),
+        folders: folders.map(name => ({ name: name, path: joinPath(req.query.path, name) })),
+        objects: results
+      });
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function listObjectVersion
+   * List all versions of the object
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async listObjectVersion(req, res, next) {
+    try {
+      const objId = addDashesToUuid(req.params.objId);
+      const data = {
+        filePath: await controller._getObjectPath(objId, req.currentObject)
+      };
+
+      const [response, versions] = await Promise.all([
+        storageService.listObjectVersion(data),
+        versionService.list(objId)
+      ]);
+
+      // Include the checksums recorded for each version when running with a database
+      if (Array.isArray(versions) && response.Versions) {
+        response.Versions = response.Versions.map(s3Version => {
+          // S3 reports the version of an unversioned object as 'null'
+          const version = versions.find(v => (v.versionId || 'null') === s3Version.VersionId);
+          return version && version.checksum ? {
+            ...s3Version,
+            ChecksumAlgorithm: [version.checksumAlgorithm],
+            [`Checksum${version.checksumAlgorithm}`]: version.checksum
+          } : s3Version;
+        });
+      }
+
+      // Deduplicated versions reference content stored elsewhere, so S3 does not list them under the object
+      const blobs = Array.isArray(versions) ? versions.filter(v => v.blobPath) : [];
+      if (blobs.length) {
+        const hasLatest = [].concat(response.Versions || [], response.DeleteMarkers || []).some(v => v.IsLatest);
+        response.Versions = (response.Versions || []).concat(blobs.map(version => ({
+          ETag: version.etag,
+          IsLatest: !hasLatest,
+          Key: data.filePath,
+          LastModified: version.createdAt,
+          Size: Number(version.size),
+          StorageClass: version.storageClass || undefined,
+          VersionId: version.versionId,
+          ChecksumAlgorithm: [version.checksumAlgorithm],
+          [`Checksum${version.checksumAlgorithm}`]: version.checksum
+        })));
+      }
+
+      res.status(200).json(response);
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function listUploads
+   * Lists the pending multipart upload sessions visible to the current user
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async listUploads(req, res, next) {
+    try {
+      const objIds = mixedQueryToArray(req.query.objId);
+      const params = {
+        objectId: objIds ? objIds.map(id => addDashesToUuid(id)) : objIds,
+        status: UploadStatus.PENDING
+      };
+
+      // Bearer users may only see their own upload sessions
+      if (req.currentUser && req.currentUser.authType === AuthType.BEARER) {
+        params.userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+      }
+
+      const response = await uploadService.searchUploads(params);
+      res.status(200).json(response);
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function moveObject
+   * Moves an object and every version of it to another logical folder and/or renames it
+   * The move continues as a job, which may be resumed should it fail part way through
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async moveObject(req, res, next) {
+    try {
+      const objId = addDashesToUuid(req.params.objId);
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+      const sourcePath = await controller._getObjectPath(objId, req.currentObject);
+      const sse = getServerSideEncryption(req.headers);
+
+      // A failed move must be resumed rather than started over
+      const pending = await jobService.searchJobs({
+        objectId: objId,
+        type: JobType.MOVE_OBJECT,
+        status: [JobStatus.QUEUED, JobStatus.RUNNING, JobStatus.FAILED]
+      });
+      if (pending.length) {
+        throw new Problem(409, { detail: 'The object has an unfinished move', jobId: pending[0].id });
+      }
 
-        let dissociateTags = [];
-        if (req.query.tagset) {
-          dissociateTags = getKeyValue(req.query.tagset);
-        } else if (objectTagging.TagSet && objectTagging.TagSet.length) {
-          dissociateTags = toLowerKeys(objectTagging.TagSet);
-        }
-        if (dissociateTags.length) await tagService.dissociateTags(version.id, dissociateTags, userId, trx);
-      });
+      const blob = await controller._getBlob(objId);
+      const latest = blob ? controller._getBlobHeaders(blob) : await storageService.headObject({ filePath: sourcePath, sse })
+        .catch(err => {
+          if (err.$metadata && err.$metadata.httpStatusCode === 404) {
+            throw new Problem(409, { detail: 'Deleted objects cannot be moved' });
+          }
+          throw err;
+        });
+      const name = req.body.name || latest.Metadata.name;
+
+      // Objects outside of any folder stay at their default path unless moved into one
+      const root = getFolderPath();
+      let folder = req.body.path;
+      if (folder === undefined && sourcePath !== getPath(objId) && sourcePath.startsWith(root)) {
+        const dir = path.posix.dirname(sourcePath.substring(root.length));
+        folder = dir === '.' ? '' : dir;
+      }
 
-      res.status(204).end();
+      let filePath = sourcePath;
+      if (folder !== undefined && joinPath(getFolderPath(folder), name.replace(/[\\/]/g, '_')) !== sourcePath) {
+        filePath = await controller._getNewObjectPath(objId, folder, name);
+      }
+      if (filePath === sourcePath && name === latest.Metadata.name) {
+        throw new Problem(409, { detail: 'The object already has the requested path and name' });
+      }
+
+      const params = {
+        objId: objId,
+        sourcePath: sourcePath,
+        filePath: filePath,
+        name: name !== latest.Metadata.name ? name : undefined
+      };
+      const job = await jobRunner.start(JobType.MOVE_OBJECT, params, { objectId: objId, userId, secrets: { sse } });
+      res.status(202).json(job);
     } catch (e) {
       next(errorToProblem(SERVICE, e));
     }
   },
 
   /**
-   * @function headObject
-   * Returns object headers
+   * @function presignUpload
+   * Reserves an upload session and yields a pre-signed url for putting the object directly to S3
+   * Targets a new object, or a new version of `req.params.objId` when present
    * @param {object} req Express request object
    * @param {object} res Express response object
    * @param {function} next The next callback function
    * @returns {function} Express middleware function
    */
-  async headObject(req, res, next) {
+  async presignUpload(req, res, next) {
     try {
-      const objId = addDashesToUuid(req.params.objId);
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+      const newObject = !req.params.objId;
+      const objId = newObject ? uuidv4() : addDashesToUuid(req.params.objId);
+
+      // The declared size is checked now and signed into the url, so content that would exceed a quota is never put
+      if (isQuotaEnabled()) {
+        if (req.body.size === undefined) {
+          throw new Problem(422, { detail: 'A size is required while storage quotas are enabled' });
+        }
+        await quota.assertQuota(req, req.body.size, newObject ? 1 : 0);
+      }
+
       const data = {
-        filePath: getPath(objId),
-        versionId: req.query.versionId ? req.query.versionId.toString() : undefined
+        id: uuidv4(),
+        objectId: objId,
+        path: newObject ?
+          await controller._getNewObjectPath(objId, req.body.path, req.body.name) :
+          await controller._getObjectPath(objId, req.currentObject),
+        mimeType: req.body.mimeType || 'application/octet-stream',
+        metadata: {
+          name: req.body.name, // provide a default of `name: <file name>`
+          ...getMetadata(req.headers),
+          id: objId
+        },
+        tags: req.query.tagset,
+        newObject: newObject
       };
-      const response = await storageService.headObject(data);
 
-      // TODO: Proper 304 caching logic (with If-Modified-Since header support)
-      // Consider looking around for express-based caching middleware
-      // Perhaps npm express-preconditions is sufficient?
+      const url = await storageService.writeSignedUrl({
+        filePath: data.path,
+        mimeType: data.mimeType,
+        metadata: data.metadata,
+        tags: data.tags,
+        contentLength: req.body.size,
+        expiresIn: req.query.expiresIn
+      });
 
-      // Set Headers via CORS library
-      cors({
-        exposedHeaders: controller._processS3Headers(response, res),
-        origin: true // Set true to dynamically set Access-Control-Allow-Origin based on Origin
-      })(req, res, () => { });
-      res.status(204).end();
+      const response = await uploadService.create({ ...data, type: UploadType.PRESIGNED, userId });
+      res.status(201).json({ ...response, url });
     } catch (e) {
       next(errorToProblem(SERVICE, e));
     }
   },
 
   /**
-   * @function listObjectVersion
-   * List all versions of the object
+   * @function readLegalHold
+   * Reads the Object Lock legal hold status of an object
    * @param {object} req Express request object
    * @param {object} res Express response object
    * @param {function} next The next callback function
    * @returns {function} Express middleware function
    */
-  async listObjectVersion(req, res, next) {
+  async readLegalHold(req, res, next) {
     try {
       const objId = addDashesToUuid(req.params.objId);
       const data = {
-        filePath: getPath(objId)
+        filePath: await controller._getObjectPath(objId, req.currentObject),
+        versionId: req.query.versionId ? req.query.versionId.toString() : undefined
       };
 
-      const response = await storageService.listObjectVersion(data);
-      res.status(200).json(response);
+      // Deduplicated versions are protected by the content they reference
+      const blob = await controller._getBlob(objId, data.versionId);
+      if (blob) Object.assign(data, { filePath: blob.blobPath, versionId: blob.blobVersionId });
+
+      let legalHold = { Status: LegalHoldStatus.OFF };
+      try {
+        const response = await storageService.getObjectLegalHold(data);
+        legalHold = response.LegalHold;
+      } catch (err) {
+        if (err.name !== 'NoSuchObjectLockConfiguration') throw await controller._getObjectLockProblem(err, data);
+      }
+
+      res.status(200).json(legalHold);
     } catch (e) {
       next(errorToProblem(SERVICE, e));
     }
@@ -505,14 +2016,37 @@ const controller = {
     try {
       const objId = addDashesToUuid(req.params.objId);
       const data = {
-        filePath: getPath(objId),
-        versionId: req.query.versionId ? req.query.versionId.toString() : undefined
+        filePath: await controller._getObjectPath(objId, req.currentObject),
+        versionId: req.query.versionId ? req.query.versionId.toString() : undefined,
+        sse: getServerSideEncryption(req.headers)
       };
 
-      // Download via service proxy
-      if (req.query.download && req.query.download === DownloadMode.PROXY) {
-        // TODO: Consider if we need a HEAD operation first before doing the actual read on large files for pre-flight caching behavior?
-        const response = await storageService.readObject(data);
+      // Deduplicated versions are read from the content they reference
+      const blob = await controller._getBlob(objId, data.versionId);
+      let validators = await controller._getVersionValidators(objId, data.versionId);
+      if (blob) Object.assign(data, { filePath: blob.blobPath, versionId: blob.blobVersionId });
+
+      // Preconditions apply to every download mode, and are settled before any content is read or signed
+      const conditional = ['if-match', 'if-none-match', 'if-modified-since', 'if-unmodified-since']
+        .some(header => req.headers[header]);
+      if (conditional && !validators) {
+        const head = await storageService.headObject(data);
+        validators = { ETag: head.ETag, LastModified: head.LastModified };
+      }
+      const status = conditional ? getPreconditionStatus(req.headers, validators.ETag, validators.LastModified) : undefined;
+      if (status === 412) throw new Problem(412, { detail: 'The object does not satisfy the request preconditions' });
+
+      if (status === 304) {
+        cors({
+          exposedHeaders: controller._processS3Headers(validators, res),
+          origin: true // Set true to dynamically set Access-Control-Allow-Origin based on Origin
+        })(req, res, () => { });
+        res.status(304).end();
+      } else if (req.query.download && req.query.download === DownloadMode.PROXY) {
+        // Download via service proxy
+        const response = await controller._readObjectRange(req, res, data, validators);
+        if (blob) Object.assign(response, controller._getBlobHeaders(blob));
+        Object.assign(response, validators);
 
         // Set Headers via CORS library
         cors({
@@ -520,14 +2054,8 @@ const controller = {
           origin: true // Set true to dynamically set Access-Control-Allow-Origin based on Origin
         })(req, res, () => { });
 
-        // TODO: Proper 304 caching logic (with If-Modified-Since header support)
-        // Consider looking around for express-based caching middleware
-        // Perhaps npm express-preconditions is sufficient?
-        if (req.get('If-None-Match') === response.ETag) res.status(304).end();
-        else {
-          response.Body.pipe(res); // Stream body content directly to response
-          res.status(200);
-        }
+        response.Body.pipe(res); // Stream body content directly to response
+        res.status(response.ContentRange ? 206 : 200);
       } else {
         const signedUrl = await storageService.readSignedUrl({
           expiresIn: req.query.expiresIn,
@@ -548,6 +2076,63 @@ const controller = {
     }
   },
 
+  /**
+   * @function readRetention
+   * Reads the Object Lock retention mode and retain until date of an object
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async readRetention(req, res, next) {
+    try {
+      const objId = addDashesToUuid(req.params.objId);
+      const data = {
+        filePath: await controller._getObjectPath(objId, req.currentObject),
+        versionId: req.query.versionId ? req.query.versionId.toString() : undefined
+      };
+
+      // Deduplicated versions are protected by the content they reference
+      const blob = await controller._getBlob(objId, data.versionId);
+      if (blob) Object.assign(data, { filePath: blob.blobPath, versionId: blob.blobVersionId });
+
+      let retention = {};
+      try {
+        const response = await storageService.getObjectRetention(data);
+        retention = response.Retention;
+      } catch (err) {
+        if (err.name !== 'NoSuchObjectLockConfiguration') throw await controller._getObjectLockProblem(err, data);
+      }
+
+      res.status(200).json(retention);
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function readUpload
+   * Returns a pending multipart upload session and the parts uploaded so far
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async readUpload(req, res, next) {
+    try {
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+      const session = await controller._readUploadSession(req, userId, UploadType.MULTIPART);
+      const parts = await storageService.listParts({ filePath: session.path, uploadId: session.uploadId });
+
+      res.status(200).json({
+        ...session,
+        parts: parts.map(({ ETag, LastModified, PartNumber, Size }) => ({ ETag, LastModified, PartNumber, Size }))
+      });
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
   /**
    * @function replaceMetadata
    * Creates a new version of the object via copy with the new metadata replacing the previous
@@ -559,14 +2144,8 @@ const controller = {
   async replaceMetadata(req, res, next) {
     try {
       const objId = addDashesToUuid(req.params.objId);
-      const objPath = getPath(objId);
+      const objPath = await controller._getObjectPath(objId, req.currentObject);
       const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
-      const sourceVersionId = req.query.versionId ? req.query.versionId.toString() : undefined;
-
-      const source = await storageService.headObject({ filePath: objPath, versionId: sourceVersionId });
-      if (source.ContentLength > MAXCOPYOBJECTLENGTH) {
-        throw new Error('Cannot copy an object larger than 5GB');
-      }
 
       const newMetadata = getMetadata(req.headers);
       if (!Object.keys(newMetadata).length) {
@@ -575,30 +2154,22 @@ const controller = {
         res.status(422).end();
       }
       else {
-        const data = {
-          copySource: objPath,
+        // create new version with metadata in S3
+        const { job } = await controller._copyVersion({
+          objId: objId,
           filePath: objPath,
-          metadata: {
-            name: source.Metadata.name,  // Always enforce name and id key behavior
+          versionId: req.query.versionId ? req.query.versionId.toString() : undefined,
+          metadata: metadata => ({
+            name: metadata.name,  // Always enforce name and id key behavior
             ...newMetadata, // Add new metadata
-            id: source.Metadata.id
-          },
-          metadataDirective: MetadataDirective.REPLACE,
-          versionId: sourceVersionId
-        };
-        const s3Response = await storageService.copyObject(data);
-
-        await utils.trxWrapper(async (trx) => {
-          // create or update version (if a non-versioned object)
-          const version = s3Response.VersionId ?
-            await versionService.copy(sourceVersionId, s3Response.VersionId, objId, userId, trx) :
-            await versionService.update({ ...data, id: objId }, userId, trx);
-
-          // add metadata
-          await metadataService.associateMetadata(version.id, getKeyValue(data.metadata), userId, trx);
+            id: metadata.id
+          }),
+          userId: userId,
+          sse: getServerSideEncryption(req.headers)
         });
 
-        res.status(204).end();
+        if (job) res.status(202).json(job);
+        else res.status(204).end();
       }
     } catch (e) {
       next(errorToProblem(SERVICE, e));
@@ -616,9 +2187,8 @@ const controller = {
   async replaceTags(req, res, next) {
     try {
       const objId = addDashesToUuid(req.params.objId);
-      const objPath = getPath(objId);
+      const objPath = await controller._getObjectPath(objId, req.currentObject);
       const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
-      const versionId = req.query.versionId;
       const newTags = req.query.tagset;
 
       if (!newTags || !Object.keys(newTags).length || Object.keys(newTags).length > 10) {
@@ -626,6 +2196,7 @@ const controller = {
         // 422 when no new tags or when tag limit will be exceeded
         res.status(422).end();
       } else {
+        const versionId = await controller._materializeObject(objId, req.query.versionId, userId, objPath);
         const data = {
           filePath: objPath,
           tags: Object.entries(newTags).map(([k, v]) => ({ Key: k, Value: v })),
@@ -639,6 +2210,7 @@ const controller = {
         await utils.trxWrapper(async (trx) => {
           const version = await versionService.get(data.versionId, objId, trx);
           await tagService.replaceTags(version.id, toLowerKeys(data.tags), userId, trx);
+          await versionService.touch(version.id, userId, trx);
         });
 
         res.status(204).end();
@@ -648,41 +2220,87 @@ const controller = {
     }
   },
 
+  /**
+   * @function restoreVersion
+   * Creates a new version of the object via copy of a previous version, along with its metadata and tags
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async restoreVersion(req, res, next) {
+    try {
+      const objId = addDashesToUuid(req.params.objId);
+      const objPath = await controller._getObjectPath(objId, req.currentObject);
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+
+      // A copy made without versioning would overwrite the object rather than restore a version
+      if (!await storageService.getBucketVersioning()) {
+        throw new Problem(409, { detail: 'Versions can only be restored in a versioned bucket' });
+      }
+
+      // The content of the restored version is stored again as the latest version
+      const versionId = req.params.versionId.toString();
+      const source = await versionService.get(versionId, objId);
+      await quota.assertQuota(req, source && source.size ? source.size : 0);
+
+      // create new version from the previous version in S3, carrying over its metadata and tags
+      const { job, version, ETag } = await controller._copyVersion({
+        objId: objId,
+        filePath: objPath,
+        versionId: versionId,
+        userId: userId,
+        sse: getServerSideEncryption(req.headers)
+      });
+
+      if (job) return res.status(202).json(job);
+      res.status(201).json({ ...version, ETag });
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
   /**
    * @function searchObjects
    * Search and filter for specific objects
+   * The total number of matches is reported in the `X-Total-Count` header. Without a database, storage is searched
+   * a page at a time instead, continuing from the `X-Continuation-Token` of the previous page
    * @param {object} req Express request object
    * @param {object} res Express response object
    * @param {function} next The next callback function
    * @returns {function} Express middleware function
    */
   async searchObjects(req, res, next) {
-    // TODO: Handle no database scenarios via S3 ListObjectsCommand?
     // TODO: Consider support for filtering by set of permissions?
-    // TODO: handle additional parameters. Eg: deleteMarker, latest
     try {
-      const objIds = mixedQueryToArray(req.query.objId);
-      const metadata = getMetadata(req.headers);
-      const tagging = req.query.tagset;
       const params = {
-        id: objIds ? objIds.map(id => addDashesToUuid(id)) : objIds,
-        name: req.query.name,
-        path: req.query.path,
-        mimeType: req.query.mimeType,
-        metadata: metadata && Object.keys(metadata).length ? metadata : undefined,
-        tag: tagging && Object.keys(tagging).length ? tagging : undefined,
-        public: isTruthy(req.query.public),
-        active: isTruthy(req.query.active)
+        ...controller._getSearchParams(req),
+        ...getPageParams(req.query),
+        match: req.body ? req.body.match : undefined
       };
 
+      if (!config.has('db.enabled')) {
+        const { objects, continuationToken } = await controller._searchStorage(params, req.query.continuationToken);
+
+        // Set Headers via CORS library
+        if (continuationToken) res.set('X-Continuation-Token', continuationToken);
+        cors({
+          exposedHeaders: continuationToken ? ['X-Continuation-Token'] : [],
+          origin: true // Set true to dynamically set Access-Control-Allow-Origin based on Origin
+        })(req, res, () => { });
+        return res.status(201).json(objects);
+      }
+
       // When using OIDC authentication, force populate current user as filter if available
       if (authMode === AuthMode.OIDCAUTH || authMode === AuthMode.FULLAUTH) {
         params.userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
       }
       const response = await objectService.searchObjects(params);
-      res.status(201).json(response);
-    } catch (error) {
-      next(error);
+      const { results, total } = getPageResults(response);
+      res.set('X-Total-Count', total);
+      res.status(201).json(results);
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
     }
   },
 
@@ -711,6 +2329,68 @@ const controller = {
     }
   },
 
+  /**
+   * @function undeleteObject
+   * Restores a deleted object by removing the delete marker that is its latest version
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async undeleteObject(req, res, next) {
+    try {
+      const objId = addDashesToUuid(req.params.objId);
+      const filePath = await controller._getObjectPath(objId, req.currentObject);
+
+      const response = await storageService.listObjectVersion({ filePath });
+      const deleteMarker = (response.DeleteMarkers || []).find(marker => marker.Key === filePath && marker.IsLatest);
+      if (!deleteMarker) {
+        throw new Problem(409, { detail: 'Object is not deleted' });
+      }
+
+      // delete the delete marker on S3
+      const s3Response = await storageService.deleteObject({ filePath, versionId: deleteMarker.VersionId });
+
+      // delete the DeleteMarker version in DB
+      await versionService.delete(objId, deleteMarker.VersionId);
+
+      res.status(200).json(s3Response);
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function updateLegalHold
+   * Places or removes an Object Lock legal hold on an object
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async updateLegalHold(req, res, next) {
+    try {
+      const objId = addDashesToUuid(req.params.objId);
+      const objPath = await controller._getObjectPath(objId, req.currentObject);
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+      const data = {
+        filePath: objPath,
+        status: req.body.status,
+        versionId: await controller._materializeObject(objId, req.query.versionId ? req.query.versionId.toString() : undefined, userId, objPath)
+      };
+
+      try {
+        await storageService.putObjectLegalHold(data);
+      } catch (err) {
+        throw await controller._getObjectLockProblem(err, data);
+      }
+
+      res.status(200).json({ Status: data.status });
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
   /**
    * @function updateObject
    * Creates an updated version of the object via streaming
@@ -722,13 +2402,16 @@ const controller = {
   async updateObject(req, res, next) {
     try {
       const bb = busboy({ headers: req.headers, limits: { files: 1 } });
+      const nextChecksums = controller._getChecksumFields(bb);
+      const objId = addDashesToUuid(req.params.objId);
+      const objPath = await controller._getObjectPath(objId, req.currentObject);
       const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
       let object = undefined;
 
       bb.on('file', (name, stream, info) => {
-        const objId = addDashesToUuid(req.params.objId);
         const data = {
           id: objId,
+          path: objPath,
           fieldName: name,
           mimeType: info.mimeType,
           metadata: {
@@ -740,24 +2423,31 @@ const controller = {
         };
 
         // TODO: Consider refactoring to use Upload instead from @aws-sdk/lib-storage
-        const s3Response = storageService.putObject({ ...data, stream });
+        const s3Response = controller._putObject(req, data, stream, nextChecksums());
 
         const dbResponse = utils.trxWrapper(async (trx) => {
           // update object in DB
-          const object = await objectService.update({ ...data, userId, path: getPath(objId) }, trx);
+          const object = await objectService.update({ ...data, userId }, trx);
 
           // wait for S3 response
           const s3Resolved = await s3Response;
+          const integrity = {
+            checksum: s3Resolved.ChecksumSHA256,
+            checksumAlgorithm: ChecksumAlgorithm.SHA256,
+            size: s3Resolved.ContentLength,
+            ...getStorageDetails(s3Resolved)
+          };
           // if versioning enabled, create new version in DB
           let version = undefined;
           if (s3Resolved.VersionId) {
             data.versionId = s3Resolved.VersionId;
-            version = await versionService.create(data, userId, trx);
+            version = await versionService.create({ ...data, ...integrity }, userId, trx);
           }
           // else update only version in DB
           else {
             version = await versionService.update({
               ...data,
+              ...integrity,
               versionId: null
             }, userId, trx);
           }
@@ -779,24 +2469,210 @@ const controller = {
       });
 
       bb.on('close', async () => {
-        const [dbResponse, s3Response] = await Promise.all([
-          object.dbResponse,
-          object.s3Response
-        ]);
-
-        // merge returned responses into a result
-        const result = {
-          ...object.data,
-          ...dbResponse,
-          ...s3Response
-        };
-        res.status(200).json(result);
+        try {
+          const [dbResponse, s3Response] = await Promise.all([
+            object.dbResponse,
+            object.s3Response
+          ]);
+
+          // merge returned responses into a result
+          const result = {
+            ...object.data,
+            ...dbResponse,
+            ...s3Response
+          };
+
+          // Intentionally not awaited; the text of the new version is indexed in the background
+          jobRunner.extractText();
+          res.status(200).json(result);
+        } catch (e) {
+          next(errorToProblem(SERVICE, e));
+        }
       });
 
       req.pipe(bb);
     } catch (e) {
       next(errorToProblem(SERVICE, e));
     }
+  },
+
+  /**
+   * @function updateRetention
+   * Sets the Object Lock retention mode and retain until date of an object
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async updateRetention(req, res, next) {
+    try {
+      const objId = addDashesToUuid(req.params.objId);
+      const objPath = await controller._getObjectPath(objId, req.currentObject);
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+      const data = {
+        bypassGovernance: isTruthy(req.query.bypassGovernance),
+        filePath: objPath,
+        mode: req.body.mode,
+        retainUntilDate: new Date(req.body.retainUntilDate),
+        versionId: await controller._materializeObject(objId, req.query.versionId ? req.query.versionId.toString() : undefined, userId, objPath)
+      };
+
+      try {
+        await storageService.putObjectRetention(data);
+      } catch (err) {
+        throw await controller._getObjectLockProblem(err, data);
+      }
+
+      res.status(200).json({ Mode: data.mode, RetainUntilDate: data.retainUntilDate });
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function uploadPart
+   * Streams the request body into a single part of a multipart upload session
+   * Re-uploading an existing part number replaces that part
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async uploadPart(req, res, next) {
+    try {
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+      const session = await controller._readUploadSession(req, userId, UploadType.MULTIPART);
+      const partNumber = parseInt(req.params.partNumber, 10);
+
+      const response = await storageService.uploadPart({
+        filePath: session.path,
+        uploadId: session.uploadId,
+        partNumber: partNumber,
+        stream: req,
+        length: parseInt(req.get('Content-Length'), 10),
+        sse: getServerSideEncryption(req.headers)
+      });
+
+      res.status(200).json({
+        ETag: response.ETag,
+        PartNumber: partNumber
+      });
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function verifyObject
+   * Re-hashes the stored content of an object version and compares it to the checksum recorded at upload
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async verifyObject(req, res, next) {
+    try {
+      const objId = addDashesToUuid(req.params.objId);
+      const versionId = req.query.versionId ? req.query.versionId.toString() : undefined;
+
+      const version = await versionService.get(versionId, objId);
+      if (!version || !version.id) {
+        throw new Problem(404, { detail: 'Version not found' });
+      }
+      if (!version.checksum) {
+        throw new Problem(409, { detail: 'No checksum has been recorded for this version' });
+      }
+
+      // Deduplicated versions verify the content they reference
+      const response = await storageService.readObject({
+        filePath: version.blobPath ? version.blobPath : await controller._getObjectPath(objId, req.currentObject),
+        versionId: version.blobPath ? version.blobVersionId : (version.versionId ? version.versionId : undefined),
+        sse: getServerSideEncryption(req.headers)
+      });
+      const { sha256, size } = await digestStream(response.Body);
+      const expectedSize = version.size !== null && version.size !== undefined ? Number(version.size) : undefined;
+
+      res.status(200).json({
+        id: version.id,
+        objectId: objId,
+        versionId: version.versionId,
+        checksumAlgorithm: version.checksumAlgorithm,
+        checksum: version.checksum,
+        computedChecksum: sha256,
+        size: expectedSize,
+        computedSize: size,
+        verified: sha256 === version.checksum && (expectedSize === undefined || expectedSize === size)
+      });
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
+  /**
+   * @function zipObjects
+   * Streams a ZIP archive of the latest version of the requested or matching objects
+   * Objects the current user cannot read, or that cannot be read from storage, are skipped
+   * and listed in a manifest entry at the end of the archive
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async zipObjects(req, res, next) {
+    const archive = archiver('zip');
+    try {
+      const params = controller._getSearchParams(req);
+      if (Object.values(params).every(value => value === undefined)) {
+        throw new Problem(422, { detail: 'An objId or at least one search filter is required' });
+      }
+
+      const { results, total } = await objectService.searchObjects({ ...params, page: 1, limit: MAXPAGELIMIT });
+      if (total > MAXPAGELIMIT) {
+        throw new Problem(422, { detail: `At most ${MAXPAGELIMIT} objects can be zipped at once`, total: total });
+      }
+      const objects = await controller._getPermittedObjects(req, results, Permissions.READ);
+
+      const manifest = { objects: [], skipped: [] };
+      // Only report unreadable objects the user asked for by id; others are indistinguishable from missing
+      (params.id || []).filter(id => !objects.some(obj => obj.id === id)).forEach(id => {
+        manifest.skipped.push({ id: id, detail: 'Object not found or user lacks permission' });
+      });
+
+      res.status(200).set({
+        'Content-Disposition': 'attachment; filename="objects.zip"',
+        'Content-Type': 'application/zip'
+      });
+      archive.pipe(res);
+
+      const names = new Set([ZIP_MANIFEST]);
+      for (const obj of objects) {
+        const data = { filePath: await controller._getObjectPath(obj.id, obj) };
+        let blob, response;
+        try {
+          // Deduplicated versions are read from the content they reference
+          blob = await controller._getBlob(obj.id);
+          if (blob) Object.assign(data, { filePath: blob.blobPath, versionId: blob.blobVersionId });
+          response = await storageService.readObject(data);
+        } catch (err) {
+          manifest.skipped.push({ id: obj.id, detail: err.message || err.name });
+          continue;
+        }
+
+        const metadata = blob ? controller._getBlobHeaders(blob).Metadata : response.Metadata;
+        const name = controller._getZipEntryName((metadata && metadata.name) || obj.id, names);
+        await controller._putZipEntry(archive, response.Body, { name: name, date: response.LastModified });
+        manifest.objects.push({ id: obj.id, name: name });
+      }
+
+      await controller._putZipEntry(archive, JSON.stringify(manifest, null, 2), { name: ZIP_MANIFEST });
+      await archive.finalize();
+    } catch (e) {
+      archive.unpipe(res);
+      archive.abort();
+      // Once the archive has started streaming, a truncated download is the only signal left
+      if (res.headersSent) res.destroy(e);
+      else next(errorToProblem(SERVICE, e));
+    }
   }
 };
 
@@ -3,6 +3,8 @@ const Problem = require('api-problem');
 const errorToProblem = require('../components/errorToProblem');
 const {
   addDashesToUuid,
+  getPageParams,
+  getPageResults,
   mixedQueryToArray,
   getCurrentIdentity
 } = require('../components/utils');
@@ -17,7 +19,7 @@ const SERVICE = 'PermissionService';
 const controller = {
   /**
    * @function searchPermissions
-   * Searches for object permissions
+   * Searches for object permissions, reporting the total number of matches in the `X-Total-Count` header
    * @param {object} req Express request object
    * @param {object} res Express response object
    * @param {function} next The next callback function
@@ -30,9 +32,12 @@ const controller = {
       const response = await permissionService.searchPermissions({
         objId: objIds ? objIds.map(id => addDashesToUuid(id)) : objIds,
         userId: userIds ? userIds.map(id => addDashesToUuid(id)) : userIds,
-        permCode: mixedQueryToArray(req.query.permCode)
+        permCode: mixedQueryToArray(req.query.permCode),
+        ...getPageParams(req.query)
       });
-      res.status(200).json(response);
+      const { results, total } = getPageResults(response);
+      res.set('X-Total-Count', total);
+      res.status(200).json(results);
     } catch (e) {
       next(errorToProblem(SERVICE, e));
     }
@@ -52,7 +57,8 @@ const controller = {
       const response = await permissionService.searchPermissions({
         objId: addDashesToUuid(req.params.objId),
         userId: userIds ? userIds.map(id => addDashesToUuid(id)) : userIds,
-        permCode: mixedQueryToArray(req.query.permCode)
+        permCode: mixedQueryToArray(req.query.permCode),
+        all: true
       });
       res.status(200).json(response);
     } catch (e) {
@@ -1,6 +1,15 @@
+const { NIL: SYSTEM_USER } = require('uuid');
+
 const errorToProblem = require('../components/errorToProblem');
-const { addDashesToUuid, isTruthy, mixedQueryToArray } = require('../components/utils');
-const { userService } = require('../services');
+const {
+  addDashesToUuid,
+  getCurrentIdentity,
+  getPageParams,
+  getPageResults,
+  isTruthy,
+  mixedQueryToArray
+} = require('../components/utils');
+const { quotaService, userService } = require('../services');
 
 const SERVICE = 'UserService';
 
@@ -27,9 +36,29 @@ const controller = {
     }
   },
 
+  /**
+   * @function listUsage
+   * Lists the storage used by the current user, their identity provider and the bucket, each against its quota
+   * Basic authentication requests are not made by a user, and only see the usage of the bucket
+   * @param {object} req Express request object
+   * @param {object} res Express response object
+   * @param {function} next The next callback function
+   * @returns {function} Express middleware function
+   */
+  async listUsage(req, res, next) {
+    try {
+      const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+      const user = userId ? await userService.readUser(userId) : undefined;
+      const response = await quotaService.listUsage(user);
+      res.status(200).json(response);
+    } catch (e) {
+      next(errorToProblem(SERVICE, e));
+    }
+  },
+
   /**
    * @function searchUsers
-   * Searches for users
+   * Searches for users, reporting the total number of matches in the `X-Total-Count` header
    * @param {object} req Express request object
    * @param {object} res Express response object
    * @param {function} next The next callback function
@@ -49,9 +78,12 @@ const controller = {
         fullName: req.query.fullName,
         lastName: req.query.lastName,
         active: isTruthy(req.query.active),
-        search: req.query.search
+        search: req.query.search,
+        ...getPageParams(req.query)
       });
-      res.status(200).json(response);
+      const { results, total } = getPageResults(response);
+      res.set('X-Total-Count', total);
+      res.status(200).json(results);
     } catch (e) {
       next(errorToProblem(SERVICE, e));
     }
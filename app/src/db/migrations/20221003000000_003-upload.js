@@ -0,0 +1,31 @@
+const stamps = require('../stamps');
+
+exports.up = function (knex) {
+  return Promise.resolve()
+    // create upload table
+    .then(() => knex.schema.createTable('upload', table => {
+      table.uuid('id').primary();
+      table.string('uploadId', 1024).notNullable();
+      table.uuid('objectId').notNullable().index();
+      table.string('path', 1024).notNullable();
+      table.string('mimeType', 255);
+      table.json('metadata');
+      table.json('tags');
+      table.string('status', 255).notNullable().index();
+      stamps(knex, table);
+    }))
+
+    // Create audit trigger
+    .then(() => knex.schema.raw(`CREATE TRIGGER audit_upload_trigger
+    AFTER UPDATE OR DELETE ON upload
+    FOR EACH ROW EXECUTE PROCEDURE audit.if_modified_func();`));
+};
+
+exports.down = function (knex) {
+  return Promise.resolve()
+    // Drop audit trigger
+    .then(() => knex.schema.raw('DROP TRIGGER IF EXISTS audit_upload_trigger ON upload'))
+
+    // Drop tables
+    .then(() => knex.schema.dropTableIfExists('upload'));
+};
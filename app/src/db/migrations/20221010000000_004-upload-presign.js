@@ -0,0 +1,30 @@
+exports.up = function (knex) {
+  return Promise.resolve()
+    // distinguish multipart sessions from pre-signed url reservations
+    .then(() => knex.schema.alterTable('upload', table => {
+      table.string('type', 255).notNullable().defaultTo('MULTIPART');
+      table.boolean('newObject').notNullable().defaultTo(true);
+    }))
+
+    // pre-signed url reservations do not have an S3 multipart UploadId
+    .then(() => knex.schema.alterTable('upload', table => {
+      table.string('uploadId', 1024).nullable().alter();
+    }));
+};
+
+exports.down = function (knex) {
+  return Promise.resolve()
+    // drop pre-signed url reservations
+    .then(() => knex('upload').where('type', 'PRESIGNED').del())
+
+    // restore uploadId constraint
+    .then(() => knex.schema.alterTable('upload', table => {
+      table.string('uploadId', 1024).notNullable().alter();
+    }))
+
+    // drop columns
+    .then(() => knex.schema.alterTable('upload', table => {
+      table.dropColumn('newObject');
+      table.dropColumn('type');
+    }));
+};
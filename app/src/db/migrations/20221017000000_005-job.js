@@ -0,0 +1,30 @@
+const stamps = require('../stamps');
+
+exports.up = function (knex) {
+  return Promise.resolve()
+    // create job table
+    .then(() => knex.schema.createTable('job', table => {
+      table.uuid('id').primary();
+      table.string('type', 255).notNullable().index();
+      table.string('status', 255).notNullable().index();
+      table.uuid('objectId').index();
+      table.json('params');
+      table.json('result');
+      table.string('error', 1024);
+      stamps(knex, table);
+    }))
+
+    // Create audit trigger
+    .then(() => knex.schema.raw(`CREATE TRIGGER audit_job_trigger
+    AFTER UPDATE OR DELETE ON job
+    FOR EACH ROW EXECUTE PROCEDURE audit.if_modified_func();`));
+};
+
+exports.down = function (knex) {
+  return Promise.resolve()
+    // Drop audit trigger
+    .then(() => knex.schema.raw('DROP TRIGGER IF EXISTS audit_job_trigger ON job'))
+
+    // Drop tables
+    .then(() => knex.schema.dropTableIfExists('job'));
+};
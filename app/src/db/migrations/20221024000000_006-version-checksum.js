@@ -0,0 +1,21 @@
+exports.up = function (knex) {
+  return Promise.resolve()
+    // record the integrity attributes of each version
+    .then(() => knex.schema.alterTable('version', table => {
+      table.string('checksum', 255);
+      table.string('checksumAlgorithm', 255);
+      table.bigInteger('size');
+      table.string('etag', 1024);
+    }));
+};
+
+exports.down = function (knex) {
+  return Promise.resolve()
+    // drop columns
+    .then(() => knex.schema.alterTable('version', table => {
+      table.dropColumn('etag');
+      table.dropColumn('size');
+      table.dropColumn('checksumAlgorithm');
+      table.dropColumn('checksum');
+    }));
+};
@@ -0,0 +1,21 @@
+exports.up = function (knex) {
+  return Promise.resolve()
+    // reference the stored content of another version when deduplicated
+    .then(() => knex.schema.alterTable('version', table => {
+      table.string('blobPath', 1024);
+      table.string('blobVersionId', 1024);
+      table.index(['checksum', 'checksumAlgorithm', 'size']);
+      table.index(['blobPath', 'blobVersionId']);
+    }));
+};
+
+exports.down = function (knex) {
+  return Promise.resolve()
+    // drop columns
+    .then(() => knex.schema.alterTable('version', table => {
+      table.dropIndex(['blobPath', 'blobVersionId']);
+      table.dropIndex(['checksum', 'checksumAlgorithm', 'size']);
+      table.dropColumn('blobVersionId');
+      table.dropColumn('blobPath');
+    }));
+};
@@ -0,0 +1,15 @@
+exports.up = function (knex) {
+  return Promise.resolve()
+    // object paths are chosen by callers and must identify a single object
+    .then(() => knex.schema.alterTable('object', table => {
+      table.unique('path');
+    }));
+};
+
+exports.down = function (knex) {
+  return Promise.resolve()
+    // drop constraint
+    .then(() => knex.schema.alterTable('object', table => {
+      table.dropUnique('path');
+    }));
+};
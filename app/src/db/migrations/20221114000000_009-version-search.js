@@ -0,0 +1,97 @@
+exports.up = function (knex) {
+  return Promise.resolve()
+    // create version_search table
+    .then(() => knex.schema.createTable('version_search', table => {
+      table.uuid('versionId').primary().references('id').inTable('version').onDelete('CASCADE').onUpdate('CASCADE');
+      table.text('content');
+      table.specificType('vector', 'tsvector').notNullable();
+      table.timestamp('extractedAt', { useTz: true });
+      table.index('extractedAt');
+    }))
+    .then(() => knex.schema.raw('CREATE INDEX version_search_vector_index ON version_search USING GIN (vector)'))
+
+    // The searchable text of a version is its name, other metadata values, tag values and extracted content
+    // Separators are removed from names so that each word of a filename is searchable
+    .then(() => knex.schema.raw(`CREATE OR REPLACE FUNCTION public.version_search_name(vid uuid) RETURNS text AS $body$
+    SELECT string_agg(regexp_replace(m.value, '[_.-]+', ' ', 'g'), ' ')
+    FROM version_metadata vm JOIN metadata m ON m.id = vm."metadataId"
+    WHERE vm."versionId" = vid AND m.key = 'name';
+    $body$ LANGUAGE sql STABLE;`))
+    .then(() => knex.schema.raw(`CREATE OR REPLACE FUNCTION public.version_search_values(vid uuid) RETURNS text AS $body$
+    SELECT concat_ws(' ',
+      (SELECT string_agg(m.value, ' ') FROM version_metadata vm JOIN metadata m ON m.id = vm."metadataId"
+        WHERE vm."versionId" = vid AND m.key NOT IN ('name', 'id')),
+      (SELECT string_agg(t.value, ' ') FROM version_tag vt JOIN tag t ON t.id = vt."tagId"
+        WHERE vt."versionId" = vid));
+    $body$ LANGUAGE sql STABLE;`))
+    .then(() => knex.schema.raw(`CREATE OR REPLACE FUNCTION public.version_search_document(vid uuid, content text) RETURNS text AS $body$
+    SELECT concat_ws(E'\\n', version_search_name(vid), version_search_values(vid), content);
+    $body$ LANGUAGE sql STABLE;`))
+    // Matches on the name rank above matches on metadata and tags, which rank above matches on content
+    .then(() => knex.schema.raw(`CREATE OR REPLACE FUNCTION public.version_search_vector(vid uuid, content text) RETURNS tsvector AS $body$
+    SELECT setweight(to_tsvector('english', coalesce(version_search_name(vid), '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(version_search_values(vid), '')), 'B') ||
+      setweight(to_tsvector('english', coalesce(content, '')), 'C');
+    $body$ LANGUAGE sql STABLE;`))
+
+    // Keep the vector of a version up to date with its content, metadata and tags
+    .then(() => knex.schema.raw(`CREATE OR REPLACE FUNCTION public.version_search_func() RETURNS trigger AS $body$
+    BEGIN
+      NEW.vector := version_search_vector(NEW."versionId", NEW.content);
+      RETURN NEW;
+    END;
+    $body$ LANGUAGE plpgsql;`))
+    .then(() => knex.schema.raw(`CREATE TRIGGER version_search_trigger
+    BEFORE INSERT OR UPDATE ON version_search
+    FOR EACH ROW EXECUTE PROCEDURE version_search_func();`))
+
+    .then(() => knex.schema.raw(`CREATE OR REPLACE FUNCTION public.version_search_insert_func() RETURNS trigger AS $body$
+    BEGIN
+      INSERT INTO version_search ("versionId") VALUES (NEW.id) ON CONFLICT ("versionId") DO NOTHING;
+      RETURN NULL;
+    END;
+    $body$ LANGUAGE plpgsql;`))
+    .then(() => knex.schema.raw(`CREATE TRIGGER version_search_insert_trigger
+    AFTER INSERT ON version
+    FOR EACH ROW EXECUTE PROCEDURE version_search_insert_func();`))
+
+    // Deleted versions cascade to their metadata and tags, and are not indexed again
+    .then(() => knex.schema.raw(`CREATE OR REPLACE FUNCTION public.version_search_refresh_func() RETURNS trigger AS $body$
+    DECLARE
+      vid uuid := CASE WHEN TG_OP = 'DELETE' THEN OLD."versionId" ELSE NEW."versionId" END;
+    BEGIN
+      INSERT INTO version_search ("versionId")
+        SELECT id FROM version WHERE id = vid
+        ON CONFLICT ("versionId") DO UPDATE SET content = version_search.content;
+      RETURN NULL;
+    END;
+    $body$ LANGUAGE plpgsql;`))
+    .then(() => knex.schema.raw(`CREATE TRIGGER version_search_metadata_trigger
+    AFTER INSERT OR DELETE ON version_metadata
+    FOR EACH ROW EXECUTE PROCEDURE version_search_refresh_func();`))
+    .then(() => knex.schema.raw(`CREATE TRIGGER version_search_tag_trigger
+    AFTER INSERT OR DELETE ON version_tag
+    FOR EACH ROW EXECUTE PROCEDURE version_search_refresh_func();`))
+
+    // index existing versions; their content is extracted by the EXTRACT_TEXT job
+    .then(() => knex.schema.raw('INSERT INTO version_search ("versionId") SELECT id FROM version'));
+};
+
+exports.down = function (knex) {
+  return Promise.resolve()
+    // Drop triggers
+    .then(() => knex.schema.raw('DROP TRIGGER IF EXISTS version_search_tag_trigger ON version_tag'))
+    .then(() => knex.schema.raw('DROP TRIGGER IF EXISTS version_search_metadata_trigger ON version_metadata'))
+    .then(() => knex.schema.raw('DROP TRIGGER IF EXISTS version_search_insert_trigger ON version'))
+    .then(() => knex.schema.raw('DROP TRIGGER IF EXISTS version_search_trigger ON version_search'))
+    // Drop functions
+    .then(() => knex.schema.raw('DROP FUNCTION IF EXISTS public.version_search_refresh_func()'))
+    .then(() => knex.schema.raw('DROP FUNCTION IF EXISTS public.version_search_insert_func()'))
+    .then(() => knex.schema.raw('DROP FUNCTION IF EXISTS public.version_search_func()'))
+    .then(() => knex.schema.raw('DROP FUNCTION IF EXISTS public.version_search_vector(uuid, text)'))
+    .then(() => knex.schema.raw('DROP FUNCTION IF EXISTS public.version_search_document(uuid, text)'))
+    .then(() => knex.schema.raw('DROP FUNCTION IF EXISTS public.version_search_values(uuid)'))
+    .then(() => knex.schema.raw('DROP FUNCTION IF EXISTS public.version_search_name(uuid)'))
+    // Drop table
+    .then(() => knex.schema.dropTableIfExists('version_search'));
+};
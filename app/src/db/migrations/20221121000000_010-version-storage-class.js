@@ -0,0 +1,15 @@
+exports.up = function (knex) {
+  return Promise.resolve()
+    // record the S3 storage class of each version; existing versions are filled by the BACKFILL_VERSIONS job
+    .then(() => knex.schema.alterTable('version', table => {
+      table.string('storageClass', 255);
+    }));
+};
+
+exports.down = function (knex) {
+  return Promise.resolve()
+    // drop columns
+    .then(() => knex.schema.alterTable('version', table => {
+      table.dropColumn('storageClass');
+    }));
+};
@@ -1,14 +1,17 @@
 const models = {
   // Tables
   IdentityProvider: require('./tables/identityProvider'),
+  Job: require('./tables/job'),
   Metadata: require('./tables/metadata'),
   ObjectModel: require('./tables/objectModel'),
   ObjectPermission: require('./tables/objectPermission'),
   Permission: require('./tables/permission'),
   Tag: require('./tables/tag'),
+  Upload: require('./tables/upload'),
   User: require('./tables/user'),
   Version: require('./tables/version'),
   VersionMetadata: require('./tables/versionMetadata'),
+  VersionSearch: require('./tables/versionSearch'),
   VersionTag: require('./tables/versionTag'),
 
   // Views
@@ -0,0 +1,48 @@
+const { Model } = require('objection');
+
+const { stamps } = require('../jsonSchema');
+const { Timestamps } = require('../mixins');
+const { filterOneOrMany } = require('../utils');
+
+class Job extends Timestamps(Model) {
+  static get tableName() {
+    return 'job';
+  }
+
+  static get modifiers() {
+    return {
+      filterObjectId(query, value) {
+        filterOneOrMany(query, value, 'objectId');
+      },
+      filterStatus(query, value) {
+        filterOneOrMany(query, value, 'status');
+      },
+      filterType(query, value) {
+        filterOneOrMany(query, value, 'type');
+      },
+      filterCreatedBy(query, value) {
+        filterOneOrMany(query, value, 'createdBy');
+      }
+    };
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['id', 'type', 'status'],
+      properties: {
+        id: { type: 'string', minLength: 1, maxLength: 255 },
+        type: { type: 'string', minLength: 1, maxLength: 255 },
+        status: { type: 'string', minLength: 1, maxLength: 255 },
+        objectId: { type: ['string', 'null'], maxLength: 255 },
+        params: { type: ['object', 'null'] },
+        result: { type: ['object', 'null'] },
+        error: { type: ['string', 'null'], maxLength: 1024 },
+        ...stamps
+      },
+      additionalProperties: false
+    };
+  }
+}
+
+module.exports = Job;
@@ -1,8 +1,15 @@
-const { Model } = require('objection');
+const { Model, raw, ref } = require('objection');
 
+const { Permissions, SortOrder, TEXTSEARCHCONFIG } = require('../../../components/constants');
 const { stamps } = require('../jsonSchema');
 const { Timestamps } = require('../mixins');
-const { filterOneOrMany, filterILike } = require('../utils');
+const { escapeLike, filterOneOrMany, filterILike, filterRange, filterStartsWith, paginate } = require('../utils');
+
+/**
+ * @constant HEADLINEOPTIONS
+ * The Postgres ts_headline options of the snippets of full-text search results
+ */
+const HEADLINEOPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=3';
 
 // The table is "object" but Object is a bit of a reserved word :)
 class ObjectModel extends Timestamps(Model) {
@@ -35,8 +42,15 @@ class ObjectModel extends Timestamps(Model) {
   }
 
   static get modifiers() {
+    const ObjectPermission = require('./objectPermission');
     const Version = require('./version');
 
+    // The name, mimeType, size, ETag and storage class of an object are those of its latest version
+    const latest = () => Version.query()
+      .where('version.objectId', ref('object.id'))
+      .orderBy('version.createdAt', 'desc')
+      .limit(1);
+
     return {
       filterIds(query, value) {
         filterOneOrMany(query, value, 'object.id');
@@ -44,77 +58,147 @@ class ObjectModel extends Timestamps(Model) {
       filterPath(query, value) {
         filterILike(query, value, 'object.path');
       },
+      filterPathPrefix(query, value) {
+        filterStartsWith(query, value, 'object.path');
+      },
+      filterFolder(query, value) {
+        // Objects within subfolders of the folder have a further delimiter in their path
+        if (value !== undefined) {
+          filterStartsWith(query, value, 'object.path');
+          query.whereNot('object.path', 'like', `${escapeLike(value)}%/%`);
+        }
+      },
+      filterSubfolders(query, value) {
+        if (value !== undefined) query.where('object.path', 'like', `${escapeLike(value)}%/%`);
+      },
       filterPublic(query, value) {
         if (value !== undefined) query.where('object.public', value);
       },
       filterActive(query, value) {
         if (value !== undefined) query.where('object.active', value);
       },
+      filterCreatedAt(query, value) {
+        filterRange(query, value.after, value.before, 'object.createdAt');
+      },
+      filterUpdatedAt(query, value) {
+        filterRange(query, value.after, value.before, 'object.updatedAt');
+      },
+      filterCreatedBy(query, value) {
+        filterOneOrMany(query, value, 'object.createdBy');
+      },
+      filterUpdatedBy(query, value) {
+        filterOneOrMany(query, value, 'object.updatedBy');
+      },
       filterUserId(query, value) {
         if (value) {
-          query
-            .withGraphJoined('objectPermission')
-            .whereIn('objectPermission.objectId', builder => {
-              builder.distinct('objectPermission.objectId')
-                .where('objectPermission.userId', value);
-            });
+          query.whereIn('object.id', ObjectPermission.query()
+            .distinct('object_permission.objectId')
+            .where('object_permission.userId', value));
         }
       },
-      filterMimeType(query, value) {
-        if (value) {
-          query
-            .withGraphJoined('version')
-            .whereIn('version.id', builder => {
-              builder.select('version.id')
-                .where('version.mimeType', 'ilike', `%${value}%`);
-            });
+      filterReadableBy(query, value) {
+        // A null user can only read public objects
+        if (value !== undefined) {
+          query.where(builder => {
+            builder.where('object.public', true);
+            if (value) {
+              builder.orWhereIn('object.id', ObjectPermission.query()
+                .select('object_permission.objectId')
+                .where('object_permission.userId', value)
+                .where('object_permission.permCode', Permissions.READ));
+            }
+          });
         }
       },
-      filterMetadataTag(query, value) {
-        const subqueries = [];
-
-        if (value.name) {
-          const q = Version.query()
-            .select('version.id')
-            .joinRelated('metadata')
-            .where('metadata.key', 'name')
-            .where('metadata.value', 'ilike', `%${value.name}%`);
-          subqueries.push(q);
-        }
-
-        if (value.metadata && Object.keys(value.metadata).length) {
-          Object.entries(value.metadata).forEach(([key, val]) => {
-            const q = Version.query()
-              .select('version.id')
-              .joinRelated('metadata')
-              .where('metadata.key', key);
-            if (val.length) q.where('metadata.value', val);
-            subqueries.push(q);
+      filterDeleteMarker(query, value) {
+        if (value !== undefined) {
+          // Only the latest version of each object determines whether it is deleted
+          query.whereIn('object.id', builder => {
+            builder.select('latest.objectId')
+              .from(Version.query()
+                .distinctOn('objectId')
+                .select('objectId', 'deleteMarker')
+                .orderBy([
+                  { column: 'objectId' },
+                  { column: 'createdAt', order: 'desc' }
+                ])
+                .as('latest'))
+              .where('latest.deleteMarker', value);
           });
         }
+      },
+      filterVersion(query, value) {
+        const hasEntries = obj => obj && Object.keys(obj).length;
 
-        if (value.tag && Object.keys(value.tag).length) {
-          Object.entries(value.tag).forEach(([key, val]) => {
-            const q = Version.query()
-              .select('version.id')
-              .joinRelated('tag')
-              .where('tag.key', key);
-            if (val.length) q.where('tag.value', val);
-            subqueries.push(q);
-          });
+        // Every criterion must be met by the same version of the object
+        if (value.mimeType || value.hash || value.name || hasEntries(value.metadata) || hasEntries(value.tag) ||
+          value.minSize !== undefined || value.maxSize !== undefined || value.match || value.text) {
+          query.whereIn('object.id', Version.query()
+            .select('version.objectId')
+            .modify('filterLatest', value.latest)
+            .modify('filterMimeType', value.mimeType)
+            .modify('filterChecksum', value.hash)
+            .modify('filterSize', { min: value.minSize, max: value.maxSize })
+            .modify('filterMetadataTag', {
+              name: value.name,
+              metadata: value.metadata,
+              tag: value.tag
+            })
+            .modify('filterMatch', value.match)
+            .modify('filterText', value.text));
         }
+      },
+      selectLatestVersion(query) {
+        query.select(
+          'object.*',
+          latest().select('version.size').as('size'),
+          latest().select('version.etag').as('etag'),
+          latest().select('version.storageClass').as('storageClass')
+        );
+      },
+      selectRelevance(query, value) {
+        if (!value.text) return;
 
-        if (subqueries.length) {
-          query
-            .withGraphJoined('version')
-            .whereIn('version.id', builder => {
-              builder.intersect(subqueries);
-            });
+        // Objects are ranked by their best matching version, and described by a snippet of it
+        const tsquery = raw('websearch_to_tsquery(?, ?)', [TEXTSEARCHCONFIG, value.text]);
+        const rank = raw('ts_rank(??, ?)', ['search.vector', tsquery]);
+        const matching = () => Version.query()
+          .joinRelated('search')
+          .where('version.objectId', ref('object.id'))
+          .modify('filterLatest', value.latest)
+          .modify('filterText', value.text);
+
+        // Snippets are HTML; the indexed text is escaped so that only the highlighting is markup
+        const document = raw('replace(replace(replace(version_search_document(??, ??), \'&\', \'&amp;\'), \'<\', \'&lt;\'), \'>\', \'&gt;\')',
+          ['version.id', 'search.content']);
+
+        query.select(
+          matching().select(raw('max(?)', [rank])).as('relevance'),
+          matching()
+            .select(raw('ts_headline(?, ?, ?, ?)', [TEXTSEARCHCONFIG, document, tsquery, HEADLINEOPTIONS]))
+            .orderBy(rank, 'desc')
+            .limit(1)
+            .as('snippet')
+        );
+      },
+      sortBy(query, sort, order = SortOrder.ASC) {
+        if (sort === 'name') {
+          query.orderBy(latest()
+            .select('metadata.value')
+            .joinRelated('metadata')
+            .where('metadata.key', 'name'), order);
+        } else if (sort === 'mimeType') {
+          query.orderBy(latest().select('version.mimeType'), order);
+        } else if (sort === 'relevance') {
+          // Only available alongside selectRelevance
+          query.orderBy('relevance', order);
+        } else if (sort) {
+          query.orderBy(`object.${sort}`, order);
         }
+      },
+      paginate(query, page, limit, all) {
+        paginate(query, page, limit, all);
       }
-      // TODO: consider chaining Version modifiers in a way that they are combined. Example:
-      // Version.modifiers.filterDeleteMarker(query.joinRelated('version'), value);
-      // Version.modifiers.filterLatest(query.joinRelated('version'), value);
     };
   }
 
@@ -132,6 +216,13 @@ class ObjectModel extends Timestamps(Model) {
       additionalProperties: false
     };
   }
+
+  $parseDatabaseJson(json) {
+    json = super.$parseDatabaseJson(json);
+    // The size of the latest version is a bigint, which Postgres returns as a string
+    if (typeof json.size === 'string') json.size = Number(json.size);
+    return json;
+  }
 }
 
 module.exports = ObjectModel;
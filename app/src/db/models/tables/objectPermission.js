@@ -1,8 +1,9 @@
 const { Model } = require('objection');
 
+const { SortOrder } = require('../../../components/constants');
 const { stamps } = require('../jsonSchema');
 const { Timestamps } = require('../mixins');
-const { filterOneOrMany } = require('../utils');
+const { filterOneOrMany, paginate } = require('../utils');
 
 class ObjectPermission extends Timestamps(Model) {
   static get tableName() {
@@ -52,6 +53,12 @@ class ObjectPermission extends Timestamps(Model) {
       },
       filterPermissionCode(query, value) {
         filterOneOrMany(query, value, 'permCode');
+      },
+      sortBy(query, sort, order = SortOrder.ASC) {
+        if (sort) query.orderBy(`object_permission.${sort}`, order);
+      },
+      paginate(query, page, limit, all) {
+        paginate(query, page, limit, all);
       }
     };
   }
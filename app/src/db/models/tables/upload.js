@@ -0,0 +1,57 @@
+const { Model } = require('objection');
+
+const { stamps } = require('../jsonSchema');
+const { Timestamps } = require('../mixins');
+const { filterOneOrMany, filterStartsWith } = require('../utils');
+
+class Upload extends Timestamps(Model) {
+  static get tableName() {
+    return 'upload';
+  }
+
+  static get modifiers() {
+    return {
+      filterObjectId(query, value) {
+        filterOneOrMany(query, value, 'objectId');
+      },
+      filterPath(query, value) {
+        filterOneOrMany(query, value, 'path');
+      },
+      filterPathPrefix(query, value) {
+        filterStartsWith(query, value, 'path');
+      },
+      filterStatus(query, value) {
+        filterOneOrMany(query, value, 'status');
+      },
+      filterType(query, value) {
+        filterOneOrMany(query, value, 'type');
+      },
+      filterCreatedBy(query, value) {
+        filterOneOrMany(query, value, 'createdBy');
+      }
+    };
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['id', 'objectId', 'path', 'status', 'type'],
+      properties: {
+        id: { type: 'string', minLength: 1, maxLength: 255 },
+        uploadId: { type: ['string', 'null'], maxLength: 1024 },
+        objectId: { type: 'string', minLength: 1, maxLength: 255 },
+        path: { type: 'string', minLength: 1, maxLength: 1024 },
+        mimeType: { type: ['string', 'null'], maxLength: 255 },
+        metadata: { type: ['object', 'null'] },
+        tags: { type: ['object', 'null'] },
+        status: { type: 'string', minLength: 1, maxLength: 255 },
+        type: { type: 'string', minLength: 1, maxLength: 255 },
+        newObject: { type: 'boolean' },
+        ...stamps
+      },
+      additionalProperties: false
+    };
+  }
+}
+
+module.exports = Upload;
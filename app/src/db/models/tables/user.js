@@ -1,8 +1,9 @@
 const { Model } = require('objection');
 
+const { SortOrder } = require('../../../components/constants');
 const { stamps } = require('../jsonSchema');
 const { Timestamps } = require('../mixins');
-const { filterOneOrMany, filterILike } = require('../utils');
+const { filterOneOrMany, filterILike, paginate } = require('../utils');
 
 class User extends Timestamps(Model) {
   static get tableName() {
@@ -79,6 +80,17 @@ class User extends Timestamps(Model) {
       },
       orderLastFirstAscending(builder) {
         builder.orderByRaw('lower("lastName"), lower("firstName")');
+      },
+      sortBy(query, sort, order) {
+        const direction = order === SortOrder.DESC ? 'desc' : 'asc';
+        if (sort === 'name') {
+          query.orderByRaw(`lower("lastName") ${direction}, lower("firstName") ${direction}`);
+        } else if (sort) {
+          query.orderBy(`user.${sort}`, direction);
+        }
+      },
+      paginate(query, page, limit, all) {
+        paginate(query, page, limit, all);
       }
     };
   }
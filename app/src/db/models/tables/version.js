@@ -1,8 +1,9 @@
 const { Model } = require('objection');
 
+const { MatchOperator, TEXTSEARCHCONFIG } = require('../../../components/constants');
 const { stamps } = require('../jsonSchema');
 const { Timestamps } = require('../mixins');
-const { filterOneOrMany, filterILike } = require('../utils');
+const { filterCompare, filterOneOrMany, filterILike, filterMatch, filterRange } = require('../utils');
 
 class Version extends Timestamps(Model) {
   static get tableName() {
@@ -13,6 +14,7 @@ class Version extends Timestamps(Model) {
     const ObjectModel = require('./objectModel');
     const Metadata = require('./metadata');
     const Tag = require('./tag');
+    const VersionSearch = require('./versionSearch');
 
     return {
       object: {
@@ -48,17 +50,110 @@ class Version extends Timestamps(Model) {
           },
           to: 'tag.id'
         }
+      },
+
+      search: {
+        relation: Model.HasOneRelation,
+        modelClass: VersionSearch,
+        join: {
+          from: 'version.id',
+          to: 'version_search.versionId'
+        }
       }
     };
   }
 
   static get modifiers() {
+    const VersionSearch = require('./versionSearch');
+
     return {
       filterObjectId(query, value) {
         filterOneOrMany(query, value, 'objectId');
       },
       filterMimeType(query, value) {
-        filterILike(query, value, 'mimeType');
+        filterILike(query, value, 'version.mimeType');
+      },
+      filterChecksum(query, value) {
+        if (value) query.where('version.checksum', value);
+      },
+      filterSize(query, value) {
+        filterRange(query, value.min, value.max, 'version.size');
+      },
+      filterLatest(query, value) {
+        if (value) {
+          query.whereIn('version.id', Version.query()
+            .distinctOn('objectId')
+            .select('id')
+            .orderBy([
+              { column: 'objectId' },
+              { column: 'createdAt', order: 'desc' }
+            ]));
+        }
+      },
+      filterMetadataTag(query, value) {
+        const subqueries = [];
+
+        if (value.name) {
+          const q = Version.query()
+            .select('version.id')
+            .joinRelated('metadata')
+            .where('metadata.key', 'name')
+            .where('metadata.value', 'ilike', `%${value.name}%`);
+          subqueries.push(q);
+        }
+
+        if (value.metadata && Object.keys(value.metadata).length) {
+          Object.entries(value.metadata).forEach(([key, val]) => {
+            const q = Version.query()
+              .select('version.id')
+              .joinRelated('metadata')
+              .where('metadata.key', key);
+            if (val.length) q.where('metadata.value', val);
+            subqueries.push(q);
+          });
+        }
+
+        if (value.tag && Object.keys(value.tag).length) {
+          Object.entries(value.tag).forEach(([key, val]) => {
+            const q = Version.query()
+              .select('version.id')
+              .joinRelated('tag')
+              .where('tag.key', key);
+            if (val.length) q.where('tag.value', val);
+            subqueries.push(q);
+          });
+        }
+
+        if (subqueries.length) {
+          query.whereIn('version.id', builder => {
+            builder.intersect(subqueries);
+          });
+        }
+      },
+      filterText(query, value) {
+        if (value) {
+          query.whereIn('version.id', VersionSearch.query()
+            .select('version_search.versionId')
+            .whereRaw('?? @@ websearch_to_tsquery(?, ?)', ['version_search.vector', TEXTSEARCHCONFIG, value]));
+        }
+      },
+      filterMatch(query, value) {
+        filterMatch(query, value, (builder, condition) => {
+          const relation = condition.tag !== undefined ? 'tag' : 'metadata';
+          // Metadata keys are always stored in lowercase
+          const key = relation === 'tag' ? condition.tag : condition.metadata.toLowerCase();
+          // Versions without the key are not equal to any value of it
+          const negate = condition.op === MatchOperator.NE;
+
+          const matching = Version.query()
+            .select('version.id')
+            .joinRelated(relation)
+            .where(`${relation}.key`, key)
+            .modify(q => filterCompare(q, negate ? { ...condition, op: MatchOperator.EQ } : condition, `${relation}.value`));
+
+          if (negate) builder.whereNotIn('version.id', matching);
+          else builder.whereIn('version.id', matching);
+        });
       }
     };
   }
@@ -73,11 +168,25 @@ class Version extends Timestamps(Model) {
         objectId:{ type: 'string', minLength: 1, maxLength: 255 },
         mimeType: { type: ['string', 'null'], minLength: 1, maxLength: 255 },
         deleteMarker: { type: 'boolean' },
+        checksum: { type: ['string', 'null'], maxLength: 255 },
+        checksumAlgorithm: { type: ['string', 'null'], maxLength: 255 },
+        size: { type: ['integer', 'null'], minimum: 0 },
+        etag: { type: ['string', 'null'], maxLength: 1024 },
+        storageClass: { type: ['string', 'null'], maxLength: 255 },
+        blobPath: { type: ['string', 'null'], maxLength: 1024 },
+        blobVersionId: { type: ['string', 'null'], maxLength: 1024 },
         ...stamps
       },
       additionalProperties: false
     };
   }
+
+  $parseDatabaseJson(json) {
+    json = super.$parseDatabaseJson(json);
+    // Postgres returns bigint sizes as strings to avoid losing precision, which content sizes never approach
+    if (typeof json.size === 'string') json.size = Number(json.size);
+    return json;
+  }
 }
 
 module.exports = Version;
@@ -0,0 +1,59 @@
+const { Model } = require('objection');
+
+const { filterOneOrMany } = require('../utils');
+
+/**
+ * The full-text search index of each version
+ * Rows and their `vector` are maintained by database triggers; only the extracted `content` is written directly
+ */
+class VersionSearch extends Model {
+  static get tableName() {
+    return 'version_search';
+  }
+
+  static get idColumn() {
+    return 'versionId';
+  }
+
+  static get relationMappings() {
+    const Version = require('./version');
+
+    return {
+      version: {
+        relation: Model.HasOneRelation,
+        modelClass: Version,
+        join: {
+          from: 'version_search.versionId',
+          to: 'version.id'
+        }
+      }
+    };
+  }
+
+  static get modifiers() {
+    return {
+      filterVersionId(query, value) {
+        filterOneOrMany(query, value, 'version_search.versionId');
+      },
+      filterExtracted(query, value) {
+        if (value === true) query.whereNotNull('version_search.extractedAt');
+        else if (value === false) query.whereNull('version_search.extractedAt');
+      }
+    };
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['versionId'],
+      properties: {
+        versionId: { type: 'string', minLength: 1, maxLength: 255 },
+        content: { type: ['string', 'null'] },
+        extractedAt: { type: ['string', 'null'] }
+      },
+      additionalProperties: false
+    };
+  }
+}
+
+module.exports = VersionSearch;
@@ -1,6 +1,34 @@
-const { Model } = require('objection');
+const { Model, raw } = require('objection');
 const config = require('config');
 
+const { DEFAULTPAGELIMIT, MatchOperator, MatchType } = require('../../components/constants');
+
+/**
+ * @constant castTypes
+ * The Postgres type that values of each non-string MatchType are cast to, along with the pattern
+ * a value must match for the cast to succeed
+ */
+const castTypes = {
+  [MatchType.NUMBER]: { cast: 'numeric', pattern: '^[+-]?([0-9]+([.][0-9]*)?|[.][0-9]+)$' },
+  [MatchType.DATE]: {
+    cast: 'timestamptz',
+    pattern: '^[0-9]{4}-(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])([T ][0-9]{2}:[0-9]{2}(:[0-9]{2}([.][0-9]+)?)?(Z|[+-][0-9]{2}(:?[0-9]{2})?)?)?$'
+  }
+};
+
+/**
+ * @constant comparisons
+ * The SQL comparison operator of each comparing MatchOperator
+ */
+const comparisons = {
+  [MatchOperator.EQ]: '=',
+  [MatchOperator.NE]: '<>',
+  [MatchOperator.GT]: '>',
+  [MatchOperator.GTE]: '>=',
+  [MatchOperator.LT]: '<',
+  [MatchOperator.LTE]: '<='
+};
+
 const utils = {
   /**
    * @function filterILike
@@ -33,6 +61,101 @@ const utils = {
     if (value) query.where(column, 'ilike', `%${value}%`);
   },
 
+  /**
+   * @function filterCompare
+   * Adds a where clause to the `query` builder comparing `column` with the value of a match condition
+   * Numeric and date comparisons skip rows whose `column` value cannot be cast to that type
+   * @param {object} query The Objection Query Builder
+   * @param {string} [condition.op=eq] The MatchOperator comparing `column` with `condition.value`
+   * @param {string} [condition.type=string] The MatchType that `column` and `condition.value` are compared as
+   * @param {boolean} [condition.ignoreCase=false] Whether string comparisons are case-insensitive
+   * @param {string|number|string[]} [condition.value] The value, or array of values, to compare with
+   * @param {string} column The table column to match on
+   */
+  filterCompare(query, { op = MatchOperator.EQ, type = MatchType.STRING, ignoreCase = false, value }, column) {
+    const like = ignoreCase ? 'ilike' : 'like';
+
+    if (op === MatchOperator.PREFIX) {
+      query.where(column, like, `${utils.escapeLike(value)}%`);
+    } else if (op === MatchOperator.CONTAINS) {
+      query.where(column, like, `%${utils.escapeLike(value)}%`);
+    } else if (op === MatchOperator.IN) {
+      if (ignoreCase) query.whereIn(raw('lower(??)', [column]), value.map(v => raw('lower(?)', [v])));
+      else query.whereIn(column, value);
+    } else if (comparisons[op]) {
+      if (castTypes[type]) {
+        // Values that do not look like the type are skipped rather than failing the cast
+        const { cast, pattern } = castTypes[type];
+        query.where(
+          raw(`CASE WHEN ?? ~ ? THEN ??::${cast} END`, [column, pattern, column]),
+          comparisons[op],
+          raw(`?::${cast}`, [value])
+        );
+      } else if (ignoreCase) {
+        query.where(raw('lower(??)', [column]), comparisons[op], raw('lower(?)', [value]));
+      } else {
+        query.where(column, comparisons[op], value);
+      }
+    }
+  },
+
+  /**
+   * @function filterMatch
+   * Conditionally adds the where clauses of a `match` expression to the `query` builder
+   * An expression is either a single condition, or a group of expressions of which `and` all or `or` any must be met
+   * @param {object} query The Objection Query Builder
+   * @param {object} [match] The match expression
+   * @param {object[]} [match.and] Optional expressions that must all be met
+   * @param {object[]} [match.or] Optional expressions of which at least one must be met
+   * @param {function} filter Adds the where clause of a single condition to the query builder passed to it
+   */
+  filterMatch(query, match, filter) {
+    if (!match) return;
+
+    if (match.and) {
+      query.where(group => match.and.forEach(expr => group.where(builder => utils.filterMatch(builder, expr, filter))));
+    } else if (match.or) {
+      query.where(group => match.or.forEach(expr => group.orWhere(builder => utils.filterMatch(builder, expr, filter))));
+    } else {
+      filter(query, match);
+    }
+  },
+
+  /**
+   * @function filterRange
+   * Conditionally adds where clauses to the `query` builder bounding `column` inclusively by `min` and `max`
+   * @param {object} query The Objection Query Builder
+   * @param {number|string} [min] The optional lower bound of the column
+   * @param {number|string} [max] The optional upper bound of the column
+   * @param {string} column The table column to match on
+   */
+  filterRange(query, min, max, column) {
+    if (min !== undefined) query.where(column, '>=', min);
+    if (max !== undefined) query.where(column, '<=', max);
+  },
+
+  /**
+   * @function filterStartsWith
+   * Conditionally adds a where like clause to the `query` builder matching values beginning with `value`
+   * @param {object} query The Objection Query Builder
+   * @param {string} value The string prefix to match on
+   * @param {string} column The table column to match on
+   */
+  filterStartsWith(query, value, column) {
+    // Escape like wildcards so that they are matched literally
+    if (value) query.where(column, 'like', `${utils.escapeLike(value)}%`);
+  },
+
+  /**
+   * @function escapeLike
+   * Escapes the wildcard characters of a like pattern
+   * @param {string} value The string to escape
+   * @returns {string} The string with `%`, `_` and `\` escaped
+   */
+  escapeLike(value) {
+    return value.replace(/[\\%_]/g, '\\$&');
+  },
+
   inArrayClause(column, values) {
     return values.map(p => `'${p}' = ANY("${column}")`).join(' or ');
   },
@@ -42,6 +165,25 @@ const utils = {
     return `(array_length("${column}", 1) > 0 and (${clause}))`;
   },
 
+  /**
+   * @function paginate
+   * Limits the `query` builder to a page of results unless `all` rows are explicitly requested
+   * Paged queries resolve to the `results` of the page along with the `total` number of matching rows
+   * @param {object} query The Objection Query Builder
+   * @param {number} [page] The 1-based page number, defaulting to the first page
+   * @param {number} [limit] The number of results per page, defaulting to `DEFAULTPAGELIMIT`
+   * @param {boolean} [all=false] Whether to resolve to every matching row instead of a page
+   */
+  paginate(query, page, limit, all = false) {
+    if (!all) {
+      // Rows are ordered by id last so that rows with equal sort values keep a stable position across pages
+      const model = query.modelClass();
+      query
+        .orderBy(`${model.tableName}.${model.idColumn}`)
+        .page((page || 1) - 1, limit || DEFAULTPAGELIMIT);
+    }
+  },
+
   tableNames(models) {
     return Object.values(models).map(model => model.tableName);
   },
@@ -0,0 +1,50 @@
+const log = require('../components/log')(module.filename);
+const { getStorageDetails } = require('../components/utils');
+const { storageService, versionService } = require('../services');
+
+/** The number of versions read from the database at once */
+const BATCHSIZE = 100;
+
+/**
+ * @function backfillVersions
+ * Records the size, ETag and storage class of every version recorded without them, as reported by S3
+ * Versions that cannot be read from the bucket are reported and left as they are
+ * @param {object} params The job parameters, of which there are none
+ * @param {object} job The job record
+ * @returns {Promise<object>} The number of versions `updated`, and the versions that `failed`
+ */
+const backfillVersions = async (params, job) => {
+  const report = { updated: 0, failed: [] };
+
+  let batch;
+  let after = undefined;
+  do {
+    batch = await versionService.listIncomplete(BATCHSIZE, after);
+
+    for (const version of batch) {
+      try {
+        // Deduplicated versions are stored wherever the content they reference is
+        const head = await storageService.headObject({
+          filePath: version.blobPath || version.path,
+          versionId: (version.blobPath ? version.blobVersionId : version.versionId) || undefined
+        });
+
+        await versionService.recordStorage(version.id, { size: head.ContentLength, ...getStorageDetails(head) });
+        report.updated++;
+      } catch (err) {
+        log.warn(`Unable to backfill version ${version.id}: ${err.message}`, {
+          function: 'backfillVersions',
+          jobId: job.id,
+          versionId: version.id
+        });
+        report.failed.push({ objId: version.objectId, versionId: version.versionId, error: err.message });
+      }
+    }
+
+    if (batch.length) after = batch[batch.length - 1].id;
+  } while (batch.length === BATCHSIZE);
+
+  return report;
+};
+
+module.exports = backfillVersions;
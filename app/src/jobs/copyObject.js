@@ -0,0 +1,49 @@
+const { getKeyValue, getStorageDetails } = require('../components/utils');
+const utils = require('../db/models/utils');
+const { metadataService, storageService, versionService } = require('../services');
+
+/**
+ * @function copyObject
+ * Copies an object too large for a single S3 copy operation and records the resulting version
+ * @param {string} params.copySource The source object path, excluding the bucket name
+ * @param {string} params.filePath The destination object path
+ * @param {object} params.metadata The metadata to store with the new version
+ * @param {object} [params.tags] Optional tags to store with the new version, defaulting to those of the source
+ * @param {string} [params.mimeType] Optional mime type of the new version, defaulting to that of the source
+ * @param {string} params.objId The object uuid
+ * @param {string} [params.versionId] Optional source versionId to copy from
+ * @param {string} [params.sourceVersionId] Optional version record to copy, when it differs from the source versionId
+ * @param {object} job The job record
+ * @param {object} [secrets.sse] Optional server side encryption options of the source and copy
+ * @returns {Promise<object>} The outcome of the copy to be recorded on the job
+ */
+const copyObject = async (params, job, { sse } = {}) => {
+  const userId = job.createdBy;
+  const s3Response = await storageService.copyObjectMultipart({
+    copySource: params.copySource,
+    filePath: params.filePath,
+    metadata: params.metadata,
+    tags: params.tags,
+    mimeType: params.mimeType,
+    versionId: params.versionId,
+    sse: sse
+  });
+  const sourceVersionId = params.sourceVersionId ? params.sourceVersionId : params.versionId;
+
+  await utils.trxWrapper(async (trx) => {
+    // create or update version in DB (if a non-versioned object)
+    const version = s3Response.VersionId ?
+      await versionService.copy(sourceVersionId, { versionId: s3Response.VersionId, ...getStorageDetails(s3Response) }, params.objId, userId, trx) :
+      await versionService.update({ ...params, ...getStorageDetails(s3Response), id: params.objId }, userId, trx);
+
+    // update metadata for version in DB
+    await metadataService.associateMetadata(version.id, getKeyValue(params.metadata), userId, trx);
+  });
+
+  return {
+    ETag: s3Response.ETag,
+    VersionId: s3Response.VersionId
+  };
+};
+
+module.exports = copyObject;
@@ -0,0 +1,77 @@
+const { MAXEXTRACTLENGTH } = require('../components/constants');
+const log = require('../components/log')(module.filename);
+const textExtraction = require('../components/textExtraction');
+const { storageService, versionService } = require('../services');
+
+/** The number of versions read from the database at once */
+const BATCHSIZE = 100;
+
+/**
+ * @function readContent
+ * Reads the content of a version from storage
+ * @param {object} version The version along with the `path` of its object
+ * @returns {Promise<Buffer>} The content of the version
+ * @throws If the content is larger than MAXEXTRACTLENGTH
+ */
+const readContent = async (version) => {
+  // Deduplicated versions are stored wherever the content they reference is
+  const { Body } = await storageService.readObject({
+    filePath: version.blobPath || version.path,
+    versionId: (version.blobPath ? version.blobVersionId : version.versionId) || undefined
+  });
+
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of Body) {
+    length += chunk.length;
+    if (length > MAXEXTRACTLENGTH) {
+      Body.destroy();
+      throw new Error(`Content is larger than ${MAXEXTRACTLENGTH} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * @function extractText
+ * Extracts the text of every version that has not yet been extracted, recording it in the full-text search index
+ * Versions whose text cannot be extracted are recorded without text, and are not attempted again
+ * @param {object} params The job parameters, of which there are none
+ * @param {object} [job={}] The job record, if extraction runs as a job
+ * @returns {Promise<object>} The number of versions `extracted` and `skipped`, and the versions that `failed`
+ */
+const extractText = async (params, job = {}) => {
+  const report = { extracted: 0, skipped: 0, failed: [] };
+
+  let batch;
+  do {
+    batch = await versionService.listUnextracted(BATCHSIZE);
+
+    for (const version of batch) {
+      let content = null;
+
+      if (version.deleteMarker || !textExtraction.isExtractable(version.mimeType) || version.size > MAXEXTRACTLENGTH) {
+        report.skipped++;
+      } else {
+        try {
+          content = textExtraction.extractText(await readContent(version), version.mimeType);
+          report.extracted++;
+        } catch (err) {
+          log.warn(`Unable to extract the text of version ${version.id}: ${err.message}`, {
+            function: 'extractText',
+            jobId: job.id,
+            versionId: version.id
+          });
+          report.failed.push({ objId: version.objectId, versionId: version.versionId, error: err.message });
+        }
+      }
+
+      await versionService.recordText(version.id, content);
+    }
+  } while (batch.length === BATCHSIZE);
+
+  return report;
+};
+
+module.exports = extractText;
@@ -0,0 +1,37 @@
+const { JobStatus } = require('../components/constants');
+const { jobService } = require('../services');
+
+/**
+ * @function forEachObject
+ * Applies `fn` to each object of a bulk job in turn, recording the outcome of each on the job as it goes
+ * Objects completed by a previous run of the job are not processed again, so interrupted jobs can be resumed
+ * @param {string[]} objIds The uuids of the objects to process
+ * @param {object} job The job record
+ * @param {function} fn Async function applied to each object uuid, yielding the outcome to record
+ * @returns {Promise<object>} The outcome of each object along with the number `completed` and `failed`
+ */
+const forEachObject = async (objIds, job, fn) => {
+  const previous = (job.result && job.result.objects) || [];
+  const result = { objects: [] };
+
+  for (const objId of objIds) {
+    const outcome = previous.find(o => o.objId === objId && o.status === JobStatus.COMPLETED);
+    if (outcome) {
+      result.objects.push(outcome);
+      continue;
+    }
+
+    try {
+      result.objects.push({ objId: objId, status: JobStatus.COMPLETED, ...await fn(objId) });
+    } catch (err) {
+      result.objects.push({ objId: objId, status: JobStatus.FAILED, error: err.message });
+    }
+    await jobService.update(job.id, { status: JobStatus.RUNNING, result: result }, job.createdBy);
+  }
+
+  result.completed = result.objects.filter(o => o.status === JobStatus.COMPLETED).length;
+  result.failed = result.objects.length - result.completed;
+  return result;
+};
+
+module.exports = forEachObject;
@@ -0,0 +1,130 @@
+const Problem = require('api-problem');
+const config = require('config');
+
+const log = require('../components/log')(module.filename);
+const { JOBSTALEPERIOD, JobStatus, JobType, MAXJOBERRORLENGTH } = require('../components/constants');
+const { isTextExtractionEnabled } = require('../components/utils');
+const { jobService } = require('../services');
+
+/**
+ * The Job Runner
+ * Runs long operations in the background of this process and records their outcome on a job record
+ */
+const jobRunner = {
+  /** Maps each job type to its handler */
+  handlers: {
+    [JobType.ADD_METADATA]: require('./updateMetadata').addMetadata,
+    [JobType.ADD_TAGS]: require('./updateTags').addTags,
+    [JobType.BACKFILL_VERSIONS]: require('./backfillVersions'),
+    [JobType.COPY_OBJECT]: require('./copyObject'),
+    [JobType.EXTRACT_TEXT]: require('./extractText'),
+    [JobType.MOVE_OBJECT]: require('./moveObject'),
+    [JobType.RECONCILE]: require('./reconcile'),
+    [JobType.REPLACE_METADATA]: require('./updateMetadata').replaceMetadata,
+    [JobType.REPLACE_TAGS]: require('./updateTags').replaceTags
+  },
+
+  /** The ids of the jobs currently running in this process */
+  active: new Set(),
+
+  /** Whether this process is extracting the text of new versions */
+  extracting: false,
+
+  /**
+   * @function run
+   * Executes the handler of `job`, recording its progress and outcome on the job record
+   * @param {object} job The job record
+   * @param {object} [secrets={}] Optional parameters passed to the handler that are never recorded
+   * @returns {Promise<void>} Resolves once the job has completed or failed
+   */
+  async run(job, secrets = {}) {
+    jobRunner.active.add(job.id);
+    try {
+      await jobService.update(job.id, { status: JobStatus.RUNNING }, job.createdBy);
+      const result = await jobRunner.handlers[job.type](job.params, job, secrets);
+      await jobService.update(job.id, { status: JobStatus.COMPLETED, result: result }, job.createdBy);
+    } catch (err) {
+      log.error(`Job ${job.id} failed: ${err.message}`, { function: 'run', jobId: job.id, type: job.type });
+      try {
+        // Messages from S3 or the database may be longer than the job record can hold
+        const error = String(err.message).slice(0, MAXJOBERRORLENGTH);
+        await jobService.update(job.id, { status: JobStatus.FAILED, error: error }, job.createdBy);
+      } catch (e) {
+        log.error(`Unable to record failure of job ${job.id}: ${e.message}`, { function: 'run', jobId: job.id });
+      }
+    } finally {
+      jobRunner.active.delete(job.id);
+    }
+  },
+
+  /**
+   * @function extractText
+   * Extracts the text of new versions for full-text search, unless extraction is disabled or this process is
+   * already extracting. No job is recorded, as the outcome is recorded on each version instead. Versions created
+   * as extraction finishes are left for the next upload. Failures are only logged, as extraction is incidental
+   * to the operation that created the versions
+   * @returns {Promise<void>} Resolves once extraction has finished
+   */
+  async extractText() {
+    if (!isTextExtractionEnabled() || jobRunner.extracting) return;
+
+    jobRunner.extracting = true;
+    try {
+      await jobRunner.handlers[JobType.EXTRACT_TEXT]({});
+    } catch (err) {
+      log.warn(`Unable to extract text: ${err.message}`, { function: 'extractText' });
+    } finally {
+      jobRunner.extracting = false;
+    }
+  },
+
+  /**
+   * @function resume
+   * Runs a failed or interrupted job again, continuing from the progress recorded on the job record
+   * Secrets given when the job was started are not recorded, and are therefore unavailable to the resumed job.
+   * A queued or running job is only considered interrupted once it has recorded no progress for `JOBSTALEPERIOD`,
+   * as it may still be running in another process
+   * @param {object} job The job record
+   * @returns {Promise<object>} The queued job record
+   * @throws {Problem} 409 if the job has completed, is still running, or was just resumed by another request
+   */
+  async resume(job) {
+    const problem = new Problem(409, { detail: 'Only failed or interrupted jobs can be resumed' });
+    if (job.status === JobStatus.COMPLETED || jobRunner.active.has(job.id)) throw problem;
+
+    const queued = await jobService.claim(job.id, new Date(Date.now() - JOBSTALEPERIOD), job.createdBy);
+    if (!queued) throw problem;
+
+    // Intentionally not awaited; progress is recorded on the job record
+    jobRunner.run(queued);
+
+    return queued;
+  },
+
+  /**
+   * @function start
+   * Records a new job and starts running it in the background
+   * @param {string} type The job operation
+   * @param {object} params The parameters passed to the job handler
+   * @param {string} [options.objectId] The optional uuid of the object the job operates on
+   * @param {string} options.userId The requesting user userId
+   * @param {object} [options.secrets] Optional parameters passed to the job handler, such as encryption
+   * keys, that must not be recorded on the job
+   * @returns {Promise<object>} The queued job record
+   * @throws {Problem} 501 if the application is running without a database
+   */
+  async start(type, params, { objectId, userId, secrets }) {
+    if (!config.has('db.enabled')) {
+      throw new Problem(501, { detail: 'This operation is not supported while running without a database' });
+    }
+
+    const job = await jobService.create({ type, objectId, params, userId });
+
+    // Intentionally not awaited; progress is recorded on the job record
+    jobRunner.run(job, secrets);
+
+    return job;
+  }
+};
+
+module.exports = jobRunner;
@@ -0,0 +1,120 @@
+const { JobStatus } = require('../components/constants');
+const { getKeyValue, getStorageDetails } = require('../components/utils');
+const utils = require('../db/models/utils');
+const { jobService, metadataService, objectService, storageService, versionService } = require('../services');
+const { updateObjectMetadata } = require('./updateMetadata');
+
+/**
+ * @function copyVersion
+ * Copies a version of an object to `filePath`, recreating delete markers rather than copying them
+ * @param {object} version The version record
+ * @param {string} sourcePath The current path of the object
+ * @param {string} filePath The new path of the object
+ * @param {object} [metadata] Optional metadata replacing the metadata of the version
+ * @param {object} [sse] Optional server side encryption options of the object
+ * @returns {Promise<object>} The `newVersionId`, `etag` and `storageClass` of the copy, along with its `metadata` if replaced
+ */
+const copyVersion = async (version, sourcePath, filePath, metadata, sse) => {
+  if (version.deleteMarker) {
+    const s3Response = await storageService.deleteObject({ filePath });
+    return { newVersionId: s3Response.VersionId || null };
+  }
+
+  // Required on use as the object controller starts jobs itself
+  const objectController = require('../controllers/object');
+  const versionId = version.versionId || undefined;
+  const source = await storageService.headObject({ filePath: sourcePath, versionId, sse });
+  const data = {
+    copySource: sourcePath,
+    filePath: filePath,
+    metadata: metadata ? { ...source.Metadata, ...metadata } : undefined,
+    versionId: versionId,
+    sse: objectController._getCopyEncryption(sse, source)
+  };
+
+  const s3Response = await storageService.copyObjectMultipart(data);
+
+  return { newVersionId: s3Response.VersionId || null, ...getStorageDetails(s3Response), metadata: data.metadata };
+};
+
+/**
+ * @function moveObject
+ * Moves an object to a new path along with every version of it, optionally renaming its latest version
+ * Progress is recorded after each step so that an interrupted move resumes where it stopped. The object
+ * record only points at the new path once every version has been copied, after which the old versions are removed.
+ * @param {string} params.objId The object uuid
+ * @param {string} params.sourcePath The current path of the object
+ * @param {string} params.filePath The new path of the object
+ * @param {string} [params.name] Optional new name of the object
+ * @param {object} job The job record
+ * @param {object} [secrets.sse] Optional server side encryption options of the object
+ * @returns {Promise<object>} The outcome of the move to be recorded on the job
+ */
+const moveObject = async ({ objId, sourcePath, filePath, name }, job, { sse } = {}) => {
+  const userId = job.createdBy;
+
+  // Renaming an object in place only changes its latest version
+  if (sourcePath === filePath) {
+    const s3Response = await updateObjectMetadata(objId, { name }, false, userId, sse);
+    return { path: filePath, ...s3Response };
+  }
+
+  // Required on use as the object controller starts jobs itself
+  const objectController = require('../controllers/object');
+  const result = job.result && job.result.path === filePath ? job.result : { path: filePath, versions: [], moved: false };
+  const record = () => jobService.update(job.id, { status: JobStatus.RUNNING, result }, userId);
+
+  if (!result.moved) {
+    // A deduplicated latest version must store its own content to be renamed
+    if (name) await objectController._materializeObject(objId, undefined, userId, sourcePath);
+
+    // Copy in order of creation so that the versions keep their order at the new path
+    const versions = (await versionService.list(objId))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const latest = versions.filter(v => !v.deleteMarker).pop();
+
+    for (const version of versions) {
+      // Deduplicated versions reference content stored elsewhere and have nothing to copy
+      if (version.blobPath || result.versions.some(v => v.versionId === version.versionId)) continue;
+
+      const metadata = name && version === latest ? { name } : undefined;
+      const copy = await copyVersion(version, sourcePath, filePath, metadata, sse);
+      result.versions.push({
+        versionId: version.versionId,
+        newVersionId: copy.newVersionId,
+        etag: copy.etag,
+        storageClass: copy.storageClass
+      });
+      if (copy.metadata) result.renamed = { versionId: copy.newVersionId, metadata: copy.metadata };
+      await record();
+    }
+
+    await utils.trxWrapper(async (trx) => {
+      // Versions created since the copy began have not been copied; resuming the job copies them
+      const current = await versionService.list(objId, trx);
+      if (current.some(v => !v.blobPath && !result.versions.some(m => m.versionId === v.versionId))) {
+        throw new Error('The object was modified while being moved');
+      }
+
+      await versionService.relocate(objId, sourcePath, filePath, result.versions, userId, trx);
+      await objectService.update({ id: objId, path: filePath, userId }, trx);
+
+      if (result.renamed) {
+        const version = await versionService.get(result.renamed.versionId, objId, trx);
+        await metadataService.associateMetadata(version.id, getKeyValue(result.renamed.metadata), userId, trx);
+      }
+    });
+
+    result.moved = true;
+    await record();
+  }
+
+  // The old path is only cleaned up once nothing refers to it
+  for (const { versionId } of result.versions) {
+    await storageService.deleteObject({ filePath: sourcePath, versionId: versionId || undefined });
+  }
+
+  return result;
+};
+
+module.exports = moveObject;
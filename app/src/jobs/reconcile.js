@@ -0,0 +1,318 @@
+const path = require('path');
+const { v4: uuidv4, validate: uuidValidate } = require('uuid');
+
+const { DanglingAction, RECONCILEGRACEPERIOD, UploadStatus } = require('../components/constants');
+const { getFolderPath, getKeyValue, getStorageDetails, toLowerKeys } = require('../components/utils');
+const utils = require('../db/models/utils');
+const {
+  metadataService,
+  objectService,
+  storageService,
+  tagService,
+  uploadService,
+  versionService
+} = require('../services');
+
+/** The number of keys listed from the bucket, and objects read from the database, at once */
+const BATCHSIZE = 1000;
+
+/**
+ * @function attempt
+ * Runs a repair of `entry`, recording whether it succeeded on the entry
+ * @param {object} entry The reported difference being repaired
+ * @param {function} fn The repair operation
+ * @returns {Promise<void>} Resolves once the repair has succeeded or failed
+ */
+const attempt = async (entry, fn) => {
+  try {
+    await fn();
+    entry.repaired = true;
+  } catch (err) {
+    entry.repaired = false;
+    entry.error = err.message;
+  }
+};
+
+/**
+ * @function importVersion
+ * Records a version found in the bucket, along with the metadata and tags stored with it
+ * @param {string} objId The object uuid
+ * @param {string} filePath The S3 key of the object
+ * @param {string} version.versionId The S3 VersionId, or null if unversioned
+ * @param {boolean} version.deleteMarker Whether the version is a delete marker
+ * @param {string} userId The userId the job runs on behalf of
+ * @returns {Promise<void>} Resolves once the version has been recorded
+ */
+const importVersion = async (objId, filePath, { versionId, deleteMarker }, userId) => {
+  if (deleteMarker) {
+    await versionService.create({ id: objId, versionId, deleteMarker: true, mimeType: null }, userId);
+    return;
+  }
+
+  const data = { filePath, versionId: versionId || undefined };
+  const [head, tagging] = await Promise.all([storageService.headObject(data), storageService.getObjectTagging(data)]);
+  const metadata = {
+    // Always enforce name and id key behavior
+    name: path.basename(filePath),
+    ...head.Metadata,
+    id: objId
+  };
+
+  await utils.trxWrapper(async (trx) => {
+    const version = await versionService.create({
+      id: objId,
+      versionId: versionId,
+      mimeType: head.ContentType,
+      size: head.ContentLength,
+      ...getStorageDetails(head)
+    }, userId, trx);
+
+    await metadataService.associateMetadata(version.id, getKeyValue(metadata), userId, trx);
+    if (tagging.TagSet && tagging.TagSet.length) {
+      await tagService.associateTags(version.id, toLowerKeys(tagging.TagSet), userId, trx);
+    }
+  });
+};
+
+/**
+ * @function importObject
+ * Records an object found in the bucket along with each of its versions
+ * The object keeps the id stored in its metadata unless that id is invalid or already in use
+ * @param {string} filePath The S3 key of the object
+ * @param {object[]} versions The versions of the object in order of creation
+ * @param {string} userId The userId the job runs on behalf of
+ * @returns {Promise<string>} The uuid of the imported object
+ */
+const importObject = async (filePath, versions, userId) => {
+  const latest = versions.filter(v => !v.deleteMarker).pop();
+  const head = await storageService.headObject({ filePath, versionId: latest.versionId || undefined });
+
+  const id = head.Metadata ? head.Metadata.id : undefined;
+  const taken = id && uuidValidate(id) ? (await objectService.searchObjects({ id, all: true })).length : true;
+  const objId = taken ? uuidv4() : id;
+
+  await objectService.create({ id: objId, path: filePath, userId });
+  for (const version of versions) await importVersion(objId, filePath, version, userId);
+
+  return objId;
+};
+
+/**
+ * @function isBlobStored
+ * Checks whether the content referenced by a deduplicated version is still in the bucket
+ * @param {string} version.blobPath The S3 key of the referenced content
+ * @param {string} version.blobVersionId The S3 VersionId of the referenced content
+ * @returns {Promise<boolean>} Whether the content is in the bucket
+ */
+const isBlobStored = async ({ blobPath, blobVersionId }) => {
+  try {
+    await storageService.headObject({ filePath: blobPath, versionId: blobVersionId || undefined });
+    return true;
+  } catch (err) {
+    if (err.$metadata && err.$metadata.httpStatusCode === 404) return false;
+    throw err;
+  }
+};
+
+/**
+ * @function listRecordedVersions
+ * Lists the versions recorded in the database for each of `objects`
+ * @param {object[]} objects The object records
+ * @returns {Promise<Map<string, object[]>>} The version records of each object by object uuid
+ */
+const listRecordedVersions = async (objects) => {
+  const versions = new Map(objects.map(obj => [obj.id, []]));
+  if (objects.length) {
+    const batch = await versionService.list(objects.map(obj => obj.id));
+    batch.forEach(version => versions.get(version.objectId).push(version));
+  }
+
+  return versions;
+};
+
+/**
+ * @function groupStoredVersions
+ * Groups listed bucket versions by key
+ * @param {object[]} listed The listed versions and delete markers, flagged by `deleteMarker`
+ * @returns {Map<string, object[]>} The `versionId`, `deleteMarker` and `lastModified` date of each version by key,
+ * in order of creation
+ */
+const groupStoredVersions = (listed) => {
+  const keys = new Map();
+
+  listed
+    // Folder placeholders created by other S3 clients are not objects
+    .filter(v => !v.Key.endsWith('/'))
+    .sort((a, b) => new Date(a.LastModified) - new Date(b.LastModified))
+    .forEach(v => {
+      if (!keys.has(v.Key)) keys.set(v.Key, []);
+      keys.get(v.Key).push({
+        // Unversioned objects are listed with a literal 'null' version
+        versionId: v.VersionId && v.VersionId !== 'null' ? v.VersionId : null,
+        deleteMarker: v.deleteMarker,
+        lastModified: new Date(v.LastModified)
+      });
+    });
+
+  return keys;
+};
+
+/**
+ * @function reconcileRange
+ * Compares a range of the keys in the bucket with the objects recorded in the database within the
+ * same range of paths, adding the differences found to the report and repairing them in repair mode
+ * @param {Map<string, object[]>} stored The versions of every key in the range, grouped by key
+ * @param {string} [range.after] The path the range begins after, or undefined to begin at the first path
+ * @param {string} [range.through] The last path of the range, or undefined to end at the last path
+ * @param {object} context The `cutoff` date, `dangling`, `prefix`, `repair`, `report` and `userId` of the reconciliation
+ * @returns {Promise<void>} Resolves once the range has been reconciled
+ */
+const reconcileRange = async (stored, { after, through }, context) => {
+  const { cutoff, dangling, prefix, repair, report, userId } = context;
+  const isRecent = (versions) => versions.some(v => v.lastModified > cutoff);
+  const isStored = (key, versionId) => (stored.get(key) || []).some(v => v.versionId === versionId);
+  const recorded = new Set();
+
+  let objects;
+  do {
+    objects = await objectService.listPathRange({ pathPrefix: prefix, after, through }, BATCHSIZE);
+    const versions = await listRecordedVersions(objects);
+
+    for (const object of objects) {
+      const objectVersions = versions.get(object.id);
+      const storedVersions = stored.get(object.path) || [];
+      recorded.add(object.path);
+
+      if (isRecent(storedVersions) || [object, ...objectVersions].some(r => new Date(r.createdAt) > cutoff)) continue;
+
+      // Deduplicated versions are stored wherever the content they reference is
+      const missing = [];
+      for (const v of objectVersions) {
+        if (v.blobPath ? !await isBlobStored(v) : !isStored(object.path, v.versionId)) missing.push(v);
+      }
+      const unknown = storedVersions.filter(s => !objectVersions.some(v => !v.blobPath && v.versionId === s.versionId));
+
+      if (!storedVersions.length && missing.length === objectVersions.length) {
+        const entry = { objId: object.id, path: object.path };
+        report.missingObjects.push(entry);
+        if (repair) {
+          await attempt(entry, () => dangling === DanglingAction.REMOVE ?
+            objectService.delete(entry.objId) :
+            objectService.update({ id: entry.objId, active: false, userId }));
+        }
+      } else if (missing.length || unknown.length) {
+        const entry = {
+          objId: object.id,
+          path: object.path,
+          missing: missing.map(v => v.versionId),
+          unknown: unknown.map(v => v.versionId)
+        };
+        report.versionMismatches.push(entry);
+        if (repair) {
+          await attempt(entry, async () => {
+            for (const version of unknown) await importVersion(entry.objId, entry.path, version, userId);
+
+            if (dangling === DanglingAction.REMOVE) {
+              for (const versionId of entry.missing) await versionService.delete(entry.objId, versionId);
+            }
+          });
+        }
+      }
+    }
+
+    if (objects.length) after = objects[objects.length - 1].path;
+  } while (objects.length === BATCHSIZE);
+
+  // Keys consisting only of delete markers hold no content to import
+  const candidates = [...stored.keys()].filter(key => !recorded.has(key) &&
+    !isRecent(stored.get(key)) && stored.get(key).some(v => !v.deleteMarker));
+  if (!candidates.length) return;
+
+  // Keys of pending uploads and content retained for deduplicated versions are expected
+  const [uploads, blobPaths] = await Promise.all([
+    uploadService.searchUploads({ path: candidates, status: UploadStatus.PENDING }),
+    versionService.listBlobPaths(candidates)
+  ]);
+  const expected = new Set([...uploads.map(upload => upload.path), ...blobPaths]);
+
+  for (const key of candidates.filter(key => !expected.has(key))) {
+    const entry = { path: key, versions: stored.get(key).length };
+    report.unknownKeys.push(entry);
+    if (repair) {
+      await attempt(entry, async () => {
+        entry.objId = await importObject(entry.path, stored.get(entry.path), userId);
+      });
+    }
+  }
+};
+
+/**
+ * @function reconcile
+ * Compares the objects in the bucket with the objects recorded in the database, reporting S3 keys
+ * without an object record, object records whose content is missing from the bucket, and objects
+ * whose versions differ. In repair mode, unknown keys and versions are imported and dangling records
+ * are flagged or removed. The bucket is compared a page of keys at a time, and keys and records
+ * changed within `RECONCILEGRACEPERIOD` of the start are skipped, as they may belong to uploads
+ * whose content has been stored but not yet recorded.
+ * @param {boolean} [params.repair=false] Whether to repair the reported differences
+ * @param {string} [params.dangling=flag] How to repair records whose content is missing from the bucket
+ * @param {object} job The job record
+ * @returns {Promise<object>} The report to be recorded on the job
+ */
+const reconcile = async ({ repair = false, dangling = DanglingAction.FLAG }, job) => {
+  const report = { repair: repair, unknownKeys: [], missingObjects: [], versionMismatches: [] };
+  const context = {
+    cutoff: new Date(Date.now() - RECONCILEGRACEPERIOD),
+    dangling: dangling,
+    prefix: getFolderPath(),
+    repair: repair,
+    report: report,
+    userId: job.createdBy
+  };
+
+  let held = [];
+  let after = undefined;
+  let keyMarker = undefined;
+  let versionIdMarker = undefined;
+  let truncated = false;
+
+  do {
+    const page = await storageService.listObjectVersion({
+      filePath: context.prefix,
+      keyMarker: keyMarker,
+      versionIdMarker: versionIdMarker,
+      maxKeys: BATCHSIZE
+    });
+    const listed = [
+      ...held,
+      ...(page.Versions || []).map(v => ({ ...v, deleteMarker: false })),
+      ...(page.DeleteMarkers || []).map(v => ({ ...v, deleteMarker: true }))
+    ];
+    keyMarker = page.NextKeyMarker;
+    versionIdMarker = page.NextVersionIdMarker;
+    truncated = page.IsTruncated && !!keyMarker;
+
+    // The versions of the last key listed may continue on the next page
+    held = truncated ? listed.filter(v => v.Key === keyMarker) : [];
+    const stored = groupStoredVersions(listed.filter(v => !truncated || v.Key !== keyMarker));
+
+    // S3 lists keys in byte order
+    const keys = [...new Set(listed.map(v => v.Key))].filter(key => !truncated || key !== keyMarker);
+    const through = truncated ? keys.sort((a, b) => Buffer.compare(Buffer.from(a), Buffer.from(b))).pop() : undefined;
+
+    if (!truncated || through !== undefined) {
+      await reconcileRange(stored, { after, through }, context);
+      after = through;
+    }
+  } while (truncated);
+
+  // Removed versions may leave metadata and tags no longer used by any version
+  if (repair && dangling === DanglingAction.REMOVE) {
+    await metadataService.pruneOrphanedMetadata();
+    await tagService.pruneOrphanedTags();
+  }
+
+  return report;
+};
+
+module.exports = reconcile;
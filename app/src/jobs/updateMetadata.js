@@ -0,0 +1,58 @@
+const forEachObject = require('./forEachObject');
+
+/**
+ * @function updateObjectMetadata
+ * Creates a new version of an object via copy of its latest version with updated metadata
+ * @param {string} objId The object uuid
+ * @param {object} metadata The metadata to add or replace with
+ * @param {boolean} replace Replaces all existing metadata instead of adding to it if true
+ * @param {string} userId The userId the job runs on behalf of
+ * @param {object} [sse] Optional server side encryption options of the object
+ * @returns {Promise<object>} The `ETag` and `VersionId` of the new version
+ */
+const updateObjectMetadata = async (objId, metadata, replace, userId, sse = undefined) => {
+  // Required on use as the object controller starts jobs itself
+  const objectController = require('../controllers/object');
+  const objPath = await objectController._getObjectPath(objId);
+
+  const { VersionId, ETag } = await objectController._copyVersion({
+    objId: objId,
+    filePath: objPath,
+    metadata: source => ({
+      // Always enforce name and id key behavior
+      ...(replace ? { name: source.name } : source),
+      ...metadata,
+      id: source.id
+    }),
+    userId: userId,
+    sse: sse
+  }, true);
+
+  return { ETag, VersionId };
+};
+
+/**
+ * @function addMetadata
+ * Adds metadata to the latest version of each object
+ * @param {string[]} params.objIds The uuids of the objects to update
+ * @param {object} params.metadata The metadata to add
+ * @param {object} job The job record
+ * @returns {Promise<object>} The outcome of each object to be recorded on the job
+ */
+const addMetadata = (params, job) => {
+  return forEachObject(params.objIds, job, objId => updateObjectMetadata(objId, params.metadata, false, job.createdBy));
+};
+
+/**
+ * @function replaceMetadata
+ * Replaces the metadata of the latest version of each object
+ * @param {string[]} params.objIds The uuids of the objects to update
+ * @param {object} params.metadata The metadata to replace with
+ * @param {object} job The job record
+ * @returns {Promise<object>} The outcome of each object to be recorded on the job
+ */
+const replaceMetadata = (params, job) => {
+  return forEachObject(params.objIds, job, objId => updateObjectMetadata(objId, params.metadata, true, job.createdBy));
+};
+
+module.exports = { addMetadata, replaceMetadata, updateObjectMetadata };
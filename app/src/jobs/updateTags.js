@@ -0,0 +1,68 @@
+const { toLowerKeys } = require('../components/utils');
+const utils = require('../db/models/utils');
+const { storageService, tagService, versionService } = require('../services');
+const forEachObject = require('./forEachObject');
+
+/**
+ * @function updateObjectTags
+ * Updates the tags of the latest version of an object in place
+ * @param {string} objId The object uuid
+ * @param {object} tagset The tags to add or replace with as key/value pairs
+ * @param {boolean} replace Replaces all existing tags instead of adding to them if true
+ * @param {string} userId The userId the job runs on behalf of
+ * @returns {Promise<object>} The `VersionId` of the updated version
+ */
+const updateObjectTags = async (objId, tagset, replace, userId) => {
+  // Required on use as the object controller starts jobs itself
+  const objectController = require('../controllers/object');
+  const objPath = await objectController._getObjectPath(objId);
+  const versionId = await objectController._materializeObject(objId, undefined, userId, objPath);
+
+  // Join new and existing tags then filter duplicates
+  let tags = Object.entries(tagset).map(([k, v]) => ({ Key: k, Value: v }));
+  if (!replace) {
+    const objectTagging = await storageService.getObjectTagging({ filePath: objPath, versionId });
+    if (objectTagging.TagSet) tags = tags.concat(objectTagging.TagSet);
+    tags = tags.filter((element, idx, arr) => arr.findIndex(element2 => (element2.Key === element.Key)) === idx);
+  }
+  if (tags.length > 10) throw new Error('S3 objects can have no more than 10 tags');
+
+  // Add tags to the version in S3
+  await storageService.putObjectTagging({ filePath: objPath, tags, versionId });
+
+  // update tags on version in DB
+  const version = await utils.trxWrapper(async (trx) => {
+    const version = await versionService.get(versionId, objId, trx);
+    await tagService.replaceTags(version.id, toLowerKeys(tags), userId, trx);
+    await versionService.touch(version.id, userId, trx);
+    return version;
+  });
+
+  return { VersionId: version.versionId };
+};
+
+/**
+ * @function addTags
+ * Adds tags to the latest version of each object
+ * @param {string[]} params.objIds The uuids of the objects to update
+ * @param {object} params.tagset The tags to add as key/value pairs
+ * @param {object} job The job record
+ * @returns {Promise<object>} The outcome of each object to be recorded on the job
+ */
+const addTags = (params, job) => {
+  return forEachObject(params.objIds, job, objId => updateObjectTags(objId, params.tagset, false, job.createdBy));
+};
+
+/**
+ * @function replaceTags
+ * Replaces the tags of the latest version of each object
+ * @param {string[]} params.objIds The uuids of the objects to update
+ * @param {object} params.tagset The tags to replace with as key/value pairs
+ * @param {object} job The job record
+ * @returns {Promise<object>} The outcome of each object to be recorded on the job
+ */
+const replaceTags = (params, job) => {
+  return forEachObject(params.objIds, job, objId => updateObjectTags(objId, params.tagset, true, job.createdBy));
+};
+
+module.exports = { addTags, replaceTags };
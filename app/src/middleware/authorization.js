@@ -48,9 +48,10 @@ const checkAppMode = (req, res, next) => {
 const currentObject = async (req, _res, next) => {
   try {
     if (req.params.objId) {
+      const object = await objectService.read(req.params.objId);
       req.currentObject = Object.freeze({
-        ...await objectService.read(req.params.objId),
-        ...await storageService.listObjectVersion({ filePath: getPath(req.params.objId) })
+        ...object,
+        ...await storageService.listObjectVersion({ filePath: object.path || getPath(req.params.objId) })
       });
     }
   } catch (err) {
@@ -92,7 +93,8 @@ const hasPermission = (permission) => {
           // Check if user has the required permission in their permission set
           const permissions = await permissionService.searchPermissions({
             objId: req.params.objId,
-            userId: userId
+            userId: userId,
+            all: true
           });
 
           if (!permissions.some(p => p.permCode === permission)) {
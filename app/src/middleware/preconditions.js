@@ -0,0 +1,62 @@
+const Problem = require('api-problem');
+
+const errorToProblem = require('../components/errorToProblem');
+const log = require('../components/log')(module.filename);
+const {
+  addDashesToUuid,
+  getPath,
+  getPreconditionStatus,
+  getServerSideEncryption,
+  getVersionValidators
+} = require('../components/utils');
+const { storageService, versionService } = require('../services');
+
+const SERVICE = 'ObjectService';
+
+/**
+ * @function checkPreconditions
+ * Rejects a modifying request if its `If-Match` or `If-Unmodified-Since` headers no longer
+ * hold for the latest version of the object, preventing concurrent editors from silently
+ * overwriting each other. With a database, the validators of the latest version record are
+ * compared, as metadata and tag edits leave the ETag and LastModified of the S3 content unchanged
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ * @param {function} next The next callback function
+ * @returns {function} Express middleware function
+ */
+const checkPreconditions = async (req, res, next) => {
+  if (!req.headers['if-match'] && !req.headers['if-unmodified-since']) return next();
+
+  try {
+    const objId = addDashesToUuid(req.params.objId);
+    const version = await versionService.getLatest(objId);
+
+    let latest = {};
+    if (version && version.id) {
+      if (!version.deleteMarker) latest = getVersionValidators(version);
+    } else {
+      const objPath = req.currentObject && req.currentObject.path ? req.currentObject.path : getPath(objId);
+      try {
+        latest = await storageService.headObject({ filePath: objPath, sse: getServerSideEncryption(req.headers) });
+      } catch (err) {
+        if (!err.$metadata || err.$metadata.httpStatusCode !== 404) throw err;
+      }
+    }
+
+    if (getPreconditionStatus(req.headers, latest.ETag, latest.LastModified, false)) {
+      log.verbose('Object was modified by another request', { function: 'checkPreconditions', objId: req.params.objId });
+      return new Problem(412, {
+        detail: 'The object has been modified since it was last read',
+        ETag: latest.ETag
+      }).send(res);
+    }
+  } catch (err) {
+    return next(errorToProblem(SERVICE, err));
+  }
+
+  next();
+};
+
+module.exports = {
+  checkPreconditions
+};
@@ -0,0 +1,156 @@
+const Problem = require('api-problem');
+const { Transform } = require('stream');
+const { NIL: SYSTEM_USER } = require('uuid');
+
+const errorToProblem = require('../components/errorToProblem');
+const log = require('../components/log')(module.filename);
+const { getCurrentIdentity, isQuotaEnabled } = require('../components/utils');
+const { quotaService, userService } = require('../services');
+
+const SERVICE = 'QuotaService';
+
+/**
+ * @function assertQuota
+ * Throws a problem if storing `length` more bytes, along with `objects` new objects, would exceed a quota of
+ * the bucket, the identity provider of the current user, or the current user
+ * @param {object} req Express request object
+ * @param {number} length The number of bytes to be stored
+ * @param {number} [objects=0] The number of new objects to be created
+ * @returns {Promise<object>} The total number of `bytes` and `objects` the quotas allow, each undefined if unlimited
+ * @throws {Problem} A 413 if the upload is larger than a quota, or a 507 if it exceeds what remains of a quota
+ */
+const assertQuota = async (req, length, objects = 0) => {
+  const allowance = { bytes: undefined, objects: undefined };
+  if (!isQuotaEnabled()) return allowance;
+
+  const userId = await userService.getCurrentUserId(getCurrentIdentity(req.currentUser, SYSTEM_USER));
+  const user = userId ? await userService.readUser(userId) : undefined;
+
+  const lower = (limit, value) => limit === undefined ? value : Math.min(limit, value);
+  for (const usage of await quotaService.listUsage(user)) {
+    const { bytes, objects: maxObjects } = usage.quota;
+    const problem = {
+      detail: `Upload would exceed the ${usage.scope} storage quota`,
+      scope: usage.scope,
+      quota: usage.quota,
+      usage: { bytes: usage.bytes, objects: usage.objects }
+    };
+
+    if (bytes !== null && length > bytes) {
+      log.verbose('Upload is larger than quota', { function: 'assertQuota', scope: usage.scope, length: length });
+      throw new Problem(413, { ...problem, detail: `Upload is larger than the ${usage.scope} storage quota` });
+    }
+    if ((bytes !== null && usage.bytes + length > bytes) || (maxObjects !== null && usage.objects + objects > maxObjects)) {
+      log.verbose('Upload would exceed quota', { function: 'assertQuota', scope: usage.scope, length: length, objects: objects });
+      throw new Problem(507, problem);
+    }
+    if (bytes !== null) allowance.bytes = lower(allowance.bytes, bytes - usage.bytes);
+    if (maxObjects !== null) allowance.objects = lower(allowance.objects, maxObjects - usage.objects);
+  }
+
+  return allowance;
+};
+
+/**
+ * @function checkFormQuota
+ * Rejects a multipart form upload before any file is streamed to object storage if the bucket, the
+ * identity provider of the current user, or the current user has no room left. The `Content-Length`
+ * of a form also counts its encoding, so the files are instead sized as they are parsed: what remains
+ * of the quotas is recorded as `req.remainingBytes` and `req.remainingObjects` for `limitUpload`
+ * @param {boolean} [createsObject=false] Whether the upload creates new objects
+ * @returns {function} Express middleware function
+ */
+const checkFormQuota = (createsObject = false) => {
+  return async (req, res, next) => {
+    if (!isQuotaEnabled()) return next();
+
+    try {
+      const allowance = await assertQuota(req, 0, createsObject ? 1 : 0);
+      req.remainingBytes = allowance.bytes;
+      if (createsObject) req.remainingObjects = allowance.objects;
+    } catch (err) {
+      if (err instanceof Problem) return err.send(res);
+      return next(errorToProblem(SERVICE, err));
+    }
+
+    next();
+  };
+};
+
+/**
+ * @function checkQuota
+ * Rejects an upload before it is streamed to object storage if it would exceed a quota of the
+ * bucket, the identity provider of the current user, or the current user. The size of the upload
+ * is taken from its `Content-Length` header, so uploads without one are rejected
+ * @returns {function} Express middleware function
+ */
+const checkQuota = () => {
+  return async (req, res, next) => {
+    if (!isQuotaEnabled()) return next();
+
+    // Chunked uploads cannot be sized before they are streamed
+    const length = parseInt(req.headers['content-length']);
+    if (isNaN(length)) {
+      return new Problem(411, { detail: 'A Content-Length header is required while storage quotas are enabled' }).send(res);
+    }
+
+    try {
+      await assertQuota(req, length);
+    } catch (err) {
+      if (err instanceof Problem) return err.send(res);
+      return next(errorToProblem(SERVICE, err));
+    }
+
+    next();
+  };
+};
+
+/**
+ * @function checkObjectQuota
+ * Rejects a request that creates a new object, before any content is stored, if the new object would
+ * exceed an object quota. The size of the content is checked once it is known
+ * @param {object} req Express request object
+ * @param {object} res Express response object
+ * @param {function} next The next callback function
+ * @returns {function} Express middleware function
+ */
+const checkObjectQuota = async (req, res, next) => {
+  try {
+    await assertQuota(req, 0, 1);
+  } catch (err) {
+    if (err instanceof Problem) return err.send(res);
+    return next(errorToProblem(SERVICE, err));
+  }
+
+  next();
+};
+
+/**
+ * @function limitUpload
+ * Yields a passthrough stream which counts the bytes of a parsed file against `req.remainingBytes`,
+ * as recorded by `checkFormQuota`, and fails with a 507 as soon as the files exceed what remains of the quotas
+ * @param {object} req Express request object
+ * @returns {Transform} The passthrough stream
+ */
+const limitUpload = (req) => {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (req.remainingBytes === undefined) return callback(null, chunk);
+
+      req.remainingBytes -= chunk.length;
+      if (req.remainingBytes < 0) {
+        log.verbose('Upload exceeds quota', { function: 'limitUpload' });
+        return callback(new Problem(507, { detail: 'Upload would exceed the storage quota' }));
+      }
+      callback(null, chunk);
+    }
+  });
+};
+
+module.exports = {
+  assertQuota,
+  checkFormQuota,
+  checkObjectQuota,
+  checkQuota,
+  limitUpload
+};
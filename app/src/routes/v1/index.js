@@ -8,6 +8,7 @@ router.get('/', (_req, res) => {
   res.status(200).json({
     endpoints: [
       '/docs',
+      '/job',
       '/object',
       '/permission',
       '/user'
@@ -18,6 +19,9 @@ router.get('/', (_req, res) => {
 /** Documentation Router */
 router.use('/docs', require('./docs'));
 
+/** Job Router */
+router.use('/job', require('./job'));
+
 /** Object Router */
 router.use('/object', require('./object'));
 
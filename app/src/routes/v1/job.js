@@ -0,0 +1,37 @@
+const routes = require('express').Router();
+
+const { jobController } = require('../../controllers');
+const { jobValidator } = require('../../validators');
+const { checkAppMode } = require('../../middleware/authorization');
+const { requireBasicAuth, requireDb, requireSomeAuth } = require('../../middleware/featureToggle');
+
+routes.use(checkAppMode);
+routes.use(requireDb);
+routes.use(requireSomeAuth);
+
+/** Records the size, ETag and storage class of versions recorded without them */
+routes.post('/backfill', requireBasicAuth, (req, res, next) => {
+  jobController.backfillVersions(req, res, next);
+});
+
+/** Extracts the text of versions not yet in the full-text search index */
+routes.post('/extract', requireBasicAuth, (req, res, next) => {
+  jobController.extractText(req, res, next);
+});
+
+/** Compares the bucket with the database, optionally repairing any differences */
+routes.post('/reconcile', requireBasicAuth, jobValidator.reconcile, (req, res, next) => {
+  jobController.reconcile(req, res, next);
+});
+
+/** Returns the status of an asynchronous job */
+routes.get('/:jobId', jobValidator.readJob, (req, res, next) => {
+  jobController.readJob(req, res, next);
+});
+
+/** Resumes a failed or interrupted job */
+routes.post('/:jobId/resume', jobValidator.resumeJob, (req, res, next) => {
+  jobController.resumeJob(req, res, next);
+});
+
+module.exports = routes;
@@ -5,20 +5,102 @@ const { objectController } = require('../../controllers');
 const { objectValidator } = require('../../validators');
 const { requireDb, requireSomeAuth } = require('../../middleware/featureToggle');
 const { checkAppMode, currentObject, hasPermission } = require('../../middleware/authorization');
+const { checkPreconditions } = require('../../middleware/preconditions');
+const { checkFormQuota, checkObjectQuota, checkQuota } = require('../../middleware/quota');
 
 routes.use(checkAppMode);
 routes.use(requireSomeAuth);
 
 /** Creates new objects */
-routes.post('/', objectValidator.createObjects, (req, res, next) => {
+routes.post('/', objectValidator.createObjects, checkFormQuota(true), (req, res, next) => {
   objectController.createObjects(req, res, next);
 });
 
 /** Search for objects */
-routes.get('/', requireDb, objectValidator.searchObjects, (req, res, next) => {
+routes.get('/', objectValidator.searchObjects, (req, res, next) => {
   objectController.searchObjects(req, res, next);
 });
 
+/** Search for objects matching an expression of metadata and tag conditions */
+routes.post('/search', requireDb, objectValidator.searchObjectsByMatch, (req, res, next) => {
+  objectController.searchObjects(req, res, next);
+});
+
+/** Lists the objects and subfolders directly within a folder */
+routes.get('/folder', requireDb, objectValidator.listFolder, (req, res, next) => {
+  objectController.listFolder(req, res, next);
+});
+
+/** Deletes multiple objects or versions */
+routes.post('/delete', requireDb, objectValidator.deleteObjects, (req, res, next) => {
+  objectController.deleteObjects(req, res, next);
+});
+
+/** Downloads the requested or matching objects as a ZIP archive */
+routes.get('/zip', requireDb, objectValidator.zipObjects, (req, res, next) => {
+  objectController.zipObjects(req, res, next);
+});
+
+/** Adds metadata to many objects as a background job */
+routes.patch('/metadata', requireDb, objectValidator.bulkAddMetadata, (req, res, next) => {
+  objectController.bulkAddMetadata(req, res, next);
+});
+
+/** Replaces the metadata of many objects as a background job */
+routes.put('/metadata', requireDb, objectValidator.bulkReplaceMetadata, (req, res, next) => {
+  objectController.bulkReplaceMetadata(req, res, next);
+});
+
+/** Adds tags to many objects as a background job */
+routes.patch('/tagging', requireDb, objectValidator.bulkAddTags, (req, res, next) => {
+  objectController.bulkAddTags(req, res, next);
+});
+
+/** Replaces the tags of many objects as a background job */
+routes.put('/tagging', requireDb, objectValidator.bulkReplaceTags, (req, res, next) => {
+  objectController.bulkReplaceTags(req, res, next);
+});
+
+/** Lists pending multipart upload sessions */
+routes.get('/upload', requireDb, objectValidator.listUploads, (req, res, next) => {
+  objectController.listUploads(req, res, next);
+});
+
+/** Initiates a multipart upload session */
+routes.post('/upload', requireDb, objectValidator.createUpload, checkObjectQuota, (req, res, next) => {
+  objectController.createUpload(req, res, next);
+});
+
+/** Returns a multipart upload session and its uploaded parts */
+routes.get('/upload/:uploadId', requireDb, objectValidator.readUpload, (req, res, next) => {
+  objectController.readUpload(req, res, next);
+});
+
+/** Completes a multipart upload session */
+routes.post('/upload/:uploadId', requireDb, objectValidator.completeUpload, (req, res, next) => {
+  objectController.completeUpload(req, res, next);
+});
+
+/** Aborts a multipart upload session */
+routes.delete('/upload/:uploadId', requireDb, objectValidator.abortUpload, (req, res, next) => {
+  objectController.abortUpload(req, res, next);
+});
+
+/** Uploads a part of a multipart upload session */
+routes.put('/upload/:uploadId/:partNumber', requireDb, objectValidator.uploadPart, checkQuota(), (req, res, next) => {
+  objectController.uploadPart(req, res, next);
+});
+
+/** Reserves a new object and returns a pre-signed upload url */
+routes.post('/presign', requireDb, objectValidator.presignUpload, checkObjectQuota, (req, res, next) => {
+  objectController.presignUpload(req, res, next);
+});
+
+/** Records an object uploaded with a pre-signed url */
+routes.post('/presign/:uploadId', requireDb, objectValidator.finalizeUpload, (req, res, next) => {
+  objectController.finalizeUpload(req, res, next);
+});
+
 /** Returns object headers */
 routes.head('/:objId', currentObject, hasPermission(Permissions.READ), objectValidator.headObject, (req, res, next) => {
   // TODO: Add validation to reject unexpected query parameters
@@ -32,7 +114,7 @@ routes.get('/:objId', currentObject, hasPermission(Permissions.READ), objectVali
 });
 
 /** Updates an object */
-routes.post('/:objId', currentObject, hasPermission(Permissions.UPDATE), objectValidator.updateObject, (req, res, next) => {
+routes.post('/:objId', currentObject, hasPermission(Permissions.UPDATE), checkPreconditions, objectValidator.updateObject, checkFormQuota(), (req, res, next) => {
   objectController.updateObject(req, res, next);
 });
 
@@ -41,43 +123,93 @@ routes.delete('/:objId', currentObject, hasPermission(Permissions.DELETE), objec
   objectController.deleteObject(req, res, next);
 });
 
+/** Restores a deleted object */
+routes.post('/:objId/undelete', requireDb, currentObject, hasPermission(Permissions.DELETE), objectValidator.undeleteObject, (req, res, next) => {
+  objectController.undeleteObject(req, res, next);
+});
+
+/** Creates a new object from a copy of the object */
+routes.post('/:objId/clone', currentObject, hasPermission(Permissions.READ), objectValidator.cloneObject, (req, res, next) => {
+  objectController.cloneObject(req, res, next);
+});
+
+/** Moves the object to another folder and/or renames it */
+routes.post('/:objId/move', requireDb, currentObject, hasPermission(Permissions.UPDATE), objectValidator.moveObject, (req, res, next) => {
+  objectController.moveObject(req, res, next);
+});
+
+/** Returns a pre-signed upload url for a new version of the object */
+routes.post('/:objId/presign', requireDb, currentObject, hasPermission(Permissions.UPDATE), objectValidator.presignUpload, (req, res, next) => {
+  objectController.presignUpload(req, res, next);
+});
+
 /** Returns the object version history */
 routes.get('/:objId/version', currentObject, hasPermission(Permissions.READ), objectValidator.listObjectVersion, (req, res, next) => {
   objectController.listObjectVersion(req, res, next);
 });
 
+/** Restores a previous version as the latest version of the object */
+routes.post('/:objId/version/:versionId/restore', requireDb, currentObject, hasPermission(Permissions.UPDATE), checkPreconditions, objectValidator.restoreVersion, (req, res, next) => {
+  objectController.restoreVersion(req, res, next);
+});
+
+/** Verifies the stored content of an object against its recorded checksum */
+routes.get('/:objId/verify', requireDb, currentObject, hasPermission(Permissions.READ), objectValidator.verifyObject, (req, res, next) => {
+  objectController.verifyObject(req, res, next);
+});
+
 /** Sets the public flag of an object */
 routes.patch('/:objId/public', requireDb, currentObject, hasPermission(Permissions.MANAGE), objectValidator.togglePublic, (req, res, next) => {
   objectController.togglePublic(req, res, next);
 });
 
+/** Returns the Object Lock retention of an object */
+routes.get('/:objId/retention', currentObject, hasPermission(Permissions.MANAGE), objectValidator.readRetention, (req, res, next) => {
+  objectController.readRetention(req, res, next);
+});
+
+/** Sets the Object Lock retention of an object */
+routes.put('/:objId/retention', currentObject, hasPermission(Permissions.MANAGE), objectValidator.updateRetention, (req, res, next) => {
+  objectController.updateRetention(req, res, next);
+});
+
+/** Returns the Object Lock legal hold status of an object */
+routes.get('/:objId/legalhold', currentObject, hasPermission(Permissions.MANAGE), objectValidator.readLegalHold, (req, res, next) => {
+  objectController.readLegalHold(req, res, next);
+});
+
+/** Places or removes an Object Lock legal hold on an object */
+routes.put('/:objId/legalhold', currentObject, hasPermission(Permissions.MANAGE), objectValidator.updateLegalHold, (req, res, next) => {
+  objectController.updateLegalHold(req, res, next);
+});
+
 /** Add metadata to an object */
-routes.patch('/:objId/metadata', currentObject, hasPermission(Permissions.UPDATE), objectValidator.addMetadata, (req, res, next) => {
+routes.patch('/:objId/metadata', currentObject, hasPermission(Permissions.UPDATE), checkPreconditions, objectValidator.addMetadata, (req, res, next) => {
   objectController.addMetadata(req, res, next);
 });
 
 /** Replace metadata on an object */
-routes.put('/:objId/metadata', currentObject, hasPermission(Permissions.UPDATE), objectValidator.replaceMetadata, (req, res, next) => {
+routes.put('/:objId/metadata', currentObject, hasPermission(Permissions.UPDATE), checkPreconditions, objectValidator.replaceMetadata, (req, res, next) => {
   objectController.replaceMetadata(req, res, next);
 });
 
 /** Deletes an objects metadata */
-routes.delete('/:objId/metadata', currentObject, hasPermission(Permissions.UPDATE), objectValidator.deleteMetadata, (req, res, next) => {
+routes.delete('/:objId/metadata', currentObject, hasPermission(Permissions.UPDATE), checkPreconditions, objectValidator.deleteMetadata, (req, res, next) => {
   objectController.deleteMetadata(req, res, next);
 });
 
 /** Add tags to an object */
-routes.patch('/:objId/tagging', currentObject, hasPermission(Permissions.UPDATE), objectValidator.addTags, (req, res, next) => {
+routes.patch('/:objId/tagging', currentObject, hasPermission(Permissions.UPDATE), checkPreconditions, objectValidator.addTags, (req, res, next) => {
   objectController.addTags(req, res, next);
 });
 
 /** Add tags to an object */
-routes.put('/:objId/tagging', currentObject, hasPermission(Permissions.UPDATE), objectValidator.replaceTags, (req, res, next) => {
+routes.put('/:objId/tagging', currentObject, hasPermission(Permissions.UPDATE), checkPreconditions, objectValidator.replaceTags, (req, res, next) => {
   objectController.replaceTags(req, res, next);
 });
 
 /** Add tags to an object */
-routes.delete('/:objId/tagging', currentObject, hasPermission(Permissions.UPDATE), objectValidator.deleteTags, (req, res, next) => {
+routes.delete('/:objId/tagging', currentObject, hasPermission(Permissions.UPDATE), checkPreconditions, objectValidator.deleteTags, (req, res, next) => {
   objectController.deleteTags(req, res, next);
 });
 
@@ -19,4 +19,9 @@ routes.get('/idpList', userValidator.listIdps, (req, res, next) => {
   userController.listIdps(req, res, next);
 });
 
+/** Lists the storage used by the current user against each quota that applies to them */
+routes.get('/usage', (req, res, next) => {
+  userController.listUsage(req, res, next);
+});
+
 module.exports = routes;
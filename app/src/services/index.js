@@ -24,11 +24,14 @@ function featureNoDb(service) {
 
 module.exports = {
   featureNoDb: featureNoDb,
+  jobService: featureNoDb(require('./job')),
   metadataService: featureNoDb(require('./metadata')),
   objectService: featureNoDb(require('./object')),
   permissionService: featureNoDb(require('./permission')),
+  quotaService: featureNoDb(require('./quota')),
   storageService: require('./storage'),
   tagService: featureNoDb(require('./tag')),
+  uploadService: featureNoDb(require('./upload')),
   userService: featureNoDb(require('./user')),
   versionService: featureNoDb(require('./version')),
 };
@@ -0,0 +1,142 @@
+const { v4: uuidv4 } = require('uuid');
+
+const { JobStatus } = require('../components/constants');
+const { Job } = require('../db/models');
+
+/**
+ * The Job DB Service
+ */
+const service = {
+  /**
+   * @function claim
+   * Requeues a failed or interrupted job, unless another request has already claimed it
+   * The job is only claimed if it has failed, or is queued or running without progress since `staleBefore`,
+   * so that concurrent requests cannot both resume the same job
+   * @param {string} id The job uuid
+   * @param {Date} staleBefore The time before which a queued or running job must have last recorded progress
+   * @param {string} userId The userId of the user the job runs on behalf of
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<object>} The requeued job, or undefined if the job could not be claimed
+   * @throws The error encountered upon db transaction failure
+   */
+  claim: async (id, staleBefore, userId, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Job.startTransaction();
+
+      const response = await Job.query(trx)
+        .patch({ status: JobStatus.QUEUED, error: null, updatedBy: userId })
+        .where('id', id)
+        .where(query => query
+          .where('status', JobStatus.FAILED)
+          .orWhere(stale => stale
+            .whereIn('status', [JobStatus.QUEUED, JobStatus.RUNNING])
+            .whereRaw('coalesce(??, ??) < ?', ['updatedAt', 'createdAt', staleBefore])))
+        .returning('*')
+        .first();
+
+      if (!etrx) await trx.commit();
+      return Promise.resolve(response);
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * @function create
+   * Create a queued job record
+   * @param {string} data.type The job operation
+   * @param {string} [data.objectId] The optional uuid of the object the job operates on
+   * @param {object} [data.params] Optional object containing the parameters of the job
+   * @param {string} data.userId The requesting user userId
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<object>} The result of running the insert operation
+   * @throws The error encountered upon db transaction failure
+   */
+  create: async (data, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Job.startTransaction();
+
+      const obj = {
+        id: uuidv4(),
+        type: data.type,
+        status: JobStatus.QUEUED,
+        objectId: data.objectId,
+        params: data.params,
+        createdBy: data.userId
+      };
+      const response = await Job.query(trx).insert(obj).returning('*');
+
+      if (!etrx) await trx.commit();
+      return Promise.resolve(response);
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * @function read
+   * Get a job db record
+   * @param {string} id The job uuid
+   * @returns {Promise<object>} The result of running the read operation, or undefined if not found
+   */
+  read: (id) => {
+    return Job.query()
+      .findById(id);
+  },
+
+  /**
+   * @function searchJobs
+   * Search and filter for specific job records
+   * @param {string|string[]} [params.objectId] Optional string or array of object uuids
+   * @param {string|string[]} [params.status] Optional string or array of job states
+   * @param {string|string[]} [params.type] Optional string or array of job operations
+   * @param {string|string[]} [params.userId] Optional string or array of uuids representing the creator
+   * @returns {Promise<object[]>} The result of running the find operation
+   */
+  searchJobs: (params) => {
+    return Job.query()
+      .modify('filterObjectId', params.objectId)
+      .modify('filterStatus', params.status)
+      .modify('filterType', params.type)
+      .modify('filterCreatedBy', params.userId)
+      .orderBy('createdAt', 'desc');
+  },
+
+  /**
+   * @function update
+   * Records the progress or outcome of a job
+   * @param {string} id The job uuid
+   * @param {string} data.status The new job state
+   * @param {object} [data.result] Optional object describing the outcome of the job
+   * @param {string} [data.error] Optional error message if the job failed
+   * @param {string} userId The userId of the user the job runs on behalf of
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<object>} The result of running the patch operation
+   * @throws The error encountered upon db transaction failure
+   */
+  update: async (id, data, userId, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Job.startTransaction();
+
+      const response = await Job.query(trx).patchAndFetchById(id, {
+        status: data.status,
+        result: data.result,
+        error: data.error,
+        updatedBy: userId
+      });
+
+      if (!etrx) await trx.commit();
+      return response;
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  }
+};
+
+module.exports = service;
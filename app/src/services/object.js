@@ -1,5 +1,7 @@
+const { raw } = require('objection');
+
 const permissionService = require('./permission');
-const { Permissions } = require('../components/constants');
+const { Permissions, SortOrder } = require('../components/constants');
 const { ObjectModel } = require('../db/models');
 
 /**
@@ -76,39 +78,121 @@ const service = {
     }
   },
 
+  /**
+   * @function listFolders
+   * Lists the names of the subfolders directly within a logical folder that contain an object
+   * @param {string} params.folder The path prefix of the folder
+   * @param {string} [params.readableBy] Optional uuid of the user, or null for an anonymous user, that must be able
+   * to read an object of each subfolder; public objects are readable by anyone
+   * @returns {Promise<string[]>} The sorted names of the subfolders
+   */
+  listFolders: async (params) => {
+    const name = raw('split_part(substr(??, ?), ?, 1)', ['object.path', params.folder.length + 1, '/']);
+    const response = await ObjectModel.query()
+      .modify('filterSubfolders', params.folder)
+      .modify('filterReadableBy', params.readableBy)
+      .distinct(name.as('name'))
+      .orderBy('name');
+    return response.map(folder => folder.name);
+  },
+
+  /**
+   * @function listPathRange
+   * Lists a batch of the objects within a range of paths, in the byte order S3 lists its keys in
+   * @param {string} params.pathPrefix The string the S3 path must begin with
+   * @param {string} [params.after] Optional path the listed paths must come after
+   * @param {string} [params.through] Optional path the listed paths must not come after
+   * @param {integer} limit The maximum number of objects to list
+   * @returns {Promise<object[]>} The object records in path order
+   */
+  listPathRange: (params, limit) => {
+    // The C collation compares paths byte by byte
+    const path = raw('?? collate "C"', ['object.path']);
+    return ObjectModel.query()
+      .modify('filterPathPrefix', params.pathPrefix)
+      .modify(query => {
+        if (params.after !== undefined) query.where(path, '>', params.after);
+        if (params.through !== undefined) query.where(path, '<=', params.through);
+      })
+      .orderBy(path)
+      .limit(limit);
+  },
+
   /**
    * @function searchObjects
    * Search and filter for specific object records
    * @param {string|string[]} [params.id] Optional string or array of uuids representing the object
    * @param {string} [params.path] Optional canonical S3 path string to match on
+   * @param {string} [params.pathPrefix] Optional string the S3 path must begin with
+   * @param {string} [params.folder] Optional path prefix of a logical folder the object must be directly within
+   * @param {string} [params.readableBy] Optional uuid of the user, or null for an anonymous user, that must be able
+   * to read the object; public objects are readable by anyone
    * @param {boolean} [params.public] Optional boolean on object public status
    * @param {boolean} [params.active] Optional boolean on object active
+   * @param {boolean} [params.deleteMarker] Optional boolean on whether the latest version of the object is a delete marker
    * @param {string} [params.userId] Optional uuid string representing the user
    * @param {string} [params.mimeType] Optional mimeType string to match on
+   * @param {string} [params.hash] Optional base64 SHA-256 checksum string of a version to match on
    * @param {string} [params.name] Optional metadata name string to match on
    * @param {object} [params.metadata] Optional object of metadata key/value pairs
    * @param {object} [params.tag] Optional object of tag key/value pairs
-   * @returns {Promise<object[]>} The result of running the find operation
+   * @param {number} [params.minSize] Optional minimum size in bytes of a version to match on
+   * @param {number} [params.maxSize] Optional maximum size in bytes of a version to match on
+   * @param {string} [params.text] Optional full-text search query of a version to match on, ranking the objects
+   * by `relevance` and describing each with a highlighted `snippet` of its best matching version
+   * @param {object} [params.match] Optional expression of metadata and tag conditions, grouped with `and` or `or`
+   * @param {boolean} [params.latest] Optional boolean on whether version criteria only match the latest version
+   * @param {string} [params.createdAfter] Optional ISO date the object must have been created on or after
+   * @param {string} [params.createdBefore] Optional ISO date the object must have been created on or before
+   * @param {string} [params.updatedAfter] Optional ISO date the object must have been updated on or after
+   * @param {string} [params.updatedBefore] Optional ISO date the object must have been updated on or before
+   * @param {string|string[]} [params.createdBy] Optional string or array of uuids of the user that created the object
+   * @param {string|string[]} [params.updatedBy] Optional string or array of uuids of the user that last updated the object
+   * @param {string} [params.sort] Optional attribute to sort on, one of createdAt, updatedAt, path, name, mimeType
+   * or relevance. Defaults to descending relevance when searching by `text`, and relevance is ignored otherwise
+   * @param {string} [params.order] Optional sort order, one of asc or desc
+   * @param {number} [params.page] Optional 1-based page number of the results
+   * @param {number} [params.limit] Optional number of results per page
+   * @param {boolean} [params.all=false] Optional boolean on whether to return every match instead of a page
+   * @returns {Promise<object|object[]>} The `results` of the page along with the `total` number of matching objects,
+   * or every matching object if `all` is requested. Objects include the `size`, `etag` and `storageClass` of their
+   * latest version
    */
   searchObjects: (params) => {
+    // Results are only ranked by relevance when searching by text, and are then sorted by it by default
+    let [sort, order] = params.text && !params.sort ? ['relevance', SortOrder.DESC] : [params.sort, params.order];
+    if (sort === 'relevance' && !params.text) sort = undefined;
+
     return ObjectModel.query()
-      .allowGraph('[objectPermission, version]')
       .modify('filterIds', params.id)
       .modify('filterPath', params.path)
+      .modify('filterPathPrefix', params.pathPrefix)
+      .modify('filterFolder', params.folder)
       .modify('filterPublic', params.public)
       .modify('filterActive', params.active)
+      .modify('filterDeleteMarker', params.deleteMarker)
+      .modify('filterCreatedAt', { after: params.createdAfter, before: params.createdBefore })
+      .modify('filterUpdatedAt', { after: params.updatedAfter, before: params.updatedBefore })
+      .modify('filterCreatedBy', params.createdBy)
+      .modify('filterUpdatedBy', params.updatedBy)
       .modify('filterUserId', params.userId)
-      .modify('filterMimeType', params.mimeType)
-      .modify('filterMetadataTag', {
+      .modify('filterReadableBy', params.readableBy)
+      .modify('filterVersion', {
+        latest: params.latest,
+        mimeType: params.mimeType,
+        hash: params.hash,
         name: params.name,
         metadata: params.metadata,
-        tag: params.tag
+        tag: params.tag,
+        minSize: params.minSize,
+        maxSize: params.maxSize,
+        match: params.match,
+        text: params.text
       })
-      .then(result => result.map(row => {
-        // eslint-disable-next-line no-unused-vars
-        const { objectPermission, version, ...object } = row;
-        return object;
-      }));
+      .modify('selectLatestVersion')
+      .modify('selectRelevance', { text: params.text, latest: params.latest })
+      .modify('sortBy', sort, order)
+      .modify('paginate', params.page, params.limit, params.all);
   },
 
   /**
@@ -131,6 +215,7 @@ const service = {
    * @param {string} data.userId The uploading user userId
    * @param {string} data.path The relative S3 key/path of the object
    * @param {boolean} [data.public] The optional public flag - defaults to true if undefined
+   * @param {boolean} [data.active] The optional active flag
    * @param {object} [etrx=undefined] An optional Objection Transaction object
    * @returns {Promise<object>} The result of running the patch operation
    * @throws The error encountered upon db transaction failure
@@ -144,6 +229,7 @@ const service = {
       const response = await ObjectModel.query(trx).patchAndFetchById(data.id, {
         path: data.path,
         public: data.public,
+        active: data.active,
         updatedBy: data.userId
       });
 
@@ -30,7 +30,7 @@ const service = {
       trx = etrx ? etrx : await ObjectPermission.startTransaction();
 
       // Get existing permissions for the current object
-      const currentPerms = await service.searchPermissions({ objId });
+      const currentPerms = await service.searchPermissions({ objId, all: true });
       const obj = data
         // Ensure all codes are upper cased
         .map(p => ({ ...p, code: p.permCode.toUpperCase().trim() }))
@@ -114,13 +114,21 @@ const service = {
    * @param {string|string[]} [params.userId] Optional string or array of uuids representing the user
    * @param {string|string[]} [params.objId] Optional string or array of uuid representing the object
    * @param {string|string[]} [params.permCode] Optional string or array of permission codes
-   * @returns {Promise<object>} The result of running the find operation
+   * @param {string} [params.sort] Optional attribute to sort on, one of createdAt, updatedAt or permCode
+   * @param {string} [params.order] Optional sort order, one of asc or desc
+   * @param {number} [params.page] Optional 1-based page number of the results
+   * @param {number} [params.limit] Optional number of results per page
+   * @param {boolean} [params.all=false] Optional boolean on whether to return every match instead of a page
+   * @returns {Promise<object|object[]>} The `results` of the page along with the `total` number of matching permissions,
+   * or every matching permission if `all` is requested
    */
   searchPermissions: (params) => {
     return ObjectPermission.query()
       .modify('filterUserId', params.userId)
       .modify('filterObjectId', params.objId)
-      .modify('filterPermissionCode', params.permCode);
+      .modify('filterPermissionCode', params.permCode)
+      .modify('sortBy', params.sort, params.order)
+      .modify('paginate', params.page, params.limit, params.all);
   }
 };
 
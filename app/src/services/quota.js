@@ -0,0 +1,79 @@
+const { ObjectModel, User, Version } = require('../db/models');
+const { getQuotas } = require('../components/utils');
+
+/**
+ * The Quota DB Service
+ */
+const service = {
+  /**
+   * @function listUsage
+   * Lists the storage used within each quota scope that applies to a user, along with the quota of each scope
+   * @param {object} [user] Optional user record; only the bucket scope applies without one
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<object[]>} The `scope`, the `bytes` and number of `objects` used, and the `quota` of each scope
+   * @throws The error encountered upon db transaction failure
+   */
+  listUsage: async (user = undefined, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Version.startTransaction();
+
+      const quotas = getQuotas(user ? user.idp : undefined);
+      const scopes = [{ scope: 'bucket' }];
+      if (user && user.idp) scopes.push({ scope: 'idp', idp: user.idp });
+      if (user) scopes.push({ scope: 'user', userId: user.userId });
+
+      const response = [];
+      for (const scope of scopes) {
+        const usage = await service.readUsage({ idp: scope.idp, userId: scope.userId }, trx);
+        response.push({ ...scope, ...usage, quota: quotas[scope.scope] });
+      }
+
+      if (!etrx) await trx.commit();
+      return Promise.resolve(response);
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * @function readUsage
+   * Totals the storage used by the versions and objects created by a user, the users of an identity provider, or everyone
+   * Delete markers and deduplicated versions store no content of their own, and are not counted
+   * @param {string} [params.idp] Optional identity provider code of the users to total
+   * @param {string} [params.userId] Optional uuid of the user to total
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<object>} The `bytes` and number of `objects` used
+   * @throws The error encountered upon db transaction failure
+   */
+  readUsage: async (params = {}, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Version.startTransaction();
+
+      const createdBy = (query, column) => {
+        if (params.userId) query.where(column, params.userId);
+        if (params.idp) query.whereIn(column, User.query(trx).select('user.userId').where('user.idp', params.idp));
+      };
+
+      const bytes = await Version.query(trx)
+        .sum('version.size as bytes')
+        .where('version.deleteMarker', false)
+        .whereNull('version.blobPath')
+        .modify(createdBy, 'version.createdBy')
+        .first();
+      const objects = await ObjectModel.query(trx)
+        .modify(createdBy, 'object.createdBy')
+        .resultSize();
+
+      if (!etrx) await trx.commit();
+      return Promise.resolve({ bytes: Number(bytes.bytes) || 0, objects: objects });
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  }
+};
+
+module.exports = service;
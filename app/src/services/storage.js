@@ -1,25 +1,37 @@
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const {
+  AbortMultipartUploadCommand,
+  CompleteMultipartUploadCommand,
   CopyObjectCommand,
+  CreateMultipartUploadCommand,
   DeleteObjectCommand,
+  DeleteObjectsCommand,
   DeleteObjectTaggingCommand,
   GetBucketEncryptionCommand,
   GetBucketVersioningCommand,
   GetObjectCommand,
+  GetObjectLegalHoldCommand,
+  GetObjectRetentionCommand,
   GetObjectTaggingCommand,
   HeadBucketCommand,
   HeadObjectCommand,
   ListObjectsCommand,
+  ListObjectsV2Command,
   ListObjectVersionsCommand,
+  ListPartsCommand,
   PutBucketEncryptionCommand,
   PutObjectCommand,
+  PutObjectLegalHoldCommand,
+  PutObjectRetentionCommand,
   PutObjectTaggingCommand,
   S3Client,
+  UploadPartCommand,
+  UploadPartCopyCommand,
 } = require('@aws-sdk/client-s3');
 const config = require('config');
 
 const { getPath } = require('../components/utils');
-const { MAXKEYS, MetadataDirective, TaggingDirective } = require('../components/constants');
+const { COPYPARTLENGTH, MAXDELETEKEYS, MAXKEYS, MAXPARTS, MetadataDirective, TaggingDirective } = require('../components/constants');
 
 // Get app configuration
 const endpoint = config.get('objectStorage.endpoint');
@@ -28,6 +40,43 @@ const defaultTempExpiresIn = parseInt(config.get('objectStorage.defaultTempExpir
 const accessKeyId = config.get('objectStorage.accessKeyId');
 const secretAccessKey = config.get('objectStorage.secretAccessKey');
 
+/**
+ * @function copySourceParam
+ * Builds the S3 `CopySource` parameter for an object in the configured bucket
+ * @param {string} copySource The source object key, excluding the bucket name
+ * @param {string} [versionId] Optional versionId to copy from
+ * @returns {string} The URL-encoded copy source, with each key path segment encoded and the `/` separators kept
+ */
+function copySourceParam(copySource, versionId) {
+  const source = copySource.split('/').map(segment => encodeURIComponent(segment)).join('/');
+  return `${bucket}/${source}${versionId ? `?versionId=${encodeURIComponent(versionId)}` : ''}`;
+}
+
+/**
+ * @function sseParams
+ * Maps server side encryption options onto their S3 command parameters
+ * @param {object} [sse] Optional server side encryption options
+ * @param {string} [sse.algorithm] Optional S3 managed encryption algorithm to write the object with
+ * @param {string} [sse.customerAlgorithm] Optional algorithm of the customer-provided key
+ * @param {string} [sse.customerKey] Optional base64 encoded customer-provided key
+ * @param {string} [sse.customerKeyMD5] Optional base64 encoded MD5 digest of the customer-provided key
+ * @param {string} [prefix=''] Optional parameter name prefix, such as `CopySource` for the source of a copy
+ * @returns {object} The S3 server side encryption parameters
+ */
+function sseParams(sse, prefix = '') {
+  if (!sse) return {};
+
+  const params = {
+    [`${prefix}SSECustomerAlgorithm`]: sse.customerAlgorithm,
+    [`${prefix}SSECustomerKey`]: sse.customerKey,
+    [`${prefix}SSECustomerKeyMD5`]: sse.customerKeyMD5
+  };
+  // S3 managed encryption only applies to the object being written
+  if (!prefix) params.ServerSideEncryption = sse.algorithm;
+
+  return params;
+}
+
 /**
  * The Core S3 Object Storage Service
  * @see {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-s3/}
@@ -51,6 +100,44 @@ const objectStorageService = {
     region: 'us-east-1' // Need to specify valid AWS region or it'll explode ('us-east-1' is default, 'ca-central-1' for Canada)
   }),
 
+  /**
+   * @function abortMultipartUpload
+   * Aborts the multipart upload `uploadId` and discards any uploaded parts
+   * @param {string} options.filePath The filePath of the object
+   * @param {string} options.uploadId The S3 multipart UploadId
+   * @returns {Promise<object>} The response of the abort multipart upload operation
+   */
+  abortMultipartUpload({ filePath, uploadId }) {
+    const params = {
+      Bucket: bucket,
+      Key: filePath,
+      UploadId: uploadId
+    };
+
+    return this._s3Client.send(new AbortMultipartUploadCommand(params));
+  },
+
+  /**
+   * @function completeMultipartUpload
+   * Assembles the previously uploaded `parts` of multipart upload `uploadId` into an object
+   * @param {string} options.filePath The filePath of the object
+   * @param {string} options.uploadId The S3 multipart UploadId
+   * @param {object[]} options.parts Array of `{ ETag, PartNumber }` tuples in ascending part order
+   * @returns {Promise<object>} The response of the complete multipart upload operation
+   */
+  completeMultipartUpload({ filePath, uploadId, parts }) {
+    const params = {
+      Bucket: bucket,
+      Key: filePath,
+      MultipartUpload: {
+        Parts: parts
+      },
+      UploadId: uploadId
+    };
+
+    return this._s3Client.send(new CompleteMultipartUploadCommand(params));
+  },
+
   /**
    * @function copyObject
    * Creates a copy of the object at `copySource`
@@ -58,21 +145,27 @@ const objectStorageService = {
    * @param {string} options.filePath The filePath of the object
    * @param {string} [options.metadata] Optional metadata to store with the object
    * @param {string} [options.tags] Optional tags to store with the object
+   * @param {string} [options.mimeType] Optional mime type of the copy, applied when replacing the metadata
    * @param {string} [options.metadataDirective=COPY] Optional operation directive
    * @param {string} [options.versionId=undefined] Optional versionId to copy from
+   * @param {object} [options.sse] Optional server side encryption options, applied to both the source and the copy
    * @returns {Promise<object>} The response of the delete object operation
    */
-  copyObject({ copySource, filePath, metadata, tags, metadataDirective = MetadataDirective.COPY, taggingDirective = TaggingDirective.COPY, versionId = undefined }) {
+  copyObject({ copySource, filePath, metadata, tags, mimeType, metadataDirective = MetadataDirective.COPY, taggingDirective = TaggingDirective.COPY, versionId = undefined, sse = undefined }) {
     const params = {
       Bucket: bucket,
-      CopySource: `${bucket}/${copySource}`,
+      CopySource: copySourceParam(copySource, versionId),
       Key: filePath,
       Metadata: metadata,
       MetadataDirective: metadataDirective,
       TaggingDirective: taggingDirective,
-      VersionId: versionId
+      VersionId: versionId,
+      ...sseParams(sse, 'CopySource'),
+      ...sseParams(sse)
     };
 
+    if (mimeType) params.ContentType = mimeType;
+
     if (tags) {
       params.Tagging = Object.entries(tags).map(([key, value]) => {
         return `${key}=${encodeURIComponent(value)}`;
@@ -82,6 +175,112 @@ const objectStorageService = {
     return this._s3Client.send(new CopyObjectCommand(params));
   },
 
+  /**
+   * @function copyObjectMultipart
+   * Creates a copy of the object at `copySource` using a multipart upload of copied byte ranges
+   * Unlike `copyObject`, this supports objects larger than 5GB. The metadata and tags are always
+   * written explicitly, defaulting to those of the source object when not specified. Sources that
+   * fit within a single part, including empty ones, are copied with a single `copyObject` instead.
+   * @param {string} options.copySource Specifies the source object for the copy operation, excluding the bucket name
+   * @param {string} options.filePath The filePath of the object
+   * @param {object} [options.metadata] Optional metadata to store with the object
+   * @param {object} [options.tags] Optional tags to store with the object
+   * @param {string} [options.mimeType] Optional mime type of the copy, defaulting to that of the source object
+   * @param {string} [options.versionId=undefined] Optional versionId to copy from
+   * @param {number} [options.partLength=COPYPARTLENGTH] Optional minimum size of each copied part in bytes
+   * @param {object} [options.sse] Optional server side encryption options, applied to both the source and the copy
+   * @returns {Promise<object>} The response of the complete multipart upload operation, or of the copy object operation with its `ETag`
+   * @throws The error encountered while copying; the multipart upload is aborted beforehand
+   */
+  async copyObjectMultipart({ copySource, filePath, metadata, tags, mimeType, versionId = undefined, partLength = COPYPARTLENGTH, sse = undefined }) {
+    const source = await this.headObject({ filePath: copySource, versionId: versionId, sse: sse });
+    // Grow the part size if needed to stay within the S3 part limit
+    const length = Math.max(partLength, Math.ceil(source.ContentLength / MAXPARTS));
+
+    // A multipart upload needs at least one part, which an empty source cannot provide
+    if (source.ContentLength <= length) {
+      const response = await this.copyObject({
+        copySource: copySource,
+        filePath: filePath,
+        metadata: metadata ? metadata : source.Metadata,
+        tags: tags,
+        mimeType: mimeType ? mimeType : source.ContentType,
+        metadataDirective: MetadataDirective.REPLACE,
+        taggingDirective: tags ? TaggingDirective.REPLACE : TaggingDirective.COPY,
+        versionId: versionId,
+        sse: sse
+      });
+      return { ...response, ETag: response.CopyObjectResult ? response.CopyObjectResult.ETag : undefined };
+    }
+
+    // Multipart uploads do not inherit the source tags like CopyObject does
+    let tagset = tags;
+    if (!tagset) {
+      const { TagSet } = await this.getObjectTagging({ filePath: copySource, versionId: versionId });
+      if (TagSet && TagSet.length) tagset = Object.fromEntries(TagSet.map(({ Key, Value }) => [Key, Value]));
+    }
+
+    const { UploadId } = await this.createMultipartUpload({
+      filePath: filePath,
+      mimeType: mimeType ? mimeType : source.ContentType,
+      metadata: metadata ? metadata : source.Metadata,
+      tags: tagset,
+      sse: sse
+    });
+
+    try {
+      const parts = [];
+
+      for (let start = 0; start < source.ContentLength; start += length) {
+        const partNumber = parts.length + 1;
+        const end = Math.min(start + length, source.ContentLength) - 1;
+        const response = await this.uploadPartCopy({
+          copySource: copySource,
+          filePath: filePath,
+          uploadId: UploadId,
+          partNumber: partNumber,
+          range: `bytes=${start}-${end}`,
+          versionId: versionId,
+          sse: sse
+        });
+        parts.push({ ETag: response.CopyPartResult.ETag, PartNumber: partNumber });
+      }
+
+      return await this.completeMultipartUpload({ filePath: filePath, uploadId: UploadId, parts: parts });
+    } catch (err) {
+      await this.abortMultipartUpload({ filePath: filePath, uploadId: UploadId });
+      throw err;
+    }
+  },
+
+  /**
+   * @function createMultipartUpload
+   * Initiates a multipart upload for an object at `filePath`
+   * @param {string} options.filePath The filePath of the object
+   * @param {string} options.mimeType The mime type of the object
+   * @param {object} [options.metadata] Optional object containing key/value pairs for metadata
+   * @param {object} [options.tags] Optional object containing key/value pairs for tags
+   * @param {object} [options.sse] Optional server side encryption options
+   * @returns {Promise<object>} The response of the create multipart upload operation
+   */
+  createMultipartUpload({ filePath, mimeType, metadata, tags, sse = undefined }) {
+    const params = {
+      Bucket: bucket,
+      Key: filePath,
+      ContentType: mimeType,
+      Metadata: metadata,
+      ...sseParams(sse)
+    };
+
+    if (tags) {
+      params.Tagging = Object.entries(tags).map(([key, value]) => {
+        return `${key}=${encodeURIComponent(value)}`;
+      }).join('&');
+    }
+
+    return this._s3Client.send(new CreateMultipartUploadCommand(params));
+  },
+
   /**
    * @function deleteObject
    * Deletes the object at `filePath`
@@ -99,6 +298,36 @@ const objectStorageService = {
     return this._s3Client.send(new DeleteObjectCommand(params));
   },
 
+  /**
+   * @function deleteObjects
+   * Deletes multiple objects, sending at most MAXDELETEKEYS keys per S3 request
+   * @param {object[]} options.objects An array of objects to delete
+   * @param {string} options.objects[].filePath The filePath of the object
+   * @param {string} [options.objects[].versionId] Optional specific versionId for the object
+   * @returns {Promise<object>} The combined `Deleted` and `Errors` of the delete objects operations
+   */
+  async deleteObjects({ objects }) {
+    const response = { Deleted: [], Errors: [] };
+
+    for (let i = 0; i < objects.length; i += MAXDELETEKEYS) {
+      const params = {
+        Bucket: bucket,
+        Delete: {
+          Objects: objects.slice(i, i + MAXDELETEKEYS).map(({ filePath, versionId }) => ({
+            Key: filePath,
+            VersionId: versionId
+          }))
+        }
+      };
+
+      const batch = await this._s3Client.send(new DeleteObjectsCommand(params));
+      if (batch.Deleted) response.Deleted.push(...batch.Deleted);
+      if (batch.Errors) response.Errors.push(...batch.Errors);
+    }
+
+    return response;
+  },
+
   /**
    * @function deleteObjectTagging
    * Deletes the tags of the object at `filePath`
@@ -116,6 +345,24 @@ const objectStorageService = {
     return this._s3Client.send(new DeleteObjectTaggingCommand(params));
   },
 
+  /**
+   * @function enforceBucketEncryption
+   * Ensures the bucket encrypts new objects by default, applying AES256 encryption if it has no default
+   * @returns {Promise<boolean>} True if the default bucket encryption was applied, false if already present
+   */
+  async enforceBucketEncryption() {
+    try {
+      const response = await this.getBucketEncryption();
+      const { Rules } = response.ServerSideEncryptionConfiguration || {};
+      if (Rules && Rules.some(rule => rule.ApplyServerSideEncryptionByDefault)) return false;
+    } catch (err) {
+      if (err.name !== 'ServerSideEncryptionConfigurationNotFoundError') throw err;
+    }
+
+    await this.putBucketEncryption();
+    return true;
+  },
+
   /**
    * @function getBucketEncryption
    * @returns {Promise<object>} The response of the get bucket encryption operation
@@ -141,6 +388,40 @@ const objectStorageService = {
     return response.Status === 'Enabled';
   },
 
+  /**
+   * @function getObjectLegalHold
+   * Gets the Object Lock legal hold status of the object at `filePath`
+   * @param {string} options.filePath The filePath of the object
+   * @param {number} [options.versionId=undefined] Optional specific versionId for the object
+   * @returns {Promise<object>} The response of the get object legal hold operation
+   */
+  getObjectLegalHold({ filePath, versionId = undefined }) {
+    const params = {
+      Bucket: bucket,
+      Key: filePath,
+      VersionId: versionId
+    };
+
+    return this._s3Client.send(new GetObjectLegalHoldCommand(params));
+  },
+
+  /**
+   * @function getObjectRetention
+   * Gets the Object Lock retention settings of the object at `filePath`
+   * @param {string} options.filePath The filePath of the object
+   * @param {number} [options.versionId=undefined] Optional specific versionId for the object
+   * @returns {Promise<object>} The response of the get object retention operation
+   */
+  getObjectRetention({ filePath, versionId = undefined }) {
+    const params = {
+      Bucket: bucket,
+      Key: filePath,
+      VersionId: versionId
+    };
+
+    return this._s3Client.send(new GetObjectRetentionCommand(params));
+  },
+
   /**
    * @function getObjectTagging
    * Gets the tags of the object at `filePath`
@@ -176,13 +457,15 @@ const objectStorageService = {
    * Gets the object headers for the object at `filePath`
    * @param {string} options.filePath The filePath of the object
    * @param {string} options.versionId A version ID used to reference a speciific version of the object
+   * @param {object} [options.sse] Optional server side encryption options
    * @returns {Promise<object>} The response of the head object operation
    */
-  headObject({ filePath, versionId = undefined }) {
+  headObject({ filePath, versionId = undefined, sse = undefined }) {
     const params = {
       Bucket: bucket,
       Key: filePath,
-      VersionId: versionId
+      VersionId: versionId,
+      ...sseParams(sse)
     };
     return this._s3Client.send(new HeadObjectCommand(params));
   },
@@ -204,21 +487,79 @@ const objectStorageService = {
     return this._s3Client.send(new ListObjectsCommand(params));
   },
 
+  /**
+   * @function listObjectsV2
+   * Lists a page of the objects in the bucket with the prefix of `filePath`
+   * @param {string} options.filePath The prefix of the listed keys
+   * @param {string} [options.continuationToken] The continuation token of the page to list, if not the first
+   * @param {string} [options.delimiter] The delimiter grouping keys beyond the prefix into `CommonPrefixes`
+   * @param {number} [options.maxKeys=2^31-1] The maximum number of keys to return
+   * @returns {Promise<object>} The response of the list objects operation, including the `NextContinuationToken` if truncated
+   */
+  listObjectsV2({ filePath, continuationToken = undefined, delimiter = undefined, maxKeys = MAXKEYS }) {
+    const params = {
+      Bucket: bucket,
+      ContinuationToken: continuationToken,
+      Delimiter: delimiter,
+      Prefix: filePath,
+      MaxKeys: maxKeys
+    };
+
+    return this._s3Client.send(new ListObjectsV2Command(params));
+  },
+
   /**
    * @function ListObjectVerseion
    * Lists the versions for the object at `filePath`
    * @param {string} options.filePath The filePath of the object
-   * @returns {Promise<object>} The response of the list object version operation
+   * @param {string} [options.keyMarker] The key to list the versions after, if not the first page
+   * @param {string} [options.versionIdMarker] The version of `keyMarker` to list the versions after
+   * @param {number} [options.maxKeys] The maximum number of versions and delete markers to return
+   * @returns {Promise<object>} The response of the list object version operation, including the
+   * `NextKeyMarker` and `NextVersionIdMarker` if truncated
    */
-  listObjectVersion({ filePath }) {
+  listObjectVersion({ filePath, keyMarker = undefined, versionIdMarker = undefined, maxKeys = undefined }) {
     const params = {
       Bucket: bucket,
-      Prefix: filePath // Must filter via "prefix" - https://stackoverflow.com/a/56569856
+      KeyMarker: keyMarker,
+      Prefix: filePath, // Must filter via "prefix" - https://stackoverflow.com/a/56569856
+      VersionIdMarker: versionIdMarker,
+      MaxKeys: maxKeys
     };
 
     return this._s3Client.send(new ListObjectVersionsCommand(params));
   },
 
+  /**
+   * @function listParts
+   * Lists all parts uploaded so far for the multipart upload `uploadId`
+   * Follows the S3 pagination markers so that every uploaded part is returned
+   * @param {string} options.filePath The filePath of the object
+   * @param {string} options.uploadId The S3 multipart UploadId
+   * @returns {Promise<object[]>} An array of the uploaded parts in ascending part order
+   */
+  async listParts({ filePath, uploadId }) {
+    const parts = [];
+    let marker = undefined;
+    let truncated = false;
+
+    do {
+      const params = {
+        Bucket: bucket,
+        Key: filePath,
+        PartNumberMarker: marker,
+        UploadId: uploadId
+      };
+      const response = await this._s3Client.send(new ListPartsCommand(params));
+
+      if (response.Parts) parts.push(...response.Parts);
+      marker = response.NextPartNumberMarker;
+      truncated = response.IsTruncated;
+    } while (truncated && marker);
+
+    return parts;
+  },
+
   /**
    * @function presignUrl
    * Generates a presigned url for the `command` with a limited expiration window
@@ -250,28 +591,38 @@ const objectStorageService = {
 
   /**
    * @function putObject
-   * Puts the object `stream` at the `id` path
+   * Puts the object `stream` at the `filePath` path
    * @param {stream} options.stream The binary stream of the object
-   * @param {string} options.id The filePath id of the object
+   * @param {string} options.id The id of the object
+   * @param {string} [options.filePath] Optional filePath of the object, defaulting to the path of `id`
    * @param {string} options.mimeType The mime type of the object
    * @param {object} [options.metadata] Optional object containing key/value pairs for metadata
    * @param {object} [options.tags] Optional object containing key/value pairs for tags
+   * @param {object} [options.sse] Optional server side encryption options
+   * @param {string} [options.contentMD5] Optional base64 MD5 digest S3 must verify the content against
+   * @param {string} [options.checksumSHA256] Optional base64 SHA256 digest S3 must verify the content against
+   * @param {AbortSignal} [options.abortSignal] Optional signal abandoning the put before the content is stored
    * @returns {Promise<object>} The response of the put object operation
    */
-  putObject({ stream, id, mimeType, metadata, tags }) {
+  putObject({ stream, id, filePath = getPath(id), mimeType, metadata, tags, sse = undefined, contentMD5, checksumSHA256, abortSignal }) {
     const params = {
       Bucket: bucket,
-      Key: getPath(id),
+      Key: filePath,
       Body: stream,
       ContentType: mimeType,
       Metadata: {
         ...metadata,
         id: id // enforce metadata `id: <object ID>`
       },
-      // TODO: Consider adding API param support for Server Side Encryption
-      // ServerSideEncryption: 'AES256'
+      ...sseParams(sse)
     };
 
+    if (contentMD5) params.ContentMD5 = contentMD5;
+    if (checksumSHA256) {
+      params.ChecksumAlgorithm = 'SHA256';
+      params.ChecksumSHA256 = checksumSHA256;
+    }
+
     if (tags) {
       params.Tagging = Object.entries(tags).map(([key, value]) => {
         return `${key}=${encodeURIComponent(value)}`;
@@ -279,7 +630,53 @@ const objectStorageService = {
     }
 
     // TODO: Consider refactoring to use Upload instead from @aws-sdk/lib-storage
-    return this._s3Client.send(new PutObjectCommand(params));
+    return this._s3Client.send(new PutObjectCommand(params), { abortSignal });
+  },
+
+  /**
+   * @function putObjectLegalHold
+   * Places or removes an Object Lock legal hold on the object at `filePath`
+   * @param {string} options.filePath The filePath of the object
+   * @param {string} options.status The legal hold status, either `ON` or `OFF`
+   * @param {number} [options.versionId=undefined] Optional specific versionId for the object
+   * @returns {Promise<object>} The response of the put object legal hold operation
+   */
+  putObjectLegalHold({ filePath, status, versionId = undefined }) {
+    const params = {
+      Bucket: bucket,
+      Key: filePath,
+      LegalHold: {
+        Status: status
+      },
+      VersionId: versionId
+    };
+
+    return this._s3Client.send(new PutObjectLegalHoldCommand(params));
+  },
+
+  /**
+   * @function putObjectRetention
+   * Sets the Object Lock retention settings of the object at `filePath`
+   * @param {string} options.filePath The filePath of the object
+   * @param {string} options.mode The retention mode, either `GOVERNANCE` or `COMPLIANCE`
+   * @param {Date} options.retainUntilDate The date until which the object is retained
+   * @param {number} [options.versionId=undefined] Optional specific versionId for the object
+   * @param {boolean} [options.bypassGovernance=false] Optional flag to shorten or replace a governance mode retention
+   * @returns {Promise<object>} The response of the put object retention operation
+   */
+  putObjectRetention({ filePath, mode, retainUntilDate, versionId = undefined, bypassGovernance = false }) {
+    const params = {
+      Bucket: bucket,
+      Key: filePath,
+      Retention: {
+        Mode: mode,
+        RetainUntilDate: retainUntilDate
+      },
+      VersionId: versionId
+    };
+    if (bypassGovernance) params.BypassGovernanceRetention = true;
+
+    return this._s3Client.send(new PutObjectRetentionCommand(params));
   },
 
   /**
@@ -308,13 +705,21 @@ const objectStorageService = {
    * Reads the object at `filePath`
    * @param {string} options.filePath The filePath of the object
    * @param {number} [options.versionId=undefined] Optional specific versionId for the object
+   * @param {string} [options.range=undefined] Optional HTTP byte range of the object to read
+   * @param {string} [options.ifMatch=undefined] Optional ETag the object must match to be read
+   * @param {Date} [options.ifUnmodifiedSince=undefined] Optional date the object must not have been modified since to be read
+   * @param {object} [options.sse] Optional server side encryption options
    * @returns {Promise<object>} The response of the get object operation
    */
-  readObject({ filePath, versionId = undefined }) {
+  readObject({ filePath, versionId = undefined, range = undefined, ifMatch = undefined, ifUnmodifiedSince = undefined, sse = undefined }) {
     const params = {
       Bucket: bucket,
       Key: filePath,
-      VersionId: versionId
+      VersionId: versionId,
+      Range: range,
+      IfMatch: ifMatch,
+      IfUnmodifiedSince: ifUnmodifiedSince,
+      ...sseParams(sse)
     };
 
     return this._s3Client.send(new GetObjectCommand(params));
@@ -326,18 +731,107 @@ const objectStorageService = {
    * @param {string} options.filePath The filePath of the object
    * @param {number} [options.versionId=undefined] Optional specific versionId for the object
    * @param {number} [options.expiresIn] The number of seconds this signed url will be valid for
+   * @param {object} [options.sse] Optional server side encryption options. Customer-provided key
+   * headers are signed into the url and must also be sent by the client
    * @returns {Promise<string>} A presigned url for the direct S3 REST `command` operation
    */
-  readSignedUrl({ filePath, versionId = undefined, expiresIn }) {
+  readSignedUrl({ filePath, versionId = undefined, expiresIn, sse = undefined }) {
     const expires = expiresIn ? expiresIn : defaultTempExpiresIn;
     const params = {
       Bucket: bucket,
       Key: filePath,
-      VersionId: versionId
+      VersionId: versionId,
+      ...sseParams(sse)
     };
 
 
     return this.presignUrl(new GetObjectCommand(params), expires);
+  },
+
+  /**
+   * @function uploadPart
+   * Uploads the part `partNumber` of the multipart upload `uploadId`
+   * @param {string} options.filePath The filePath of the object
+   * @param {string} options.uploadId The S3 multipart UploadId
+   * @param {number} options.partNumber The part number, between 1 and 10,000
+   * @param {stream} options.stream The binary stream of the part
+   * @param {number} options.length The size of the part in bytes
+   * @param {object} [options.sse] Optional server side encryption options; a customer-provided key must
+   * match the key the multipart upload was initiated with
+   * @returns {Promise<object>} The response of the upload part operation
+   */
+  uploadPart({ filePath, uploadId, partNumber, stream, length, sse = undefined }) {
+    const params = {
+      Bucket: bucket,
+      Key: filePath,
+      Body: stream,
+      ContentLength: length,
+      PartNumber: partNumber,
+      UploadId: uploadId,
+      ...sseParams(sse)
+    };
+
+    return this._s3Client.send(new UploadPartCommand(params));
+  },
+
+  /**
+   * @function uploadPartCopy
+   * Copies the byte `range` of the object at `copySource` as the part `partNumber` of the multipart upload `uploadId`
+   * @param {string} options.copySource Specifies the source object for the copy operation, excluding the bucket name
+   * @param {string} options.filePath The filePath of the object
+   * @param {string} options.uploadId The S3 multipart UploadId
+   * @param {number} options.partNumber The part number, between 1 and 10,000
+   * @param {string} options.range The byte range to copy, in the form `bytes=first-last`
+   * @param {string} [options.versionId=undefined] Optional versionId to copy from
+   * @param {object} [options.sse] Optional server side encryption options, applied to both the source and the part
+   * @returns {Promise<object>} The response of the upload part copy operation
+   */
+  uploadPartCopy({ copySource, filePath, uploadId, partNumber, range, versionId = undefined, sse = undefined }) {
+    const params = {
+      Bucket: bucket,
+      CopySource: copySourceParam(copySource, versionId),
+      CopySourceRange: range,
+      Key: filePath,
+      PartNumber: partNumber,
+      UploadId: uploadId,
+      ...sseParams(sse, 'CopySource'),
+      ...sseParams(sse)
+    };
+
+    return this._s3Client.send(new UploadPartCopyCommand(params));
+  },
+
+  /**
+   * @function writeSignedUrl
+   * Yields a presigned url for the put object operation with a limited expiration window
+   * The metadata and tags are embedded into the signed url, but the client must send a
+   * matching `Content-Type` header when putting the object
+   * @param {string} options.filePath The filePath of the object
+   * @param {string} options.mimeType The mime type of the object
+   * @param {object} [options.metadata] Optional object containing key/value pairs for metadata
+   * @param {object} [options.tags] Optional object containing key/value pairs for tags
+   * @param {number} [options.contentLength] Optional size in bytes the content must have, signed into the url
+   * as the `Content-Length` header the client must send
+   * @param {number} [options.expiresIn] The number of seconds this signed url will be valid for
+   * @returns {Promise<string>} A presigned url for the direct S3 REST `command` operation
+   */
+  writeSignedUrl({ filePath, mimeType, metadata, tags, contentLength, expiresIn }) {
+    const expires = expiresIn ? expiresIn : defaultTempExpiresIn;
+    const params = {
+      Bucket: bucket,
+      Key: filePath,
+      ContentType: mimeType,
+      Metadata: metadata
+    };
+
+    if (tags) {
+      params.Tagging = Object.entries(tags).map(([key, value]) => {
+        return `${key}=${encodeURIComponent(value)}`;
+      }).join('&');
+    }
+    if (contentLength !== undefined) params.ContentLength = contentLength;
+
+    return this.presignUrl(new PutObjectCommand(params), expires);
   }
 };
 
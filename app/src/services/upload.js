@@ -0,0 +1,115 @@
+const { UploadStatus } = require('../components/constants');
+const { Upload } = require('../db/models');
+
+/**
+ * The Upload DB Service
+ */
+const service = {
+  /**
+   * @function create
+   * Create a multipart upload session record
+   * @param {string} data.id The upload session uuid
+   * @param {string} data.type The upload session mechanism
+   * @param {string} [data.uploadId] The S3 multipart UploadId, if a multipart upload
+   * @param {string} data.objectId The object uuid reserved for this upload
+   * @param {boolean} [data.newObject=true] Whether completing the session creates a new object or a new version
+   * @param {string} data.path The relative S3 key/path of the object
+   * @param {string} [data.mimeType] The optional mime type of the object
+   * @param {object} [data.metadata] Optional object containing key/value pairs for metadata
+   * @param {object} [data.tags] Optional object containing key/value pairs for tags
+   * @param {string} data.userId The uploading user userId
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<object>} The result of running the insert operation
+   * @throws The error encountered upon db transaction failure
+   */
+  create: async (data, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Upload.startTransaction();
+
+      const obj = {
+        id: data.id,
+        uploadId: data.uploadId,
+        objectId: data.objectId,
+        path: data.path,
+        mimeType: data.mimeType,
+        metadata: data.metadata,
+        tags: data.tags,
+        status: UploadStatus.PENDING,
+        type: data.type,
+        newObject: data.newObject !== false,
+        createdBy: data.userId
+      };
+      const response = await Upload.query(trx).insert(obj).returning('*');
+
+      if (!etrx) await trx.commit();
+      return Promise.resolve(response);
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * @function read
+   * Get an upload session db record
+   * @param {string} id The upload session uuid
+   * @returns {Promise<object>} The result of running the read operation, or undefined if not found
+   */
+  read: (id) => {
+    return Upload.query()
+      .findById(id);
+  },
+
+  /**
+   * @function searchUploads
+   * Search and filter for specific upload session records
+   * @param {string|string[]} [params.objectId] Optional string or array of object uuids
+   * @param {string|string[]} [params.path] Optional string or array of S3 keys/paths of the session
+   * @param {string} [params.pathPrefix] Optional string the S3 key/path of the session must begin with
+   * @param {string|string[]} [params.status] Optional string or array of session states
+   * @param {string|string[]} [params.type] Optional string or array of session mechanisms
+   * @param {string|string[]} [params.userId] Optional string or array of uuids representing the creator
+   * @returns {Promise<object[]>} The result of running the find operation
+   */
+  searchUploads: (params) => {
+    return Upload.query()
+      .modify('filterObjectId', params.objectId)
+      .modify('filterPath', params.path)
+      .modify('filterPathPrefix', params.pathPrefix)
+      .modify('filterStatus', params.status)
+      .modify('filterType', params.type)
+      .modify('filterCreatedBy', params.userId)
+      .orderBy('createdAt', 'desc');
+  },
+
+  /**
+   * @function updateStatus
+   * Transitions an upload session record to a new state
+   * @param {string} id The upload session uuid
+   * @param {string} status The new upload session state
+   * @param {string} userId The userId of the user performing the transition
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<object>} The result of running the patch operation
+   * @throws The error encountered upon db transaction failure
+   */
+  updateStatus: async (id, status, userId, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Upload.startTransaction();
+
+      const response = await Upload.query(trx).patchAndFetchById(id, {
+        status: status,
+        updatedBy: userId
+      });
+
+      if (!etrx) await trx.commit();
+      return response;
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  }
+};
+
+module.exports = service;
@@ -183,7 +183,13 @@ const service = {
    * @param {string} [params.lastName] Optional lastName string to match on
    * @param {boolean} [params.active] Optional boolean on user active status
    * @param {string} [params.search] Optional search string to match on in username, email and fullName
-   * @returns {Promise<object>} The result of running the find operation
+   * @param {string} [params.sort] Optional attribute to sort on, one of createdAt, updatedAt, username, email or name
+   * @param {string} [params.order] Optional sort order, one of asc or desc
+   * @param {number} [params.page] Optional 1-based page number of the results
+   * @param {number} [params.limit] Optional number of results per page
+   * @param {boolean} [params.all=false] Optional boolean on whether to return every match instead of a page
+   * @returns {Promise<object|object[]>} The `results` of the page along with the `total` number of matching users,
+   * or every matching user if `all` is requested
    */
   searchUsers: (params) => {
     return User.query()
@@ -197,7 +203,9 @@ const service = {
       .modify('filterLastName', params.lastName)
       .modify('filterActive', params.active)
       .modify('filterSearch', params.search)
-      .modify('orderLastFirstAscending');
+      .modify('sortBy', params.sort, params.order)
+      .modify('orderLastFirstAscending')
+      .modify('paginate', params.page, params.limit, params.all);
   },
 
   /**
@@ -1,5 +1,5 @@
 const { v4: uuidv4, NIL: SYSTEM_USER } = require('uuid');
-const { Version } = require('../db/models');
+const { Version, VersionMetadata, VersionSearch, VersionTag } = require('../db/models');
 
 /**
  * The Version DB Service
@@ -7,16 +7,18 @@ const { Version } = require('../db/models');
 const service = {
   /**
    * @function copy
-   * Creates a new Version DB record from an existing record
+   * Creates a new Version DB record from an existing record, along with its metadata and tags
    * @param {string} sourceVersionId S3 VersionId of source version
-   * @param {string} newVersionId S3 VersionId of new version
+   * @param {string} data.versionId S3 VersionId of new version
+   * @param {string} [data.etag] Optional ETag S3 assigned to the new version
+   * @param {string} [data.storageClass] Optional S3 storage class of the new version
    * @param {string} objectId uuid of the object
    * @param {string} UserId uuid of the current user
    * @param {object} [etrx=undefined] An optional Objection Transaction object
    * @returns {Promise<object>} The Version created in database
    * @throws The error encountered upon db transaction failure
    */
-  copy: async (sourceVersionId, newVersionId, objectId, userId, etrx = undefined) => {
+  copy: async (sourceVersionId, data, objectId, userId, etrx = undefined) => {
     let trx;
     try {
       trx = etrx ? etrx : await Version.startTransaction();
@@ -42,13 +44,82 @@ const service = {
       const response = await Version.query(trx)
         .insert({
           id: uuidv4(),
-          versionId: newVersionId,
+          versionId: data.versionId,
           objectId: objectId,
           mimeType: sourceVersion.mimeType,
           deleteMarker: sourceVersion.deleteMarker,
+          // The content is unchanged by a copy, but S3 may assign it a different ETag
+          checksum: sourceVersion.checksum,
+          checksumAlgorithm: sourceVersion.checksumAlgorithm,
+          size: sourceVersion.size,
+          etag: data.etag,
+          storageClass: data.storageClass,
           createdBy: userId
         });
 
+      // carry over the metadata and tags of the source version
+      const metadata = await VersionMetadata.query(trx).modify('filterVersionId', sourceVersion.id);
+      if (metadata.length) {
+        await VersionMetadata.query(trx)
+          .insert(metadata.map(({ metadataId }) => ({
+            versionId: response.id,
+            metadataId: metadataId,
+            createdBy: userId
+          })));
+      }
+      const tags = await VersionTag.query(trx).modify('filterVersionId', sourceVersion.id);
+      if (tags.length) {
+        await VersionTag.query(trx)
+          .insert(tags.map(({ tagId }) => ({
+            versionId: response.id,
+            tagId: tagId,
+            createdBy: userId
+          })));
+      }
+
+      // the content is unchanged, and so is the text extracted from it
+      const search = await VersionSearch.query(trx).findById(sourceVersion.id);
+      if (search && search.extractedAt) {
+        await VersionSearch.query(trx)
+          .findById(response.id)
+          .patch({ content: search.content, extractedAt: new Date(search.extractedAt).toISOString() });
+      }
+
+      if (!etrx) await trx.commit();
+      return Promise.resolve(response);
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * @function countBlobReferences
+   * Counts the versions whose content is stored in a given S3 object version, including its own version
+   * @param {string} blobPath The S3 key of the stored content
+   * @param {string} blobVersionId The S3 VersionId of the stored content
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<integer>} The number of versions referencing the stored content
+   * @throws The error encountered upon db transaction failure
+   */
+  countBlobReferences: async (blobPath, blobVersionId, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Version.startTransaction();
+
+      const response = await Version.query(trx)
+        .joinRelated('object')
+        .where(builder => {
+          builder
+            .where({ 'version.blobPath': blobPath, 'version.blobVersionId': blobVersionId })
+            .orWhere(owner => {
+              owner
+                .whereNull('version.blobPath')
+                .where({ 'object.path': blobPath, 'version.versionId': blobVersionId });
+            });
+        })
+        .resultSize();
+
       if (!etrx) await trx.commit();
       return Promise.resolve(response);
     } catch (err) {
@@ -77,7 +148,14 @@ const service = {
           mimeType: data.mimeType,
           objectId: data.id,
           createdBy: userId,
-          deleteMarker: data.deleteMarker
+          deleteMarker: data.deleteMarker,
+          checksum: data.checksum,
+          checksumAlgorithm: data.checksumAlgorithm,
+          size: data.size,
+          etag: data.etag,
+          storageClass: data.storageClass,
+          blobPath: data.blobPath,
+          blobVersionId: data.blobVersionId
         })
         .returning('id', 'objectId');
 
@@ -119,6 +197,88 @@ const service = {
     }
   },
 
+  /**
+   * @function detachBlob
+   * Records that a deduplicated version now stores its own copy of its content
+   * @param {string} id The version uuid
+   * @param {string} data.versionId S3 VersionId of the stored copy
+   * @param {string} [data.etag] Optional ETag S3 assigned to the stored copy
+   * @param {string} [data.storageClass] Optional S3 storage class of the stored copy
+   * @param {string} userId uuid of the current user
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<object>} the Version object updated in the database
+   * @throws The error encountered upon db transaction failure
+   */
+  detachBlob: async (id, data, userId = SYSTEM_USER, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Version.startTransaction();
+
+      const response = await Version.query(trx)
+        .patchAndFetchById(id, {
+          versionId: data.versionId,
+          etag: data.etag,
+          storageClass: data.storageClass,
+          blobPath: null,
+          blobVersionId: null,
+          updatedBy: userId
+        });
+
+      if (!etrx) await trx.commit();
+      return Promise.resolve(response);
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * @function findBlob
+   * Finds stored content identical to the content described by `data`
+   * Only versioned content is considered, as an unversioned object may be overwritten at any time.
+   * Empty content is never shared, as sharing it would save no storage.
+   * @param {string} data.checksum The checksum of the content
+   * @param {string} data.checksumAlgorithm The algorithm of the checksum
+   * @param {number} data.size The size of the content in bytes
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<object>} An object with the `blobPath` and `blobVersionId` of the stored content, or undefined if none exists
+   * @throws The error encountered upon db transaction failure
+   */
+  findBlob: async ({ checksum, checksumAlgorithm, size }, etrx = undefined) => {
+    if (!size) return Promise.resolve(undefined);
+
+    let trx;
+    try {
+      trx = etrx ? etrx : await Version.startTransaction();
+
+      const version = await Version.query(trx)
+        .select('version.versionId', 'version.blobPath', 'version.blobVersionId', 'object.path')
+        .joinRelated('object')
+        .where({
+          'version.checksum': checksum,
+          'version.checksumAlgorithm': checksumAlgorithm,
+          'version.size': size,
+          'version.deleteMarker': false
+        })
+        .whereNotNull('version.versionId')
+        .orderBy('version.createdAt', 'asc')
+        .first();
+
+      let response = undefined;
+      if (version) {
+        response = version.blobPath ?
+          { blobPath: version.blobPath, blobVersionId: version.blobVersionId } :
+          { blobPath: version.path, blobVersionId: version.versionId };
+      }
+
+      if (!etrx) await trx.commit();
+      return Promise.resolve(response);
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  },
+
   /**
  * @function get
  * Get a given version from the database
@@ -158,10 +318,65 @@ const service = {
     }
   },
 
+  /**
+   * @function getBlob
+   * Get a given version from the database if it references the stored content of another version
+   * @param {string} [versionId] S3 VersionId, or the latest version (including delete-markers) if undefined
+   * @param {string} objectId id of the parent object
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<object>} the Version object along with its `metadata` and `tag`, or undefined if it stores its own content
+   * @throws The error encountered upon db transaction failure
+   */
+  getBlob: async (versionId, objectId, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Version.startTransaction();
+
+      const query = Version.query(trx)
+        .where('objectId', objectId)
+        .withGraphFetched('[metadata, tag]');
+      const version = versionId ?
+        await query.where('versionId', versionId).first() :
+        await query.orderBy('createdAt', 'desc').first();
+
+      if (!etrx) await trx.commit();
+      return Promise.resolve(version && version.blobPath ? version : undefined);
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * @function getLatest
+   * Get the latest version of an object from the database, including delete-markers
+   * @param {string} objectId id of the parent object
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<object>} the Version object from the database, or undefined if the object has no versions
+   * @throws The error encountered upon db transaction failure
+   */
+  getLatest: async (objectId, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Version.startTransaction();
+
+      const response = await Version.query(trx)
+        .where('objectId', objectId)
+        .orderBy('createdAt', 'desc')
+        .first();
+
+      if (!etrx) await trx.commit();
+      return Promise.resolve(response);
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  },
+
   /**
    * @function list
    * list versions of an object.
-   * @param {string} uuid of an object
+   * @param {string|string[]} objId uuid of an object, or an array of object uuids
    * @param {object} [etrx=undefined] An optional Objection Transaction object
    * @returns {Promise<array>} Array of rows returned from the database
    * @throws The error encountered upon db transaction failure
@@ -171,8 +386,210 @@ const service = {
     try {
       trx = etrx ? etrx : await Version.startTransaction();
       // update version record
+      const response = Array.isArray(objId) ?
+        await Version.query(trx).whereIn('objectId', objId) :
+        await Version.query(trx).where({ objectId: objId });
+      if (!etrx) await trx.commit();
+      return Promise.resolve(response);
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * @function listBlobPaths
+   * Lists which of the S3 keys `paths` store content referenced by deduplicated versions
+   * @param {string[]} paths The S3 keys to check
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<string[]>} The referenced S3 keys
+   * @throws The error encountered upon db transaction failure
+   */
+  listBlobPaths: async (paths, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Version.startTransaction();
       const response = await Version.query(trx)
-        .where({ objectId: objId });
+        .distinct('version.blobPath')
+        .whereIn('version.blobPath', paths);
+      if (!etrx) await trx.commit();
+      return Promise.resolve(response.map(version => version.blobPath));
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * @function listIncomplete
+   * Lists versions recorded without their size, ETag or storage class, in id order
+   * @param {integer} limit The maximum number of versions to list
+   * @param {string} [after] Optional version uuid to list the versions after
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<object[]>} The versions along with the `path` of their object
+   * @throws The error encountered upon db transaction failure
+   */
+  listIncomplete: async (limit, after = undefined, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Version.startTransaction();
+      const response = await Version.query(trx)
+        .select('version.*', 'object.path')
+        .joinRelated('object')
+        .where('version.deleteMarker', false)
+        .where(builder => {
+          builder
+            .whereNull('version.size')
+            .orWhereNull('version.etag')
+            .orWhereNull('version.storageClass');
+        })
+        .modify(query => {
+          if (after) query.where('version.id', '>', after);
+        })
+        .orderBy('version.id')
+        .limit(limit);
+      if (!etrx) await trx.commit();
+      return Promise.resolve(response);
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * @function listUnextracted
+   * Lists versions whose text has not yet been extracted for full-text search, oldest first
+   * @param {integer} limit The maximum number of versions to list
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<object[]>} The versions along with the `path` of their object
+   * @throws The error encountered upon db transaction failure
+   */
+  listUnextracted: async (limit, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Version.startTransaction();
+      const response = await Version.query(trx)
+        .select('version.*', 'object.path')
+        .joinRelated('[object, search]')
+        .whereNull('search.extractedAt')
+        .orderBy('version.createdAt')
+        .limit(limit);
+      if (!etrx) await trx.commit();
+      return Promise.resolve(response);
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * @function recordStorage
+   * Records the size, ETag and storage class of the content of a version
+   * @param {string} id The version uuid
+   * @param {number} data.size The size of the content in bytes
+   * @param {string} data.etag The ETag of the content
+   * @param {string} data.storageClass The S3 storage class of the content
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<integer>} The number of records updated
+   * @throws The error encountered upon db transaction failure
+   */
+  recordStorage: async (id, data, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Version.startTransaction();
+      const response = await Version.query(trx)
+        .findById(id)
+        .patch({
+          size: data.size,
+          etag: data.etag,
+          storageClass: data.storageClass
+        });
+      if (!etrx) await trx.commit();
+      return Promise.resolve(response);
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * @function recordText
+   * Records the text extracted from a version for full-text search
+   * @param {string} id The version uuid
+   * @param {string} [content] The extracted text, or null if the version has no text
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<integer>} The number of records updated
+   * @throws The error encountered upon db transaction failure
+   */
+  recordText: async (id, content, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Version.startTransaction();
+      const response = await VersionSearch.query(trx)
+        .findById(id)
+        .patch({ content: content || null, extractedAt: new Date().toISOString() });
+      if (!etrx) await trx.commit();
+      return Promise.resolve(response);
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * @function relocate
+   * Records that the versions of an object were copied to a new path, along with any versions of
+   * other objects deduplicated against their content
+   * @param {string} objectId uuid of the object
+   * @param {string} oldPath The path the versions were copied from
+   * @param {string} newPath The path the versions were copied to
+   * @param {object[]} versions Array of the `versionId` of each copied version and the `newVersionId`, `etag` and
+   * `storageClass` of its copy
+   * @param {string} userId uuid of the current user
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<void>}
+   * @throws The error encountered upon db transaction failure
+   */
+  relocate: async (objectId, oldPath, newPath, versions, userId = SYSTEM_USER, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Version.startTransaction();
+
+      for (const { versionId, newVersionId, etag, storageClass } of versions) {
+        await Version.query(trx)
+          .where({ objectId: objectId, versionId: versionId })
+          .patch({ versionId: newVersionId, etag: etag, storageClass: storageClass, updatedBy: userId });
+        await Version.query(trx)
+          .where({ blobPath: oldPath, blobVersionId: versionId })
+          .patch({ blobPath: newPath, blobVersionId: newVersionId, etag: etag, storageClass: storageClass, updatedBy: userId });
+      }
+
+      if (!etrx) await trx.commit();
+      return Promise.resolve();
+    } catch (err) {
+      if (!etrx && trx) await trx.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * @function touch
+   * Records that a version was modified without changing its content, such as when its tags are updated
+   * @param {string} id The version uuid
+   * @param {string} [userId=SYSTEM_USER] uuid of the current user
+   * @param {object} [etrx=undefined] An optional Objection Transaction object
+   * @returns {Promise<integer>} The number of versions updated
+   * @throws The error encountered upon db transaction failure
+   */
+  touch: async (id, userId = SYSTEM_USER, etrx = undefined) => {
+    let trx;
+    try {
+      trx = etrx ? etrx : await Version.startTransaction();
+
+      const response = await Version.query(trx)
+        .findById(id)
+        .patch({ updatedBy: userId });
+
       if (!etrx) await trx.commit();
       return Promise.resolve(response);
     } catch (err) {
@@ -203,11 +620,23 @@ const service = {
         .patch({
           objectId: data.id,
           updatedBy: userId,
-          mimeType: data.mimeType
+          mimeType: data.mimeType,
+          checksum: data.checksum,
+          checksumAlgorithm: data.checksumAlgorithm,
+          size: data.size,
+          etag: data.etag,
+          storageClass: data.storageClass
         })
         .first()
         .returning('id');
 
+      // the text of the replaced content must be extracted again
+      if (version) {
+        await VersionSearch.query(trx)
+          .findById(version.id)
+          .patch({ content: null, extractedAt: null });
+      }
+
       // TODO: consider updating metadata here instead of the controller
 
       if (!etrx) await trx.commit();
@@ -1,5 +1,12 @@
 const { Joi } = require('express-validation');
-const { Permissions } = require('../components/constants');
+const {
+  MatchOperator,
+  MatchType,
+  MAXPAGELIMIT,
+  Permissions,
+  SortOrder,
+  SSEAlgorithm
+} = require('../components/constants');
 
 /**
  * @function oneOrMany
@@ -26,6 +33,18 @@ const type = {
 
   email: Joi.string().max(255).email(),
 
+  // Search results are paged from 1, with at most MAXPAGELIMIT results per page
+  page: Joi.number().integer().min(1),
+
+  limit: Joi.number().integer().min(1).max(MAXPAGELIMIT),
+
+  order: Joi.string().valid(...Object.values(SortOrder)),
+
+  sort: (columns) => Joi.string().valid(...columns),
+
+  // Logical folders are relative to the storage key and may not traverse out of it
+  folder: Joi.string().allow('').max(1024).pattern(/^(?!(.*\/)?\.{1,2}(\/|$))[^\\]*$/),
+
   uuidv4: Joi.string().guid({
     version: 'uuidv4'
   }),
@@ -34,6 +53,17 @@ const type = {
     .pattern(/^x-amz-meta-.{1,255}$/i, Joi.string().min(min).max(255))
     .unknown(),
 
+  sse: Joi.object({
+    'x-amz-server-side-encryption': Joi.string().valid(...Object.values(SSEAlgorithm)),
+    'x-amz-server-side-encryption-customer-algorithm': Joi.string().valid(...Object.values(SSEAlgorithm)),
+    'x-amz-server-side-encryption-customer-key': Joi.string().base64(),
+    'x-amz-server-side-encryption-customer-key-md5': Joi.string().base64()
+  })
+    .and('x-amz-server-side-encryption-customer-algorithm', 'x-amz-server-side-encryption-customer-key')
+    .with('x-amz-server-side-encryption-customer-key-md5', 'x-amz-server-side-encryption-customer-key')
+    .without('x-amz-server-side-encryption', 'x-amz-server-side-encryption-customer-key')
+    .unknown(),
+
   tagset: (min) => Joi.object().pattern(/^.{1,128}$/, Joi.string().min(min).max(255))
 };
 
@@ -46,7 +76,54 @@ const scheme = {
 
   string: oneOrMany(Joi.string().max(255)),
 
-  permCode: oneOrMany(Joi.string().valid(...Object.values(Permissions)))
+  permCode: oneOrMany(Joi.string().valid(...Object.values(Permissions))),
+
+  // A metadata or tag condition, or a group of expressions of which `and` all or `or` any must be met
+  match: Joi.alternatives().try(
+    Joi.object({
+      metadata: Joi.string().min(1).max(255),
+      tag: Joi.string().min(1).max(128),
+      op: Joi.string().valid(...Object.values(MatchOperator)),
+      // Only comparisons may be made between numbers or dates
+      type: Joi.string().valid(...Object.values(MatchType)).when('op', {
+        is: Joi.valid(MatchOperator.PREFIX, MatchOperator.CONTAINS, MatchOperator.IN, MatchOperator.EXISTS).required(),
+        then: Joi.valid(Joi.override, MatchType.STRING)
+      }),
+      ignoreCase: Joi.boolean(),
+      value: Joi.when('op', {
+        switch: [
+          { is: MatchOperator.EXISTS, then: Joi.forbidden() },
+          { is: MatchOperator.IN, then: Joi.array().items(Joi.string().max(255)).min(1).max(100).required() }
+        ],
+        otherwise: Joi.when('type', {
+          switch: [
+            { is: MatchType.NUMBER, then: Joi.number().required() },
+            { is: MatchType.DATE, then: Joi.date().iso().required() }
+          ],
+          otherwise: Joi.string().max(255).required()
+        })
+      })
+    }).xor('metadata', 'tag'),
+    Joi.object({
+      and: Joi.array().items(Joi.link('#matchExpression')).min(1).max(100),
+      or: Joi.array().items(Joi.link('#matchExpression')).min(1).max(100)
+    }).xor('and', 'or')
+  ).id('matchExpression'),
+
+  objectSelection: Joi.object({
+    objId: Joi.array().items(type.uuidv4).min(1).unique(),
+    filter: Joi.object({
+      name: Joi.string(),
+      path: Joi.string().max(1024),
+      mimeType: Joi.string().max(255),
+      hash: Joi.string().base64(),
+      metadata: Joi.object().pattern(/^.{1,255}$/, Joi.string().max(255)),
+      tagset: type.tagset(0),
+      public: Joi.boolean(),
+      active: Joi.boolean(),
+      deleteMarker: Joi.boolean()
+    }).min(1)
+  }).xor('objId', 'filter')
 };
 
 module.exports = { oneOrMany, scheme, type };
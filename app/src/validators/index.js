@@ -1,4 +1,5 @@
 module.exports = {
+  jobValidator: require('./job'),
   objectValidator: require('./object'),
   permissionValidator: require('./permission'),
   userValidator: require('./user'),
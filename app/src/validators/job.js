@@ -0,0 +1,34 @@
+const { validate, Joi } = require('express-validation');
+
+const { type } = require('./common');
+const { DanglingAction } = require('../components/constants');
+
+const schema = {
+  readJob: {
+    params: Joi.object({
+      jobId: type.uuidv4
+    })
+  },
+
+  reconcile: {
+    body: Joi.object({
+      repair: Joi.boolean(),
+      dangling: Joi.string().valid(...Object.values(DanglingAction))
+    })
+  },
+
+  resumeJob: {
+    params: Joi.object({
+      jobId: type.uuidv4
+    })
+  }
+};
+
+const validator = {
+  readJob: validate(schema.readJob, { statusCode: 422 }),
+  reconcile: validate(schema.reconcile, { statusCode: 422 }),
+  resumeJob: validate(schema.resumeJob, { statusCode: 422 })
+};
+
+module.exports = validator;
+module.exports.schema = schema;
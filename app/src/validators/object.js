@@ -1,11 +1,17 @@
 const { validate, Joi } = require('express-validation');
 
 const { scheme, type } = require('./common');
-const { DownloadMode } = require('../components/constants');
+const { DownloadMode, LegalHoldStatus, MAXDELETEKEYS, MAXPARTS, ObjectLockMode } = require('../components/constants');
 
 const schema = {
+  abortUpload: {
+    params: Joi.object({
+      uploadId: type.uuidv4
+    })
+  },
+
   addMetadata: {
-    headers: type.metadata(1),
+    headers: type.metadata(1).concat(type.sse),
     params: Joi.object({
       objId: type.uuidv4
     }),
@@ -24,18 +30,75 @@ const schema = {
     })
   },
 
-  createObjects: {
+  bulkAddMetadata: {
+    headers: type.metadata(1),
+    body: scheme.objectSelection.required()
+  },
+
+  bulkAddTags: {
+    body: scheme.objectSelection.required(),
+    query: Joi.object({
+      tagset: type.tagset(1).min(1).max(10).required()
+    })
+  },
+
+  bulkReplaceMetadata: {
     headers: type.metadata(1),
+    body: scheme.objectSelection.required()
+  },
+
+  bulkReplaceTags: {
+    body: scheme.objectSelection.required(),
+    query: Joi.object({
+      tagset: type.tagset(1).min(1).max(10).required()
+    })
+  },
+
+  cloneObject: {
+    headers: type.metadata(1).concat(type.sse),
     params: Joi.object({
       objId: type.uuidv4
     }),
+    query: Joi.object({
+      versionId: Joi.string(),
+      copyMetadata: type.truthy,
+      copyTags: type.truthy,
+      path: type.folder,
+      tagset: type.tagset(1)
+    })
+  },
+
+  completeUpload: {
+    params: Joi.object({
+      uploadId: type.uuidv4
+    })
+  },
+
+  createObjects: {
+    headers: type.metadata(1).concat(type.sse),
+    params: Joi.object({
+      objId: type.uuidv4
+    }),
+    query: Joi.object({
+      path: type.folder,
+      tagset: type.tagset(1)
+    })
+  },
+
+  createUpload: {
+    headers: type.metadata(1).concat(type.sse),
+    body: Joi.object({
+      name: Joi.string().max(255).required(),
+      mimeType: Joi.string().max(255),
+      path: type.folder
+    }).required(),
     query: Joi.object({
       tagset: type.tagset(1)
     })
   },
 
   deleteMetadata: {
-    headers: type.metadata(0),
+    headers: type.metadata(0).concat(type.sse),
     params: Joi.object({
       objId: type.uuidv4
     }),
@@ -53,6 +116,15 @@ const schema = {
     })
   },
 
+  deleteObjects: {
+    body: Joi.array().items(
+      Joi.object({
+        objId: type.uuidv4.required(),
+        versionId: Joi.string()
+      })
+    ).min(1).max(MAXDELETEKEYS).unique((a, b) => a.objId === b.objId && a.versionId === b.versionId).required()
+  },
+
   deleteTags: {
     params: Joi.object({
       objId: type.uuidv4
@@ -63,7 +135,14 @@ const schema = {
     })
   },
 
+  finalizeUpload: {
+    params: Joi.object({
+      uploadId: type.uuidv4
+    })
+  },
+
   headObject: {
+    headers: type.sse,
     params: Joi.object({
       objId: type.uuidv4
     }),
@@ -72,13 +151,65 @@ const schema = {
     })
   },
 
+  listFolder: {
+    query: Joi.object({
+      path: type.folder,
+      page: type.page,
+      limit: type.limit
+    })
+  },
+
   listObjectVersion: {
     params: Joi.object({
       objId: type.uuidv4
     })
   },
 
+  listUploads: {
+    query: Joi.object({
+      objId: scheme.guid
+    })
+  },
+
+  moveObject: {
+    headers: type.sse,
+    body: Joi.object({
+      name: Joi.string().max(255),
+      path: type.folder
+    }).or('name', 'path').required(),
+    params: Joi.object({
+      objId: type.uuidv4
+    })
+  },
+
+  presignUpload: {
+    headers: type.metadata(1),
+    body: Joi.object({
+      name: Joi.string().max(255).required(),
+      mimeType: Joi.string().max(255),
+      path: type.folder,
+      size: Joi.number().integer().min(0)
+    }).required(),
+    params: Joi.object({
+      objId: type.uuidv4
+    }),
+    query: Joi.object({
+      expiresIn: Joi.number(),
+      tagset: type.tagset(1)
+    })
+  },
+
+  readLegalHold: {
+    params: Joi.object({
+      objId: type.uuidv4
+    }),
+    query: Joi.object({
+      versionId: Joi.string()
+    })
+  },
+
   readObject: {
+    headers: type.sse,
     params: Joi.object({
       objId: type.uuidv4
     }),
@@ -89,8 +220,23 @@ const schema = {
     })
   },
 
+  readRetention: {
+    params: Joi.object({
+      objId: type.uuidv4
+    }),
+    query: Joi.object({
+      versionId: Joi.string()
+    })
+  },
+
+  readUpload: {
+    params: Joi.object({
+      uploadId: type.uuidv4
+    })
+  },
+
   replaceMetadata: {
-    headers: type.metadata(1),
+    headers: type.metadata(1).concat(type.sse),
     params: Joi.object({
       objId: type.uuidv4
     }),
@@ -109,6 +255,14 @@ const schema = {
     })
   },
 
+  restoreVersion: {
+    headers: type.sse,
+    params: Joi.object({
+      objId: type.uuidv4,
+      versionId: Joi.string()
+    })
+  },
+
   searchObjects: {
     headers: type.metadata(0),
     query: Joi.object({
@@ -116,9 +270,58 @@ const schema = {
       name: Joi.string(),
       path: Joi.string().max(1024),
       mimeType: Joi.string().max(255),
+      hash: Joi.string().base64(),
       tagset: type.tagset(0),
       public: type.truthy,
-      active: type.truthy
+      active: type.truthy,
+      deleteMarker: type.truthy,
+      latest: type.truthy,
+      minSize: Joi.number().integer().min(0),
+      maxSize: Joi.number().integer().min(0),
+      createdAfter: Joi.date().iso(),
+      createdBefore: Joi.date().iso(),
+      updatedAfter: Joi.date().iso(),
+      updatedBefore: Joi.date().iso(),
+      createdBy: scheme.guid,
+      updatedBy: scheme.guid,
+      q: Joi.string().max(1024),
+      sort: type.sort(['createdAt', 'updatedAt', 'path', 'name', 'mimeType', 'relevance']),
+      order: type.order,
+      page: type.page,
+      limit: type.limit,
+      continuationToken: Joi.string()
+    })
+  },
+
+  searchObjectsByMatch: {
+    headers: type.metadata(0),
+    body: Joi.object({
+      match: scheme.match.required()
+    }),
+    query: Joi.object({
+      objId: scheme.guid,
+      name: Joi.string(),
+      path: Joi.string().max(1024),
+      mimeType: Joi.string().max(255),
+      hash: Joi.string().base64(),
+      tagset: type.tagset(0),
+      public: type.truthy,
+      active: type.truthy,
+      deleteMarker: type.truthy,
+      latest: type.truthy,
+      minSize: Joi.number().integer().min(0),
+      maxSize: Joi.number().integer().min(0),
+      createdAfter: Joi.date().iso(),
+      createdBefore: Joi.date().iso(),
+      updatedAfter: Joi.date().iso(),
+      updatedBefore: Joi.date().iso(),
+      createdBy: scheme.guid,
+      updatedBy: scheme.guid,
+      q: Joi.string().max(1024),
+      sort: type.sort(['createdAt', 'updatedAt', 'path', 'name', 'mimeType', 'relevance']),
+      order: type.order,
+      page: type.page,
+      limit: type.limit
     })
   },
 
@@ -131,8 +334,26 @@ const schema = {
     })
   },
 
+  undeleteObject: {
+    params: Joi.object({
+      objId: type.uuidv4
+    })
+  },
+
+  updateLegalHold: {
+    params: Joi.object({
+      objId: type.uuidv4
+    }),
+    query: Joi.object({
+      versionId: Joi.string()
+    }),
+    body: Joi.object({
+      status: Joi.string().valid(...Object.values(LegalHoldStatus)).required()
+    }).required()
+  },
+
   updateObject: {
-    headers: type.metadata(1),
+    headers: type.metadata(1).concat(type.sse),
     params: Joi.object({
       objId: type.uuidv4
     }),
@@ -140,23 +361,107 @@ const schema = {
       tagset: type.tagset(1),
     })
   },
+
+  updateRetention: {
+    params: Joi.object({
+      objId: type.uuidv4
+    }),
+    query: Joi.object({
+      versionId: Joi.string(),
+      bypassGovernance: type.truthy
+    }),
+    body: Joi.object({
+      mode: Joi.string().valid(...Object.values(ObjectLockMode)).required(),
+      retainUntilDate: Joi.date().iso().greater('now').required()
+    }).required()
+  },
+
+  uploadPart: {
+    headers: type.sse.keys({
+      'content-length': Joi.number().integer().min(1).required()
+    }),
+    params: Joi.object({
+      uploadId: type.uuidv4,
+      partNumber: Joi.number().integer().min(1).max(MAXPARTS)
+    })
+  },
+
+  verifyObject: {
+    headers: type.sse,
+    params: Joi.object({
+      objId: type.uuidv4
+    }),
+    query: Joi.object({
+      versionId: Joi.string()
+    })
+  },
+
+  zipObjects: {
+    headers: type.metadata(0),
+    query: Joi.object({
+      objId: scheme.guid,
+      name: Joi.string(),
+      path: Joi.string().max(1024),
+      mimeType: Joi.string().max(255),
+      hash: Joi.string().base64(),
+      tagset: type.tagset(0),
+      public: type.truthy,
+      active: type.truthy,
+      deleteMarker: type.truthy,
+      latest: type.truthy,
+      minSize: Joi.number().integer().min(0),
+      maxSize: Joi.number().integer().min(0),
+      createdAfter: Joi.date().iso(),
+      createdBefore: Joi.date().iso(),
+      updatedAfter: Joi.date().iso(),
+      updatedBefore: Joi.date().iso(),
+      createdBy: scheme.guid,
+      updatedBy: scheme.guid,
+      q: Joi.string().max(1024)
+    })
+  }
 };
 
 const validator = {
+  abortUpload: validate(schema.abortUpload, { statusCode: 422 }),
   addMetadata: validate(schema.addMetadata, { statusCode: 422 }),
   addTags: validate(schema.addTags, { statusCode: 422 }),
+  bulkAddMetadata: validate(schema.bulkAddMetadata, { statusCode: 422 }),
+  bulkAddTags: validate(schema.bulkAddTags, { statusCode: 422 }),
+  bulkReplaceMetadata: validate(schema.bulkReplaceMetadata, { statusCode: 422 }),
+  bulkReplaceTags: validate(schema.bulkReplaceTags, { statusCode: 422 }),
+  cloneObject: validate(schema.cloneObject, { statusCode: 422 }),
+  completeUpload: validate(schema.completeUpload, { statusCode: 422 }),
   createObjects: validate(schema.createObjects, { statusCode: 422 }),
+  createUpload: validate(schema.createUpload, { statusCode: 422 }),
   deleteMetadata: validate(schema.deleteMetadata, { statusCode: 422 }),
   deleteObject: validate(schema.deleteObject, { statusCode: 422 }),
+  deleteObjects: validate(schema.deleteObjects, { statusCode: 422 }),
   deleteTags: validate(schema.deleteTags, { statusCode: 422 }),
+  finalizeUpload: validate(schema.finalizeUpload, { statusCode: 422 }),
   headObject: validate(schema.headObject, { statusCode: 422 }),
+  listFolder: validate(schema.listFolder, { statusCode: 422 }),
   listObjectVersion: validate(schema.listObjectVersion, { statusCode: 422 }),
+  listUploads: validate(schema.listUploads, { statusCode: 422 }),
+  moveObject: validate(schema.moveObject, { statusCode: 422 }),
+  presignUpload: validate(schema.presignUpload, { statusCode: 422 }),
+  readLegalHold: validate(schema.readLegalHold, { statusCode: 422 }),
   readObject: validate(schema.readObject, { statusCode: 422 }),
+  readRetention: validate(schema.readRetention, { statusCode: 422 }),
+  readUpload: validate(schema.readUpload, { statusCode: 422 }),
   replaceMetadata: validate(schema.replaceMetadata, { statusCode: 422 }),
   replaceTags: validate(schema.replaceTags, { statusCode: 422 }),
+  restoreVersion: validate(schema.restoreVersion, { statusCode: 422 }),
   searchObjects: validate(schema.searchObjects, { statusCode: 422 }),
+  searchObjectsByMatch: validate(schema.searchObjectsByMatch, { statusCode: 422 }),
   togglePublic: validate(schema.togglePublic, { statusCode: 422 }),
-  updateObject: validate(schema.updateObject, { statusCode: 422 })
+  undeleteObject: validate(schema.undeleteObject, { statusCode: 422 }),
+  updateLegalHold: validate(schema.updateLegalHold, { statusCode: 422 }),
+  updateObject: validate(schema.updateObject, { statusCode: 422 }),
+  updateRetention: validate(schema.updateRetention, { statusCode: 422 }),
+  uploadPart: validate(schema.uploadPart, { statusCode: 422 }),
+  verifyObject: validate(schema.verifyObject, { statusCode: 422 }),
+  zipObjects: validate(schema.zipObjects, { statusCode: 422 })
 };
 
 module.exports = validator;
@@ -7,7 +7,11 @@ const schema = {
     query: Joi.object({
       userId: scheme.guid,
       objId: scheme.guid,
-      permCode: scheme.permCode
+      permCode: scheme.permCode,
+      sort: type.sort(['createdAt', 'updatedAt', 'permCode']),
+      order: type.order,
+      page: type.page,
+      limit: type.limit
     }).min(1)
   },
 
@@ -14,7 +14,11 @@ const schema = {
       fullName: Joi.string().pattern(/^[\w\-\s]+$/).max(255),
       lastName: type.alphanum,
       active: type.truthy,
-      search: Joi.string()
+      search: Joi.string(),
+      sort: type.sort(['createdAt', 'updatedAt', 'username', 'email', 'name']),
+      order: type.order,
+      page: type.page,
+      limit: type.limit
     }).min(1)
   },
 
@@ -0,0 +1,47 @@
+const { Readable } = require('stream');
+
+const { ChecksumStream, digestStream } = require('../../../src/components/checksum');
+
+const md5 = 'XUFAKrxLKna5cZ2REBfFkg==';
+const sha256 = 'LPJNul+wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ=';
+
+describe('ChecksumStream', () => {
+  it('should pass the content through unchanged', async () => {
+    const hasher = new ChecksumStream();
+    const chunks = [];
+
+    Readable.from([Buffer.from('hel'), Buffer.from('lo')]).pipe(hasher);
+    for await (const chunk of hasher) chunks.push(chunk);
+
+    expect(Buffer.concat(chunks).toString()).toEqual('hello');
+    expect(hasher.digests).toEqual({ md5, sha256, size: 5 });
+  });
+
+  it('should not have digests before the stream has finished', () => {
+    expect(new ChecksumStream().digests).toBeUndefined();
+  });
+});
+
+describe('digestStream', () => {
+  it('should digest the stream', async () => {
+    const result = await digestStream(Readable.from([Buffer.from('hello')]));
+
+    expect(result).toEqual({ md5, sha256, size: 5 });
+  });
+
+  it('should digest an empty stream', async () => {
+    const result = await digestStream(Readable.from([]));
+
+    expect(result).toEqual(expect.objectContaining({ size: 0 }));
+  });
+
+  it('should reject when the stream errors', async () => {
+    const stream = new Readable({
+      read() {
+        this.destroy(new Error('boom'));
+      }
+    });
+
+    await expect(digestStream(stream)).rejects.toThrow('boom');
+  });
+});
@@ -5,6 +5,15 @@ const errorToProblem = require('../../../src/components/errorToProblem');
 const SERVICE = 'TESTSERVICE';
 
 describe('errorToProblem', () => {
+  it('should pass through an existing problem', () => {
+    const e = new Problem(409, { detail: 'detail' });
+    const result = errorToProblem(SERVICE, e);
+
+    expect(result).toBeTruthy();
+    expect(result).toBe(e);
+    expect(result.status).toBe(409);
+  });
+
   it('should return a 422 problem', () => {
     const e = {
       response: {
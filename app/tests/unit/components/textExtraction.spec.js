@@ -0,0 +1,64 @@
+const { extractText, isExtractable } = require('../../../src/components/textExtraction');
+const { TEXTSEARCHLENGTH } = require('../../../src/components/constants');
+
+// Mock config library - @see {@link https://stackoverflow.com/a/64819698}
+jest.mock('config');
+
+describe('isExtractable', () => {
+  it.each([
+    ['text/plain'],
+    ['text/csv; charset=utf-8'],
+    ['application/json'],
+    ['APPLICATION/XML'],
+    ['text/html']
+  ])('should return true for %s', (mimeType) => {
+    expect(isExtractable(mimeType)).toBeTruthy();
+  });
+
+  it.each([
+    ['image/png'],
+    ['application/octet-stream'],
+    ['application/zip'],
+    ['application/pdf'],
+    ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    ['application/vnd.oasis.opendocument.text'],
+    [''],
+    [undefined]
+  ])('should return false for %s', (mimeType) => {
+    expect(isExtractable(mimeType)).toBeFalsy();
+  });
+});
+
+describe('extractText', () => {
+  it('should return undefined for types that are not extractable', () => {
+    expect(extractText(Buffer.from('data'), 'image/png')).toBeUndefined();
+  });
+
+  it('should normalize plain text', () => {
+    const text = Buffer.from('﻿hello\u0000  world\r\n\r\n\tbye ');
+
+    expect(extractText(text, 'text/plain; charset=utf-8')).toEqual('hello world\nbye');
+  });
+
+  it('should truncate long text', () => {
+    const text = Buffer.from('a'.repeat(TEXTSEARCHLENGTH + 10));
+
+    expect(extractText(text, 'text/plain')).toHaveLength(TEXTSEARCHLENGTH);
+  });
+
+  it('should remove the markup, scripts and styles of html', () => {
+    const html = Buffer.from('<html><style>p {}</style><script>x()</script><p>Hi &lt;there&gt; &#x26;</p><p>Bye</p></html>');
+
+    expect(extractText(html, 'text/html')).toEqual('Hi <there> &\nBye');
+  });
+
+  it('should remove the tags of xml', () => {
+    const xml = Buffer.from('<?xml version="1.0"?><doc><title>Permit</title><body>Site 42 &amp; more</body></doc>');
+
+    expect(extractText(xml, 'application/xml')).toEqual('PermitSite 42 & more');
+  });
+
+  it('should not extract binary documents', () => {
+    expect(extractText(Buffer.from('%PDF-1.4\n(Permit) Tj\n%%EOF'), 'application/pdf')).toBeUndefined();
+  });
+});
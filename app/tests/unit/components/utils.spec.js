@@ -47,6 +47,50 @@ describe('getMetadata', () => {
   });
 });
 
+describe('getPageParams', () => {
+  it('should parse the sorting and paging parameters', () => {
+    expect(utils.getPageParams({ sort: 'name', order: 'desc', page: '2', limit: '50', name: 'foo' })).toEqual({
+      sort: 'name', order: 'desc', page: 2, limit: 50
+    });
+  });
+
+  it('should leave parameters that were not supplied undefined', () => {
+    expect(utils.getPageParams({})).toEqual({ sort: undefined, order: undefined, page: undefined, limit: undefined });
+  });
+});
+
+describe('getPageResults', () => {
+  it('should count the results of an unpaged search', () => {
+    expect(utils.getPageResults([{ id: 1 }, { id: 2 }])).toEqual({ results: [{ id: 1 }, { id: 2 }], total: 2 });
+  });
+
+  it('should return a page of results as is', () => {
+    const page = { results: [{ id: 1 }], total: 20 };
+    expect(utils.getPageResults(page)).toEqual(page);
+  });
+});
+
+describe('getFolderPath', () => {
+  const delimitSpy = jest.spyOn(utils, 'delimit');
+  const joinPath = jest.spyOn(utils, 'joinPath');
+
+  it('should return the delimited folder within the storage key', () => {
+    const key = 'abc/';
+    const osKey = 'abc';
+    delimitSpy.mockReturnValueOnce(key).mockReturnValueOnce('abc/foo/bar/');
+    joinPath.mockReturnValue('abc/foo/bar');
+    config.get.mockReturnValueOnce(osKey); // objectStorage.key
+
+    expect(utils.getFolderPath('foo/bar')).toEqual('abc/foo/bar/');
+
+    expect(delimitSpy).toHaveBeenCalledTimes(2);
+    expect(delimitSpy).toHaveBeenNthCalledWith(1, osKey);
+    expect(delimitSpy).toHaveBeenNthCalledWith(2, 'abc/foo/bar');
+    expect(joinPath).toHaveBeenCalledTimes(1);
+    expect(joinPath).toHaveBeenCalledWith(key, 'foo/bar');
+  });
+});
+
 describe('getPath', () => {
   const delimitSpy = jest.spyOn(utils, 'delimit');
   const joinPath = jest.spyOn(utils, 'joinPath');
@@ -90,6 +134,207 @@ describe('delimit', () => {
   });
 });
 
+describe('getPreconditionStatus', () => {
+  const etag = '"abc"';
+  const lastModified = new Date('2022-10-10T10:10:10.500Z');
+  const before = 'Mon, 10 Oct 2022 10:10:09 GMT';
+  const same = 'Mon, 10 Oct 2022 10:10:10 GMT';
+
+  it.each([
+    [undefined, {}],
+    [undefined, { 'if-match': '"abc"' }],
+    [undefined, { 'if-match': '"xyz", "abc"' }],
+    [undefined, { 'if-match': '*' }],
+    [412, { 'if-match': '"xyz"' }],
+    [412, { 'if-match': 'W/"abc"' }],
+    [undefined, { 'if-unmodified-since': same }],
+    [412, { 'if-unmodified-since': before }],
+    [undefined, { 'if-unmodified-since': 'garbage' }],
+    [undefined, { 'if-match': '"abc"', 'if-unmodified-since': before }],
+    [304, { 'if-none-match': '"abc"' }],
+    [304, { 'if-none-match': 'W/"abc"' }],
+    [304, { 'if-none-match': '*' }],
+    [undefined, { 'if-none-match': '"xyz"' }],
+    [304, { 'if-modified-since': same }],
+    [undefined, { 'if-modified-since': before }],
+    [undefined, { 'if-none-match': '"xyz"', 'if-modified-since': same }],
+    [412, { 'if-match': '"xyz"', 'if-none-match': '"abc"' }]
+  ])('should return %s for a safe request given %j', (expected, headers) => {
+    expect(utils.getPreconditionStatus(headers, etag, lastModified)).toEqual(expected);
+  });
+
+  it.each([
+    [412, { 'if-none-match': '"abc"' }],
+    [undefined, { 'if-modified-since': same }],
+    [412, { 'if-match': '"xyz"' }]
+  ])('should return %s for an unsafe request given %j', (expected, headers) => {
+    expect(utils.getPreconditionStatus(headers, etag, lastModified, false)).toEqual(expected);
+  });
+
+  it('should fail If-Match for a missing object', () => {
+    expect(utils.getPreconditionStatus({ 'if-match': '*' }, undefined, undefined, false)).toEqual(412);
+  });
+});
+
+describe('getStorageDetails', () => {
+  it('should return the etag and storage class of a head or put response', () => {
+    expect(utils.getStorageDetails({ ETag: '"abc"', StorageClass: 'GLACIER' })).toEqual({ etag: '"abc"', storageClass: 'GLACIER' });
+  });
+
+  it('should return the etag of a copy response', () => {
+    expect(utils.getStorageDetails({ CopyObjectResult: { ETag: '"abc"' }, VersionId: '1' })).toEqual({ etag: '"abc"', storageClass: 'STANDARD' });
+  });
+
+  it('should default to the standard storage class', () => {
+    expect(utils.getStorageDetails({})).toEqual({ etag: undefined, storageClass: 'STANDARD' });
+  });
+});
+
+describe('getQuotas', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should be unlimited by default', () => {
+    expect(utils.getQuotas('idir')).toEqual({
+      bucket: { bytes: null, objects: null },
+      idp: { bytes: null, objects: null },
+      user: { bytes: null, objects: null }
+    });
+  });
+
+  it('should yield the configured limits', () => {
+    const limits = {
+      'quota.bucketBytes': '1000',
+      'quota.idp.idir.objects': 20,
+      'quota.userBytes': '100',
+      'quota.userObjects': '5'
+    };
+    config.has.mockImplementation(key => limits[key] !== undefined);
+    config.get.mockImplementation(key => limits[key]);
+
+    expect(utils.getQuotas('idir')).toEqual({
+      bucket: { bytes: 1000, objects: null },
+      idp: { bytes: null, objects: 20 },
+      user: { bytes: 100, objects: 5 }
+    });
+  });
+
+  it('should not limit an identity provider without a user one', () => {
+    config.has.mockReturnValue(true);
+    config.get.mockReturnValue('10');
+
+    expect(utils.getQuotas().idp).toEqual({ bytes: null, objects: null });
+    expect(config.has).not.toHaveBeenCalledWith(expect.stringMatching(/^quota\.idp/));
+  });
+});
+
+describe('getServerSideEncryption', () => {
+  it('should return undefined without encryption headers', () => {
+    expect(utils.getServerSideEncryption({ 'content-type': 'text/plain' })).toBeUndefined();
+  });
+
+  it('should return s3 managed encryption options', () => {
+    expect(utils.getServerSideEncryption({ 'x-amz-server-side-encryption': 'AES256' })).toEqual({ algorithm: 'AES256' });
+  });
+
+  it('should return customer-provided key options', () => {
+    expect(utils.getServerSideEncryption({
+      'x-amz-server-side-encryption-customer-algorithm': 'AES256',
+      'x-amz-server-side-encryption-customer-key': 'key',
+      'x-amz-server-side-encryption-customer-key-md5': 'md5',
+      'x-amz-meta-foo': 'bar'
+    })).toEqual({ customerAlgorithm: 'AES256', customerKey: 'key', customerKeyMD5: 'md5' });
+  });
+});
+
+describe('getVersionValidators', () => {
+  it('should identify the version record as of its last update', () => {
+    const version = { id: 'ver-123', createdAt: '2022-10-10T10:10:10.000Z', updatedAt: '2022-10-11T10:10:10.000Z' };
+
+    expect(utils.getVersionValidators(version)).toEqual({
+      ETag: `"ver-123-${new Date(version.updatedAt).getTime()}"`,
+      LastModified: new Date(version.updatedAt)
+    });
+  });
+
+  it('should use the creation time of a version that was never updated', () => {
+    const version = { id: 'ver-123', createdAt: '2022-10-10T10:10:10.000Z' };
+
+    expect(utils.getVersionValidators(version).LastModified).toEqual(new Date(version.createdAt));
+  });
+});
+
+describe('isDedupEnabled', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should be disabled by default', () => {
+    expect(utils.isDedupEnabled()).toBeFalsy();
+  });
+
+  it('should be enabled when configured with a database', () => {
+    config.has.mockReturnValue(true);
+    config.get.mockReturnValueOnce('true');
+
+    expect(utils.isDedupEnabled()).toBeTruthy();
+  });
+
+  it('should be disabled without a database', () => {
+    config.has.mockImplementation(key => key !== 'db.enabled');
+    config.get.mockReturnValueOnce('true');
+
+    expect(utils.isDedupEnabled()).toBeFalsy();
+  });
+});
+
+describe('isQuotaEnabled', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should be disabled by default', () => {
+    expect(utils.isQuotaEnabled()).toBeFalsy();
+  });
+
+  it('should be enabled when configured with a database', () => {
+    config.has.mockReturnValue(true);
+
+    expect(utils.isQuotaEnabled()).toBeTruthy();
+  });
+
+  it('should be disabled without a database', () => {
+    config.has.mockImplementation(key => key !== 'db.enabled');
+
+    expect(utils.isQuotaEnabled()).toBeFalsy();
+  });
+});
+
+describe('isTextExtractionEnabled', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should be disabled by default', () => {
+    expect(utils.isTextExtractionEnabled()).toBeFalsy();
+  });
+
+  it('should be enabled when configured with a database', () => {
+    config.has.mockReturnValue(true);
+    config.get.mockReturnValueOnce('true');
+
+    expect(utils.isTextExtractionEnabled()).toBeTruthy();
+  });
+
+  it('should be disabled without a database', () => {
+    config.has.mockImplementation(key => key !== 'db.enabled');
+    config.get.mockReturnValueOnce('true');
+
+    expect(utils.isTextExtractionEnabled()).toBeFalsy();
+  });
+});
+
 describe('isTruthy', () => {
   it('should return undefined given undefined', () => {
     expect(utils.isTruthy(undefined)).toBeUndefined();
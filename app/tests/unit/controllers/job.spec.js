@@ -0,0 +1,221 @@
+const controller = require('../../../src/controllers/job');
+const jobRunner = require('../../../src/jobs');
+const { AuthType, JobType } = require('../../../src/components/constants');
+const { jobService, userService } = require('../../../src/services');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// Mock config library - @see {@link https://stackoverflow.com/a/64819698}
+jest.mock('config');
+
+describe('backfillVersions', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const startSpy = jest.spyOn(jobRunner, 'start');
+
+  const next = jest.fn();
+
+  it('should start a version backfill job', async () => {
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    startSpy.mockResolvedValue({ id: 'job-1' });
+
+    const res = mockResponse();
+    await controller.backfillVersions({}, res, next);
+
+    expect(startSpy).toHaveBeenCalledWith(JobType.BACKFILL_VERSIONS, {}, { userId: 'user-123' });
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json).toHaveBeenCalledWith({ id: 'job-1' });
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should return a problem if the job cannot start', async () => {
+    startSpy.mockRejectedValue(new Error('boom'));
+
+    const res = mockResponse();
+    await controller.backfillVersions({}, res, next);
+
+    expect(res.status).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('extractText', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const startSpy = jest.spyOn(jobRunner, 'start');
+
+  const next = jest.fn();
+
+  it('should start a text extraction job', async () => {
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    startSpy.mockResolvedValue({ id: 'job-1' });
+
+    const res = mockResponse();
+    await controller.extractText({}, res, next);
+
+    expect(startSpy).toHaveBeenCalledWith(JobType.EXTRACT_TEXT, {}, { userId: 'user-123' });
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json).toHaveBeenCalledWith({ id: 'job-1' });
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should return a problem if the job cannot start', async () => {
+    startSpy.mockRejectedValue(new Error('boom'));
+
+    const res = mockResponse();
+    await controller.extractText({}, res, next);
+
+    expect(res.status).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('readJob', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const readSpy = jest.spyOn(jobService, 'read');
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+
+  const job = { id: '11111111-1111-4111-8111-111111111111', createdBy: 'user-123', status: 'RUNNING' };
+  const next = jest.fn();
+
+  it('should return the job', async () => {
+    const req = { params: { jobId: job.id } };
+    readSpy.mockResolvedValue(job);
+
+    const res = mockResponse();
+    await controller.readJob(req, res, next);
+
+    expect(readSpy).toHaveBeenCalledWith(job.id);
+    expect(getCurrentUserIdSpy).toHaveBeenCalledTimes(0);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(job);
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should return the job to the bearer user who started it', async () => {
+    const req = { currentUser: { authType: AuthType.BEARER, tokenPayload: { sub: 'sub' } }, params: { jobId: job.id } };
+    readSpy.mockResolvedValue(job);
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+
+    const res = mockResponse();
+    await controller.readJob(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('should return a 403 problem for another bearer user', async () => {
+    const req = { currentUser: { authType: AuthType.BEARER, tokenPayload: { sub: 'sub' } }, params: { jobId: job.id } };
+    readSpy.mockResolvedValue(job);
+    getCurrentUserIdSpy.mockResolvedValue('user-456');
+
+    const res = mockResponse();
+    await controller.readJob(req, res, next);
+
+    expect(res.status).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 403 }));
+  });
+
+  it('should return a 403 problem for a missing job', async () => {
+    const req = { params: { jobId: job.id } };
+    readSpy.mockResolvedValue(undefined);
+
+    const res = mockResponse();
+    await controller.readJob(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 403 }));
+  });
+});
+
+describe('reconcile', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const startSpy = jest.spyOn(jobRunner, 'start');
+
+  const next = jest.fn();
+
+  it('should start a reconciliation job reporting differences by default', async () => {
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    startSpy.mockResolvedValue({ id: 'job-1' });
+
+    const res = mockResponse();
+    await controller.reconcile({ body: {} }, res, next);
+
+    expect(startSpy).toHaveBeenCalledWith(JobType.RECONCILE, { repair: false, dangling: 'flag' }, { userId: 'user-123' });
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json).toHaveBeenCalledWith({ id: 'job-1' });
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should pass on the repair options', async () => {
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    startSpy.mockResolvedValue({ id: 'job-1' });
+
+    await controller.reconcile({ body: { repair: true, dangling: 'remove' } }, mockResponse(), next);
+
+    expect(startSpy).toHaveBeenCalledWith(JobType.RECONCILE, { repair: true, dangling: 'remove' }, { userId: 'user-123' });
+  });
+
+  it('should return a problem if the job cannot start', async () => {
+    startSpy.mockRejectedValue(new Error('boom'));
+
+    const res = mockResponse();
+    await controller.reconcile({ body: {} }, res, next);
+
+    expect(res.status).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('resumeJob', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const readSpy = jest.spyOn(jobService, 'read');
+  const resumeSpy = jest.spyOn(jobRunner, 'resume');
+
+  const job = { id: '11111111-1111-4111-8111-111111111111', createdBy: 'user-123', status: 'FAILED' };
+  const next = jest.fn();
+
+  it('should resume the job', async () => {
+    const req = { params: { jobId: job.id } };
+    readSpy.mockResolvedValue(job);
+    resumeSpy.mockResolvedValue({ ...job, status: 'QUEUED' });
+
+    const res = mockResponse();
+    await controller.resumeJob(req, res, next);
+
+    expect(resumeSpy).toHaveBeenCalledWith(job);
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json).toHaveBeenCalledWith({ ...job, status: 'QUEUED' });
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should return a 403 problem for a missing job', async () => {
+    const req = { params: { jobId: job.id } };
+    readSpy.mockResolvedValue(undefined);
+
+    const res = mockResponse();
+    await controller.resumeJob(req, res, next);
+
+    expect(resumeSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 403 }));
+  });
+});
@@ -1,10 +1,14 @@
+const config = require('config');
 const Problem = require('api-problem');
-const { MAXCOPYOBJECTLENGTH, MetadataDirective } = require('../../../src/components/constants');
+const { PassThrough, Readable } = require('stream');
+const { AuthType, JobType, MAXCOPYOBJECTLENGTH, MAXPAGELIMIT, UploadStatus, UploadType } = require('../../../src/components/constants');
 
 const utils = require('../../../src/db/models/utils');
+const jobRunner = require('../../../src/jobs');
+const quota = require('../../../src/middleware/quota');
 
 const controller = require('../../../src/controllers/object');
-const { storageService, objectService, metadataService, versionService, userService } = require('../../../src/services');
+const { jobService, storageService, objectService, metadataService, tagService, uploadService, versionService, userService } = require('../../../src/services');
 
 const mockResponse = () => {
   const res = {};
@@ -16,6 +20,13 @@ const mockResponse = () => {
 // Mock config library - @see {@link https://stackoverflow.com/a/64819698}
 jest.mock('config');
 
+const s3Error = (name, status) => Object.assign(new Error(name), { name, $metadata: { httpStatusCode: status } });
+
+const mockDedup = () => {
+  config.has.mockImplementation(key => ['db.enabled', 'objectStorage.dedup'].includes(key));
+  config.get.mockImplementation(key => key === 'objectStorage.dedup' ? 'true' : undefined);
+};
+
 let res = undefined;
 beforeEach(() => {
   res = mockResponse();
@@ -28,7 +39,8 @@ describe('addMetadata', () => {
 
   // mock service calls
   const storageHeadObjectSpy = jest.spyOn(storageService, 'headObject');
-  const storageCopyObjectSpy = jest.spyOn(storageService, 'copyObject');
+  const storageCopyObjectMultipartSpy = jest.spyOn(storageService, 'copyObjectMultipart');
+  const jobRunnerStartSpy = jest.spyOn(jobRunner, 'start');
   const versionCopySpy = jest.spyOn(versionService, 'copy');
   const metadataAssociateMetadataSpy = jest.spyOn(metadataService, 'associateMetadata');
   const trxWrapperSpy = jest.spyOn(utils, 'trxWrapper');
@@ -43,16 +55,56 @@ describe('addMetadata', () => {
     VersionId: '5678'
   };
   const BadResponse = {
-    MontentLength: MAXCOPYOBJECTLENGTH + 1
+    ContentLength: MAXCOPYOBJECTLENGTH + 1,
+    Metadata: { id: 1, foo: 'bar' }
   };
 
-  it('should error when Content-Length is greater than 5GB', async () => {
+  it('should start a copy job when Content-Length is greater than 5GB', async () => {
     // request object
-    const req = {};
+    const req = {
+      headers: { 'x-amz-meta-foo': 'bar' },
+      params: { objId: 'xyz-789' },
+      query: {}
+    };
 
     storageHeadObjectSpy.mockReturnValue(BadResponse);
+    jobRunnerStartSpy.mockResolvedValue({ id: 'job-1' });
+
     await controller.addMetadata(req, res, next);
-    expect(next).toHaveBeenCalledWith(new Problem(502, 'Unknown ObjectService Error'));
+
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledTimes(0);
+    expect(jobRunnerStartSpy).toHaveBeenCalledWith(JobType.COPY_OBJECT, expect.objectContaining({
+      copySource: 'xyz-789',
+      filePath: 'xyz-789',
+      objId: 'xyz-789'
+    }), expect.objectContaining({ objectId: 'xyz-789' }));
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json).toHaveBeenCalledWith({ id: 'job-1' });
+  });
+
+  it('should pass a customer-provided key to the copy job without recording it', async () => {
+    // request object
+    const req = {
+      headers: {
+        'x-amz-meta-foo': 'bar',
+        'x-amz-server-side-encryption-customer-algorithm': 'AES256',
+        'x-amz-server-side-encryption-customer-key': 'key'
+      },
+      params: { objId: 'xyz-789' },
+      query: {}
+    };
+    const sse = { customerAlgorithm: 'AES256', customerKey: 'key' };
+
+    storageHeadObjectSpy.mockReturnValue(BadResponse);
+    jobRunnerStartSpy.mockResolvedValue({ id: 'job-1' });
+
+    await controller.addMetadata(req, res, next);
+
+    expect(storageHeadObjectSpy).toHaveBeenCalledWith(expect.objectContaining({ sse }));
+    expect(jobRunnerStartSpy).toHaveBeenCalledWith(JobType.COPY_OBJECT,
+      expect.not.objectContaining({ sse: expect.anything() }),
+      expect.objectContaining({ secrets: { sse } })
+    );
   });
 
   it('responds 422 when no keys are present', async () => {
@@ -79,7 +131,7 @@ describe('addMetadata', () => {
     };
 
     storageHeadObjectSpy.mockReturnValue(GoodResponse);
-    storageCopyObjectSpy.mockResolvedValue(GoodResponse);
+    storageCopyObjectMultipartSpy.mockResolvedValue(GoodResponse);
     trxWrapperSpy.mockImplementation(callback => callback({}));
     versionCopySpy.mockReturnValue({id: '5dad1ec9-d3c0-4b0f-8ead-cb4d9fa98987'});
     metadataAssociateMetadataSpy.mockReturnValue({});
@@ -87,7 +139,7 @@ describe('addMetadata', () => {
 
     await controller.addMetadata(req, res, next);
 
-    expect(storageCopyObjectSpy).toHaveBeenCalledWith({
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledWith({
       copySource: 'xyz-789',
       filePath: 'xyz-789',
       metadata: {
@@ -95,7 +147,6 @@ describe('addMetadata', () => {
         baz: 'quz',
         id: 1
       },
-      metadataDirective: MetadataDirective.REPLACE,
       versionId: undefined
     });
 
@@ -209,6 +260,224 @@ describe('addTags', () => {
   });
 });
 
+describe('bulkAddMetadata', () => {
+  let getBulkObjectIdsSpy;
+
+  beforeEach(() => {
+    getBulkObjectIdsSpy = jest.spyOn(controller, '_getBulkObjectIds');
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    getBulkObjectIdsSpy.mockRestore();
+  });
+
+  // mock service calls
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const jobRunnerStartSpy = jest.spyOn(jobRunner, 'start');
+
+  const next = jest.fn();
+
+  it('should start a job adding the metadata to the selected objects', async () => {
+    const req = { body: { objId: ['abc-123', 'xyz-789'] }, headers: { 'x-amz-meta-foo': 'bar' } };
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    getBulkObjectIdsSpy.mockResolvedValue(['abc-123', 'xyz-789']);
+    jobRunnerStartSpy.mockResolvedValue({ id: 'job-1' });
+
+    await controller.bulkAddMetadata(req, res, next);
+
+    expect(getBulkObjectIdsSpy).toHaveBeenCalledWith(req);
+    expect(jobRunnerStartSpy).toHaveBeenCalledWith(JobType.ADD_METADATA,
+      { metadata: { foo: 'bar' }, objIds: ['abc-123', 'xyz-789'] }, { userId: 'user-123' });
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json).toHaveBeenCalledWith({ id: 'job-1' });
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should require at least one metadata header', async () => {
+    const req = { body: { objId: ['abc-123'] }, headers: {} };
+
+    await controller.bulkAddMetadata(req, res, next);
+
+    expect(jobRunnerStartSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 422 }));
+  });
+
+  it('should not start a job when objects cannot be selected', async () => {
+    const req = { body: { objId: ['abc-123'] }, headers: { 'x-amz-meta-foo': 'bar' } };
+    getBulkObjectIdsSpy.mockRejectedValue(new Problem(403));
+
+    await controller.bulkAddMetadata(req, res, next);
+
+    expect(jobRunnerStartSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 403 }));
+  });
+});
+
+describe('bulkReplaceTags', () => {
+  let getBulkObjectIdsSpy;
+
+  beforeEach(() => {
+    getBulkObjectIdsSpy = jest.spyOn(controller, '_getBulkObjectIds');
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    getBulkObjectIdsSpy.mockRestore();
+  });
+
+  // mock service calls
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const jobRunnerStartSpy = jest.spyOn(jobRunner, 'start');
+
+  const next = jest.fn();
+
+  it('should start a job replacing the tags of the selected objects', async () => {
+    const req = { body: { filter: { path: 'foo' } }, query: { tagset: { foo: 'bar' } } };
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    getBulkObjectIdsSpy.mockResolvedValue(['abc-123']);
+    jobRunnerStartSpy.mockResolvedValue({ id: 'job-1' });
+
+    await controller.bulkReplaceTags(req, res, next);
+
+    expect(jobRunnerStartSpy).toHaveBeenCalledWith(JobType.REPLACE_TAGS,
+      { tagset: { foo: 'bar' }, objIds: ['abc-123'] }, { userId: 'user-123' });
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+});
+
+describe('cloneObject', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  // mock service calls
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const metadataAssociateMetadataSpy = jest.spyOn(metadataService, 'associateMetadata');
+  const objectCreateSpy = jest.spyOn(objectService, 'create');
+  const storageCopyObjectMultipartSpy = jest.spyOn(storageService, 'copyObjectMultipart');
+  const storageGetObjectTaggingSpy = jest.spyOn(storageService, 'getObjectTagging');
+  const storageHeadObjectSpy = jest.spyOn(storageService, 'headObject');
+  const tagAssociateTagsSpy = jest.spyOn(tagService, 'associateTags');
+  const trxWrapperSpy = jest.spyOn(utils, 'trxWrapper');
+  const versionCreateSpy = jest.spyOn(versionService, 'create');
+  const versionGetBlobSpy = jest.spyOn(versionService, 'getBlob');
+  const versionGetSpy = jest.spyOn(versionService, 'get');
+
+  const assertQuotaSpy = jest.spyOn(quota, 'assertQuota');
+  const next = jest.fn();
+
+  const mockClone = (query = {}, headers = {}) => {
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    storageHeadObjectSpy.mockResolvedValue({
+      ContentLength: 1234,
+      ContentType: 'text/plain',
+      Metadata: { name: 'a.txt', id: 'xyz-789', foo: 'bar' }
+    });
+    storageGetObjectTaggingSpy.mockResolvedValue({ TagSet: [{ Key: 'a', Value: '1' }] });
+    storageCopyObjectMultipartSpy.mockResolvedValue({ VersionId: 'v2' });
+    trxWrapperSpy.mockImplementation(fn => fn('trx'));
+    objectCreateSpy.mockResolvedValue({ public: false });
+    versionGetSpy.mockResolvedValue({ checksum: 'abc', checksumAlgorithm: 'SHA256' });
+    versionCreateSpy.mockResolvedValue({ id: 'ver-1' });
+    return { currentObject: { path: 'xyz-789' }, headers, params: { objId: 'xyz-789' }, query };
+  };
+
+  it('should copy the latest version into a new object along with its metadata and tags', async () => {
+    const req = mockClone({ tagset: { b: '2' } }, { 'x-amz-meta-baz': 'qux' });
+
+    await controller.cloneObject(req, res, next);
+
+    const objId = storageCopyObjectMultipartSpy.mock.calls[0][0].filePath;
+    expect(objId).not.toEqual('xyz-789');
+    expect(storageHeadObjectSpy).toHaveBeenCalledWith({ filePath: 'xyz-789', versionId: undefined, sse: undefined });
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledWith({
+      copySource: 'xyz-789',
+      filePath: objId,
+      metadata: { name: 'a.txt', foo: 'bar', baz: 'qux', id: objId },
+      tags: { a: '1', b: '2' },
+      mimeType: 'text/plain',
+      versionId: undefined,
+      sse: undefined
+    });
+    expect(objectCreateSpy).toHaveBeenCalledWith(expect.objectContaining({ id: objId, path: objId, userId: 'user-123' }), 'trx');
+    expect(versionGetSpy).toHaveBeenCalledWith(undefined, 'xyz-789', 'trx');
+    expect(versionCreateSpy).toHaveBeenCalledWith(expect.objectContaining({
+      id: objId, versionId: 'v2', mimeType: 'text/plain', checksum: 'abc', checksumAlgorithm: 'SHA256', size: 1234
+    }), 'user-123', 'trx');
+    expect(metadataAssociateMetadataSpy).toHaveBeenCalledWith('ver-1', expect.arrayContaining([{ key: 'baz', value: 'qux' }]), 'user-123', 'trx');
+    expect(tagAssociateTagsSpy).toHaveBeenCalledWith('ver-1', [{ key: 'a', value: '1' }, { key: 'b', value: '2' }], 'user-123', 'trx');
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ id: objId, public: false, versionId: 'v2' }));
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should only carry over the name when opting out of metadata and tags', async () => {
+    const req = mockClone({ versionId: 'v1', copyMetadata: 'false', copyTags: 'false' });
+
+    await controller.cloneObject(req, res, next);
+
+    const objId = storageCopyObjectMultipartSpy.mock.calls[0][0].filePath;
+    expect(storageGetObjectTaggingSpy).toHaveBeenCalledTimes(0);
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledWith(expect.objectContaining({
+      metadata: { name: 'a.txt', id: objId },
+      tags: {},
+      versionId: 'v1'
+    }));
+    expect(versionGetSpy).toHaveBeenCalledWith('v1', 'xyz-789', 'trx');
+    expect(tagAssociateTagsSpy).toHaveBeenCalledTimes(0);
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it('should copy a deduplicated version from the content it references', async () => {
+    mockDedup();
+    const req = mockClone();
+    versionGetBlobSpy.mockResolvedValue({
+      versionId: 'v1',
+      blobPath: 'abc-123',
+      blobVersionId: 'b1',
+      mimeType: 'text/plain',
+      metadata: [{ key: 'name', value: 'b.txt' }],
+      tag: [{ key: 't', value: '1' }]
+    });
+
+    await controller.cloneObject(req, res, next);
+
+    expect(storageHeadObjectSpy).toHaveBeenCalledWith({ filePath: 'abc-123', versionId: 'b1', sse: undefined });
+    expect(storageGetObjectTaggingSpy).toHaveBeenCalledTimes(0);
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledWith(expect.objectContaining({
+      copySource: 'abc-123',
+      metadata: { name: 'b.txt', id: expect.any(String) },
+      tags: { t: '1' },
+      versionId: 'b1'
+    }));
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it('should reject a clone with more than 10 tags', async () => {
+    const tagset = Object.fromEntries([...Array(10).keys()].map(i => [`k${i}`, 'v']));
+    const req = mockClone({ tagset });
+
+    await controller.cloneObject(req, res, next);
+
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 422 }));
+  });
+
+  it('should reject a clone exceeding a quota before copying', async () => {
+    const req = mockClone();
+    assertQuotaSpy.mockRejectedValue(new Problem(507));
+
+    await controller.cloneObject(req, res, next);
+
+    expect(assertQuotaSpy).toHaveBeenCalledWith(req, 1234, 1);
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 507 }));
+  });
+
+});
+
 describe('deleteMetadata', () => {
   afterEach(() => {
     jest.resetAllMocks();
@@ -216,7 +485,8 @@ describe('deleteMetadata', () => {
 
   // mock service calls
   const storageHeadObjectSpy = jest.spyOn(storageService, 'headObject');
-  const storageCopyObjectSpy = jest.spyOn(storageService, 'copyObject');
+  const storageCopyObjectMultipartSpy = jest.spyOn(storageService, 'copyObjectMultipart');
+  const jobRunnerStartSpy = jest.spyOn(jobRunner, 'start');
 
   const next = jest.fn();
 
@@ -226,16 +496,31 @@ describe('deleteMetadata', () => {
     Metadata: { id: 1, name: 'test', foo: 'bar', baz: 'quz' }
   };
   const BadResponse = {
-    ContentLength: MAXCOPYOBJECTLENGTH + 1
+    ContentLength: MAXCOPYOBJECTLENGTH + 1,
+    Metadata: { id: 1, name: 'test', foo: 'bar', baz: 'quz' }
   };
 
-  it('should error when Content-Length is greater than 5GB', async () => {
+  it('should start a copy job when Content-Length is greater than 5GB', async () => {
     // request object
-    const req = {};
+    const req = {
+      headers: { 'x-amz-meta-foo': 'bar' },
+      params: { objId: 'xyz-789' },
+      query: {}
+    };
 
     storageHeadObjectSpy.mockReturnValue(BadResponse);
+    jobRunnerStartSpy.mockResolvedValue({ id: 'job-1' });
+
     await controller.deleteMetadata(req, res, next);
-    expect(next).toHaveBeenCalledWith(new Problem(502, 'Unknown ObjectService Error'));
+
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledTimes(0);
+    expect(jobRunnerStartSpy).toHaveBeenCalledWith(JobType.COPY_OBJECT, expect.objectContaining({
+      copySource: 'xyz-789',
+      filePath: 'xyz-789',
+      objId: 'xyz-789'
+    }), expect.objectContaining({ objectId: 'xyz-789' }));
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json).toHaveBeenCalledWith({ id: 'job-1' });
   });
 
   it('should delete the requested metadata', async () => {
@@ -247,12 +532,12 @@ describe('deleteMetadata', () => {
     };
 
     storageHeadObjectSpy.mockReturnValue(GoodResponse);
-    storageCopyObjectSpy.mockReturnValue({});
+    storageCopyObjectMultipartSpy.mockReturnValue({});
 
     await controller.deleteMetadata(req, res, next);
 
     expect(res.status).toHaveBeenCalledWith(204);
-    expect(storageCopyObjectSpy).toHaveBeenCalledWith({
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledWith({
       copySource: 'xyz-789',
       filePath: 'xyz-789',
       metadata: {
@@ -260,7 +545,6 @@ describe('deleteMetadata', () => {
         id: 1,
         name: 'test',
       },
-      metadataDirective: MetadataDirective.REPLACE,
       versionId: undefined
     });
   });
@@ -274,19 +558,18 @@ describe('deleteMetadata', () => {
     };
 
     storageHeadObjectSpy.mockReturnValue(GoodResponse);
-    storageCopyObjectSpy.mockReturnValue({});
+    storageCopyObjectMultipartSpy.mockReturnValue({});
 
     await controller.deleteMetadata(req, res, next);
 
     expect(res.status).toHaveBeenCalledWith(204);
-    expect(storageCopyObjectSpy).toHaveBeenCalledWith({
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledWith({
       copySource: 'xyz-789',
       filePath: 'xyz-789',
       metadata: {
         id: 1,
         name: 'test'
       },
-      metadataDirective: MetadataDirective.REPLACE,
       versionId: undefined
     });
   });
@@ -307,6 +590,7 @@ describe('deleteObject', () => {
 
   // request object
   const req = {
+    currentObject: { id: 'xyz-789', path: 'xyz-789' },
     params: { objId: 'xyz-789' }
   };
   const next = jest.fn();
@@ -387,6 +671,51 @@ describe('deleteObject', () => {
     expect(objectDeleteSpy).toHaveBeenCalledWith('xyz-789');
   });
 
+  it('should retain content still referenced by deduplicated versions', async () => {
+    mockDedup();
+    req.query = { versionId: '123' };
+    const getBlobSpy = jest.spyOn(versionService, 'getBlob').mockResolvedValue(undefined);
+    const countSpy = jest.spyOn(versionService, 'countBlobReferences').mockResolvedValue(2);
+    versionListSpy.mockReturnValue([{}]);
+
+    await controller.deleteObject(req, res, next);
+
+    expect(getBlobSpy).toHaveBeenCalledWith('123', 'xyz-789');
+    expect(countSpy).toHaveBeenCalledWith('xyz-789', '123');
+    expect(storageDeleteObjectSpy).toHaveBeenCalledTimes(0);
+    expect(versionDeleteSpy).toHaveBeenCalledWith('xyz-789', '123');
+    expect(res.json).toHaveBeenCalledWith({ VersionId: '123' });
+  });
+
+  it('should prune the content referenced by a deleted deduplicated version', async () => {
+    mockDedup();
+    req.query = { versionId: '123' };
+    jest.spyOn(versionService, 'getBlob').mockResolvedValue({ blobPath: 'abc-123', blobVersionId: 'v1' });
+    const pruneBlobSpy = jest.spyOn(controller, '_pruneBlob').mockResolvedValue();
+    versionListSpy.mockReturnValue([]);
+
+    await controller.deleteObject(req, res, next);
+
+    expect(storageDeleteObjectSpy).toHaveBeenCalledTimes(0);
+    expect(versionDeleteSpy).toHaveBeenCalledWith('xyz-789', '123');
+    expect(pruneBlobSpy).toHaveBeenCalledWith('abc-123', 'v1');
+    expect(objectDeleteSpy).toHaveBeenCalledWith('xyz-789');
+    pruneBlobSpy.mockRestore();
+  });
+
+  it('should respond 423 when the version is locked', async () => {
+    req.query = { versionId: '123' };
+    storageDeleteObjectSpy.mockRejectedValue(s3Error('AccessDenied', 403));
+    const lockProblemSpy = jest.spyOn(controller, '_getObjectLockProblem').mockResolvedValue(new Problem(423));
+
+    await controller.deleteObject(req, res, next);
+
+    expect(lockProblemSpy).toHaveBeenCalledWith(expect.objectContaining({ name: 'AccessDenied' }), { filePath: 'xyz-789', versionId: '123' });
+    expect(versionDeleteSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 423 }));
+    lockProblemSpy.mockRestore();
+  });
+
   it('should return a problem if an exception happens', async () => {
     storageDeleteObjectSpy.mockImplementationOnce(() => { throw new Error(); });
 
@@ -397,6 +726,126 @@ describe('deleteObject', () => {
   });
 });
 
+describe('deleteObjects', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  // mock service calls
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const objectSearchObjectsSpy = jest.spyOn(objectService, 'searchObjects');
+  const storageDeleteObjectsSpy = jest.spyOn(storageService, 'deleteObjects');
+  const objectDeleteSpy = jest.spyOn(objectService, 'delete');
+  const versionCreateSpy = jest.spyOn(versionService, 'create');
+  const versionDeleteSpy = jest.spyOn(versionService, 'delete');
+  const versionListSpy = jest.spyOn(versionService, 'list');
+  const pruneMetadataSpy = jest.spyOn(metadataService, 'pruneOrphanedMetadata');
+  const pruneTagsSpy = jest.spyOn(tagService, 'pruneOrphanedTags');
+
+  const next = jest.fn();
+
+  it('should delete every item in one request and report each outcome', async () => {
+    const req = { body: [{ objId: 'abc-123' }, { objId: 'xyz-789', versionId: '1' }, { objId: 'def-456', versionId: '2' }] };
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    objectSearchObjectsSpy.mockResolvedValue([{ id: 'abc-123' }, { id: 'xyz-789' }, { id: 'def-456' }]);
+    storageDeleteObjectsSpy.mockResolvedValue({
+      Deleted: [
+        { Key: 'abc-123', DeleteMarker: true, DeleteMarkerVersionId: '9' },
+        { Key: 'xyz-789', VersionId: '1' }
+      ],
+      Errors: [{ Key: 'def-456', VersionId: '2', Code: 'InternalError', Message: 'We encountered an internal error' }]
+    });
+    versionListSpy.mockResolvedValue([]);
+
+    await controller.deleteObjects(req, res, next);
+
+    expect(objectSearchObjectsSpy).toHaveBeenCalledWith({ id: ['abc-123', 'xyz-789', 'def-456'], all: true });
+    expect(storageDeleteObjectsSpy).toHaveBeenCalledTimes(1);
+    expect(storageDeleteObjectsSpy).toHaveBeenCalledWith({
+      objects: [
+        { filePath: 'abc-123', versionId: undefined },
+        { filePath: 'xyz-789', versionId: '1' },
+        { filePath: 'def-456', versionId: '2' }
+      ]
+    });
+    expect(versionCreateSpy).toHaveBeenCalledWith({ id: 'abc-123', deleteMarker: true, versionId: '9', mimeType: null }, 'user-123');
+    expect(versionDeleteSpy).toHaveBeenCalledTimes(1);
+    expect(versionDeleteSpy).toHaveBeenCalledWith('xyz-789', '1');
+    expect(objectDeleteSpy).toHaveBeenCalledWith('xyz-789');
+    expect(pruneMetadataSpy).toHaveBeenCalledTimes(1);
+    expect(pruneTagsSpy).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(207);
+    expect(res.json).toHaveBeenCalledWith([
+      { objId: 'abc-123', versionId: undefined, status: 200, DeleteMarker: true, VersionId: '9' },
+      { objId: 'xyz-789', versionId: '1', status: 200, DeleteMarker: undefined, VersionId: '1' },
+      { objId: 'def-456', versionId: '2', status: 500, detail: 'We encountered an internal error' }
+    ]);
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should not delete objects the user lacks permission on', async () => {
+    const req = { body: [{ objId: 'abc-123' }] };
+    objectSearchObjectsSpy.mockResolvedValue([]);
+    storageDeleteObjectsSpy.mockResolvedValue({ Deleted: [], Errors: [] });
+
+    await controller.deleteObjects(req, res, next);
+
+    expect(storageDeleteObjectsSpy).toHaveBeenCalledWith({ objects: [] });
+    expect(pruneMetadataSpy).toHaveBeenCalledTimes(0);
+    expect(res.json).toHaveBeenCalledWith([
+      { objId: 'abc-123', versionId: undefined, status: 403, detail: 'User lacks permission to complete this action' }
+    ]);
+  });
+
+  it('should report versions protected by object lock', async () => {
+    const req = { body: [{ objId: 'abc-123', versionId: '1' }] };
+    objectSearchObjectsSpy.mockResolvedValue([{ id: 'abc-123' }]);
+    storageDeleteObjectsSpy.mockResolvedValue({
+      Deleted: [],
+      Errors: [{ Key: 'abc-123', VersionId: '1', Code: 'AccessDenied', Message: 'Access Denied' }]
+    });
+    const lockProblemSpy = jest.spyOn(controller, '_getObjectLockProblem')
+      .mockResolvedValue(new Problem(423, { detail: 'Object is under a legal hold' }));
+
+    await controller.deleteObjects(req, res, next);
+
+    expect(lockProblemSpy).toHaveBeenCalledWith(expect.objectContaining({ name: 'AccessDenied' }), expect.objectContaining({ filePath: 'abc-123', versionId: '1' }));
+    expect(versionDeleteSpy).toHaveBeenCalledTimes(0);
+    expect(res.json).toHaveBeenCalledWith([
+      { objId: 'abc-123', versionId: '1', status: 423, detail: 'Object is under a legal hold' }
+    ]);
+    lockProblemSpy.mockRestore();
+  });
+
+  it('should retain content still referenced by deduplicated versions', async () => {
+    mockDedup();
+    const req = { body: [{ objId: 'abc-123', versionId: '1' }] };
+    objectSearchObjectsSpy.mockResolvedValue([{ id: 'abc-123', path: 'abc-123' }]);
+    jest.spyOn(versionService, 'getBlob').mockResolvedValue(undefined);
+    jest.spyOn(versionService, 'countBlobReferences').mockResolvedValue(2);
+    storageDeleteObjectsSpy.mockResolvedValue({ Deleted: [], Errors: [] });
+    versionListSpy.mockResolvedValue([{}]);
+
+    await controller.deleteObjects(req, res, next);
+
+    expect(storageDeleteObjectsSpy).toHaveBeenCalledWith({ objects: [] });
+    expect(versionDeleteSpy).toHaveBeenCalledWith('abc-123', '1');
+    expect(res.json).toHaveBeenCalledWith([
+      { objId: 'abc-123', versionId: '1', status: 200, DeleteMarker: undefined, VersionId: '1' }
+    ]);
+  });
+
+  it('should return a problem if an exception happens', async () => {
+    const req = { body: [{ objId: 'abc-123' }] };
+    objectSearchObjectsSpy.mockRejectedValue(new Error());
+
+    await controller.deleteObjects(req, res, next);
+
+    expect(storageDeleteObjectsSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(new Problem(502, 'Unknown ObjectService Error'));
+  });
+});
+
 describe('deleteTags', () => {
   afterEach(() => {
     jest.resetAllMocks();
@@ -467,106 +916,289 @@ describe('deleteTags', () => {
   });
 });
 
-describe('replaceMetadata', () => {
+describe('readLegalHold', () => {
   afterEach(() => {
     jest.resetAllMocks();
   });
 
-  // mock service calls
-  const storageHeadObjectSpy = jest.spyOn(storageService, 'headObject');
-  const storageCopyObjectSpy = jest.spyOn(storageService, 'copyObject');
+  const storageGetObjectLegalHoldSpy = jest.spyOn(storageService, 'getObjectLegalHold');
 
+  const req = { currentObject: { id: 'xyz-789', path: 'xyz-789' }, params: { objId: 'xyz-789' }, query: { versionId: '123' } };
   const next = jest.fn();
 
-  // response from S3
-  const GoodResponse = {
-    ContentLength: 1234,
-    Metadata: { id: 1, name: 'test', foo: 'bar' }
-  };
-  const BadResponse = {
-    ContentLength: MAXCOPYOBJECTLENGTH + 1
-  };
-
-  it('should error when Content-Length is greater than 5GB', async () => {
-    // request object
-    const req = {};
-
-    storageHeadObjectSpy.mockReturnValue(BadResponse);
-    await controller.replaceMetadata(req, res, next);
-    expect(next).toHaveBeenCalledWith(new Problem(502, 'Unknown ObjectService Error'));
-  });
-
-  it('responds 422 when no keys are present', async () => {
-    // request object
-    const req = {
-      headers: {},
-      params: { objId: 'xyz-789' },
-      query: {}
-    };
-
-    storageHeadObjectSpy.mockReturnValue(GoodResponse);
+  it('should return the legal hold status', async () => {
+    storageGetObjectLegalHoldSpy.mockResolvedValue({ LegalHold: { Status: 'ON' } });
 
-    await controller.replaceMetadata(req, res, next);
+    await controller.readLegalHold(req, res, next);
 
-    expect(res.status).toHaveBeenCalledWith(422);
+    expect(storageGetObjectLegalHoldSpy).toHaveBeenCalledWith({ filePath: 'xyz-789', versionId: '123' });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ Status: 'ON' });
+    expect(next).toHaveBeenCalledTimes(0);
   });
 
-  it('should replace the metadata', async () => {
-    // request object
-    const req = {
-      headers: { 'x-amz-meta-baz': 'quz' },
-      params: { objId: 'xyz-789' },
-      query: {}
-    };
-
-    storageHeadObjectSpy.mockReturnValue(GoodResponse);
-    storageCopyObjectSpy.mockReturnValue({});
+  it('should report no legal hold when none was ever placed', async () => {
+    storageGetObjectLegalHoldSpy.mockRejectedValue(s3Error('NoSuchObjectLockConfiguration', 404));
 
-    await controller.replaceMetadata(req, res, next);
+    await controller.readLegalHold(req, res, next);
 
-    expect(res.status).toHaveBeenCalledWith(204);
-    expect(storageCopyObjectSpy).toHaveBeenCalledWith({
-      copySource: 'xyz-789',
-      filePath: 'xyz-789',
-      metadata: {
-        id: 1,
-        name: 'test',
-        baz: 'quz'
-      },
-      metadataDirective: MetadataDirective.REPLACE,
-      versionId: undefined
-    });
+    expect(res.json).toHaveBeenCalledWith({ Status: 'OFF' });
+    expect(next).toHaveBeenCalledTimes(0);
   });
 
-  it('should replace replace the name', async () => {
-    // request object
-    const req = {
-      headers: { 'x-amz-meta-name': 'newName', 'x-amz-meta-baz': 'quz' },
-      params: { objId: 'xyz-789' },
-      query: {}
-    };
-
-    storageHeadObjectSpy.mockReturnValue(GoodResponse);
-    storageCopyObjectSpy.mockReturnValue({});
+  it('should read the content referenced by a deduplicated version', async () => {
+    mockDedup();
+    jest.spyOn(versionService, 'getBlob').mockResolvedValue({ blobPath: 'abc-123', blobVersionId: 'v1' });
+    storageGetObjectLegalHoldSpy.mockResolvedValue({ LegalHold: { Status: 'OFF' } });
 
-    await controller.replaceMetadata(req, res, next);
+    await controller.readLegalHold(req, res, next);
 
-    expect(res.status).toHaveBeenCalledWith(204);
-    expect(storageCopyObjectSpy).toHaveBeenCalledWith({
-      copySource: 'xyz-789',
-      filePath: 'xyz-789',
-      metadata: {
-        id: 1,
-        name: 'newName',
-        baz: 'quz'
-      },
-      metadataDirective: MetadataDirective.REPLACE,
-      versionId: undefined
-    });
+    expect(storageGetObjectLegalHoldSpy).toHaveBeenCalledWith({ filePath: 'abc-123', versionId: 'v1' });
   });
 });
 
-describe('replaceTags', () => {
+describe('readObject', () => {
+  let getBlobSpy, getVersionValidatorsSpy, processS3HeadersSpy;
+
+  afterEach(() => {
+    getBlobSpy.mockRestore();
+    getVersionValidatorsSpy.mockRestore();
+    processS3HeadersSpy.mockRestore();
+    jest.resetAllMocks();
+  });
+
+  const storageHeadObjectSpy = jest.spyOn(storageService, 'headObject');
+  const storageReadObjectSpy = jest.spyOn(storageService, 'readObject');
+  const storageReadSignedUrlSpy = jest.spyOn(storageService, 'readSignedUrl');
+
+  const mockRequest = (headers = {}, query = {}) => ({
+    get: (name) => headers[name.toLowerCase()],
+    headers,
+    method: 'GET',
+    params: { objId: 'xyz-789' },
+    query
+  });
+  const validators = { ETag: '"ver-123-1"', LastModified: new Date('2015-10-21T07:28:00Z') };
+  const next = jest.fn();
+
+  beforeEach(() => {
+    Object.assign(res, { getHeader: jest.fn(), set: jest.fn().mockReturnValue(res), setHeader: jest.fn() });
+    getBlobSpy = jest.spyOn(controller, '_getBlob').mockResolvedValue(undefined);
+    getVersionValidatorsSpy = jest.spyOn(controller, '_getVersionValidators');
+    processS3HeadersSpy = jest.spyOn(controller, '_processS3Headers').mockReturnValue([]);
+  });
+
+  it('should reject a failed precondition before signing a url', async () => {
+    getVersionValidatorsSpy.mockResolvedValue(validators);
+
+    await controller.readObject(mockRequest({ 'if-match': '"other"' }, { download: 'url' }), res, next);
+
+    expect(storageHeadObjectSpy).toHaveBeenCalledTimes(0);
+    expect(storageReadSignedUrlSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 412 }));
+  });
+
+  it('should respond 304 to an unmodified redirect download', async () => {
+    getVersionValidatorsSpy.mockResolvedValue(validators);
+
+    await controller.readObject(mockRequest({ 'if-none-match': '"ver-123-1"' }), res, next);
+
+    expect(storageReadSignedUrlSpy).toHaveBeenCalledTimes(0);
+    expect(res.status).toHaveBeenCalledWith(304);
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should evaluate preconditions against a HEAD without a database before reading the content', async () => {
+    getVersionValidatorsSpy.mockResolvedValue(undefined);
+    storageHeadObjectSpy.mockResolvedValue({ ...validators, ContentLength: 10 });
+
+    await controller.readObject(mockRequest({ 'if-none-match': '"ver-123-1"' }, { download: 'proxy' }), res, next);
+
+    expect(storageHeadObjectSpy).toHaveBeenCalledWith(expect.objectContaining({ filePath: 'xyz-789' }));
+    expect(storageReadObjectSpy).toHaveBeenCalledTimes(0);
+    expect(processS3HeadersSpy).toHaveBeenCalledWith(validators, res);
+    expect(res.status).toHaveBeenCalledWith(304);
+  });
+
+  it('should stream the content when the preconditions pass', async () => {
+    const body = { pipe: jest.fn() };
+    getVersionValidatorsSpy.mockResolvedValue(validators);
+    storageReadObjectSpy.mockResolvedValue({ Body: body, ETag: '"abc"' });
+
+    await controller.readObject(mockRequest({ 'if-none-match': '"other"' }, { download: 'proxy' }), res, next);
+
+    expect(storageReadObjectSpy).toHaveBeenCalledTimes(1);
+    expect(body.pipe).toHaveBeenCalledWith(res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should not HEAD the object for an unconditional download', async () => {
+    getVersionValidatorsSpy.mockResolvedValue(undefined);
+    storageReadSignedUrlSpy.mockResolvedValue('url');
+
+    await controller.readObject(mockRequest({}, { download: 'url' }), res, next);
+
+    expect(storageHeadObjectSpy).toHaveBeenCalledTimes(0);
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith('url');
+  });
+});
+
+describe('readRetention', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const storageGetObjectRetentionSpy = jest.spyOn(storageService, 'getObjectRetention');
+
+  const req = { params: { objId: 'xyz-789' }, query: {} };
+  const next = jest.fn();
+
+  it('should return the retention', async () => {
+    const retention = { Mode: 'GOVERNANCE', RetainUntilDate: new Date('2030-01-01') };
+    storageGetObjectRetentionSpy.mockResolvedValue({ Retention: retention });
+
+    await controller.readRetention(req, res, next);
+
+    expect(storageGetObjectRetentionSpy).toHaveBeenCalledWith({ filePath: 'xyz-789', versionId: undefined });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(retention);
+  });
+
+  it('should return an empty retention when none was ever set', async () => {
+    storageGetObjectRetentionSpy.mockRejectedValue(s3Error('NoSuchObjectLockConfiguration', 404));
+
+    await controller.readRetention(req, res, next);
+
+    expect(res.json).toHaveBeenCalledWith({});
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should respond 409 when object lock is not enabled for the bucket', async () => {
+    storageGetObjectRetentionSpy.mockRejectedValue(Object.assign(s3Error('InvalidRequest', 400), { message: 'Bucket is missing Object Lock Configuration' }));
+
+    await controller.readRetention(req, res, next);
+
+    expect(res.json).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 409 }));
+  });
+});
+
+describe('replaceMetadata', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  // mock service calls
+  const storageHeadObjectSpy = jest.spyOn(storageService, 'headObject');
+  const storageCopyObjectMultipartSpy = jest.spyOn(storageService, 'copyObjectMultipart');
+  const jobRunnerStartSpy = jest.spyOn(jobRunner, 'start');
+
+  const next = jest.fn();
+
+  // response from S3
+  const GoodResponse = {
+    ContentLength: 1234,
+    Metadata: { id: 1, name: 'test', foo: 'bar' }
+  };
+  const BadResponse = {
+    ContentLength: MAXCOPYOBJECTLENGTH + 1,
+    Metadata: { id: 1, name: 'test', foo: 'bar' }
+  };
+
+  it('should start a copy job when Content-Length is greater than 5GB', async () => {
+    // request object
+    const req = {
+      headers: { 'x-amz-meta-foo': 'bar' },
+      params: { objId: 'xyz-789' },
+      query: {}
+    };
+
+    storageHeadObjectSpy.mockReturnValue(BadResponse);
+    jobRunnerStartSpy.mockResolvedValue({ id: 'job-1' });
+
+    await controller.replaceMetadata(req, res, next);
+
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledTimes(0);
+    expect(jobRunnerStartSpy).toHaveBeenCalledWith(JobType.COPY_OBJECT, expect.objectContaining({
+      copySource: 'xyz-789',
+      filePath: 'xyz-789',
+      objId: 'xyz-789'
+    }), expect.objectContaining({ objectId: 'xyz-789' }));
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json).toHaveBeenCalledWith({ id: 'job-1' });
+  });
+
+  it('responds 422 when no keys are present', async () => {
+    // request object
+    const req = {
+      headers: {},
+      params: { objId: 'xyz-789' },
+      query: {}
+    };
+
+    storageHeadObjectSpy.mockReturnValue(GoodResponse);
+
+    await controller.replaceMetadata(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(422);
+  });
+
+  it('should replace the metadata', async () => {
+    // request object
+    const req = {
+      headers: { 'x-amz-meta-baz': 'quz' },
+      params: { objId: 'xyz-789' },
+      query: {}
+    };
+
+    storageHeadObjectSpy.mockReturnValue(GoodResponse);
+    storageCopyObjectMultipartSpy.mockReturnValue({});
+
+    await controller.replaceMetadata(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(204);
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledWith({
+      copySource: 'xyz-789',
+      filePath: 'xyz-789',
+      metadata: {
+        id: 1,
+        name: 'test',
+        baz: 'quz'
+      },
+      versionId: undefined
+    });
+  });
+
+  it('should replace replace the name', async () => {
+    // request object
+    const req = {
+      headers: { 'x-amz-meta-name': 'newName', 'x-amz-meta-baz': 'quz' },
+      params: { objId: 'xyz-789' },
+      query: {}
+    };
+
+    storageHeadObjectSpy.mockReturnValue(GoodResponse);
+    storageCopyObjectMultipartSpy.mockReturnValue({});
+
+    await controller.replaceMetadata(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(204);
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledWith({
+      copySource: 'xyz-789',
+      filePath: 'xyz-789',
+      metadata: {
+        id: 1,
+        name: 'newName',
+        baz: 'quz'
+      },
+      versionId: undefined
+    });
+  });
+});
+
+describe('replaceTags', () => {
   afterEach(() => {
     jest.resetAllMocks();
   });
@@ -635,3 +1267,2207 @@ describe('replaceTags', () => {
     });
   });
 });
+
+describe('restoreVersion', () => {
+  let copyVersionSpy;
+
+  beforeEach(() => {
+    copyVersionSpy = jest.spyOn(controller, '_copyVersion');
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    copyVersionSpy.mockRestore();
+  });
+
+  // mock service calls
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const storageGetBucketVersioningSpy = jest.spyOn(storageService, 'getBucketVersioning');
+
+  const req = {
+    headers: {},
+    params: { objId: 'xyz-789', versionId: '1234' }
+  };
+  const assertQuotaSpy = jest.spyOn(quota, 'assertQuota');
+  const versionGetSpy = jest.spyOn(versionService, 'get');
+  const next = jest.fn();
+
+  beforeEach(() => {
+    storageGetBucketVersioningSpy.mockResolvedValue(true);
+  });
+
+  it('should copy the version forward as the latest version', async () => {
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    copyVersionSpy.mockResolvedValue({ version: { id: 'ver-2', versionId: '5678' }, ETag: '"etag"', VersionId: '5678' });
+
+    await controller.restoreVersion(req, res, next);
+
+    expect(copyVersionSpy).toHaveBeenCalledWith({
+      objId: 'xyz-789',
+      filePath: 'xyz-789',
+      versionId: '1234',
+      userId: 'user-123',
+      sse: undefined
+    });
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ id: 'ver-2', versionId: '5678', ETag: '"etag"' });
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should restore objects larger than 5GB in a background job', async () => {
+    copyVersionSpy.mockResolvedValue({ job: { id: 'job-1' } });
+
+    await controller.restoreVersion(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json).toHaveBeenCalledWith({ id: 'job-1' });
+  });
+
+  it('should reject restoring in an unversioned bucket before copying', async () => {
+    storageGetBucketVersioningSpy.mockResolvedValue(false);
+
+    await controller.restoreVersion(req, res, next);
+
+    expect(copyVersionSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 409 }));
+  });
+
+  it('should reject restoring a version exceeding a quota before copying', async () => {
+    versionGetSpy.mockResolvedValue({ versionId: '1234', size: 100 });
+    assertQuotaSpy.mockRejectedValue(new Problem(507));
+
+    await controller.restoreVersion(req, res, next);
+
+    expect(versionGetSpy).toHaveBeenCalledWith('1234', 'xyz-789');
+    expect(assertQuotaSpy).toHaveBeenCalledWith(req, 100);
+    expect(copyVersionSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 507 }));
+  });
+
+});
+
+describe('undeleteObject', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  // mock service calls
+  const storageListObjectVersionSpy = jest.spyOn(storageService, 'listObjectVersion');
+  const storageDeleteObjectSpy = jest.spyOn(storageService, 'deleteObject');
+  const versionDeleteSpy = jest.spyOn(versionService, 'delete');
+
+  const req = { params: { objId: 'xyz-789' } };
+  const next = jest.fn();
+
+  it('should remove the latest delete marker', async () => {
+    storageListObjectVersionSpy.mockResolvedValue({
+      DeleteMarkers: [
+        { Key: 'xyz-789', VersionId: '1111', IsLatest: false },
+        { Key: 'xyz-789', VersionId: '2222', IsLatest: true }
+      ]
+    });
+    storageDeleteObjectSpy.mockResolvedValue({ DeleteMarker: true, VersionId: '2222' });
+
+    await controller.undeleteObject(req, res, next);
+
+    expect(storageListObjectVersionSpy).toHaveBeenCalledWith({ filePath: 'xyz-789' });
+    expect(storageDeleteObjectSpy).toHaveBeenCalledWith({ filePath: 'xyz-789', versionId: '2222' });
+    expect(versionDeleteSpy).toHaveBeenCalledWith('xyz-789', '2222');
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ DeleteMarker: true, VersionId: '2222' });
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should respond 409 when the object is not deleted', async () => {
+    storageListObjectVersionSpy.mockResolvedValue({
+      Versions: [{ Key: 'xyz-789', VersionId: '3333', IsLatest: true }],
+      DeleteMarkers: [{ Key: 'xyz-789', VersionId: '1111', IsLatest: false }]
+    });
+
+    await controller.undeleteObject(req, res, next);
+
+    expect(storageDeleteObjectSpy).toHaveBeenCalledTimes(0);
+    expect(versionDeleteSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 409 }));
+  });
+
+  it('should ignore delete markers of other keys sharing the prefix', async () => {
+    storageListObjectVersionSpy.mockResolvedValue({
+      DeleteMarkers: [{ Key: 'xyz-789-other', VersionId: '1111', IsLatest: true }]
+    });
+
+    await controller.undeleteObject(req, res, next);
+
+    expect(storageDeleteObjectSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 409 }));
+  });
+});
+
+describe('updateLegalHold', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const storagePutObjectLegalHoldSpy = jest.spyOn(storageService, 'putObjectLegalHold');
+
+  const req = { body: { status: 'ON' }, params: { objId: 'xyz-789' }, query: { versionId: '123' } };
+  const next = jest.fn();
+
+  it('should place a legal hold on the version', async () => {
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    storagePutObjectLegalHoldSpy.mockResolvedValue({});
+
+    await controller.updateLegalHold(req, res, next);
+
+    expect(storagePutObjectLegalHoldSpy).toHaveBeenCalledWith({ filePath: 'xyz-789', status: 'ON', versionId: '123' });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ Status: 'ON' });
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should lock the materialized copy of a deduplicated version', async () => {
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    const materializeSpy = jest.spyOn(controller, '_materializeObject').mockResolvedValue('5678');
+    storagePutObjectLegalHoldSpy.mockResolvedValue({});
+
+    await controller.updateLegalHold(req, res, next);
+
+    expect(materializeSpy).toHaveBeenCalledWith('xyz-789', '123', 'user-123', 'xyz-789');
+    expect(storagePutObjectLegalHoldSpy).toHaveBeenCalledWith({ filePath: 'xyz-789', status: 'ON', versionId: '5678' });
+    materializeSpy.mockRestore();
+  });
+});
+
+describe('updateRetention', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const storagePutObjectRetentionSpy = jest.spyOn(storageService, 'putObjectRetention');
+
+  const retainUntilDate = '2030-01-01T00:00:00.000Z';
+  const next = jest.fn();
+
+  it('should set the retention of the object', async () => {
+    const req = { body: { mode: 'GOVERNANCE', retainUntilDate }, params: { objId: 'xyz-789' }, query: { bypassGovernance: 'true' } };
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    storagePutObjectRetentionSpy.mockResolvedValue({});
+
+    await controller.updateRetention(req, res, next);
+
+    expect(storagePutObjectRetentionSpy).toHaveBeenCalledWith({
+      bypassGovernance: true,
+      filePath: 'xyz-789',
+      mode: 'GOVERNANCE',
+      retainUntilDate: new Date(retainUntilDate),
+      versionId: undefined
+    });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ Mode: 'GOVERNANCE', RetainUntilDate: new Date(retainUntilDate) });
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should respond 409 when shortening compliance retention', async () => {
+    const req = { body: { mode: 'COMPLIANCE', retainUntilDate }, params: { objId: 'xyz-789' }, query: { versionId: '123' } };
+    storagePutObjectRetentionSpy.mockRejectedValue(s3Error('AccessDenied', 403));
+    jest.spyOn(storageService, 'getObjectLegalHold').mockResolvedValue({ LegalHold: { Status: 'OFF' } });
+    jest.spyOn(storageService, 'getObjectRetention').mockResolvedValue({ Retention: { Mode: 'COMPLIANCE', RetainUntilDate: new Date('2040-01-01') } });
+
+    await controller.updateRetention(req, res, next);
+
+    expect(res.json).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 409, mode: 'COMPLIANCE' }));
+  });
+});
+
+describe('_copyVersion', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  // mock service calls
+  const jobRunnerStartSpy = jest.spyOn(jobRunner, 'start');
+  const metadataAssociateMetadataSpy = jest.spyOn(metadataService, 'associateMetadata');
+  const storageCopyObjectMultipartSpy = jest.spyOn(storageService, 'copyObjectMultipart');
+  const storageHeadObjectSpy = jest.spyOn(storageService, 'headObject');
+  const trxWrapperSpy = jest.spyOn(utils, 'trxWrapper');
+  const versionCopySpy = jest.spyOn(versionService, 'copy');
+  const versionGetBlobSpy = jest.spyOn(versionService, 'getBlob');
+  const versionUpdateSpy = jest.spyOn(versionService, 'update');
+
+  const options = { objId: 'xyz-789', filePath: 'xyz-789', versionId: 'v2', userId: 'user-123' };
+  const source = { ContentLength: 1234, ContentType: 'text/plain', Metadata: { id: 'xyz-789', name: 'a.txt' } };
+
+  beforeEach(() => {
+    storageHeadObjectSpy.mockResolvedValue({ ...source });
+    storageCopyObjectMultipartSpy.mockResolvedValue({ ETag: '"etag"', VersionId: 'v3' });
+    trxWrapperSpy.mockImplementation(fn => fn('trx'));
+    versionCopySpy.mockResolvedValue({ id: 'ver-3' });
+    versionUpdateSpy.mockResolvedValue({ id: 'ver-1' });
+  });
+
+  it('should copy the version with the given metadata and record it', async () => {
+    const metadata = jest.fn(() => ({ id: 'xyz-789', name: 'b.txt' }));
+
+    const result = await controller._copyVersion({ ...options, metadata });
+
+    expect(metadata).toHaveBeenCalledWith(source.Metadata);
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledWith({
+      copySource: 'xyz-789',
+      filePath: 'xyz-789',
+      metadata: { id: 'xyz-789', name: 'b.txt' },
+      tags: undefined,
+      mimeType: 'text/plain',
+      versionId: 'v2',
+      sse: undefined
+    });
+    expect(versionCopySpy).toHaveBeenCalledWith('v2', { versionId: 'v3', etag: '"etag"', storageClass: 'STANDARD' }, 'xyz-789', 'user-123', 'trx');
+    expect(metadataAssociateMetadataSpy).toHaveBeenCalledWith('ver-3', [{ key: 'id', value: 'xyz-789' }, { key: 'name', value: 'b.txt' }], 'user-123', 'trx');
+    expect(result).toEqual({ version: { id: 'ver-3' }, ETag: '"etag"', VersionId: 'v3' });
+  });
+
+  it('should update the version of an unversioned object', async () => {
+    storageCopyObjectMultipartSpy.mockResolvedValue({ ETag: '"etag"' });
+
+    await controller._copyVersion({ ...options, versionId: undefined });
+
+    expect(versionCopySpy).toHaveBeenCalledTimes(0);
+    expect(versionUpdateSpy).toHaveBeenCalledWith(expect.objectContaining({ id: 'xyz-789', etag: '"etag"' }), 'user-123', 'trx');
+    expect(metadataAssociateMetadataSpy).toHaveBeenCalledWith('ver-1', expect.any(Array), 'user-123', 'trx');
+  });
+
+  it('should copy a deduplicated version from the content it references', async () => {
+    mockDedup();
+    versionGetBlobSpy.mockResolvedValue({
+      versionId: 'v2',
+      blobPath: 'abc-123',
+      blobVersionId: 'b1',
+      mimeType: 'application/pdf',
+      metadata: [{ key: 'id', value: 'xyz-789' }, { key: 'name', value: 'b.pdf' }],
+      tag: [{ key: 't', value: '1' }]
+    });
+
+    await controller._copyVersion(options);
+
+    expect(versionGetBlobSpy).toHaveBeenCalledWith('v2', 'xyz-789');
+    expect(storageHeadObjectSpy).toHaveBeenCalledWith({ filePath: 'abc-123', versionId: 'b1', sse: undefined });
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledWith(expect.objectContaining({
+      copySource: 'abc-123',
+      filePath: 'xyz-789',
+      metadata: { id: 'xyz-789', name: 'b.pdf' },
+      tags: { t: '1' },
+      mimeType: 'application/pdf',
+      versionId: 'b1'
+    }));
+    expect(versionCopySpy).toHaveBeenCalledWith('v2', expect.any(Object), 'xyz-789', 'user-123', 'trx');
+  });
+
+  it('should start a copy job when Content-Length is greater than 5GB', async () => {
+    const sse = { customerAlgorithm: 'AES256', customerKey: 'key' };
+    storageHeadObjectSpy.mockResolvedValue({ ...source, ContentLength: MAXCOPYOBJECTLENGTH + 1 });
+    jobRunnerStartSpy.mockResolvedValue({ id: 'job-1' });
+
+    const result = await controller._copyVersion({ ...options, sse });
+
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledTimes(0);
+    expect(jobRunnerStartSpy).toHaveBeenCalledWith(JobType.COPY_OBJECT, {
+      copySource: 'xyz-789',
+      filePath: 'xyz-789',
+      metadata: source.Metadata,
+      tags: undefined,
+      mimeType: 'text/plain',
+      versionId: 'v2',
+      sourceVersionId: 'v2',
+      objId: 'xyz-789'
+    }, { objectId: 'xyz-789', userId: 'user-123', secrets: { sse } });
+    expect(result).toEqual({ job: { id: 'job-1' } });
+  });
+
+  it('should copy sources greater than 5GB inline when requested', async () => {
+    storageHeadObjectSpy.mockResolvedValue({ ...source, ContentLength: MAXCOPYOBJECTLENGTH + 1 });
+
+    await controller._copyVersion(options, true);
+
+    expect(jobRunnerStartSpy).toHaveBeenCalledTimes(0);
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('_deduplicateObject', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const findBlobSpy = jest.spyOn(versionService, 'findBlob');
+  const storageHeadObjectSpy = jest.spyOn(storageService, 'headObject');
+  const storageDeleteObjectSpy = jest.spyOn(storageService, 'deleteObject');
+
+  const req = { headers: {} };
+  const data = { id: 'xyz-789', path: 'xyz-789' };
+  const s3Response = { VersionId: 'v2', ChecksumSHA256: 'hash', ContentLength: 5 };
+  const blob = { blobPath: 'abc-123', blobVersionId: 'v1' };
+
+  it('should keep the content when deduplication is disabled', async () => {
+    await expect(controller._deduplicateObject(req, data, s3Response)).resolves.toBeUndefined();
+    expect(findBlobSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should keep content encrypted with a customer-provided key', async () => {
+    mockDedup();
+    const sseReq = { headers: { 'x-amz-server-side-encryption-customer-key': 'key' } };
+
+    await expect(controller._deduplicateObject(sseReq, data, s3Response)).resolves.toBeUndefined();
+    expect(findBlobSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should keep unique content', async () => {
+    mockDedup();
+    findBlobSpy.mockResolvedValue(undefined);
+
+    await expect(controller._deduplicateObject(req, data, s3Response, 'trx')).resolves.toBeUndefined();
+    expect(findBlobSpy).toHaveBeenCalledWith({ checksum: 'hash', checksumAlgorithm: 'SHA256', size: 5 }, 'trx');
+    expect(storageDeleteObjectSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should keep the content when the identical content cannot be read', async () => {
+    mockDedup();
+    findBlobSpy.mockResolvedValue(blob);
+    storageHeadObjectSpy.mockRejectedValue(new Error());
+
+    await expect(controller._deduplicateObject(req, data, s3Response)).resolves.toBeUndefined();
+    expect(storageDeleteObjectSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should discard the uploaded content in favour of the identical content', async () => {
+    mockDedup();
+    findBlobSpy.mockResolvedValue(blob);
+    storageHeadObjectSpy.mockResolvedValue({});
+
+    await expect(controller._deduplicateObject(req, data, s3Response)).resolves.toEqual(blob);
+    expect(storageHeadObjectSpy).toHaveBeenCalledWith({ filePath: 'abc-123', versionId: 'v1' });
+    expect(storageDeleteObjectSpy).toHaveBeenCalledWith({ filePath: 'xyz-789', versionId: 'v2' });
+  });
+});
+
+describe('_getBlobHeaders', () => {
+  it('should describe the version instead of the content it references', () => {
+    const version = {
+      versionId: 'v2',
+      mimeType: 'application/pdf',
+      metadata: [{ key: 'name', value: 'b.pdf' }, { key: 'id', value: 'xyz-789' }]
+    };
+
+    expect(controller._getBlobHeaders(version)).toEqual({
+      ContentType: 'application/pdf',
+      Metadata: { name: 'b.pdf', id: 'xyz-789' },
+      VersionId: 'v2'
+    });
+  });
+});
+
+describe('_getBulkObjectIds', () => {
+  let getPermittedObjectsSpy;
+
+  beforeEach(() => {
+    getPermittedObjectsSpy = jest.spyOn(controller, '_getPermittedObjects');
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    getPermittedObjectsSpy.mockRestore();
+  });
+
+  const objectSearchObjectsSpy = jest.spyOn(objectService, 'searchObjects');
+
+  it('should return the listed objects the user may update', async () => {
+    const req = { body: { objId: ['abc-123', 'xyz-789'] } };
+    objectSearchObjectsSpy.mockResolvedValue([{ id: 'abc-123' }, { id: 'xyz-789' }]);
+    getPermittedObjectsSpy.mockImplementation((req, objects) => objects);
+
+    const result = await controller._getBulkObjectIds(req);
+
+    expect(result).toEqual(['abc-123', 'xyz-789']);
+    expect(objectSearchObjectsSpy).toHaveBeenCalledWith(expect.objectContaining({ id: ['abc-123', 'xyz-789'], all: true }));
+    expect(getPermittedObjectsSpy).toHaveBeenCalledWith(req, expect.any(Array), 'UPDATE');
+  });
+
+  it('should reject if a listed object may not be updated', async () => {
+    const req = { body: { objId: ['abc-123', 'xyz-789'] } };
+    objectSearchObjectsSpy.mockResolvedValue([{ id: 'abc-123' }, { id: 'xyz-789' }]);
+    getPermittedObjectsSpy.mockResolvedValue([{ id: 'abc-123' }]);
+
+    await expect(controller._getBulkObjectIds(req)).rejects.toEqual(expect.objectContaining({ status: 403 }));
+  });
+
+  it('should return the matching objects the user may update', async () => {
+    const req = { body: { filter: { path: 'foo', tagset: { a: 'b' } } } };
+    objectSearchObjectsSpy.mockResolvedValue([{ id: 'abc-123' }, { id: 'xyz-789' }]);
+    getPermittedObjectsSpy.mockResolvedValue([{ id: 'xyz-789' }]);
+
+    const result = await controller._getBulkObjectIds(req);
+
+    expect(result).toEqual(['xyz-789']);
+    expect(objectSearchObjectsSpy).toHaveBeenCalledWith(expect.objectContaining({ id: undefined, path: 'foo', tag: { a: 'b' } }));
+  });
+});
+
+describe('_getCopyEncryption', () => {
+  it('should use the encryption of the request', () => {
+    const sse = { customerAlgorithm: 'AES256', customerKey: 'key' };
+
+    expect(controller._getCopyEncryption(sse, { ServerSideEncryption: 'AES256' })).toEqual(sse);
+  });
+
+  it('should preserve the s3 managed encryption of the source', () => {
+    expect(controller._getCopyEncryption(undefined, { ServerSideEncryption: 'AES256' })).toEqual({ algorithm: 'AES256' });
+  });
+
+  it('should not request encryption for an unencrypted source', () => {
+    expect(controller._getCopyEncryption(undefined, {})).toBeUndefined();
+  });
+});
+
+describe('_getNewObjectPath', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const objectSearchObjectsSpy = jest.spyOn(objectService, 'searchObjects');
+  const uploadSearchUploadsSpy = jest.spyOn(uploadService, 'searchUploads');
+
+  it('should use the default path without a folder', async () => {
+    await expect(controller._getNewObjectPath('xyz-789', undefined, 'a.txt')).resolves.toEqual('xyz-789');
+    expect(objectSearchObjectsSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should reject a folder without a database', async () => {
+    await expect(controller._getNewObjectPath('xyz-789', 'docs', 'a.txt')).rejects.toEqual(expect.objectContaining({ status: 501 }));
+  });
+
+  it('should place the file in the folder', async () => {
+    config.has.mockImplementation(key => key === 'db.enabled');
+    objectSearchObjectsSpy.mockResolvedValue([]);
+    uploadSearchUploadsSpy.mockResolvedValue([]);
+
+    await expect(controller._getNewObjectPath('xyz-789', 'docs/2022', 'a/b.txt')).resolves.toEqual('docs/2022/a_b.txt');
+    expect(objectSearchObjectsSpy).toHaveBeenCalledWith({ pathPrefix: 'docs/2022/a_b', all: true });
+    expect(uploadSearchUploadsSpy).toHaveBeenCalledWith({ pathPrefix: 'docs/2022/a_b', status: UploadStatus.PENDING });
+  });
+
+  it('should suffix a counter to paths already in use', async () => {
+    config.has.mockImplementation(key => key === 'db.enabled');
+    objectSearchObjectsSpy.mockResolvedValue([{ path: 'docs/a.txt' }, { path: 'docs/a (2).txt' }]);
+    uploadSearchUploadsSpy.mockResolvedValue([{ path: 'docs/a (1).txt' }]);
+    const reserved = new Set(['docs/a (3).txt']);
+
+    await expect(controller._getNewObjectPath('xyz-789', 'docs', 'a.txt', reserved)).resolves.toEqual('docs/a (4).txt');
+    expect(reserved.has('docs/a (4).txt')).toBeTruthy();
+  });
+});
+
+describe('_getObjectLockProblem', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const storageGetObjectLegalHoldSpy = jest.spyOn(storageService, 'getObjectLegalHold');
+  const storageGetObjectRetentionSpy = jest.spyOn(storageService, 'getObjectRetention');
+
+  const data = { filePath: 'xyz-789', versionId: '123' };
+  const future = new Date(Date.now() + 86400000);
+
+  it('should respond 409 when object lock is not enabled for the bucket', async () => {
+    const err = Object.assign(s3Error('InvalidRequest', 400), { message: 'Bucket is missing Object Lock Configuration' });
+
+    const result = await controller._getObjectLockProblem(err, data);
+
+    expect(result).toEqual(expect.objectContaining({ status: 409 }));
+    expect(storageGetObjectLegalHoldSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should respond 423 for a legal hold', async () => {
+    storageGetObjectLegalHoldSpy.mockResolvedValue({ LegalHold: { Status: 'ON' } });
+    storageGetObjectRetentionSpy.mockRejectedValue(s3Error('NoSuchObjectLockConfiguration', 404));
+
+    const result = await controller._getObjectLockProblem(s3Error('AccessDenied', 403), data);
+
+    expect(storageGetObjectLegalHoldSpy).toHaveBeenCalledWith(data);
+    expect(storageGetObjectRetentionSpy).toHaveBeenCalledWith(data);
+    expect(result).toEqual(expect.objectContaining({ status: 423, legalHold: 'ON' }));
+  });
+
+  it('should respond 423 for governance retention', async () => {
+    storageGetObjectLegalHoldSpy.mockResolvedValue({ LegalHold: { Status: 'OFF' } });
+    storageGetObjectRetentionSpy.mockResolvedValue({ Retention: { Mode: 'GOVERNANCE', RetainUntilDate: future } });
+
+    const result = await controller._getObjectLockProblem(s3Error('AccessDenied', 403), data);
+
+    expect(result).toEqual(expect.objectContaining({ status: 423, mode: 'GOVERNANCE', retainUntilDate: future.toISOString() }));
+  });
+
+  it('should respond 409 for compliance retention', async () => {
+    storageGetObjectLegalHoldSpy.mockResolvedValue({ LegalHold: { Status: 'OFF' } });
+    storageGetObjectRetentionSpy.mockResolvedValue({ Retention: { Mode: 'COMPLIANCE', RetainUntilDate: future } });
+
+    const result = await controller._getObjectLockProblem(s3Error('AccessDenied', 403), data);
+
+    expect(result).toEqual(expect.objectContaining({ status: 409, mode: 'COMPLIANCE' }));
+  });
+
+  it('should return the error when the version is not locked', async () => {
+    const err = s3Error('AccessDenied', 403);
+    storageGetObjectLegalHoldSpy.mockResolvedValue({ LegalHold: { Status: 'OFF' } });
+    storageGetObjectRetentionSpy.mockResolvedValue({ Retention: { Mode: 'GOVERNANCE', RetainUntilDate: new Date('2000-01-01') } });
+
+    expect(await controller._getObjectLockProblem(err, data)).toBe(err);
+  });
+
+  it('should return errors unrelated to object lock', async () => {
+    const err = s3Error('NoSuchKey', 404);
+
+    expect(await controller._getObjectLockProblem(err, data)).toBe(err);
+    expect(storageGetObjectLegalHoldSpy).toHaveBeenCalledTimes(0);
+  });
+});
+
+describe('_getObjectPath', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const objectReadSpy = jest.spyOn(objectService, 'read');
+
+  it('should use the path of the given object record', async () => {
+    await expect(controller._getObjectPath('xyz-789', { id: 'xyz-789', path: 'docs/a.txt' })).resolves.toEqual('docs/a.txt');
+    expect(objectReadSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should use the default path without a database', async () => {
+    await expect(controller._getObjectPath('xyz-789')).resolves.toEqual('xyz-789');
+    expect(objectReadSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should read the path recorded on the object', async () => {
+    config.has.mockImplementation(key => key === 'db.enabled');
+    objectReadSpy.mockResolvedValue({ id: 'xyz-789', path: 'docs/a.txt' });
+
+    await expect(controller._getObjectPath('xyz-789')).resolves.toEqual('docs/a.txt');
+    expect(objectReadSpy).toHaveBeenCalledWith('xyz-789');
+  });
+});
+
+describe('_getPermissionUser', () => {
+  it('should not limit requests when permissions are not enforced', async () => {
+    expect(await controller._getPermissionUser({ currentUser: { authType: 'BEARER' } })).toBeUndefined();
+  });
+});
+
+describe('_getPermittedObjects', () => {
+  it('should permit all objects when permissions are not enforced', async () => {
+    const objects = [{ id: 'abc-123' }, { id: 'xyz-789', public: true }];
+
+    expect(await controller._getPermittedObjects({}, objects, 'READ')).toEqual(objects);
+  });
+});
+
+describe('_getSearchParams', () => {
+  it('should map the request filters onto search parameters', () => {
+    const req = {
+      headers: { 'x-amz-meta-foo': 'bar' },
+      query: { objId: 'abc,xyz', name: 'foo.txt', tagset: { a: 'b' }, public: 'true', deleteMarker: 'false' }
+    };
+
+    expect(controller._getSearchParams(req)).toEqual({
+      id: ['abc', 'xyz'],
+      name: 'foo.txt',
+      path: undefined,
+      mimeType: undefined,
+      hash: undefined,
+      metadata: { foo: 'bar' },
+      tag: { a: 'b' },
+      public: true,
+      active: undefined,
+      deleteMarker: false,
+      latest: undefined,
+      minSize: undefined,
+      maxSize: undefined,
+      createdAfter: undefined,
+      createdBefore: undefined,
+      updatedAfter: undefined,
+      updatedBefore: undefined,
+      createdBy: undefined,
+      updatedBy: undefined,
+      text: undefined
+    });
+  });
+
+  it('should map the full-text search query', () => {
+    const req = { headers: {}, query: { q: 'permit "Site 42"' } };
+
+    expect(controller._getSearchParams(req)).toEqual(expect.objectContaining({ text: 'permit "Site 42"' }));
+  });
+
+  it('should map the date, user, size and latest version filters', () => {
+    const req = {
+      headers: {},
+      query: {
+        latest: 'true',
+        minSize: '0',
+        maxSize: '1024',
+        createdAfter: '2022-01-01T00:00:00Z',
+        updatedBefore: '2022-12-31T00:00:00Z',
+        createdBy: 'e0603b592edc45f7acc7b0cccd6656e1',
+        updatedBy: ['e0603b59-2edc-45f7-acc7-b0cccd6656e1']
+      }
+    };
+
+    expect(controller._getSearchParams(req)).toEqual(expect.objectContaining({
+      latest: true,
+      minSize: 0,
+      maxSize: 1024,
+      createdAfter: '2022-01-01T00:00:00Z',
+      createdBefore: undefined,
+      updatedAfter: undefined,
+      updatedBefore: '2022-12-31T00:00:00Z',
+      createdBy: ['e0603b59-2edc-45f7-acc7-b0cccd6656e1'],
+      updatedBy: ['e0603b59-2edc-45f7-acc7-b0cccd6656e1']
+    }));
+  });
+});
+
+describe('_getVersionValidators', () => {
+  const versionGetSpy = jest.spyOn(versionService, 'get');
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should yield the validators of the version record', async () => {
+    versionGetSpy.mockResolvedValue({ id: 'ver-123', createdAt: '2022-10-10T10:10:10.000Z' });
+
+    const result = await controller._getVersionValidators('xyz-789', 'v1');
+
+    expect(versionGetSpy).toHaveBeenCalledWith('v1', 'xyz-789');
+    expect(result).toEqual({
+      ETag: `"ver-123-${new Date('2022-10-10T10:10:10.000Z').getTime()}"`,
+      LastModified: new Date('2022-10-10T10:10:10.000Z')
+    });
+  });
+
+  it('should yield undefined without a database', async () => {
+    versionGetSpy.mockResolvedValue({});
+
+    expect(await controller._getVersionValidators('xyz-789')).toBeUndefined();
+  });
+});
+
+describe('_getZipEntryName', () => {
+  it('should use the name as-is when unused', () => {
+    const names = new Set();
+
+    expect(controller._getZipEntryName('foo.txt', names)).toEqual('foo.txt');
+    expect(names.has('foo.txt')).toBeTruthy();
+  });
+
+  it('should suffix a counter to names already in use', () => {
+    const names = new Set(['foo.txt', 'foo (1).txt']);
+
+    expect(controller._getZipEntryName('foo.txt', names)).toEqual('foo (2).txt');
+  });
+
+  it('should not allow path separators', () => {
+    expect(controller._getZipEntryName('../a\\b.txt', new Set())).toEqual('.._a_b.txt');
+  });
+});
+
+describe('_materializeObject', () => {
+  let pruneBlobSpy;
+
+  beforeEach(() => {
+    pruneBlobSpy = jest.spyOn(controller, '_pruneBlob').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    pruneBlobSpy.mockRestore();
+  });
+
+  const getBlobSpy = jest.spyOn(versionService, 'getBlob');
+  const getLatestSpy = jest.spyOn(versionService, 'getLatest');
+  const detachBlobSpy = jest.spyOn(versionService, 'detachBlob');
+  const storageCopyObjectMultipartSpy = jest.spyOn(storageService, 'copyObjectMultipart');
+
+  const version = {
+    id: 'version-1',
+    versionId: 'v2',
+    blobPath: 'abc-123',
+    blobVersionId: 'v1',
+    mimeType: 'application/pdf',
+    metadata: [{ key: 'name', value: 'b.pdf' }],
+    tag: [{ key: 'foo', value: 'bar' }]
+  };
+
+  it('should leave objects storing their own content alone', async () => {
+    mockDedup();
+    getBlobSpy.mockResolvedValue(undefined);
+
+    await expect(controller._materializeObject('xyz-789', 'v2', 'user-123', 'xyz-789')).resolves.toEqual('v2');
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should copy the referenced content onto the object', async () => {
+    mockDedup();
+    getBlobSpy.mockResolvedValue(version);
+    getLatestSpy.mockResolvedValue(version);
+    storageCopyObjectMultipartSpy.mockResolvedValue({ ETag: '"etag-3"', VersionId: 'v3' });
+
+    await expect(controller._materializeObject('xyz-789', 'v2', 'user-123', 'xyz-789')).resolves.toEqual('v3');
+    expect(getBlobSpy).toHaveBeenCalledWith('v2', 'xyz-789');
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledWith({
+      copySource: 'abc-123',
+      filePath: 'xyz-789',
+      metadata: { name: 'b.pdf' },
+      tags: { foo: 'bar' },
+      mimeType: 'application/pdf',
+      versionId: 'v1'
+    });
+    expect(detachBlobSpy).toHaveBeenCalledWith('version-1', { versionId: 'v3', etag: '"etag-3"', storageClass: 'STANDARD' }, 'user-123');
+    expect(pruneBlobSpy).toHaveBeenCalledWith('abc-123', 'v1');
+  });
+
+  it('should keep targeting the latest version', async () => {
+    mockDedup();
+    getBlobSpy.mockResolvedValue(version);
+    getLatestSpy.mockResolvedValue(version);
+    storageCopyObjectMultipartSpy.mockResolvedValue({ VersionId: 'v3' });
+
+    await expect(controller._materializeObject('xyz-789', undefined, 'user-123', 'xyz-789')).resolves.toBeUndefined();
+  });
+
+  it('should reject an older deduplicated version with a 409', async () => {
+    mockDedup();
+    getBlobSpy.mockResolvedValue(version);
+    getLatestSpy.mockResolvedValue({ id: 'version-2', versionId: 'v4' });
+
+    await expect(controller._materializeObject('xyz-789', 'v2', 'user-123', 'xyz-789'))
+      .rejects.toEqual(expect.objectContaining({ status: 409 }));
+    expect(getLatestSpy).toHaveBeenCalledWith('xyz-789');
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledTimes(0);
+    expect(detachBlobSpy).toHaveBeenCalledTimes(0);
+  });
+});
+
+describe('_processS3Headers', () => {
+  beforeAll(() => {
+    // Undo the spy installed by the addMetadata tests
+    jest.spyOn(controller, '_processS3Headers').mockRestore();
+  });
+
+  it('should set and expose the range headers', () => {
+    res.set = jest.fn().mockReturnValue(res);
+
+    const result = controller._processS3Headers({ AcceptRanges: 'bytes', ContentRange: 'bytes 0-9/100' }, res);
+
+    expect(res.set).toHaveBeenCalledWith('Accept-Ranges', 'bytes');
+    expect(res.set).toHaveBeenCalledWith('Content-Range', 'bytes 0-9/100');
+    expect(result).toEqual(['Accept-Ranges', 'Content-Range']);
+  });
+
+  it('should set and expose the customer-provided key headers', () => {
+    res.set = jest.fn().mockReturnValue(res);
+
+    const result = controller._processS3Headers({ SSECustomerAlgorithm: 'AES256', SSECustomerKeyMD5: 'md5' }, res);
+
+    expect(res.set).toHaveBeenCalledWith('x-amz-server-side-encryption-customer-algorithm', 'AES256');
+    expect(res.set).toHaveBeenCalledWith('x-amz-server-side-encryption-customer-key-md5', 'md5');
+    expect(result).toEqual([
+      'x-amz-server-side-encryption-customer-algorithm',
+      'x-amz-server-side-encryption-customer-key-md5'
+    ]);
+  });
+});
+
+describe('_pruneBlob', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const countSpy = jest.spyOn(versionService, 'countBlobReferences');
+  const storageDeleteObjectSpy = jest.spyOn(storageService, 'deleteObject');
+
+  it('should delete content that is no longer referenced', async () => {
+    countSpy.mockResolvedValue(0);
+
+    await controller._pruneBlob('abc-123', 'v1');
+
+    expect(countSpy).toHaveBeenCalledWith('abc-123', 'v1');
+    expect(storageDeleteObjectSpy).toHaveBeenCalledWith({ filePath: 'abc-123', versionId: 'v1' });
+  });
+
+  it('should keep content that is still referenced', async () => {
+    countSpy.mockResolvedValue(1);
+
+    await controller._pruneBlob('abc-123', 'v1');
+
+    expect(storageDeleteObjectSpy).toHaveBeenCalledTimes(0);
+  });
+});
+
+describe('_putObject', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  // mock service calls
+  const storagePutObjectSpy = jest.spyOn(storageService, 'putObject');
+
+  const md5 = 'XUFAKrxLKna5cZ2REBfFkg==';
+  const sha256 = 'LPJNul+wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ=';
+  const data = { id: 'xyz-789', path: 'xyz-789', mimeType: 'text/plain' };
+
+  beforeEach(() => {
+    // Consume the piped content like S3 would
+    storagePutObjectSpy.mockImplementation(({ stream, abortSignal }) => new Promise((resolve, reject) => {
+      stream.on('end', () => resolve({ ETag: '"etag"', VersionId: '1234' }));
+      abortSignal.onabort = () => reject(Object.assign(new Error('Request aborted'), { name: 'AbortError' }));
+      stream.resume();
+    }));
+  });
+
+  it('should return the checksum and size of the content', async () => {
+    const req = { headers: {} };
+
+    const result = await controller._putObject(req, data, Readable.from([Buffer.from('hello')]));
+
+    expect(storagePutObjectSpy).toHaveBeenCalledWith(expect.objectContaining({ id: 'xyz-789', sse: undefined }));
+    expect(result).toEqual({ ETag: '"etag"', VersionId: '1234', ChecksumSHA256: sha256, ContentLength: 5 });
+  });
+
+  it('should pass the provided checksums on to S3', async () => {
+    const req = { headers: {} };
+
+    const result = await controller._putObject(req, data, Readable.from([Buffer.from('hello')]), {
+      contentMD5: md5, checksumSHA256: sha256
+    });
+
+    expect(storagePutObjectSpy).toHaveBeenCalledWith(expect.objectContaining({ contentMD5: md5, checksumSHA256: sha256 }));
+    expect(result.ChecksumSHA256).toEqual(sha256);
+  });
+
+  it('should reject content S3 finds not matching the provided checksum', async () => {
+    const req = { headers: {} };
+    storagePutObjectSpy.mockRejectedValue(Object.assign(new Error('BadDigest'), { name: 'BadDigest' }));
+
+    await expect(controller._putObject(req, data, Readable.from([Buffer.from('hello')]), { checksumSHA256: md5 }))
+      .rejects.toEqual(expect.objectContaining({ status: 400 }));
+  });
+
+  it('should abandon the put once the content exceeds what remains of the quotas', async () => {
+    const req = { headers: {}, remainingBytes: 7 };
+    const stream = Readable.from([Buffer.from('hello'), Buffer.from('world')]);
+
+    await expect(controller._putObject(req, data, stream)).rejects.toEqual(expect.objectContaining({ status: 507 }));
+    expect(storagePutObjectSpy.mock.calls[0][0].abortSignal.aborted).toBeTruthy();
+  });
+
+  it('should pass on other errors', async () => {
+    const req = { headers: {} };
+    storagePutObjectSpy.mockRejectedValue(new Error('error'));
+
+    await expect(controller._putObject(req, data, Readable.from([Buffer.from('hello')])))
+      .rejects.toThrow('error');
+  });
+});
+
+describe('_readObjectRange', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const storageReadObjectSpy = jest.spyOn(storageService, 'readObject');
+  const storageHeadObjectSpy = jest.spyOn(storageService, 'headObject');
+
+  const data = { filePath: 'xyz-789', versionId: undefined };
+  const mockRequest = (headers) => ({ get: (name) => headers[name] });
+
+  it('should read the entire object without a range', async () => {
+    storageReadObjectSpy.mockResolvedValue({});
+
+    await controller._readObjectRange(mockRequest({}), res, data);
+
+    expect(storageReadObjectSpy).toHaveBeenCalledWith({ ...data, range: undefined });
+  });
+
+  it('should pass the range through', async () => {
+    storageReadObjectSpy.mockResolvedValue({ ContentRange: 'bytes 0-9/100' });
+
+    const result = await controller._readObjectRange(mockRequest({ Range: 'bytes=0-9' }), res, data);
+
+    expect(result).toEqual({ ContentRange: 'bytes 0-9/100' });
+    expect(storageReadObjectSpy).toHaveBeenCalledWith({ ...data, range: 'bytes=0-9' });
+  });
+
+  it('should apply an If-Range etag as a precondition', async () => {
+    storageReadObjectSpy.mockResolvedValue({});
+
+    await controller._readObjectRange(mockRequest({ Range: 'bytes=0-9', 'If-Range': '"abc"' }), res, data);
+
+    expect(storageReadObjectSpy).toHaveBeenCalledWith({ ...data, range: 'bytes=0-9', ifMatch: '"abc"' });
+  });
+
+  it('should apply an If-Range date as a precondition', async () => {
+    storageReadObjectSpy.mockResolvedValue({});
+    const date = 'Wed, 21 Oct 2015 07:28:00 GMT';
+
+    await controller._readObjectRange(mockRequest({ Range: 'bytes=0-9', 'If-Range': date }), res, data);
+
+    expect(storageReadObjectSpy).toHaveBeenCalledWith({ ...data, range: 'bytes=0-9', ifUnmodifiedSince: new Date(date) });
+  });
+
+  it('should ignore the range for a weak If-Range etag', async () => {
+    storageReadObjectSpy.mockResolvedValue({});
+
+    await controller._readObjectRange(mockRequest({ Range: 'bytes=0-9', 'If-Range': 'W/"abc"' }), res, data);
+
+    expect(storageReadObjectSpy).toHaveBeenCalledWith({ ...data, range: undefined });
+  });
+
+  it('should honour the range when If-Range matches the version validators', async () => {
+    storageReadObjectSpy.mockResolvedValue({});
+    const validators = { ETag: '"ver-123-1"', LastModified: new Date('2015-10-21T07:28:00Z') };
+
+    await controller._readObjectRange(mockRequest({ Range: 'bytes=0-9', 'If-Range': '"ver-123-1"' }), res, data, validators);
+    await controller._readObjectRange(mockRequest({ Range: 'bytes=0-9', 'If-Range': 'Wed, 21 Oct 2015 07:28:00 GMT' }), res, data, validators);
+
+    expect(storageReadObjectSpy).toHaveBeenCalledTimes(2);
+    expect(storageReadObjectSpy).toHaveBeenNthCalledWith(1, { ...data, range: 'bytes=0-9' });
+    expect(storageReadObjectSpy).toHaveBeenNthCalledWith(2, { ...data, range: 'bytes=0-9' });
+  });
+
+  it('should ignore the range when If-Range does not match the version validators', async () => {
+    storageReadObjectSpy.mockResolvedValue({});
+    const validators = { ETag: '"ver-123-2"', LastModified: new Date('2015-10-21T07:28:01Z') };
+
+    await controller._readObjectRange(mockRequest({ Range: 'bytes=0-9', 'If-Range': '"ver-123-1"' }), res, data, validators);
+    await controller._readObjectRange(mockRequest({ Range: 'bytes=0-9', 'If-Range': 'Wed, 21 Oct 2015 07:28:00 GMT' }), res, data, validators);
+
+    expect(storageReadObjectSpy).toHaveBeenNthCalledWith(1, { ...data, range: undefined });
+    expect(storageReadObjectSpy).toHaveBeenNthCalledWith(2, { ...data, range: undefined });
+  });
+
+  it('should read the entire object when the If-Range precondition fails', async () => {
+    storageReadObjectSpy
+      .mockRejectedValueOnce({ $metadata: { httpStatusCode: 412 } })
+      .mockResolvedValueOnce({ ContentLength: 100 });
+
+    const result = await controller._readObjectRange(mockRequest({ Range: 'bytes=0-9', 'If-Range': '"abc"' }), res, data);
+
+    expect(result).toEqual({ ContentLength: 100 });
+    expect(storageReadObjectSpy).toHaveBeenCalledTimes(2);
+    expect(storageReadObjectSpy).toHaveBeenLastCalledWith(data);
+  });
+
+  it('should throw a 416 problem for an unsatisfiable range', async () => {
+    res.set = jest.fn().mockReturnValue(res);
+    storageReadObjectSpy.mockRejectedValue({ $metadata: { httpStatusCode: 416 } });
+    storageHeadObjectSpy.mockResolvedValue({ ContentLength: 100 });
+
+    await expect(controller._readObjectRange(mockRequest({ Range: 'bytes=200-' }), res, data))
+      .rejects.toEqual(expect.objectContaining({ status: 416 }));
+    expect(res.set).toHaveBeenCalledWith('Content-Range', 'bytes */100');
+  });
+
+  it('should rethrow other errors', async () => {
+    const error = { $metadata: { httpStatusCode: 404 } };
+    storageReadObjectSpy.mockRejectedValue(error);
+
+    await expect(controller._readObjectRange(mockRequest({ Range: 'bytes=0-9' }), res, data)).rejects.toBe(error);
+  });
+});
+
+describe('_readUploadSession', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const uploadReadSpy = jest.spyOn(uploadService, 'read');
+
+  const session = {
+    id: '11111111-1111-4111-8111-111111111111',
+    createdBy: 'user-123',
+    status: UploadStatus.PENDING,
+    type: UploadType.MULTIPART
+  };
+
+  it('should return a pending session', async () => {
+    const req = { params: { uploadId: session.id } };
+    uploadReadSpy.mockResolvedValue(session);
+
+    await expect(controller._readUploadSession(req, 'user-123', UploadType.MULTIPART)).resolves.toEqual(session);
+  });
+
+  it('should reject a missing session with a 403', async () => {
+    const req = { params: { uploadId: session.id } };
+    uploadReadSpy.mockResolvedValue(undefined);
+
+    await expect(controller._readUploadSession(req, 'user-123', UploadType.MULTIPART)).rejects.toEqual(expect.objectContaining({ status: 403 }));
+  });
+
+  it('should reject a session belonging to another bearer user with a 403', async () => {
+    const req = { currentUser: { authType: AuthType.BEARER }, params: { uploadId: session.id } };
+    uploadReadSpy.mockResolvedValue(session);
+
+    await expect(controller._readUploadSession(req, 'user-456', UploadType.MULTIPART)).rejects.toEqual(expect.objectContaining({ status: 403 }));
+  });
+
+  it('should reject a session of another type with a 403', async () => {
+    const req = { params: { uploadId: session.id } };
+    uploadReadSpy.mockResolvedValue(session);
+
+    await expect(controller._readUploadSession(req, 'user-123', UploadType.PRESIGNED)).rejects.toEqual(expect.objectContaining({ status: 403 }));
+  });
+
+  it('should reject a session that is no longer pending with a 409', async () => {
+    const req = { params: { uploadId: session.id } };
+    uploadReadSpy.mockResolvedValue({ ...session, status: UploadStatus.COMPLETED });
+
+    await expect(controller._readUploadSession(req, 'user-123', UploadType.MULTIPART)).rejects.toEqual(expect.objectContaining({ status: 409 }));
+  });
+});
+
+describe('_searchStorage', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  // mock service calls
+  const storageGetObjectTaggingSpy = jest.spyOn(storageService, 'getObjectTagging');
+  const storageHeadObjectSpy = jest.spyOn(storageService, 'headObject');
+  const storageListObjectsV2Spy = jest.spyOn(storageService, 'listObjectsV2');
+
+  const listing = {
+    Contents: [
+      { Key: 'abc-123', LastModified: '2022-01-01', Size: 10, ETag: '"a"', StorageClass: 'STANDARD' },
+      { Key: 'def-456', LastModified: '2022-01-02', Size: 20, ETag: '"d"', StorageClass: 'GLACIER' },
+      { Key: 'ghi-789', LastModified: '2022-01-03', Size: 30, ETag: '"g"' }
+    ],
+    IsTruncated: true,
+    NextContinuationToken: 'next'
+  };
+  const heads = {
+    'abc-123': { ContentType: 'text/plain', Metadata: { name: 'foo.txt', id: 'abc-123', colour: 'red' } },
+    'def-456': { ContentType: 'image/png', Metadata: { name: 'bar.png', id: 'def-456' } },
+    'ghi-789': { ContentType: 'text/plain', Metadata: { name: 'Foo.csv', id: 'ghi-789', colour: 'blue' } }
+  };
+
+  beforeEach(() => {
+    storageListObjectsV2Spy.mockResolvedValue(listing);
+    storageHeadObjectSpy.mockImplementation(({ filePath }) => Promise.resolve(heads[filePath]));
+  });
+
+  it('should list a page of the objects directly under the configured key', async () => {
+    const result = await controller._searchStorage({}, 'token');
+
+    expect(result).toEqual({
+      objects: [
+        { id: 'abc-123', path: 'abc-123', size: 10, etag: '"a"', storageClass: 'STANDARD', updatedAt: '2022-01-01' },
+        { id: 'def-456', path: 'def-456', size: 20, etag: '"d"', storageClass: 'GLACIER', updatedAt: '2022-01-02' },
+        { id: 'ghi-789', path: 'ghi-789', size: 30, etag: '"g"', storageClass: 'STANDARD', updatedAt: '2022-01-03' }
+      ],
+      continuationToken: 'next'
+    });
+    expect(storageListObjectsV2Spy).toHaveBeenCalledWith({ filePath: '', continuationToken: 'token', delimiter: '/', maxKeys: 100 });
+    expect(storageHeadObjectSpy).toHaveBeenCalledTimes(0);
+    expect(storageGetObjectTaggingSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should list at most the limit of keys', async () => {
+    await controller._searchStorage({ limit: 2 });
+
+    expect(storageListObjectsV2Spy).toHaveBeenCalledWith(expect.objectContaining({ maxKeys: 2 }));
+  });
+
+  it('should inspect a limited number of objects at once', async () => {
+    const Contents = Array.from({ length: 25 }, (v, i) => ({ Key: `key-${i}`, Size: 1 }));
+    storageListObjectsV2Spy.mockResolvedValue({ Contents, IsTruncated: false });
+    let inFlight = 0;
+    let maxInFlight = 0;
+    storageHeadObjectSpy.mockImplementation(async () => {
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      return { Metadata: { name: 'foo.txt' } };
+    });
+
+    const result = await controller._searchStorage({ name: 'foo' });
+
+    expect(result.objects.map(o => o.id)).toEqual(Contents.map(c => c.Key));
+    expect(storageHeadObjectSpy).toHaveBeenCalledTimes(25);
+    expect(maxInFlight).toEqual(10);
+  });
+
+  it('should not return a continuation token on the last page', async () => {
+    storageListObjectsV2Spy.mockResolvedValue({ KeyCount: 0, IsTruncated: false });
+
+    expect(await controller._searchStorage({})).toEqual({ objects: [], continuationToken: undefined });
+  });
+
+  it('should filter by id and path without inspecting the objects', async () => {
+    const result = await controller._searchStorage({ id: ['abc-123', 'def-456'], path: 'DEF' });
+
+    expect(result.objects.map(o => o.id)).toEqual(['def-456']);
+    expect(storageHeadObjectSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should filter by size from the listing', async () => {
+    expect((await controller._searchStorage({ minSize: 20 })).objects.map(o => o.id)).toEqual(['def-456', 'ghi-789']);
+    expect((await controller._searchStorage({ minSize: 15, maxSize: 25 })).objects.map(o => o.id)).toEqual(['def-456']);
+    expect(storageHeadObjectSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should filter by name, mimeType and metadata from the head of each object', async () => {
+    expect((await controller._searchStorage({ name: 'foo' })).objects.map(o => o.id)).toEqual(['abc-123', 'ghi-789']);
+    expect((await controller._searchStorage({ mimeType: 'image' })).objects.map(o => o.id)).toEqual(['def-456']);
+    expect((await controller._searchStorage({ metadata: { colour: 'blue' } })).objects.map(o => o.id)).toEqual(['ghi-789']);
+    expect((await controller._searchStorage({ metadata: { colour: '' } })).objects.map(o => o.id)).toEqual(['abc-123', 'ghi-789']);
+    expect(storageHeadObjectSpy).toHaveBeenCalledWith({ filePath: 'abc-123' });
+  });
+
+  it('should filter by tags from the tag set of each object', async () => {
+    storageGetObjectTaggingSpy.mockImplementation(({ filePath }) => Promise.resolve({
+      TagSet: filePath === 'def-456' ? [{ Key: 'project', Value: 'coms' }] : []
+    }));
+
+    const result = await controller._searchStorage({ tag: { project: 'coms' } });
+
+    expect(result.objects.map(o => o.id)).toEqual(['def-456']);
+    expect(storageGetObjectTaggingSpy).toHaveBeenCalledTimes(3);
+    expect(storageHeadObjectSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should reject filters that are only recorded in the database with a 501', async () => {
+    await expect(controller._searchStorage({ public: true, hash: 'abc' })).rejects.toEqual(expect.objectContaining({
+      status: 501,
+      detail: 'Searching by public, hash is not supported while running without a database'
+    }));
+    await expect(controller._searchStorage({ sort: 'name', page: 2 })).rejects.toEqual(expect.objectContaining({
+      detail: 'Searching by sort, page is not supported while running without a database'
+    }));
+    await expect(controller._searchStorage({ createdAfter: '2022-01-01', updatedBy: ['abc'] })).rejects.toEqual(expect.objectContaining({
+      detail: 'Searching by createdAfter, updatedBy is not supported while running without a database'
+    }));
+    await expect(controller._searchStorage({ text: 'permit' })).rejects.toEqual(expect.objectContaining({
+      detail: 'Searching by text is not supported while running without a database'
+    }));
+    expect(storageListObjectsV2Spy).toHaveBeenCalledTimes(0);
+  });
+});
+
+describe('completeUpload', () => {
+  let readUploadSessionSpy;
+
+  beforeEach(() => {
+    readUploadSessionSpy = jest.spyOn(controller, '_readUploadSession');
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    readUploadSessionSpy.mockRestore();
+  });
+
+  // mock service calls
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const storageListPartsSpy = jest.spyOn(storageService, 'listParts');
+  const storageCompleteSpy = jest.spyOn(storageService, 'completeMultipartUpload');
+  const objectCreateSpy = jest.spyOn(objectService, 'create');
+  const versionCreateSpy = jest.spyOn(versionService, 'create');
+  const metadataAssociateMetadataSpy = jest.spyOn(metadataService, 'associateMetadata');
+  const uploadUpdateStatusSpy = jest.spyOn(uploadService, 'updateStatus');
+  const trxWrapperSpy = jest.spyOn(utils, 'trxWrapper');
+
+  const assertQuotaSpy = jest.spyOn(quota, 'assertQuota');
+  const next = jest.fn();
+
+  const session = {
+    id: '11111111-1111-4111-8111-111111111111',
+    uploadId: 'abc',
+    objectId: 'xyz-789',
+    path: 'xyz-789',
+    mimeType: 'text/plain',
+    metadata: { name: 'foo.txt', id: 'xyz-789' },
+    status: UploadStatus.PENDING,
+    type: UploadType.MULTIPART,
+    newObject: true
+  };
+
+  it('responds 422 when no parts were uploaded', async () => {
+    const req = { params: { uploadId: session.id } };
+
+    readUploadSessionSpy.mockResolvedValue(session);
+    storageListPartsSpy.mockResolvedValue([]);
+
+    await controller.completeUpload(req, res, next);
+
+    expect(storageCompleteSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 422 }));
+  });
+
+  it('should assemble the parts and create the object', async () => {
+    const req = { params: { uploadId: session.id } };
+
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    readUploadSessionSpy.mockResolvedValue(session);
+    storageListPartsSpy.mockResolvedValue([
+      { ETag: 'a', PartNumber: 1, Size: 5 },
+      { ETag: 'b', PartNumber: 2, Size: 5 }
+    ]);
+    storageCompleteSpy.mockResolvedValue({ ETag: '"ab-2"', VersionId: '1234' });
+    trxWrapperSpy.mockImplementation(callback => callback({}));
+    objectCreateSpy.mockResolvedValue({ id: 'xyz-789' });
+    versionCreateSpy.mockResolvedValue({ id: 'version-1' });
+
+    await controller.completeUpload(req, res, next);
+
+    expect(storageCompleteSpy).toHaveBeenCalledWith({
+      filePath: 'xyz-789',
+      uploadId: 'abc',
+      parts: [{ ETag: 'a', PartNumber: 1 }, { ETag: 'b', PartNumber: 2 }]
+    });
+    expect(objectCreateSpy).toHaveBeenCalledWith(expect.objectContaining({ id: 'xyz-789', path: 'xyz-789', userId: 'user-123' }), {});
+    expect(versionCreateSpy).toHaveBeenCalledWith(expect.objectContaining({
+      id: 'xyz-789', versionId: '1234', size: 10, etag: '"ab-2"', storageClass: 'STANDARD'
+    }), 'user-123', {});
+    expect(metadataAssociateMetadataSpy).toHaveBeenCalledTimes(1);
+    expect(uploadUpdateStatusSpy).toHaveBeenCalledWith(session.id, UploadStatus.COMPLETED, 'user-123', {});
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should pass on problems from the session lookup', async () => {
+    const req = { params: { uploadId: session.id } };
+    const problem = new Problem(409);
+    readUploadSessionSpy.mockRejectedValue(problem);
+
+    await controller.completeUpload(req, res, next);
+
+    expect(storageListPartsSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(problem);
+  });
+
+  it('should reject assembling parts exceeding a quota', async () => {
+    const req = { params: { uploadId: session.id } };
+
+    readUploadSessionSpy.mockResolvedValue(session);
+    storageListPartsSpy.mockResolvedValue([{ ETag: 'a', PartNumber: 1, Size: 5 }, { ETag: 'b', PartNumber: 2, Size: 3 }]);
+    assertQuotaSpy.mockRejectedValue(new Problem(507));
+
+    await controller.completeUpload(req, res, next);
+
+    expect(assertQuotaSpy).toHaveBeenCalledWith(req, 8, 1);
+    expect(storageCompleteSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 507 }));
+  });
+
+});
+
+describe('createObjects', () => {
+  let getNewObjectPathSpy;
+
+  beforeEach(() => {
+    getNewObjectPathSpy = jest.spyOn(controller, '_getNewObjectPath');
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    getNewObjectPathSpy.mockRestore();
+  });
+
+  // mock service calls
+  const extractTextSpy = jest.spyOn(jobRunner, 'extractText');
+  const objectCreateSpy = jest.spyOn(objectService, 'create');
+  const storagePutObjectSpy = jest.spyOn(storageService, 'putObject');
+  const trxWrapperSpy = jest.spyOn(utils, 'trxWrapper');
+  const versionCreateSpy = jest.spyOn(versionService, 'create');
+
+  const md5 = 'XUFAKrxLKna5cZ2REBfFkg==';
+
+  /** Builds a multipart form upload request from `parts` of `[name, value, filename]` */
+  const mockUpload = (parts, headers = {}) => {
+    const body = parts.map(([name, value, filename]) => filename ?
+      `--form\r\nContent-Disposition: form-data; name="${name}"; filename="${filename}"\r\nContent-Type: text/plain\r\n\r\n${value}\r\n` :
+      `--form\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`).join('') + '--form--\r\n';
+
+    return Object.assign(Readable.from([Buffer.from(body)]), {
+      headers: { 'content-type': 'multipart/form-data; boundary=form', ...headers },
+      query: {}
+    });
+  };
+
+  beforeEach(() => {
+    getNewObjectPathSpy.mockImplementation(objId => Promise.resolve(objId));
+    // Consume the piped content like S3 would
+    storagePutObjectSpy.mockImplementation(({ stream, abortSignal }) => new Promise((resolve, reject) => {
+      stream.on('end', () => resolve({ ETag: '"etag"', VersionId: '1234' }));
+      abortSignal.onabort = () => reject(Object.assign(new Error('Request aborted'), { name: 'AbortError' }));
+      stream.resume();
+    }));
+    trxWrapperSpy.mockImplementation(fn => fn('trx'));
+    objectCreateSpy.mockImplementation(data => Promise.resolve({ id: data.id }));
+    versionCreateSpy.mockResolvedValue({ id: 'ver-1' });
+  });
+
+  it('should only check each file against the checksum fields sent before it', async () => {
+    const req = mockUpload([
+      ['content-md5', md5],
+      ['file', 'hello', 'a.txt'],
+      ['file', 'world', 'b.txt']
+    ], { 'content-md5': 'bm90IHRoZSBmaWxlIGRpZ2VzdA==', 'x-amz-checksum-sha256': 'bm90IHRoZSBmaWxlIGRpZ2VzdA==' });
+    const next = jest.fn();
+    const responded = new Promise(resolve => res.json.mockImplementation(resolve));
+
+    await controller.createObjects(req, res, next);
+    await responded;
+
+    expect(storagePutObjectSpy).toHaveBeenCalledTimes(2);
+    expect(storagePutObjectSpy.mock.calls[0][0]).toEqual(expect.objectContaining({ contentMD5: md5, checksumSHA256: undefined }));
+    expect(storagePutObjectSpy.mock.calls[1][0]).toEqual(expect.objectContaining({ contentMD5: undefined, checksumSHA256: undefined }));
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0]).toHaveLength(2);
+    expect(extractTextSpy).toHaveBeenCalledTimes(1);
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should report which files were stored when the quota only allows some of them', async () => {
+    const req = Object.assign(mockUpload([
+      ['a', 'hello', 'a.txt'],
+      ['b', 'world', 'b.txt'],
+      ['c', 'again', 'c.txt']
+    ]), { remainingObjects: 1 });
+    const next = jest.fn();
+    const responded = new Promise(resolve => res.json.mockImplementation(resolve));
+
+    await controller.createObjects(req, res, next);
+    await responded;
+
+    expect(storagePutObjectSpy).toHaveBeenCalledTimes(1);
+    expect(objectCreateSpy).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(207);
+    expect(res.json).toHaveBeenCalledWith([
+      expect.objectContaining({ status: 201, fieldName: 'a', VersionId: '1234' }),
+      { fieldName: 'b', name: 'b.txt', status: 507, detail: 'Upload would exceed the object storage quota' },
+      { fieldName: 'c', name: 'c.txt', status: 507, detail: 'Upload would exceed the object storage quota' }
+    ]);
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should abandon the files that exceed the bytes the quota allows', async () => {
+    const req = Object.assign(mockUpload([
+      ['a', 'hello', 'a.txt'],
+      ['b', 'world', 'b.txt']
+    ]), { remainingBytes: 7 });
+    const next = jest.fn();
+    const responded = new Promise(resolve => res.json.mockImplementation(resolve));
+
+    await controller.createObjects(req, res, next);
+    await responded;
+
+    expect(storagePutObjectSpy).toHaveBeenCalledTimes(2);
+    expect(versionCreateSpy).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(207);
+    expect(res.json).toHaveBeenCalledWith([
+      expect.objectContaining({ status: 201, fieldName: 'a', ContentLength: 5 }),
+      { fieldName: 'b', name: 'b.txt', status: 507, detail: 'Upload would exceed the storage quota' }
+    ]);
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+});
+
+describe('createUpload', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  // mock service calls
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const storageCreateSpy = jest.spyOn(storageService, 'createMultipartUpload');
+  const uploadCreateSpy = jest.spyOn(uploadService, 'create');
+
+  const next = jest.fn();
+
+  it('should initiate a multipart upload and record the session', async () => {
+    const req = {
+      body: { name: 'foo.txt' },
+      headers: { 'x-amz-meta-foo': 'bar' },
+      query: { tagset: { a: '1' } }
+    };
+
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    storageCreateSpy.mockResolvedValue({ UploadId: 'abc' });
+    uploadCreateSpy.mockResolvedValue({});
+
+    await controller.createUpload(req, res, next);
+
+    expect(storageCreateSpy).toHaveBeenCalledWith({
+      filePath: expect.any(String),
+      mimeType: 'application/octet-stream',
+      metadata: { name: 'foo.txt', foo: 'bar', id: expect.any(String) },
+      tags: { a: '1' }
+    });
+    expect(uploadCreateSpy).toHaveBeenCalledWith(expect.objectContaining({
+      type: UploadType.MULTIPART,
+      uploadId: 'abc',
+      userId: 'user-123',
+      mimeType: 'application/octet-stream'
+    }));
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+});
+
+describe('finalizeUpload', () => {
+  let finalizeUploadSessionSpy;
+  let readUploadSessionSpy;
+
+  beforeEach(() => {
+    finalizeUploadSessionSpy = jest.spyOn(controller, '_finalizeUploadSession');
+    readUploadSessionSpy = jest.spyOn(controller, '_readUploadSession');
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    finalizeUploadSessionSpy.mockRestore();
+    readUploadSessionSpy.mockRestore();
+  });
+
+  // mock service calls
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const storageHeadObjectSpy = jest.spyOn(storageService, 'headObject');
+
+  const assertQuotaSpy = jest.spyOn(quota, 'assertQuota');
+  const storageDeleteObjectSpy = jest.spyOn(storageService, 'deleteObject');
+  const next = jest.fn();
+
+  const session = {
+    id: '11111111-1111-4111-8111-111111111111',
+    objectId: 'xyz-789',
+    path: 'xyz-789',
+    status: UploadStatus.PENDING,
+    type: UploadType.PRESIGNED,
+    newObject: true,
+    createdAt: '2022-10-10T10:10:10.500Z'
+  };
+
+  it('should record an object uploaded after the reservation', async () => {
+    const req = { params: { uploadId: session.id } };
+
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    readUploadSessionSpy.mockResolvedValue(session);
+    storageHeadObjectSpy.mockResolvedValue({
+      ContentLength: 5, ETag: 'a', LastModified: new Date('2022-10-10T10:10:10.000Z'), VersionId: '1234'
+    });
+    finalizeUploadSessionSpy.mockResolvedValue({ id: 'xyz-789' });
+
+    await controller.finalizeUpload(req, res, next);
+
+    expect(readUploadSessionSpy).toHaveBeenCalledWith(req, 'user-123', UploadType.PRESIGNED);
+    expect(storageHeadObjectSpy).toHaveBeenCalledWith({ filePath: 'xyz-789' });
+    expect(finalizeUploadSessionSpy).toHaveBeenCalledWith(session, { versionId: '1234', size: 5, etag: 'a', storageClass: 'STANDARD' }, 'user-123');
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ id: 'xyz-789', ETag: 'a', VersionId: '1234' });
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should respond 200 for a new version of an existing object', async () => {
+    const req = { params: { uploadId: session.id } };
+
+    readUploadSessionSpy.mockResolvedValue({ ...session, newObject: false });
+    storageHeadObjectSpy.mockResolvedValue({ LastModified: new Date('2022-10-10T10:11:00.000Z') });
+    finalizeUploadSessionSpy.mockResolvedValue({ id: 'xyz-789' });
+
+    await controller.finalizeUpload(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('should respond 409 when the object was never uploaded', async () => {
+    const req = { params: { uploadId: session.id } };
+
+    readUploadSessionSpy.mockResolvedValue(session);
+    storageHeadObjectSpy.mockRejectedValue({ $metadata: { httpStatusCode: 404 } });
+
+    await controller.finalizeUpload(req, res, next);
+
+    expect(finalizeUploadSessionSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 409 }));
+  });
+
+  it('should respond 409 when only an older version exists', async () => {
+    const req = { params: { uploadId: session.id } };
+
+    readUploadSessionSpy.mockResolvedValue({ ...session, newObject: false });
+    storageHeadObjectSpy.mockResolvedValue({ LastModified: new Date('2022-10-10T10:10:09.000Z') });
+
+    await controller.finalizeUpload(req, res, next);
+
+    expect(finalizeUploadSessionSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 409 }));
+  });
+
+  it('should discard an upload exceeding a quota', async () => {
+    const req = { params: { uploadId: session.id } };
+
+    readUploadSessionSpy.mockResolvedValue(session);
+    storageHeadObjectSpy.mockResolvedValue({ ContentLength: 5, LastModified: new Date('2022-10-10T10:11:00.000Z'), VersionId: '1234' });
+    assertQuotaSpy.mockRejectedValue(new Problem(507));
+
+    await controller.finalizeUpload(req, res, next);
+
+    expect(assertQuotaSpy).toHaveBeenCalledWith(req, 5, 1);
+    expect(storageDeleteObjectSpy).toHaveBeenCalledWith({ filePath: 'xyz-789', versionId: '1234' });
+    expect(finalizeUploadSessionSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 507 }));
+  });
+
+  it('should keep an upload exceeding a quota that overwrote an unversioned object', async () => {
+    const req = { params: { uploadId: session.id } };
+
+    readUploadSessionSpy.mockResolvedValue({ ...session, newObject: false });
+    storageHeadObjectSpy.mockResolvedValue({ ContentLength: 5, LastModified: new Date('2022-10-10T10:11:00.000Z') });
+    assertQuotaSpy.mockRejectedValue(new Problem(507));
+
+    await controller.finalizeUpload(req, res, next);
+
+    expect(assertQuotaSpy).toHaveBeenCalledWith(req, 5, 0);
+    expect(storageDeleteObjectSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 507 }));
+  });
+
+});
+
+describe('presignUpload', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  // mock service calls
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const storageWriteSignedUrlSpy = jest.spyOn(storageService, 'writeSignedUrl');
+  const uploadCreateSpy = jest.spyOn(uploadService, 'create');
+
+  const next = jest.fn();
+
+  it('should reserve a new object and return a pre-signed url', async () => {
+    const req = {
+      body: { name: 'foo.txt', mimeType: 'text/plain' },
+      headers: {},
+      params: {},
+      query: { expiresIn: 60 }
+    };
+
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    storageWriteSignedUrlSpy.mockResolvedValue('url');
+    uploadCreateSpy.mockResolvedValue({ id: 'upload-1' });
+
+    await controller.presignUpload(req, res, next);
+
+    expect(storageWriteSignedUrlSpy).toHaveBeenCalledWith({
+      filePath: expect.any(String),
+      mimeType: 'text/plain',
+      metadata: { name: 'foo.txt', id: expect.any(String) },
+      tags: undefined,
+      contentLength: undefined,
+      expiresIn: 60
+    });
+    expect(uploadCreateSpy).toHaveBeenCalledWith(expect.objectContaining({
+      type: UploadType.PRESIGNED,
+      newObject: true,
+      userId: 'user-123'
+    }));
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ id: 'upload-1', url: 'url' });
+  });
+
+  it('should target an existing object when given an objId', async () => {
+    const req = {
+      body: { name: 'foo.txt' },
+      headers: {},
+      params: { objId: 'xyz-789' },
+      query: {}
+    };
+
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    storageWriteSignedUrlSpy.mockResolvedValue('url');
+    uploadCreateSpy.mockResolvedValue({ id: 'upload-1' });
+
+    await controller.presignUpload(req, res, next);
+
+    expect(uploadCreateSpy).toHaveBeenCalledWith(expect.objectContaining({
+      objectId: 'xyz-789',
+      newObject: false,
+      metadata: { name: 'foo.txt', id: 'xyz-789' }
+    }));
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  describe('with quotas', () => {
+    let assertQuotaSpy;
+
+    beforeEach(() => {
+      config.has.mockImplementation(key => ['db.enabled', 'quota'].includes(key));
+      assertQuotaSpy = jest.spyOn(quota, 'assertQuota');
+    });
+
+    afterEach(() => {
+      assertQuotaSpy.mockRestore();
+    });
+
+    it('should check the declared size and sign it into the url', async () => {
+      const req = { body: { name: 'foo.txt', size: 1234 }, currentObject: { path: 'xyz-789' }, headers: {}, params: { objId: 'xyz-789' }, query: {} };
+      assertQuotaSpy.mockResolvedValue(undefined);
+      storageWriteSignedUrlSpy.mockResolvedValue('url');
+      uploadCreateSpy.mockResolvedValue({ id: 'upload-1' });
+
+      await controller.presignUpload(req, res, next);
+
+      expect(assertQuotaSpy).toHaveBeenCalledWith(req, 1234, 0);
+      expect(storageWriteSignedUrlSpy).toHaveBeenCalledWith(expect.objectContaining({ contentLength: 1234 }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should not issue a url for a size that exceeds the quota', async () => {
+      const req = { body: { name: 'foo.txt', size: 1234 }, currentObject: { path: 'xyz-789' }, headers: {}, params: { objId: 'xyz-789' }, query: {} };
+      assertQuotaSpy.mockRejectedValue(new Problem(507));
+
+      await controller.presignUpload(req, res, next);
+
+      expect(storageWriteSignedUrlSpy).toHaveBeenCalledTimes(0);
+      expect(uploadCreateSpy).toHaveBeenCalledTimes(0);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 507 }));
+    });
+
+    it('should require a declared size', async () => {
+      const req = { body: { name: 'foo.txt' }, headers: {}, params: { objId: 'xyz-789' }, query: {} };
+
+      await controller.presignUpload(req, res, next);
+
+      expect(assertQuotaSpy).toHaveBeenCalledTimes(0);
+      expect(storageWriteSignedUrlSpy).toHaveBeenCalledTimes(0);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 422 }));
+    });
+  });
+});
+
+describe('listFolder', () => {
+  let getPermissionUserSpy;
+
+  beforeEach(() => {
+    getPermissionUserSpy = jest.spyOn(controller, '_getPermissionUser');
+    res.set = jest.fn().mockReturnValue(res);
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    getPermissionUserSpy.mockRestore();
+  });
+
+  // mock service calls
+  const objectListFoldersSpy = jest.spyOn(objectService, 'listFolders');
+  const objectSearchObjectsSpy = jest.spyOn(objectService, 'searchObjects');
+
+  const next = jest.fn();
+
+  it('should list a page of the objects and the subfolders directly within the folder', async () => {
+    const req = { query: { path: 'docs', page: '2', limit: '2' } };
+    const objects = [{ id: 'jkl-012', path: 'docs/c.txt' }, { id: 'abc-123', path: 'docs/d.txt' }];
+    getPermissionUserSpy.mockResolvedValue('user-123');
+    objectSearchObjectsSpy.mockResolvedValue({ results: objects, total: 5 });
+    objectListFoldersSpy.mockResolvedValue(['2021', '2022']);
+
+    await controller.listFolder(req, res, next);
+
+    expect(objectSearchObjectsSpy).toHaveBeenCalledWith({
+      folder: 'docs/', readableBy: 'user-123', sort: 'path', order: 'asc', page: 2, limit: 2
+    });
+    expect(objectListFoldersSpy).toHaveBeenCalledWith({ folder: 'docs/', readableBy: 'user-123' });
+    expect(res.set).toHaveBeenCalledWith('X-Total-Count', 5);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      path: 'docs',
+      folders: [{ name: '2021', path: 'docs/2021' }, { name: '2022', path: 'docs/2022' }],
+      objects: objects
+    });
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should list the first page of the root folder by default', async () => {
+    const req = { query: {} };
+    getPermissionUserSpy.mockResolvedValue(undefined);
+    objectSearchObjectsSpy.mockResolvedValue({ results: [{ id: 'def-456', path: 'b.txt' }], total: 1 });
+    objectListFoldersSpy.mockResolvedValue([]);
+
+    await controller.listFolder(req, res, next);
+
+    expect(objectSearchObjectsSpy).toHaveBeenCalledWith({
+      folder: '', readableBy: undefined, sort: 'path', order: 'asc', page: undefined, limit: undefined
+    });
+    expect(objectListFoldersSpy).toHaveBeenCalledWith({ folder: '', readableBy: undefined });
+    expect(res.json).toHaveBeenCalledWith({ path: '', folders: [], objects: [{ id: 'def-456', path: 'b.txt' }] });
+  });
+
+  it('should return a problem if the search fails', async () => {
+    const req = { query: { path: 'docs' } };
+    objectSearchObjectsSpy.mockRejectedValue(new Error('boom'));
+    objectListFoldersSpy.mockResolvedValue([]);
+
+    await controller.listFolder(req, res, next);
+
+    expect(res.status).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('listObjectVersion', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  // mock service calls
+  const storageListObjectVersionSpy = jest.spyOn(storageService, 'listObjectVersion');
+  const versionListSpy = jest.spyOn(versionService, 'list');
+
+  const next = jest.fn();
+
+  it('should include the recorded checksums', async () => {
+    const req = { params: { objId: 'xyz-789' } };
+
+    storageListObjectVersionSpy.mockResolvedValue({
+      Versions: [{ VersionId: '1234', Size: 5 }, { VersionId: '5678', Size: 6 }]
+    });
+    versionListSpy.mockResolvedValue([
+      { versionId: '1234', checksum: 'abc', checksumAlgorithm: 'SHA256' },
+      { versionId: '5678', checksum: null }
+    ]);
+
+    await controller.listObjectVersion(req, res, next);
+
+    expect(versionListSpy).toHaveBeenCalledWith('xyz-789');
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      Versions: [
+        { VersionId: '1234', Size: 5, ChecksumAlgorithm: ['SHA256'], ChecksumSHA256: 'abc' },
+        { VersionId: '5678', Size: 6 }
+      ]
+    });
+  });
+
+  it('should match the version of an unversioned object', async () => {
+    const req = { params: { objId: 'xyz-789' } };
+
+    storageListObjectVersionSpy.mockResolvedValue({ Versions: [{ VersionId: 'null' }] });
+    versionListSpy.mockResolvedValue([{ versionId: null, checksum: 'abc', checksumAlgorithm: 'SHA256' }]);
+
+    await controller.listObjectVersion(req, res, next);
+
+    expect(res.json).toHaveBeenCalledWith({
+      Versions: [{ VersionId: 'null', ChecksumAlgorithm: ['SHA256'], ChecksumSHA256: 'abc' }]
+    });
+  });
+
+  it('should include deduplicated versions', async () => {
+    const req = { params: { objId: 'xyz-789' } };
+    const createdAt = new Date('2022-10-31T00:00:00Z');
+
+    storageListObjectVersionSpy.mockResolvedValue({});
+    versionListSpy.mockResolvedValue([{
+      versionId: '1234',
+      checksum: 'abc',
+      checksumAlgorithm: 'SHA256',
+      size: '5',
+      etag: '"etag"',
+      createdAt: createdAt,
+      blobPath: 'abc-123',
+      blobVersionId: '0001'
+    }]);
+
+    await controller.listObjectVersion(req, res, next);
+
+    expect(res.json).toHaveBeenCalledWith({
+      Versions: [{
+        ETag: '"etag"',
+        IsLatest: true,
+        Key: 'xyz-789',
+        LastModified: createdAt,
+        Size: 5,
+        VersionId: '1234',
+        ChecksumAlgorithm: ['SHA256'],
+        ChecksumSHA256: 'abc'
+      }]
+    });
+  });
+
+  it('should return the S3 listing as-is without a database', async () => {
+    const req = { params: { objId: 'xyz-789' } };
+    const listing = { Versions: [{ VersionId: '1234' }] };
+
+    storageListObjectVersionSpy.mockResolvedValue(listing);
+    versionListSpy.mockResolvedValue({});
+
+    await controller.listObjectVersion(req, res, next);
+
+    expect(res.json).toHaveBeenCalledWith(listing);
+  });
+});
+
+describe('moveObject', () => {
+  let getNewObjectPathSpy;
+
+  beforeEach(() => {
+    getNewObjectPathSpy = jest.spyOn(controller, '_getNewObjectPath');
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    getNewObjectPathSpy.mockRestore();
+  });
+
+  // mock service calls
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const jobSearchJobsSpy = jest.spyOn(jobService, 'searchJobs');
+  const jobRunnerStartSpy = jest.spyOn(jobRunner, 'start');
+  const storageHeadObjectSpy = jest.spyOn(storageService, 'headObject');
+
+  const next = jest.fn();
+
+  const mockMove = (path, body) => {
+    getCurrentUserIdSpy.mockResolvedValue('user-123');
+    jobSearchJobsSpy.mockResolvedValue([]);
+    jobRunnerStartSpy.mockResolvedValue({ id: 'job-1' });
+    storageHeadObjectSpy.mockResolvedValue({ Metadata: { name: 'a.txt', id: 'xyz-789' } });
+    return { body, currentObject: { path }, headers: {}, params: { objId: 'xyz-789' } };
+  };
+
+  it('should rename an object at its default path in place', async () => {
+    const req = mockMove('xyz-789', { name: 'b.txt' });
+
+    await controller.moveObject(req, res, next);
+
+    expect(getNewObjectPathSpy).toHaveBeenCalledTimes(0);
+    expect(jobRunnerStartSpy).toHaveBeenCalledWith(JobType.MOVE_OBJECT,
+      { objId: 'xyz-789', sourcePath: 'xyz-789', filePath: 'xyz-789', name: 'b.txt' },
+      { objectId: 'xyz-789', userId: 'user-123', secrets: { sse: undefined } });
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json).toHaveBeenCalledWith({ id: 'job-1' });
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should move an object into the requested folder', async () => {
+    const req = mockMove('xyz-789', { path: 'docs' });
+    getNewObjectPathSpy.mockResolvedValue('docs/a.txt');
+
+    await controller.moveObject(req, res, next);
+
+    expect(getNewObjectPathSpy).toHaveBeenCalledWith('xyz-789', 'docs', 'a.txt');
+    expect(jobRunnerStartSpy).toHaveBeenCalledWith(JobType.MOVE_OBJECT,
+      { objId: 'xyz-789', sourcePath: 'xyz-789', filePath: 'docs/a.txt', name: undefined }, expect.any(Object));
+    expect(res.status).toHaveBeenCalledWith(202);
+  });
+
+  it('should keep a renamed object within its current folder', async () => {
+    const req = mockMove('docs/a.txt', { name: 'b.txt' });
+    getNewObjectPathSpy.mockResolvedValue('docs/b.txt');
+
+    await controller.moveObject(req, res, next);
+
+    expect(getNewObjectPathSpy).toHaveBeenCalledWith('xyz-789', 'docs', 'b.txt');
+    expect(jobRunnerStartSpy).toHaveBeenCalledWith(JobType.MOVE_OBJECT,
+      { objId: 'xyz-789', sourcePath: 'docs/a.txt', filePath: 'docs/b.txt', name: 'b.txt' }, expect.any(Object));
+  });
+
+  it('should reject a move of an object with an unfinished move', async () => {
+    const req = mockMove('xyz-789', { path: 'docs' });
+    jobSearchJobsSpy.mockResolvedValue([{ id: 'job-0' }]);
+
+    await controller.moveObject(req, res, next);
+
+    expect(jobRunnerStartSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 409, jobId: 'job-0' }));
+  });
+
+  it('should reject a move of a deleted object', async () => {
+    const req = mockMove('xyz-789', { path: 'docs' });
+    storageHeadObjectSpy.mockRejectedValue(s3Error('NotFound', 404));
+
+    await controller.moveObject(req, res, next);
+
+    expect(jobRunnerStartSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 409 }));
+  });
+
+  it('should reject a move that changes nothing', async () => {
+    const req = mockMove('docs/a.txt', { path: 'docs', name: 'a.txt' });
+
+    await controller.moveObject(req, res, next);
+
+    expect(getNewObjectPathSpy).toHaveBeenCalledTimes(0);
+    expect(jobRunnerStartSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 409 }));
+  });
+});
+
+describe('searchObjects', () => {
+  let searchStorageSpy;
+
+  beforeEach(() => {
+    searchStorageSpy = jest.spyOn(controller, '_searchStorage');
+    res.set = jest.fn().mockReturnValue(res);
+    res.setHeader = jest.fn();
+    res.getHeader = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    searchStorageSpy.mockRestore();
+  });
+
+  // mock service calls
+  const objectSearchObjectsSpy = jest.spyOn(objectService, 'searchObjects');
+
+  const next = jest.fn();
+
+  it('should search the database', async () => {
+    const req = { headers: {}, query: { name: 'foo' } };
+    config.has.mockReturnValue(true);
+    objectSearchObjectsSpy.mockResolvedValue([{ id: 'abc-123' }]);
+
+    await controller.searchObjects(req, res, next);
+
+    expect(objectSearchObjectsSpy).toHaveBeenCalledWith(expect.objectContaining({ name: 'foo' }));
+    expect(searchStorageSpy).toHaveBeenCalledTimes(0);
+    expect(res.set).toHaveBeenCalledWith('X-Total-Count', 1);
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith([{ id: 'abc-123' }]);
+  });
+
+  it('should return a sorted page of the database search with the total count', async () => {
+    const req = { headers: {}, query: { sort: 'name', order: 'desc', page: '2', limit: '1' } };
+    config.has.mockReturnValue(true);
+    objectSearchObjectsSpy.mockResolvedValue({ results: [{ id: 'abc-123' }], total: 5 });
+
+    await controller.searchObjects(req, res, next);
+
+    expect(objectSearchObjectsSpy).toHaveBeenCalledWith(expect.objectContaining({ sort: 'name', order: 'desc', page: 2, limit: 1 }));
+    expect(res.set).toHaveBeenCalledWith('X-Total-Count', 5);
+    expect(res.json).toHaveBeenCalledWith([{ id: 'abc-123' }]);
+  });
+
+  it('should search the database with a match expression', async () => {
+    const match = { or: [{ metadata: 'foo', op: 'prefix', value: 'bar' }, { tag: 'baz', op: 'exists' }] };
+    const req = { headers: {}, query: {}, body: { match } };
+    config.has.mockReturnValue(true);
+    objectSearchObjectsSpy.mockResolvedValue([{ id: 'abc-123' }]);
+
+    await controller.searchObjects(req, res, next);
+
+    expect(objectSearchObjectsSpy).toHaveBeenCalledWith(expect.objectContaining({ match }));
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith([{ id: 'abc-123' }]);
+  });
+
+  it('should search storage without a database and return the next continuation token', async () => {
+    const req = { headers: {}, query: { name: 'foo', continuationToken: 'token' } };
+    searchStorageSpy.mockResolvedValue({ objects: [{ id: 'abc-123' }], continuationToken: 'next' });
+
+    await controller.searchObjects(req, res, next);
+
+    expect(searchStorageSpy).toHaveBeenCalledWith(expect.objectContaining({ name: 'foo' }), 'token');
+    expect(objectSearchObjectsSpy).toHaveBeenCalledTimes(0);
+    expect(res.set).toHaveBeenCalledWith('X-Continuation-Token', 'next');
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith([{ id: 'abc-123' }]);
+  });
+
+  it('should not return a continuation token on the last page', async () => {
+    const req = { headers: {}, query: {} };
+    searchStorageSpy.mockResolvedValue({ objects: [], continuationToken: undefined });
+
+    await controller.searchObjects(req, res, next);
+
+    expect(res.set).toHaveBeenCalledTimes(0);
+    expect(res.json).toHaveBeenCalledWith([]);
+  });
+
+  it('should pass storage search errors along', async () => {
+    const req = { headers: {}, query: { public: 'true' } };
+    searchStorageSpy.mockRejectedValue(new Problem(501));
+
+    await controller.searchObjects(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 501 }));
+  });
+});
+
+describe('verifyObject', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  // mock service calls
+  const storageReadObjectSpy = jest.spyOn(storageService, 'readObject');
+  const versionGetSpy = jest.spyOn(versionService, 'get');
+
+  const next = jest.fn();
+
+  const sha256 = 'LPJNul+wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ=';
+  const version = { id: 'ver-1', versionId: '1234', checksum: sha256, checksumAlgorithm: 'SHA256', size: '5' };
+
+  it('should verify matching content', async () => {
+    const req = { headers: {}, params: { objId: 'xyz-789' }, query: {} };
+
+    versionGetSpy.mockResolvedValue(version);
+    storageReadObjectSpy.mockResolvedValue({ Body: Readable.from([Buffer.from('hello')]) });
+
+    await controller.verifyObject(req, res, next);
+
+    expect(versionGetSpy).toHaveBeenCalledWith(undefined, 'xyz-789');
+    expect(storageReadObjectSpy).toHaveBeenCalledWith({ filePath: 'xyz-789', versionId: '1234', sse: undefined });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      checksum: sha256,
+      computedChecksum: sha256,
+      size: 5,
+      computedSize: 5,
+      verified: true
+    }));
+  });
+
+  it('should report content that no longer matches', async () => {
+    const req = { headers: {}, params: { objId: 'xyz-789' }, query: { versionId: '1234' } };
+
+    versionGetSpy.mockResolvedValue(version);
+    storageReadObjectSpy.mockResolvedValue({ Body: Readable.from([Buffer.from('jello')]) });
+
+    await controller.verifyObject(req, res, next);
+
+    expect(versionGetSpy).toHaveBeenCalledWith('1234', 'xyz-789');
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ verified: false }));
+  });
+
+  it('should verify the content referenced by a deduplicated version', async () => {
+    const req = { headers: {}, params: { objId: 'xyz-789' }, query: {} };
+
+    versionGetSpy.mockResolvedValue({ ...version, blobPath: 'abc-123', blobVersionId: '0001' });
+    storageReadObjectSpy.mockResolvedValue({ Body: Readable.from([Buffer.from('hello')]) });
+
+    await controller.verifyObject(req, res, next);
+
+    expect(storageReadObjectSpy).toHaveBeenCalledWith({ filePath: 'abc-123', versionId: '0001', sse: undefined });
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ verified: true }));
+  });
+
+  it('should respond 404 when the version does not exist', async () => {
+    const req = { headers: {}, params: { objId: 'xyz-789' }, query: { versionId: '1234' } };
+
+    versionGetSpy.mockResolvedValue(undefined);
+
+    await controller.verifyObject(req, res, next);
+
+    expect(storageReadObjectSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 404 }));
+  });
+
+  it('should respond 409 when no checksum was recorded', async () => {
+    const req = { headers: {}, params: { objId: 'xyz-789' }, query: {} };
+
+    versionGetSpy.mockResolvedValue({ ...version, checksum: null });
+
+    await controller.verifyObject(req, res, next);
+
+    expect(storageReadObjectSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 409 }));
+  });
+});
+
+describe('zipObjects', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const objectSearchObjectsSpy = jest.spyOn(objectService, 'searchObjects');
+  const storageReadObjectSpy = jest.spyOn(storageService, 'readObject');
+
+  const next = jest.fn();
+
+  const mockStreamResponse = () => {
+    const stream = new PassThrough();
+    stream.status = jest.fn().mockReturnValue(stream);
+    stream.set = jest.fn().mockReturnValue(stream);
+    stream.chunks = [];
+    stream.on('data', chunk => stream.chunks.push(chunk));
+    return stream;
+  };
+
+  it('should stream the readable objects and a manifest of skipped objects', async () => {
+    const stream = mockStreamResponse();
+    const putZipEntrySpy = jest.spyOn(controller, '_putZipEntry');
+    objectSearchObjectsSpy.mockResolvedValue({ results: [{ id: 'abc-123' }, { id: 'xyz-789' }], total: 2 });
+    storageReadObjectSpy.mockImplementation(({ filePath }) => filePath === 'abc-123'
+      ? Promise.resolve({ Body: Readable.from(['hello']), Metadata: { name: 'foo.txt' } })
+      : Promise.reject(new Error('Access Denied')));
+
+    await controller.zipObjects({ headers: {}, query: { objId: 'abc-123,xyz-789,def-456' } }, stream, next);
+
+    expect(objectSearchObjectsSpy).toHaveBeenCalledWith(expect.objectContaining({
+      id: ['abc-123', 'xyz-789', 'def-456'], page: 1, limit: MAXPAGELIMIT
+    }));
+    expect(storageReadObjectSpy).toHaveBeenCalledTimes(2);
+    expect(stream.status).toHaveBeenCalledWith(200);
+    expect(stream.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'application/zip' }));
+    expect(putZipEntrySpy).toHaveBeenCalledWith(expect.anything(), expect.any(Readable), expect.objectContaining({ name: 'foo.txt' }));
+    expect(JSON.parse(putZipEntrySpy.mock.calls[1][1])).toEqual({
+      objects: [{ id: 'abc-123', name: 'foo.txt' }],
+      skipped: [
+        { id: 'def-456', detail: 'Object not found or user lacks permission' },
+        { id: 'xyz-789', detail: 'Access Denied' }
+      ]
+    });
+    const archive = Buffer.concat(stream.chunks);
+    expect(archive.subarray(0, 4)).toEqual(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+    expect(archive.includes('foo.txt')).toBeTruthy();
+    expect(archive.includes('manifest.json')).toBeTruthy();
+    expect(next).toHaveBeenCalledTimes(0);
+    putZipEntrySpy.mockRestore();
+  });
+
+  it('should return a problem if the search fails', async () => {
+    const stream = mockStreamResponse();
+    objectSearchObjectsSpy.mockRejectedValue(new Error());
+
+    await controller.zipObjects({ headers: {}, query: { path: 'docs' } }, stream, next);
+
+    expect(stream.status).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(new Problem(502, 'Unknown ObjectService Error'));
+  });
+
+  it('should require an objId or a search filter', async () => {
+    const stream = mockStreamResponse();
+
+    await controller.zipObjects({ headers: {}, query: {} }, stream, next);
+
+    expect(objectSearchObjectsSpy).toHaveBeenCalledTimes(0);
+    expect(stream.status).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 422 }));
+  });
+
+  it('should reject more matching objects than can be zipped at once', async () => {
+    const stream = mockStreamResponse();
+    objectSearchObjectsSpy.mockResolvedValue({ results: [], total: MAXPAGELIMIT + 1 });
+
+    await controller.zipObjects({ headers: { 'x-amz-meta-foo': 'bar' }, query: {} }, stream, next);
+
+    expect(objectSearchObjectsSpy).toHaveBeenCalledWith(expect.objectContaining({ metadata: { foo: 'bar' } }));
+    expect(storageReadObjectSpy).toHaveBeenCalledTimes(0);
+    expect(stream.status).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 422, total: MAXPAGELIMIT + 1 }));
+  });
+});
@@ -7,6 +7,7 @@ const mockResponse = () => {
   const res = {};
   res.status = jest.fn().mockReturnValue(res);
   res.json = jest.fn().mockReturnValue(res);
+  res.set = jest.fn().mockReturnValue(res);
   return res;
 };
 
@@ -26,14 +27,34 @@ describe('searchPermissions', () => {
   const next = jest.fn();
 
   it('should return the permission service searchPermissions result', async () => {
-    searchPermissionsSpy.mockReturnValue({ res: 123 });
+    searchPermissionsSpy.mockReturnValue([{ res: 123 }]);
 
     const res = mockResponse();
     await controller.searchPermissions(req, res, next);
     expect(searchPermissionsSpy).toHaveBeenCalledTimes(1);
-    expect(searchPermissionsSpy).toHaveBeenCalledWith({ objId: [req.query.objId], userId: [req.query.userId], permCode: [req.query.permCode] });
+    expect(searchPermissionsSpy).toHaveBeenCalledWith({
+      objId: [req.query.objId],
+      userId: [req.query.userId],
+      permCode: [req.query.permCode],
+      sort: undefined,
+      order: undefined,
+      page: undefined,
+      limit: undefined
+    });
+    expect(res.set).toHaveBeenCalledWith('X-Total-Count', 1);
     expect(res.status).toHaveBeenCalledWith(200);
-    expect(res.json).toHaveBeenCalledWith({ res: 123 });
+    expect(res.json).toHaveBeenCalledWith([{ res: 123 }]);
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should return a page of the permission service searchPermissions result', async () => {
+    searchPermissionsSpy.mockReturnValue({ results: [{ res: 123 }], total: 21 });
+
+    const res = mockResponse();
+    await controller.searchPermissions({ query: { ...req.query, sort: 'createdAt', order: 'desc', page: '3', limit: '10' } }, res, next);
+    expect(searchPermissionsSpy).toHaveBeenCalledWith(expect.objectContaining({ sort: 'createdAt', order: 'desc', page: 3, limit: 10 }));
+    expect(res.set).toHaveBeenCalledWith('X-Total-Count', 21);
+    expect(res.json).toHaveBeenCalledWith([{ res: 123 }]);
     expect(next).toHaveBeenCalledTimes(0);
   });
 
@@ -67,7 +88,7 @@ describe('listPermissions', () => {
     const res = mockResponse();
     await controller.listPermissions(req, res, next);
     expect(searchPermissionsSpy).toHaveBeenCalledTimes(1);
-    expect(searchPermissionsSpy).toHaveBeenCalledWith({ objId: req.params.objId, userId: [req.query.userId], permCode: [req.query.permCode] });
+    expect(searchPermissionsSpy).toHaveBeenCalledWith({ objId: req.params.objId, userId: [req.query.userId], permCode: [req.query.permCode], all: true });
     expect(res.status).toHaveBeenCalledWith(200);
     expect(res.json).toHaveBeenCalledWith({ res: 123 });
     expect(next).toHaveBeenCalledTimes(0);
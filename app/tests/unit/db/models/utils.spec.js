@@ -1,4 +1,17 @@
-const { toArray, inArrayClause, inArrayFilter, tableNames } = require('../../../../src/db/models/utils');
+const Knex = require('knex');
+const { Model } = require('objection');
+
+const Metadata = require('../../../../src/db/models/tables/metadata');
+const {
+  toArray,
+  inArrayClause,
+  inArrayFilter,
+  filterCompare,
+  filterMatch,
+  filterRange,
+  paginate,
+  tableNames
+} = require('../../../../src/db/models/utils');
 
 describe('Test Model Utils toArray function', () => {
 
@@ -69,3 +82,153 @@ describe('Test Model Utils tableNames function', () => {
     expect(tableNames(models)).toEqual(['object', 'permission', 'user']);
   });
 });
+
+describe('Test Model Utils paginate function', () => {
+  const mockQuery = () => {
+    const query = {
+      modelClass: () => ({ tableName: 'user', idColumn: 'userId' }),
+      orderBy: jest.fn(),
+      page: jest.fn()
+    };
+    query.orderBy.mockReturnValue(query);
+    return query;
+  };
+
+  it('should page the query without a page or limit', () => {
+    const query = mockQuery();
+    paginate(query, undefined, undefined);
+    expect(query.orderBy).toHaveBeenCalledWith('user.userId');
+    expect(query.page).toHaveBeenCalledWith(0, 100);
+  });
+
+  it('should not page the query when all rows are requested', () => {
+    const query = mockQuery();
+    paginate(query, undefined, undefined, true);
+    expect(query.orderBy).toHaveBeenCalledTimes(0);
+    expect(query.page).toHaveBeenCalledTimes(0);
+  });
+
+  it('should page the query ordered by id', () => {
+    const query = mockQuery();
+    paginate(query, 3, 20);
+    expect(query.orderBy).toHaveBeenCalledWith('user.userId');
+    expect(query.page).toHaveBeenCalledWith(2, 20);
+  });
+
+  it('should default to the first page of the default limit', () => {
+    const query = mockQuery();
+    paginate(query, undefined, 20);
+    expect(query.page).toHaveBeenCalledWith(0, 20);
+    paginate(query, 2, undefined);
+    expect(query.page).toHaveBeenCalledWith(1, 100);
+  });
+});
+
+describe('Test Model Utils filterRange function', () => {
+  it('should bound the column inclusively', () => {
+    const query = { where: jest.fn() };
+    filterRange(query, 0, 10, 'size');
+    expect(query.where).toHaveBeenCalledWith('size', '>=', 0);
+    expect(query.where).toHaveBeenCalledWith('size', '<=', 10);
+  });
+
+  it('should only bound the column by the bounds supplied', () => {
+    const query = { where: jest.fn() };
+    filterRange(query, undefined, '2022-01-01', 'createdAt');
+    expect(query.where).toHaveBeenCalledTimes(1);
+    expect(query.where).toHaveBeenCalledWith('createdAt', '<=', '2022-01-01');
+  });
+});
+
+describe('Test Model Utils filterCompare function', () => {
+  // Queries are only built, never executed
+  Model.knex(Knex({ client: 'pg' }));
+
+  const toSql = (condition) => {
+    const query = Metadata.query();
+    filterCompare(query, condition, 'value');
+    return query.toKnexQuery().toSQL();
+  };
+
+  it('should match equal values by default', () => {
+    const { sql, bindings } = toSql({ value: 'foo' });
+    expect(sql).toMatch('where "value" = ?');
+    expect(bindings).toEqual(['foo']);
+  });
+
+  it('should compare values ignoring case', () => {
+    const { sql, bindings } = toSql({ op: 'ne', value: 'Foo', ignoreCase: true });
+    expect(sql).toMatch('where lower("value") <> lower(?)');
+    expect(bindings).toEqual(['Foo']);
+  });
+
+  it('should match escaped prefixes and substrings', () => {
+    expect(toSql({ op: 'prefix', value: '50%_' })).toEqual(expect.objectContaining({
+      sql: expect.stringContaining('where "value" like ?'),
+      bindings: ['50\\%\\_%']
+    }));
+    expect(toSql({ op: 'contains', value: 'foo', ignoreCase: true })).toEqual(expect.objectContaining({
+      sql: expect.stringContaining('where "value" ilike ?'),
+      bindings: ['%foo%']
+    }));
+  });
+
+  it('should match values in a list', () => {
+    expect(toSql({ op: 'in', value: ['foo', 'bar'] }).sql).toMatch('where "value" in (?, ?)');
+    expect(toSql({ op: 'in', value: ['foo', 'bar'], ignoreCase: true }).sql).toMatch('where lower("value") in (lower(?), lower(?))');
+  });
+
+  it('should compare numbers and dates by casting values that can be cast', () => {
+    const number = toSql({ op: 'gte', type: 'number', value: 10 });
+    expect(number.sql).toMatch('where CASE WHEN "value" ~ ? THEN "value"::numeric END >= ?::numeric');
+    expect(number.bindings[1]).toEqual(10);
+    expect(new RegExp(number.bindings[0]).test('-1.5')).toBeTruthy();
+    expect(new RegExp(number.bindings[0]).test('1e5; drop table')).toBeFalsy();
+
+    const date = toSql({ op: 'lt', type: 'date', value: '2022-01-01' });
+    expect(date.sql).toMatch('where CASE WHEN "value" ~ ? THEN "value"::timestamptz END < ?::timestamptz');
+    expect(new RegExp(date.bindings[0]).test('2022-01-01T12:00:00Z')).toBeTruthy();
+    expect(new RegExp(date.bindings[0]).test('yesterday')).toBeFalsy();
+  });
+
+  it('should not compare values when matching on existence', () => {
+    expect(toSql({ op: 'exists' }).sql).not.toMatch('where');
+  });
+});
+
+describe('Test Model Utils filterMatch function', () => {
+  const mockQuery = () => {
+    const query = { where: jest.fn(), orWhere: jest.fn() };
+    query.where.mockImplementation(fn => typeof fn === 'function' ? fn(query) : query);
+    query.orWhere.mockImplementation(fn => fn(query));
+    return query;
+  };
+
+  it('should not filter without an expression', () => {
+    const query = mockQuery();
+    const filter = jest.fn();
+    filterMatch(query, undefined, filter);
+    expect(query.where).toHaveBeenCalledTimes(0);
+    expect(filter).toHaveBeenCalledTimes(0);
+  });
+
+  it('should filter a single condition', () => {
+    const query = mockQuery();
+    const filter = jest.fn();
+    filterMatch(query, { metadata: 'foo', value: 'bar' }, filter);
+    expect(filter).toHaveBeenCalledWith(query, { metadata: 'foo', value: 'bar' });
+  });
+
+  it('should group conditions with and and or', () => {
+    const query = mockQuery();
+    const filter = jest.fn();
+    filterMatch(query, {
+      or: [{ metadata: 'a' }, { and: [{ metadata: 'b' }, { tag: 'c' }] }]
+    }, filter);
+    expect(filter).toHaveBeenCalledTimes(3);
+    expect(filter).toHaveBeenCalledWith(query, { tag: 'c' });
+    // One where per group and per grouped expression, and one orWhere per expression of the or group
+    expect(query.orWhere).toHaveBeenCalledTimes(2);
+    expect(query.where).toHaveBeenCalledTimes(4);
+  });
+});
@@ -0,0 +1,87 @@
+const backfillVersions = require('../../../src/jobs/backfillVersions');
+const { storageService, versionService } = require('../../../src/services');
+
+// Mock config library - @see {@link https://stackoverflow.com/a/64819698}
+jest.mock('config');
+
+describe('backfillVersions', () => {
+  const headObjectSpy = jest.spyOn(storageService, 'headObject');
+  const listIncompleteSpy = jest.spyOn(versionService, 'listIncomplete');
+  const recordStorageSpy = jest.spyOn(versionService, 'recordStorage');
+
+  const job = { id: 'job-1', createdBy: 'user-123' };
+
+  beforeEach(() => {
+    recordStorageSpy.mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should record the size, etag and storage class reported by S3', async () => {
+    listIncompleteSpy.mockResolvedValueOnce([
+      { id: 'ver-1', objectId: 'obj-1', path: 'a.txt', versionId: 'v1' },
+      { id: 'ver-2', objectId: 'obj-2', path: 'b.txt', versionId: null }
+    ]);
+    headObjectSpy
+      .mockResolvedValueOnce({ ContentLength: 5, ETag: '"a"' })
+      .mockResolvedValueOnce({ ContentLength: 7, ETag: '"b"', StorageClass: 'GLACIER' });
+
+    const result = await backfillVersions({}, job);
+
+    expect(result).toEqual({ updated: 2, failed: [] });
+    expect(listIncompleteSpy).toHaveBeenCalledWith(100, undefined);
+    expect(headObjectSpy).toHaveBeenCalledWith({ filePath: 'a.txt', versionId: 'v1' });
+    expect(headObjectSpy).toHaveBeenCalledWith({ filePath: 'b.txt', versionId: undefined });
+    expect(recordStorageSpy).toHaveBeenCalledWith('ver-1', { size: 5, etag: '"a"', storageClass: 'STANDARD' });
+    expect(recordStorageSpy).toHaveBeenCalledWith('ver-2', { size: 7, etag: '"b"', storageClass: 'GLACIER' });
+  });
+
+  it('should read deduplicated versions from the content they reference', async () => {
+    listIncompleteSpy.mockResolvedValueOnce([
+      { id: 'ver-1', objectId: 'obj-1', path: 'a.txt', versionId: 'v1', blobPath: 'b.txt', blobVersionId: 'b1' }
+    ]);
+    headObjectSpy.mockResolvedValueOnce({ ContentLength: 5, ETag: '"b"' });
+
+    await backfillVersions({}, job);
+
+    expect(headObjectSpy).toHaveBeenCalledWith({ filePath: 'b.txt', versionId: 'b1' });
+  });
+
+  it('should report versions that cannot be read and continue', async () => {
+    listIncompleteSpy.mockResolvedValueOnce([
+      { id: 'ver-1', objectId: 'obj-1', path: 'a.txt', versionId: 'v1' },
+      { id: 'ver-2', objectId: 'obj-2', path: 'b.txt', versionId: 'v2' }
+    ]);
+    headObjectSpy
+      .mockRejectedValueOnce(new Error('NotFound'))
+      .mockResolvedValueOnce({ ContentLength: 7, ETag: '"b"' });
+
+    const result = await backfillVersions({}, job);
+
+    expect(result).toEqual({ updated: 1, failed: [{ objId: 'obj-1', versionId: 'v1', error: 'NotFound' }] });
+    expect(recordStorageSpy).toHaveBeenCalledTimes(1);
+    expect(recordStorageSpy).toHaveBeenCalledWith('ver-2', expect.any(Object));
+  });
+
+  it('should continue after the last version of each full batch', async () => {
+    const batch = Array.from({ length: 100 }, (v, i) => ({ id: `ver-${i}`, objectId: `obj-${i}`, path: `${i}` }));
+    listIncompleteSpy
+      .mockResolvedValueOnce(batch)
+      .mockResolvedValueOnce([{ id: 'ver-100', objectId: 'obj-100', path: '100' }]);
+    headObjectSpy.mockResolvedValue({ ContentLength: 1, ETag: '"x"' });
+
+    const result = await backfillVersions({}, job);
+
+    expect(listIncompleteSpy).toHaveBeenCalledTimes(2);
+    expect(listIncompleteSpy).toHaveBeenNthCalledWith(2, 100, 'ver-99');
+    expect(result.updated).toEqual(101);
+  });
+
+  it('should reject if the versions cannot be listed', async () => {
+    listIncompleteSpy.mockRejectedValue(new Error('boom'));
+
+    await expect(backfillVersions({}, job)).rejects.toThrow('boom');
+  });
+});
@@ -0,0 +1,123 @@
+const { Readable } = require('stream');
+
+const extractText = require('../../../src/jobs/extractText');
+const { MAXEXTRACTLENGTH } = require('../../../src/components/constants');
+const { storageService, versionService } = require('../../../src/services');
+
+// Mock config library - @see {@link https://stackoverflow.com/a/64819698}
+jest.mock('config');
+
+describe('extractText', () => {
+  const listUnextractedSpy = jest.spyOn(versionService, 'listUnextracted');
+  const readObjectSpy = jest.spyOn(storageService, 'readObject');
+  const recordTextSpy = jest.spyOn(versionService, 'recordText');
+
+  const job = { id: 'job-1', createdBy: 'user-123' };
+  const body = (...chunks) => ({ Body: Readable.from(chunks.map(chunk => Buffer.from(chunk))) });
+
+  beforeEach(() => {
+    recordTextSpy.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should record the text of each extractable version', async () => {
+    listUnextractedSpy.mockResolvedValueOnce([
+      { id: 'ver-1', objectId: 'obj-1', path: 'a.txt', versionId: 'v1', mimeType: 'text/plain', size: 11 },
+      { id: 'ver-2', objectId: 'obj-2', path: 'b.html', versionId: null, mimeType: 'text/html', size: 13 }
+    ]);
+    readObjectSpy
+      .mockResolvedValueOnce(body('hello ', 'world'))
+      .mockResolvedValueOnce(body('<p>howdy</p>'));
+
+    const result = await extractText({}, job);
+
+    expect(result).toEqual({ extracted: 2, skipped: 0, failed: [] });
+    expect(readObjectSpy).toHaveBeenCalledWith({ filePath: 'a.txt', versionId: 'v1' });
+    expect(readObjectSpy).toHaveBeenCalledWith({ filePath: 'b.html', versionId: undefined });
+    expect(recordTextSpy).toHaveBeenCalledWith('ver-1', 'hello world');
+    expect(recordTextSpy).toHaveBeenCalledWith('ver-2', 'howdy');
+  });
+
+  it('should read deduplicated versions from the content they reference', async () => {
+    listUnextractedSpy.mockResolvedValueOnce([{
+      id: 'ver-1', objectId: 'obj-1', path: 'a.txt', versionId: 'v1', blobPath: 'b.txt', blobVersionId: 'b1',
+      mimeType: 'text/plain', size: 5
+    }]);
+    readObjectSpy.mockResolvedValueOnce(body('hello'));
+
+    await extractText({}, job);
+
+    expect(readObjectSpy).toHaveBeenCalledWith({ filePath: 'b.txt', versionId: 'b1' });
+  });
+
+  it('should record versions that cannot be extracted without text', async () => {
+    listUnextractedSpy.mockResolvedValueOnce([
+      { id: 'ver-1', objectId: 'obj-1', path: 'a', versionId: 'v1', deleteMarker: true },
+      { id: 'ver-2', objectId: 'obj-2', path: 'b.pdf', versionId: 'v1', mimeType: 'application/pdf', size: 5 },
+      { id: 'ver-3', objectId: 'obj-3', path: 'c.txt', versionId: 'v1', mimeType: 'text/plain', size: MAXEXTRACTLENGTH + 1 }
+    ]);
+
+    const result = await extractText({}, job);
+
+    expect(result).toEqual({ extracted: 0, skipped: 3, failed: [] });
+    expect(readObjectSpy).toHaveBeenCalledTimes(0);
+    expect(recordTextSpy).toHaveBeenCalledTimes(3);
+    expect(recordTextSpy).toHaveBeenCalledWith('ver-1', null);
+    expect(recordTextSpy).toHaveBeenCalledWith('ver-2', null);
+    expect(recordTextSpy).toHaveBeenCalledWith('ver-3', null);
+  });
+
+  it('should report versions that fail to extract and continue', async () => {
+    listUnextractedSpy.mockResolvedValueOnce([
+      { id: 'ver-1', objectId: 'obj-1', path: 'a.txt', versionId: 'v1', mimeType: 'text/plain', size: 4 },
+      { id: 'ver-2', objectId: 'obj-2', path: 'b.txt', versionId: 'v2', mimeType: 'text/plain', size: 5 }
+    ]);
+    readObjectSpy
+      .mockRejectedValueOnce(new Error('NoSuchKey'))
+      .mockResolvedValueOnce(body('hello'));
+
+    const result = await extractText({}, job);
+
+    expect(result).toEqual({
+      extracted: 1,
+      skipped: 0,
+      failed: [{ objId: 'obj-1', versionId: 'v1', error: expect.any(String) }]
+    });
+    expect(recordTextSpy).toHaveBeenCalledWith('ver-1', null);
+    expect(recordTextSpy).toHaveBeenCalledWith('ver-2', 'hello');
+  });
+
+  it('should extract outside of a job', async () => {
+    listUnextractedSpy.mockResolvedValueOnce([
+      { id: 'ver-1', objectId: 'obj-1', path: 'a.txt', versionId: 'v1', mimeType: 'text/plain', size: 5 }
+    ]);
+    readObjectSpy.mockResolvedValueOnce(body('hello'));
+
+    const result = await extractText({});
+
+    expect(result).toEqual({ extracted: 1, skipped: 0, failed: [] });
+    expect(recordTextSpy).toHaveBeenCalledWith('ver-1', 'hello');
+  });
+
+  it('should continue until there are no more versions to extract', async () => {
+    const batch = Array.from({ length: 100 }, (v, i) => ({ id: `ver-${i}`, objectId: `obj-${i}`, deleteMarker: true }));
+    listUnextractedSpy
+      .mockResolvedValueOnce(batch)
+      .mockResolvedValueOnce([{ id: 'ver-100', objectId: 'obj-100', deleteMarker: true }]);
+
+    const result = await extractText({}, job);
+
+    expect(listUnextractedSpy).toHaveBeenCalledTimes(2);
+    expect(listUnextractedSpy).toHaveBeenCalledWith(100);
+    expect(result.skipped).toEqual(101);
+  });
+
+  it('should reject if the versions cannot be listed', async () => {
+    listUnextractedSpy.mockRejectedValue(new Error('boom'));
+
+    await expect(extractText({}, job)).rejects.toThrow('boom');
+  });
+});
@@ -0,0 +1,50 @@
+const forEachObject = require('../../../src/jobs/forEachObject');
+const { JobStatus } = require('../../../src/components/constants');
+const { jobService } = require('../../../src/services');
+
+// Mock config library - @see {@link https://stackoverflow.com/a/64819698}
+jest.mock('config');
+
+describe('forEachObject', () => {
+  const updateSpy = jest.spyOn(jobService, 'update');
+  const fn = jest.fn();
+
+  const job = { id: 'job-1', createdBy: 'user-123' };
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should record the outcome of each object', async () => {
+    fn.mockResolvedValueOnce({ VersionId: 'v1' }).mockRejectedValueOnce(new Error('boom'));
+
+    const result = await forEachObject(['obj-1', 'obj-2'], job, fn);
+
+    expect(result).toEqual({
+      objects: [
+        { objId: 'obj-1', status: JobStatus.COMPLETED, VersionId: 'v1' },
+        { objId: 'obj-2', status: JobStatus.FAILED, error: 'boom' }
+      ],
+      completed: 1,
+      failed: 1
+    });
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(updateSpy).toHaveBeenCalledTimes(2);
+    expect(updateSpy).toHaveBeenLastCalledWith(job.id, expect.objectContaining({ status: JobStatus.RUNNING }), job.createdBy);
+  });
+
+  it('should skip objects completed by a previous run', async () => {
+    const completed = { objId: 'obj-1', status: JobStatus.COMPLETED, VersionId: 'v1' };
+    const previous = { ...job, result: { objects: [completed, { objId: 'obj-2', status: JobStatus.FAILED, error: 'boom' }] } };
+    fn.mockResolvedValue({ VersionId: 'v2' });
+
+    const result = await forEachObject(['obj-1', 'obj-2'], previous, fn);
+
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(fn).toHaveBeenCalledWith('obj-2');
+    expect(updateSpy).toHaveBeenCalledTimes(1);
+    expect(result.objects).toEqual([completed, { objId: 'obj-2', status: JobStatus.COMPLETED, VersionId: 'v2' }]);
+    expect(result.completed).toEqual(2);
+    expect(result.failed).toEqual(0);
+  });
+});
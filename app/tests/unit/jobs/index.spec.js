@@ -0,0 +1,228 @@
+const config = require('config');
+
+const jobRunner = require('../../../src/jobs');
+const { JOBSTALEPERIOD, JobStatus, JobType, MAXJOBERRORLENGTH } = require('../../../src/components/constants');
+const { jobService } = require('../../../src/services');
+
+// Mock config library - @see {@link https://stackoverflow.com/a/64819698}
+jest.mock('config');
+
+describe('run', () => {
+  const updateSpy = jest.spyOn(jobService, 'update');
+  const handlerSpy = jest.fn();
+
+  const job = { id: 'job-1', type: 'TEST', params: { foo: 'bar' }, createdBy: 'user-123' };
+
+  beforeAll(() => {
+    jobRunner.handlers.TEST = handlerSpy;
+  });
+
+  afterAll(() => {
+    delete jobRunner.handlers.TEST;
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should record the handler result on the job', async () => {
+    handlerSpy.mockResolvedValue({ done: true });
+
+    await jobRunner.run(job);
+
+    expect(handlerSpy).toHaveBeenCalledWith(job.params, job, {});
+    expect(updateSpy).toHaveBeenCalledTimes(2);
+    expect(updateSpy).toHaveBeenNthCalledWith(1, job.id, { status: JobStatus.RUNNING }, job.createdBy);
+    expect(updateSpy).toHaveBeenNthCalledWith(2, job.id, { status: JobStatus.COMPLETED, result: { done: true } }, job.createdBy);
+  });
+
+  it('should record the handler error on the job', async () => {
+    handlerSpy.mockRejectedValue(new Error('boom'));
+
+    await jobRunner.run(job);
+
+    expect(updateSpy).toHaveBeenCalledTimes(2);
+    expect(updateSpy).toHaveBeenLastCalledWith(job.id, { status: JobStatus.FAILED, error: 'boom' }, job.createdBy);
+  });
+
+  it('should truncate a long handler error to fit the job', async () => {
+    handlerSpy.mockRejectedValue(new Error('x'.repeat(MAXJOBERRORLENGTH + 100)));
+
+    await jobRunner.run(job);
+
+    expect(updateSpy).toHaveBeenLastCalledWith(job.id, { status: JobStatus.FAILED, error: 'x'.repeat(MAXJOBERRORLENGTH) }, job.createdBy);
+  });
+
+  it('should not throw if the failure cannot be recorded', async () => {
+    handlerSpy.mockRejectedValue(new Error('boom'));
+    updateSpy.mockResolvedValueOnce({}).mockRejectedValueOnce(new Error('db down'));
+
+    await expect(jobRunner.run(job)).resolves.toBeUndefined();
+  });
+
+  it('should track the job as active while it runs', async () => {
+    handlerSpy.mockImplementation(() => {
+      expect(jobRunner.active.has(job.id)).toBeTruthy();
+      return {};
+    });
+
+    await jobRunner.run(job);
+
+    expect(handlerSpy).toHaveBeenCalledTimes(1);
+    expect(jobRunner.active.has(job.id)).toBeFalsy();
+  });
+});
+
+describe('resume', () => {
+  const claimSpy = jest.spyOn(jobService, 'claim');
+  let runSpy;
+
+  const job = { id: 'job-1', status: JobStatus.FAILED, createdBy: 'user-123' };
+
+  beforeEach(() => {
+    runSpy = jest.spyOn(jobRunner, 'run');
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    runSpy.mockRestore();
+    jobRunner.active.clear();
+  });
+
+  it('should claim the job and run it in the background', async () => {
+    claimSpy.mockResolvedValue({ ...job, status: JobStatus.QUEUED });
+    runSpy.mockResolvedValue();
+    const now = Date.now();
+
+    const result = await jobRunner.resume(job);
+
+    expect(result).toEqual({ ...job, status: JobStatus.QUEUED });
+    expect(claimSpy).toHaveBeenCalledWith(job.id, expect.any(Date), job.createdBy);
+    expect(claimSpy.mock.calls[0][1].getTime()).toBeGreaterThanOrEqual(now - JOBSTALEPERIOD);
+    expect(runSpy).toHaveBeenCalledWith({ ...job, status: JobStatus.QUEUED });
+  });
+
+  it('should reject a job that could not be claimed', async () => {
+    claimSpy.mockResolvedValue(undefined);
+
+    await expect(jobRunner.resume({ ...job, status: JobStatus.RUNNING })).rejects.toEqual(expect.objectContaining({ status: 409 }));
+    expect(runSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should reject a completed job', async () => {
+    await expect(jobRunner.resume({ ...job, status: JobStatus.COMPLETED })).rejects.toEqual(expect.objectContaining({ status: 409 }));
+    expect(claimSpy).toHaveBeenCalledTimes(0);
+    expect(runSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should reject a job still running in this process', async () => {
+    jobRunner.active.add(job.id);
+
+    await expect(jobRunner.resume({ ...job, status: JobStatus.RUNNING })).rejects.toEqual(expect.objectContaining({ status: 409 }));
+    expect(claimSpy).toHaveBeenCalledTimes(0);
+  });
+});
+
+describe('start', () => {
+  const createSpy = jest.spyOn(jobService, 'create');
+  let runSpy;
+
+  beforeEach(() => {
+    runSpy = jest.spyOn(jobRunner, 'run');
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    runSpy.mockRestore();
+  });
+
+  it('should record the job and run it in the background', async () => {
+    config.has.mockReturnValueOnce(true);
+    createSpy.mockResolvedValue({ id: 'job-1' });
+    runSpy.mockResolvedValue();
+
+    const result = await jobRunner.start(JobType.COPY_OBJECT, { foo: 'bar' }, { objectId: 'xyz-789', userId: 'user-123' });
+
+    expect(result).toEqual({ id: 'job-1' });
+    expect(createSpy).toHaveBeenCalledWith({ type: JobType.COPY_OBJECT, objectId: 'xyz-789', params: { foo: 'bar' }, userId: 'user-123' });
+    expect(runSpy).toHaveBeenCalledWith({ id: 'job-1' }, undefined);
+  });
+
+  it('should pass secrets to the job without recording them', async () => {
+    config.has.mockReturnValueOnce(true);
+    createSpy.mockResolvedValue({ id: 'job-1' });
+    runSpy.mockResolvedValue();
+    const secrets = { sse: { customerAlgorithm: 'AES256', customerKey: 'key' } };
+
+    await jobRunner.start(JobType.COPY_OBJECT, { foo: 'bar' }, { objectId: 'xyz-789', userId: 'user-123', secrets });
+
+    expect(createSpy).toHaveBeenCalledWith({ type: JobType.COPY_OBJECT, objectId: 'xyz-789', params: { foo: 'bar' }, userId: 'user-123' });
+    expect(runSpy).toHaveBeenCalledWith({ id: 'job-1' }, secrets);
+  });
+
+  it('should reject without a database', async () => {
+    config.has.mockReturnValueOnce(false);
+
+    await expect(jobRunner.start(JobType.COPY_OBJECT, {}, {})).rejects.toEqual(expect.objectContaining({ status: 501 }));
+    expect(createSpy).toHaveBeenCalledTimes(0);
+  });
+});
+
+describe('extractText', () => {
+  const createSpy = jest.spyOn(jobService, 'create');
+  let handlerSpy;
+
+  beforeEach(() => {
+    handlerSpy = jest.spyOn(jobRunner.handlers, JobType.EXTRACT_TEXT);
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    handlerSpy.mockRestore();
+    jobRunner.extracting = false;
+  });
+
+  it('should do nothing when text extraction is disabled', async () => {
+    config.has.mockReturnValue(false);
+
+    await jobRunner.extractText();
+
+    expect(handlerSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should extract without recording a job', async () => {
+    config.has.mockReturnValue(true);
+    config.get.mockReturnValue('true');
+    handlerSpy.mockResolvedValue({ extracted: 1, skipped: 0, failed: [] });
+
+    await jobRunner.extractText();
+
+    expect(handlerSpy).toHaveBeenCalledWith({});
+    expect(createSpy).toHaveBeenCalledTimes(0);
+    expect(jobRunner.extracting).toBeFalsy();
+  });
+
+  it('should not extract again while this process is extracting', async () => {
+    config.has.mockReturnValue(true);
+    config.get.mockReturnValue('true');
+    let finish;
+    handlerSpy.mockReturnValue(new Promise(resolve => finish = resolve));
+
+    const first = jobRunner.extractText();
+    await jobRunner.extractText();
+    finish({});
+    await first;
+
+    expect(handlerSpy).toHaveBeenCalledTimes(1);
+    expect(jobRunner.extracting).toBeFalsy();
+  });
+
+  it('should not reject if extraction fails', async () => {
+    config.has.mockReturnValue(true);
+    config.get.mockReturnValue('true');
+    handlerSpy.mockRejectedValue(new Error('boom'));
+
+    await expect(jobRunner.extractText()).resolves.toBeUndefined();
+    expect(jobRunner.extracting).toBeFalsy();
+  });
+});
@@ -0,0 +1,139 @@
+const moveObject = require('../../../src/jobs/moveObject');
+const { updateObjectMetadata } = require('../../../src/jobs/updateMetadata');
+const { JobStatus } = require('../../../src/components/constants');
+const utils = require('../../../src/db/models/utils');
+const objectController = require('../../../src/controllers/object');
+const { jobService, metadataService, objectService, storageService, versionService } = require('../../../src/services');
+
+// Mock config library - @see {@link https://stackoverflow.com/a/64819698}
+jest.mock('config');
+jest.mock('../../../src/jobs/updateMetadata');
+
+describe('moveObject', () => {
+  const jobUpdateSpy = jest.spyOn(jobService, 'update');
+  const materializeObjectSpy = jest.spyOn(objectController, '_materializeObject');
+  const metadataAssociateMetadataSpy = jest.spyOn(metadataService, 'associateMetadata');
+  const objectUpdateSpy = jest.spyOn(objectService, 'update');
+  const storageCopyObjectMultipartSpy = jest.spyOn(storageService, 'copyObjectMultipart');
+  const storageDeleteObjectSpy = jest.spyOn(storageService, 'deleteObject');
+  const storageHeadObjectSpy = jest.spyOn(storageService, 'headObject');
+  const trxWrapperSpy = jest.spyOn(utils, 'trxWrapper');
+  const versionGetSpy = jest.spyOn(versionService, 'get');
+  const versionListSpy = jest.spyOn(versionService, 'list');
+  const versionRelocateSpy = jest.spyOn(versionService, 'relocate');
+
+  const params = { objId: 'xyz-789', sourcePath: 'xyz-789', filePath: 'docs/a.txt' };
+  const job = { id: 'job-1', createdBy: 'user-123' };
+  const v1 = { id: 'id-1', versionId: 'v1', createdAt: '2022-01-01T00:00:00Z' };
+  const v2 = { id: 'id-2', versionId: 'v2', createdAt: '2022-02-01T00:00:00Z' };
+  const deleteMarker = { id: 'id-3', versionId: 'dm', deleteMarker: true, createdAt: '2022-03-01T00:00:00Z' };
+  const blob = { id: 'id-4', versionId: 'v4', blobPath: 'abc-123', blobVersionId: 'b1', createdAt: '2022-04-01T00:00:00Z' };
+
+  beforeEach(() => {
+    jobUpdateSpy.mockResolvedValue({});
+    storageHeadObjectSpy.mockResolvedValue({ ContentLength: 1234, Metadata: { name: 'a.txt', id: 'xyz-789' } });
+    storageDeleteObjectSpy.mockResolvedValue({});
+    trxWrapperSpy.mockImplementation(fn => fn('trx'));
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should copy each version in order before moving the object and removing its old versions', async () => {
+    versionListSpy.mockResolvedValue([v2, deleteMarker, v1, blob]);
+    storageCopyObjectMultipartSpy
+      .mockResolvedValueOnce({ ETag: '"e1"', VersionId: 'n1' })
+      .mockResolvedValueOnce({ ETag: '"e2"', VersionId: 'n2' });
+    storageDeleteObjectSpy.mockResolvedValueOnce({ VersionId: 'ndm' });
+
+    const result = await moveObject(params, job);
+
+    const moved = [
+      { versionId: 'v1', newVersionId: 'n1', etag: '"e1"', storageClass: 'STANDARD' },
+      { versionId: 'v2', newVersionId: 'n2', etag: '"e2"', storageClass: 'STANDARD' },
+      { versionId: 'dm', newVersionId: 'ndm' }
+    ];
+    expect(result).toEqual({ path: 'docs/a.txt', versions: moved, moved: true });
+    expect(storageCopyObjectMultipartSpy).toHaveBeenNthCalledWith(1, expect.objectContaining({
+      copySource: 'xyz-789', filePath: 'docs/a.txt', metadata: undefined, versionId: 'v1'
+    }));
+    expect(storageCopyObjectMultipartSpy).toHaveBeenNthCalledWith(2, expect.objectContaining({ versionId: 'v2' }));
+    expect(storageDeleteObjectSpy).toHaveBeenNthCalledWith(1, { filePath: 'docs/a.txt' });
+    expect(versionRelocateSpy).toHaveBeenCalledWith('xyz-789', 'xyz-789', 'docs/a.txt', moved, 'user-123', 'trx');
+    expect(objectUpdateSpy).toHaveBeenCalledWith({ id: 'xyz-789', path: 'docs/a.txt', userId: 'user-123' }, 'trx');
+    expect(metadataAssociateMetadataSpy).toHaveBeenCalledTimes(0);
+    expect(storageDeleteObjectSpy).toHaveBeenCalledWith({ filePath: 'xyz-789', versionId: 'v1' });
+    expect(storageDeleteObjectSpy).toHaveBeenCalledWith({ filePath: 'xyz-789', versionId: 'v2' });
+    expect(storageDeleteObjectSpy).toHaveBeenCalledWith({ filePath: 'xyz-789', versionId: 'dm' });
+    expect(jobUpdateSpy).toHaveBeenLastCalledWith(job.id, { status: JobStatus.RUNNING, result }, job.createdBy);
+  });
+
+  it('should rename the latest version while moving it', async () => {
+    versionListSpy.mockResolvedValue([v1, v2]);
+    storageCopyObjectMultipartSpy.mockResolvedValueOnce({ VersionId: 'n1' });
+    storageCopyObjectMultipartSpy.mockResolvedValueOnce({ VersionId: 'n2' });
+    versionGetSpy.mockResolvedValue({ id: 'id-5' });
+
+    const result = await moveObject({ ...params, name: 'b.txt' }, job);
+
+    const metadata = { name: 'b.txt', id: 'xyz-789' };
+    expect(materializeObjectSpy).toHaveBeenCalledWith('xyz-789', undefined, 'user-123', 'xyz-789');
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledWith(expect.objectContaining({
+      metadata: metadata, versionId: 'v2'
+    }));
+    expect(result.renamed).toEqual({ versionId: 'n2', metadata: metadata });
+    expect(versionGetSpy).toHaveBeenCalledWith('n2', 'xyz-789', 'trx');
+    expect(metadataAssociateMetadataSpy).toHaveBeenCalledWith('id-5', [
+      { key: 'name', value: 'b.txt' }, { key: 'id', value: 'xyz-789' }
+    ], 'user-123', 'trx');
+  });
+
+  it('should continue from the versions copied by a previous run', async () => {
+    versionListSpy.mockResolvedValue([v2, v1, blob]);
+    storageCopyObjectMultipartSpy.mockResolvedValue({ VersionId: 'n2' });
+    const previous = { ...job, result: { path: 'docs/a.txt', versions: [{ versionId: 'v1', newVersionId: 'n1' }], moved: false } };
+
+    const result = await moveObject(params, previous);
+
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledTimes(1);
+    expect(storageCopyObjectMultipartSpy).toHaveBeenCalledWith(expect.objectContaining({ versionId: 'v2' }));
+    expect(result.versions).toEqual([
+      { versionId: 'v1', newVersionId: 'n1' },
+      { versionId: 'v2', newVersionId: 'n2', storageClass: 'STANDARD' }
+    ]);
+    expect(result.moved).toBe(true);
+  });
+
+  it('should only remove the old versions of an object already moved', async () => {
+    const previous = { ...job, result: { path: 'docs/a.txt', versions: [{ versionId: 'v1', newVersionId: 'n1' }], moved: true } };
+
+    await moveObject(params, previous);
+
+    expect(versionListSpy).toHaveBeenCalledTimes(0);
+    expect(versionRelocateSpy).toHaveBeenCalledTimes(0);
+    expect(storageDeleteObjectSpy).toHaveBeenCalledWith({ filePath: 'xyz-789', versionId: 'v1' });
+  });
+
+  it('should not move an object modified while being moved', async () => {
+    versionListSpy.mockResolvedValueOnce([v1]).mockResolvedValueOnce([v1, v2]);
+    storageCopyObjectMultipartSpy.mockResolvedValue({ VersionId: 'n2' });
+
+    await expect(moveObject(params, job)).rejects.toThrow('The object was modified while being moved');
+
+    expect(versionRelocateSpy).toHaveBeenCalledTimes(0);
+    expect(objectUpdateSpy).toHaveBeenCalledTimes(0);
+    expect(storageDeleteObjectSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should rename an object in place without moving it', async () => {
+    updateObjectMetadata.mockResolvedValue({ ETag: 'etag', VersionId: 'n1' });
+    const sse = { algorithm: 'AES256', key: 'key', keyMd5: 'md5' };
+
+    const result = await moveObject({ ...params, filePath: 'xyz-789', name: 'b.txt' }, job, { sse });
+
+    expect(updateObjectMetadata).toHaveBeenCalledWith('xyz-789', { name: 'b.txt' }, false, 'user-123', sse);
+    expect(result).toEqual({ path: 'xyz-789', ETag: 'etag', VersionId: 'n1' });
+    expect(versionListSpy).toHaveBeenCalledTimes(0);
+  });
+});
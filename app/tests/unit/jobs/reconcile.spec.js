@@ -0,0 +1,260 @@
+const reconcile = require('../../../src/jobs/reconcile');
+const { UploadStatus } = require('../../../src/components/constants');
+const utils = require('../../../src/db/models/utils');
+const {
+  metadataService,
+  objectService,
+  storageService,
+  tagService,
+  uploadService,
+  versionService
+} = require('../../../src/services');
+
+// Mock config library - @see {@link https://stackoverflow.com/a/64819698}
+jest.mock('config');
+
+describe('reconcile', () => {
+  const metadataAssociateMetadataSpy = jest.spyOn(metadataService, 'associateMetadata');
+  const metadataPruneOrphanedMetadataSpy = jest.spyOn(metadataService, 'pruneOrphanedMetadata');
+  const objectCreateSpy = jest.spyOn(objectService, 'create');
+  const objectDeleteSpy = jest.spyOn(objectService, 'delete');
+  const objectListPathRangeSpy = jest.spyOn(objectService, 'listPathRange');
+  const objectSearchObjectsSpy = jest.spyOn(objectService, 'searchObjects');
+  const objectUpdateSpy = jest.spyOn(objectService, 'update');
+  const storageGetObjectTaggingSpy = jest.spyOn(storageService, 'getObjectTagging');
+  const storageHeadObjectSpy = jest.spyOn(storageService, 'headObject');
+  const storageListObjectVersionSpy = jest.spyOn(storageService, 'listObjectVersion');
+  const tagAssociateTagsSpy = jest.spyOn(tagService, 'associateTags');
+  const tagPruneOrphanedTagsSpy = jest.spyOn(tagService, 'pruneOrphanedTags');
+  const trxWrapperSpy = jest.spyOn(utils, 'trxWrapper');
+  const uploadSearchUploadsSpy = jest.spyOn(uploadService, 'searchUploads');
+  const versionCreateSpy = jest.spyOn(versionService, 'create');
+  const versionDeleteSpy = jest.spyOn(versionService, 'delete');
+  const versionListBlobPathsSpy = jest.spyOn(versionService, 'listBlobPaths');
+  const versionListSpy = jest.spyOn(versionService, 'list');
+
+  const job = { id: 'job-1', createdBy: 'user-123' };
+  const stored = (Key, VersionId, LastModified) => ({ Key, VersionId, LastModified });
+
+  beforeEach(() => {
+    storageListObjectVersionSpy.mockResolvedValue({
+      Versions: [
+        stored('a', 'a2', '2022-01-02'),
+        stored('a', 'a1', '2022-01-01'),
+        stored('c', 'c1', '2022-01-01'),
+        stored('e', 'e1', '2022-01-01'),
+        stored('f/', 'f1', '2022-01-01'),
+        stored('h', 'null', '2022-01-01')
+      ],
+      DeleteMarkers: [
+        stored('d', 'd1', '2022-01-01')
+      ]
+    });
+    objectSearchObjectsSpy.mockResolvedValue([]);
+    objectListPathRangeSpy.mockResolvedValue([
+      { id: 'obj-a', path: 'a' },
+      { id: 'obj-b', path: 'b' },
+      { id: 'obj-g', path: 'g' },
+      { id: 'obj-h', path: 'h' }
+    ]);
+    versionListSpy.mockResolvedValue([
+      { id: 'ver-a1', objectId: 'obj-a', versionId: 'a1' },
+      { id: 'ver-b1', objectId: 'obj-b', versionId: 'b1' },
+      { id: 'ver-g1', objectId: 'obj-g', versionId: 'g1', blobPath: 'a', blobVersionId: 'a1' },
+      { id: 'ver-h1', objectId: 'obj-h', versionId: null }
+    ]);
+    uploadSearchUploadsSpy.mockResolvedValue([{ path: 'e' }]);
+    versionListBlobPathsSpy.mockResolvedValue([]);
+    storageHeadObjectSpy.mockResolvedValue({ ContentLength: 1234, ContentType: 'text/plain', Metadata: { name: 'foo.txt', id: 'foo' } });
+    storageGetObjectTaggingSpy.mockResolvedValue({ TagSet: [{ Key: 'a', Value: '1' }] });
+    trxWrapperSpy.mockImplementation(fn => fn('trx'));
+    versionCreateSpy.mockResolvedValue({ id: 'ver-new' });
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should report the differences between the bucket and the database', async () => {
+    const result = await reconcile({}, job);
+
+    expect(result).toEqual({
+      repair: false,
+      unknownKeys: [{ path: 'c', versions: 1 }],
+      missingObjects: [{ objId: 'obj-b', path: 'b' }],
+      versionMismatches: [{ objId: 'obj-a', path: 'a', missing: [], unknown: ['a2'] }]
+    });
+    expect(storageListObjectVersionSpy).toHaveBeenCalledWith({
+      filePath: '', keyMarker: undefined, versionIdMarker: undefined, maxKeys: 1000
+    });
+    expect(objectListPathRangeSpy).toHaveBeenCalledWith({ pathPrefix: '', after: undefined, through: undefined }, 1000);
+    expect(versionListSpy).toHaveBeenCalledWith(['obj-a', 'obj-b', 'obj-g', 'obj-h']);
+    expect(storageHeadObjectSpy).toHaveBeenCalledWith({ filePath: 'a', versionId: 'a1' });
+    expect(uploadSearchUploadsSpy).toHaveBeenCalledWith({ path: ['c', 'e'], status: UploadStatus.PENDING });
+    expect(versionListBlobPathsSpy).toHaveBeenCalledWith(['c', 'e']);
+    expect(objectCreateSpy).toHaveBeenCalledTimes(0);
+    expect(versionCreateSpy).toHaveBeenCalledTimes(0);
+    expect(objectUpdateSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should import unknown keys and versions and flag dangling objects', async () => {
+    const result = await reconcile({ repair: true }, job);
+
+    expect(result.unknownKeys).toEqual([{ path: 'c', versions: 1, objId: expect.any(String), repaired: true }]);
+    expect(objectCreateSpy).toHaveBeenCalledWith({ id: result.unknownKeys[0].objId, path: 'c', userId: 'user-123' });
+    expect(storageHeadObjectSpy).toHaveBeenCalledWith({ filePath: 'c', versionId: 'c1' });
+    expect(versionCreateSpy).toHaveBeenCalledWith({
+      id: result.unknownKeys[0].objId, versionId: 'c1', mimeType: 'text/plain', size: 1234, etag: undefined, storageClass: 'STANDARD'
+    }, 'user-123', 'trx');
+    expect(metadataAssociateMetadataSpy).toHaveBeenCalledWith('ver-new', [
+      { key: 'name', value: 'foo.txt' }, { key: 'id', value: result.unknownKeys[0].objId }
+    ], 'user-123', 'trx');
+    expect(tagAssociateTagsSpy).toHaveBeenCalledWith('ver-new', [{ key: 'a', value: '1' }], 'user-123', 'trx');
+
+    expect(versionCreateSpy).toHaveBeenCalledWith(expect.objectContaining({ id: 'obj-a', versionId: 'a2' }), 'user-123', 'trx');
+    expect(result.versionMismatches[0].repaired).toBe(true);
+
+    expect(objectUpdateSpy).toHaveBeenCalledWith({ id: 'obj-b', active: false, userId: 'user-123' });
+    expect(objectDeleteSpy).toHaveBeenCalledTimes(0);
+    expect(versionDeleteSpy).toHaveBeenCalledTimes(0);
+    expect(metadataPruneOrphanedMetadataSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should remove dangling objects and versions', async () => {
+    versionListSpy.mockResolvedValue([
+      { id: 'ver-a0', objectId: 'obj-a', versionId: 'a0' },
+      { id: 'ver-a1', objectId: 'obj-a', versionId: 'a1' },
+      { id: 'ver-a2', objectId: 'obj-a', versionId: 'a2' },
+      { id: 'ver-b1', objectId: 'obj-b', versionId: 'b1' },
+      { id: 'ver-h1', objectId: 'obj-h', versionId: null }
+    ]);
+
+    const result = await reconcile({ repair: true, dangling: 'remove' }, job);
+
+    expect(result.versionMismatches).toEqual([{ objId: 'obj-a', path: 'a', missing: ['a0'], unknown: [], repaired: true }]);
+    expect(versionDeleteSpy).toHaveBeenCalledWith('obj-a', 'a0');
+    expect(objectDeleteSpy).toHaveBeenCalledWith('obj-b');
+    expect(objectUpdateSpy).toHaveBeenCalledTimes(0);
+    expect(metadataPruneOrphanedMetadataSpy).toHaveBeenCalledTimes(1);
+    expect(tagPruneOrphanedTagsSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep the id stored with an unknown object if it is not in use', async () => {
+    const id = '11111111-1111-4111-8111-111111111111';
+    storageHeadObjectSpy.mockResolvedValue({ ContentType: 'text/plain', Metadata: { id } });
+
+    const result = await reconcile({ repair: true }, job);
+
+    expect(objectSearchObjectsSpy).toHaveBeenCalledWith({ id, all: true });
+    expect(result.unknownKeys[0].objId).toEqual(id);
+    expect(metadataAssociateMetadataSpy).toHaveBeenCalledWith('ver-new', [
+      { key: 'name', value: 'c' }, { key: 'id', value: id }
+    ], 'user-123', 'trx');
+  });
+
+  it('should report deduplicated versions whose content is missing', async () => {
+    storageHeadObjectSpy.mockRejectedValue(Object.assign(new Error('NotFound'), { $metadata: { httpStatusCode: 404 } }));
+
+    const result = await reconcile({}, job);
+
+    expect(result.missingObjects).toContainEqual({ objId: 'obj-g', path: 'g' });
+  });
+
+  it('should not report keys retained for deduplicated versions', async () => {
+    versionListBlobPathsSpy.mockResolvedValue(['c']);
+
+    const result = await reconcile({}, job);
+
+    expect(result.unknownKeys).toEqual([]);
+  });
+
+  it('should skip keys and records changed within the grace period', async () => {
+    const recent = new Date().toISOString();
+    storageListObjectVersionSpy.mockResolvedValue({
+      Versions: [stored('a', 'a2', recent), stored('a', 'a1', '2022-01-01'), stored('c', 'c1', recent)]
+    });
+    objectListPathRangeSpy.mockResolvedValue([
+      { id: 'obj-a', path: 'a' },
+      { id: 'obj-b', path: 'b', createdAt: recent }
+    ]);
+    versionListSpy.mockResolvedValue([
+      { id: 'ver-a1', objectId: 'obj-a', versionId: 'a1' },
+      { id: 'ver-b1', objectId: 'obj-b', versionId: 'b1' }
+    ]);
+
+    const result = await reconcile({ repair: true }, job);
+
+    expect(result).toEqual({ repair: true, unknownKeys: [], missingObjects: [], versionMismatches: [] });
+    expect(uploadSearchUploadsSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should reconcile the bucket a page of keys at a time', async () => {
+    storageListObjectVersionSpy
+      .mockResolvedValueOnce({
+        Versions: [stored('a', 'a1', '2022-01-01'), stored('b', 'b2', '2022-01-02')],
+        IsTruncated: true,
+        NextKeyMarker: 'b',
+        NextVersionIdMarker: 'b2'
+      })
+      .mockResolvedValueOnce({ Versions: [stored('b', 'b1', '2022-01-01')], IsTruncated: false });
+    objectListPathRangeSpy
+      .mockResolvedValueOnce([{ id: 'obj-a', path: 'a' }])
+      .mockResolvedValueOnce([{ id: 'obj-b', path: 'b' }]);
+    versionListSpy
+      .mockResolvedValueOnce([{ id: 'ver-a1', objectId: 'obj-a', versionId: 'a1' }])
+      .mockResolvedValueOnce([
+        { id: 'ver-b1', objectId: 'obj-b', versionId: 'b1' },
+        { id: 'ver-b2', objectId: 'obj-b', versionId: 'b2' }
+      ]);
+
+    const result = await reconcile({}, job);
+
+    expect(result).toEqual({ repair: false, unknownKeys: [], missingObjects: [], versionMismatches: [] });
+    expect(storageListObjectVersionSpy).toHaveBeenNthCalledWith(2, {
+      filePath: '', keyMarker: 'b', versionIdMarker: 'b2', maxKeys: 1000
+    });
+    expect(objectListPathRangeSpy).toHaveBeenNthCalledWith(1, { pathPrefix: '', after: undefined, through: 'a' }, 1000);
+    expect(objectListPathRangeSpy).toHaveBeenNthCalledWith(2, { pathPrefix: '', after: 'a', through: undefined }, 1000);
+  });
+
+  it('should cut the ranges of mixed-case keys in byte order', async () => {
+    storageListObjectVersionSpy
+      .mockResolvedValueOnce({
+        Versions: [stored('B.txt', 'B1', '2022-01-01'), stored('a.txt', 'a1', '2022-01-01')],
+        IsTruncated: true,
+        NextKeyMarker: 'a.txt',
+        NextVersionIdMarker: 'a1'
+      })
+      .mockResolvedValueOnce({ Versions: [stored('a_b.txt', 'ab1', '2022-01-01')], IsTruncated: false });
+    objectListPathRangeSpy
+      .mockResolvedValueOnce([{ id: 'obj-B', path: 'B.txt' }])
+      .mockResolvedValueOnce([{ id: 'obj-a', path: 'a.txt' }, { id: 'obj-ab', path: 'a_b.txt' }]);
+    versionListSpy
+      .mockResolvedValueOnce([{ id: 'ver-B1', objectId: 'obj-B', versionId: 'B1' }])
+      .mockResolvedValueOnce([
+        { id: 'ver-a1', objectId: 'obj-a', versionId: 'a1' },
+        { id: 'ver-ab1', objectId: 'obj-ab', versionId: 'ab1' }
+      ]);
+
+    const result = await reconcile({ repair: true }, job);
+
+    expect(result).toEqual({ repair: true, unknownKeys: [], missingObjects: [], versionMismatches: [] });
+    expect(objectListPathRangeSpy).toHaveBeenNthCalledWith(1, { pathPrefix: '', after: undefined, through: 'B.txt' }, 1000);
+    expect(objectListPathRangeSpy).toHaveBeenNthCalledWith(2, { pathPrefix: '', after: 'B.txt', through: undefined }, 1000);
+    expect(objectCreateSpy).toHaveBeenCalledTimes(0);
+    expect(objectUpdateSpy).toHaveBeenCalledTimes(0);
+  });
+
+  it('should record repairs that fail and continue with the rest', async () => {
+    // Only the content of the deduplicated version can be read
+    storageHeadObjectSpy.mockImplementation(({ versionId }) => versionId === 'a1' ?
+      Promise.resolve({}) :
+      Promise.reject(new Error('boom')));
+
+    const result = await reconcile({ repair: true }, job);
+
+    expect(result.unknownKeys[0]).toEqual({ path: 'c', versions: 1, repaired: false, error: 'boom' });
+    expect(result.versionMismatches[0]).toEqual(expect.objectContaining({ repaired: false, error: 'boom' }));
+    expect(result.missingObjects[0].repaired).toBe(true);
+  });
+});
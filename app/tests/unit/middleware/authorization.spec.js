@@ -135,6 +135,20 @@ describe('currentObject', () => {
     expect(next).toHaveBeenCalledTimes(1);
     expect(next).toHaveBeenCalledWith();
   });
+
+  it('lists the versions at the path recorded on the object', async () => {
+    const objId = '1234';
+    req.params = { objId: objId };
+    objectReadSpy.mockResolvedValue({ id: objId, path: 'foo/bar.txt' });
+    storageListObjectVersionSpy.mockResolvedValue({});
+
+    await currentObject(req, res, next);
+
+    expect(req.currentObject).toEqual(expect.objectContaining({ path: 'foo/bar.txt' }));
+    expect(storageListObjectVersionSpy).toHaveBeenCalledWith({ filePath: 'foo/bar.txt' });
+    expect(utils.getPath).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith();
+  });
 });
 
 describe('hasPermission', () => {
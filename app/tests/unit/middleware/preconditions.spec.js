@@ -0,0 +1,151 @@
+const Problem = require('api-problem');
+
+const { checkPreconditions } = require('../../../src/middleware/preconditions');
+const { storageService, versionService } = require('../../../src/services');
+
+// Mock config library - @see {@link https://stackoverflow.com/a/64819698}
+jest.mock('config');
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkPreconditions', () => {
+  const headObjectSpy = jest.spyOn(storageService, 'headObject');
+  const problemSendSpy = jest.spyOn(Problem.prototype, 'send');
+
+  let req, res, next;
+
+  beforeEach(() => {
+    problemSendSpy.mockImplementation(() => { });
+
+    req = { headers: {}, params: { objId: 'xyz-789' } };
+    res = {};
+    next = jest.fn();
+  });
+
+  it('should skip unconditional requests', async () => {
+    await checkPreconditions(req, res, next);
+
+    expect(headObjectSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should allow a request with a current etag', async () => {
+    req.headers['if-match'] = '"abc"';
+    headObjectSpy.mockResolvedValue({ ETag: '"abc"' });
+
+    await checkPreconditions(req, res, next);
+
+    expect(headObjectSpy).toHaveBeenCalledTimes(1);
+    expect(problemSendSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should compare against the path recorded on the object', async () => {
+    req.currentObject = { id: 'xyz-789', path: 'foo/bar.txt' };
+    req.headers['if-match'] = '"abc"';
+    headObjectSpy.mockResolvedValue({ ETag: '"abc"' });
+
+    await checkPreconditions(req, res, next);
+
+    expect(headObjectSpy).toHaveBeenCalledWith({ filePath: 'foo/bar.txt', versionId: undefined, sse: undefined });
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  describe('with a database', () => {
+    const getLatestSpy = jest.spyOn(versionService, 'getLatest');
+    const version = { id: 'ver-123', createdAt: '2022-10-10T10:10:10.000Z', updatedAt: '2022-10-10T10:20:10.000Z' };
+    const etag = `"ver-123-${new Date(version.updatedAt).getTime()}"`;
+
+    it('should allow a request with the etag of the latest version record', async () => {
+      req.headers['if-match'] = etag;
+      getLatestSpy.mockResolvedValue(version);
+
+      await checkPreconditions(req, res, next);
+
+      expect(getLatestSpy).toHaveBeenCalledWith('xyz-789');
+      expect(headObjectSpy).toHaveBeenCalledTimes(0);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should reject a request with the etag of the content after a metadata or tag edit', async () => {
+      req.headers['if-match'] = '"abc"';
+      getLatestSpy.mockResolvedValue(version);
+
+      await checkPreconditions(req, res, next);
+
+      expect(headObjectSpy).toHaveBeenCalledTimes(0);
+      expect(problemSendSpy).toHaveBeenCalledTimes(1);
+      expect(problemSendSpy.mock.instances[0]).toEqual(expect.objectContaining({ ETag: etag }));
+      expect(next).toHaveBeenCalledTimes(0);
+    });
+
+    it('should reject a request modified since the version record was updated', async () => {
+      req.headers['if-unmodified-since'] = 'Mon, 10 Oct 2022 10:10:10 GMT';
+      getLatestSpy.mockResolvedValue(version);
+
+      await checkPreconditions(req, res, next);
+
+      expect(problemSendSpy).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledTimes(0);
+    });
+
+    it('should reject an If-Match request for a deleted object', async () => {
+      req.headers['if-match'] = '*';
+      getLatestSpy.mockResolvedValue({ ...version, deleteMarker: true });
+
+      await checkPreconditions(req, res, next);
+
+      expect(problemSendSpy).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledTimes(0);
+    });
+  });
+
+  it('should reject a request with a stale etag', async () => {
+    req.headers['if-match'] = '"abc"';
+    headObjectSpy.mockResolvedValue({ ETag: '"xyz"' });
+
+    await checkPreconditions(req, res, next);
+
+    expect(next).toHaveBeenCalledTimes(0);
+    expect(problemSendSpy).toHaveBeenCalledTimes(1);
+    expect(problemSendSpy).toHaveBeenCalledWith(res);
+  });
+
+  it('should reject a request modified since the given date', async () => {
+    req.headers['if-unmodified-since'] = 'Mon, 10 Oct 2022 10:10:09 GMT';
+    headObjectSpy.mockResolvedValue({ ETag: '"abc"', LastModified: new Date('2022-10-10T10:10:10Z') });
+
+    await checkPreconditions(req, res, next);
+
+    expect(next).toHaveBeenCalledTimes(0);
+    expect(problemSendSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject an If-Match request for a missing object', async () => {
+    req.headers['if-match'] = '*';
+    headObjectSpy.mockRejectedValue({ $metadata: { httpStatusCode: 404 } });
+
+    await checkPreconditions(req, res, next);
+
+    expect(next).toHaveBeenCalledTimes(0);
+    expect(problemSendSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('should pass on other errors', async () => {
+    req.headers['if-match'] = '"abc"';
+    headObjectSpy.mockRejectedValue(new Error('error'));
+
+    await checkPreconditions(req, res, next);
+
+    expect(problemSendSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(next).toHaveBeenCalledWith(expect.any(Problem));
+  });
+});
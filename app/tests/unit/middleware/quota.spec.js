@@ -0,0 +1,280 @@
+const config = require('config');
+const Problem = require('api-problem');
+
+const { assertQuota, checkFormQuota, checkObjectQuota, checkQuota, limitUpload } = require('../../../src/middleware/quota');
+const { quotaService, userService } = require('../../../src/services');
+
+// Mock config library - @see {@link https://stackoverflow.com/a/64819698}
+jest.mock('config');
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkQuota', () => {
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const listUsageSpy = jest.spyOn(quotaService, 'listUsage');
+  const problemSendSpy = jest.spyOn(Problem.prototype, 'send');
+  const readUserSpy = jest.spyOn(userService, 'readUser');
+
+  const user = { userId: 'abc-123', idp: 'idir' };
+  const unlimited = { bytes: null, objects: null };
+
+  let req, res, next;
+
+  beforeEach(() => {
+    config.has.mockImplementation(key => ['db.enabled', 'quota'].includes(key));
+    getCurrentUserIdSpy.mockResolvedValue(user.userId);
+    readUserSpy.mockResolvedValue(user);
+    problemSendSpy.mockImplementation(() => { });
+
+    req = { headers: { 'content-length': '100' } };
+    res = {};
+    next = jest.fn();
+  });
+
+  it('should skip requests when quotas are not enabled', async () => {
+    config.has.mockReturnValue(false);
+
+    await checkQuota()(req, res, next);
+
+    expect(listUsageSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should allow an upload within every quota', async () => {
+    listUsageSpy.mockResolvedValue([
+      { scope: 'bucket', bytes: 500, objects: 5, quota: { bytes: 1000, objects: 10 } },
+      { scope: 'idp', idp: 'idir', bytes: 0, objects: 0, quota: unlimited },
+      { scope: 'user', userId: user.userId, bytes: 400, objects: 4, quota: { bytes: 500, objects: 5 } }
+    ]);
+
+    await checkQuota()(req, res, next);
+
+    expect(readUserSpy).toHaveBeenCalledWith(user.userId);
+    expect(listUsageSpy).toHaveBeenCalledWith(user);
+    expect(problemSendSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should only check the bucket quota of requests without a user', async () => {
+    getCurrentUserIdSpy.mockResolvedValue(undefined);
+    listUsageSpy.mockResolvedValue([{ scope: 'bucket', bytes: 0, objects: 0, quota: unlimited }]);
+
+    await checkQuota()(req, res, next);
+
+    expect(readUserSpy).toHaveBeenCalledTimes(0);
+    expect(listUsageSpy).toHaveBeenCalledWith(undefined);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should reject an upload without a Content-Length with a 411', async () => {
+    req.headers = { 'transfer-encoding': 'chunked' };
+
+    await checkQuota()(req, res, next);
+
+    expect(listUsageSpy).toHaveBeenCalledTimes(0);
+    expect(problemSendSpy).toHaveBeenCalledTimes(1);
+    expect(problemSendSpy.mock.instances[0]).toEqual(expect.objectContaining({ status: 411 }));
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should reject an upload larger than a quota with a 413', async () => {
+    listUsageSpy.mockResolvedValue([
+      { scope: 'user', userId: user.userId, bytes: 0, objects: 0, quota: { bytes: 50, objects: null } }
+    ]);
+
+    await checkQuota()(req, res, next);
+
+    expect(problemSendSpy).toHaveBeenCalledTimes(1);
+    expect(problemSendSpy.mock.instances[0]).toEqual(expect.objectContaining({
+      status: 413,
+      scope: 'user',
+      quota: { bytes: 50, objects: null },
+      usage: { bytes: 0, objects: 0 }
+    }));
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should reject an upload exceeding the remaining bytes with a 507', async () => {
+    listUsageSpy.mockResolvedValue([
+      { scope: 'bucket', bytes: 950, objects: 5, quota: { bytes: 1000, objects: null } }
+    ]);
+
+    await checkQuota()(req, res, next);
+
+    expect(problemSendSpy).toHaveBeenCalledTimes(1);
+    expect(problemSendSpy.mock.instances[0]).toEqual(expect.objectContaining({ status: 507, scope: 'bucket' }));
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+
+  it('should not check the object quota', async () => {
+    listUsageSpy.mockResolvedValue([
+      { scope: 'idp', idp: 'idir', bytes: 0, objects: 10, quota: { bytes: null, objects: 10 } }
+    ]);
+
+    await checkQuota()(req, res, next);
+
+    expect(problemSendSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should pass on errors', async () => {
+    listUsageSpy.mockRejectedValue(new Error('error'));
+
+    await checkQuota()(req, res, next);
+
+    expect(problemSendSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(next).toHaveBeenCalledWith(expect.any(Problem));
+  });
+});
+
+describe('checkFormQuota', () => {
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const listUsageSpy = jest.spyOn(quotaService, 'listUsage');
+  const problemSendSpy = jest.spyOn(Problem.prototype, 'send');
+
+  let req, next;
+
+  beforeEach(() => {
+    config.has.mockImplementation(key => ['db.enabled', 'quota'].includes(key));
+    getCurrentUserIdSpy.mockResolvedValue(undefined);
+    problemSendSpy.mockImplementation(() => { });
+
+    // The form encoding is not counted against the quotas
+    req = { headers: { 'content-length': '5000' } };
+    next = jest.fn();
+  });
+
+  it('should record the bytes and number of new objects the quotas allow', async () => {
+    listUsageSpy.mockResolvedValue([
+      { scope: 'bucket', bytes: 500, objects: 5, quota: { bytes: 1000, objects: 10 } },
+      { scope: 'user', bytes: 900, objects: 2, quota: { bytes: 1000, objects: 5 } }
+    ]);
+
+    await checkFormQuota(true)(req, {}, next);
+
+    expect(req.remainingBytes).toEqual(100);
+    expect(req.remainingObjects).toEqual(3);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should not limit the bytes and number of new objects without quotas on them', async () => {
+    listUsageSpy.mockResolvedValue([{ scope: 'bucket', bytes: 0, objects: 5, quota: { bytes: null, objects: null } }]);
+
+    await checkFormQuota(true)(req, {}, next);
+
+    expect(req.remainingBytes).toBeUndefined();
+    expect(req.remainingObjects).toBeUndefined();
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should allow a form without a Content-Length', async () => {
+    req.headers = { 'transfer-encoding': 'chunked' };
+    listUsageSpy.mockResolvedValue([{ scope: 'bucket', bytes: 0, objects: 0, quota: { bytes: 1000, objects: null } }]);
+
+    await checkFormQuota()(req, {}, next);
+
+    expect(problemSendSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should reject a new object beyond the object quota with a 507', async () => {
+    listUsageSpy.mockResolvedValue([{ scope: 'idp', bytes: 0, objects: 10, quota: { bytes: null, objects: 10 } }]);
+
+    await checkFormQuota(true)(req, {}, next);
+
+    expect(problemSendSpy).toHaveBeenCalledTimes(1);
+    expect(problemSendSpy.mock.instances[0]).toEqual(expect.objectContaining({ status: 507, scope: 'idp' }));
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+});
+
+describe('limitUpload', () => {
+  const upload = (req, chunks) => new Promise((resolve, reject) => {
+    const limiter = limitUpload(req);
+    const received = [];
+    limiter.on('data', chunk => received.push(chunk));
+    limiter.on('error', reject);
+    limiter.on('end', () => resolve(Buffer.concat(received).toString()));
+    chunks.forEach(chunk => limiter.write(chunk));
+    limiter.end();
+  });
+
+  it('should pass content that exactly fits what remains of the quotas', async () => {
+    const req = { remainingBytes: 10 };
+
+    await expect(upload(req, ['hello', 'world'])).resolves.toEqual('helloworld');
+    expect(req.remainingBytes).toEqual(0);
+  });
+
+  it('should fail with a 507 once the content exceeds what remains of the quotas', async () => {
+    await expect(upload({ remainingBytes: 9 }, ['hello', 'world'])).rejects.toEqual(expect.objectContaining({ status: 507 }));
+  });
+
+  it('should not limit content without a byte quota', async () => {
+    await expect(upload({}, ['hello', 'world'])).resolves.toEqual('helloworld');
+  });
+});
+
+describe('assertQuota', () => {
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const listUsageSpy = jest.spyOn(quotaService, 'listUsage');
+
+  beforeEach(() => {
+    config.has.mockImplementation(key => ['db.enabled', 'quota'].includes(key));
+    getCurrentUserIdSpy.mockResolvedValue(undefined);
+  });
+
+  it('should yield the bytes and new objects allowed when the content and objects fit every quota', async () => {
+    listUsageSpy.mockResolvedValue([{ scope: 'bucket', bytes: 500, objects: 8, quota: { bytes: 1000, objects: 10 } }]);
+
+    await expect(assertQuota({}, 500, 2)).resolves.toEqual({ bytes: 500, objects: 2 });
+  });
+
+  it('should reject objects beyond the object quota with a 507', async () => {
+    listUsageSpy.mockResolvedValue([{ scope: 'bucket', bytes: 0, objects: 8, quota: { bytes: null, objects: 10 } }]);
+
+    await expect(assertQuota({}, 0, 3)).rejects.toEqual(expect.objectContaining({ status: 507, scope: 'bucket' }));
+  });
+});
+
+describe('checkObjectQuota', () => {
+  const getCurrentUserIdSpy = jest.spyOn(userService, 'getCurrentUserId');
+  const listUsageSpy = jest.spyOn(quotaService, 'listUsage');
+  const problemSendSpy = jest.spyOn(Problem.prototype, 'send');
+
+  const req = { headers: { 'content-length': '5000' } };
+  const next = jest.fn();
+
+  beforeEach(() => {
+    config.has.mockImplementation(key => ['db.enabled', 'quota'].includes(key));
+    getCurrentUserIdSpy.mockResolvedValue(undefined);
+    problemSendSpy.mockImplementation(() => { });
+  });
+
+  it('should only check the object quota', async () => {
+    listUsageSpy.mockResolvedValue([{ scope: 'bucket', bytes: 1000, objects: 0, quota: { bytes: 1000, objects: 10 } }]);
+
+    await checkObjectQuota(req, {}, next);
+
+    expect(problemSendSpy).toHaveBeenCalledTimes(0);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should reject a new object beyond the object quota with a 507', async () => {
+    listUsageSpy.mockResolvedValue([{ scope: 'bucket', bytes: 0, objects: 10, quota: { bytes: null, objects: 10 } }]);
+
+    await checkObjectQuota(req, {}, next);
+
+    expect(problemSendSpy).toHaveBeenCalledTimes(1);
+    expect(problemSendSpy.mock.instances[0]).toEqual(expect.objectContaining({ status: 507 }));
+    expect(next).toHaveBeenCalledTimes(0);
+  });
+});
@@ -17,8 +17,9 @@ describe(`GET ${basePath}`, () => {
     expect(response.statusCode).toBe(200);
     expect(response.body).toBeTruthy();
     expect(Array.isArray(response.body.endpoints)).toBeTruthy();
-    expect(response.body.endpoints).toHaveLength(4);
+    expect(response.body.endpoints).toHaveLength(5);
     expect(response.body.endpoints).toContain('/docs');
+    expect(response.body.endpoints).toContain('/job');
     expect(response.body.endpoints).toContain('/object');
     expect(response.body.endpoints).toContain('/permission');
     expect(response.body.endpoints).toContain('/user');
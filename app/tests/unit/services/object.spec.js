@@ -0,0 +1,27 @@
+const Knex = require('knex');
+const { Model } = require('objection');
+
+const service = require('../../../src/services/object');
+
+// Mock config library - @see {@link https://stackoverflow.com/a/64819698}
+jest.mock('config');
+
+describe('listPathRange', () => {
+  // Queries are only built, never executed
+  Model.knex(Knex({ client: 'pg' }));
+
+  it('should compare and order paths by byte rather than by the database collation', () => {
+    const { sql, bindings } = service.listPathRange({ after: 'A', through: 'a' }, 10).toKnexQuery().toSQL();
+
+    // With a linguistic collation 'B' sorts after 'a', whereas S3 lists it before
+    expect(sql).toMatch('where "object"."path" collate "C" > ? and "object"."path" collate "C" <= ?');
+    expect(sql).toMatch('order by "object"."path" collate "C" asc');
+    expect(bindings).toEqual(['A', 'a', 10]);
+  });
+
+  it('should not bound the range when no paths are given', () => {
+    const { sql } = service.listPathRange({}, 10).toKnexQuery().toSQL();
+
+    expect(sql).not.toMatch('where');
+  });
+});
@@ -1,16 +1,30 @@
 const {
+  AbortMultipartUploadCommand,
+  CompleteMultipartUploadCommand,
   CopyObjectCommand,
+  CreateMultipartUploadCommand,
   DeleteObjectCommand,
+  DeleteObjectsCommand,
   DeleteObjectTaggingCommand,
+  GetBucketEncryptionCommand,
   GetBucketVersioningCommand,
   GetObjectCommand,
+  GetObjectLegalHoldCommand,
+  GetObjectRetentionCommand,
   GetObjectTaggingCommand,
   HeadBucketCommand,
   HeadObjectCommand,
   ListObjectsCommand,
+  ListObjectsV2Command,
   ListObjectVersionsCommand,
+  ListPartsCommand,
+  PutBucketEncryptionCommand,
   PutObjectCommand,
+  PutObjectLegalHoldCommand,
+  PutObjectRetentionCommand,
   PutObjectTaggingCommand,
+  UploadPartCommand,
+  UploadPartCopyCommand,
 } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const { mockClient } = require('aws-sdk-client-mock');
@@ -19,7 +33,7 @@ const { Readable } = require('stream');
 
 const service = require('../../../src/services/storage');
 const utils = require('../../../src/components/utils');
-const { MetadataDirective, TaggingDirective } = require('../../../src/components/constants');
+const { MAXDELETEKEYS, MetadataDirective, TaggingDirective } = require('../../../src/components/constants');
 
 const bucket = config.get('objectStorage.bucket');
 const key = utils.delimit(config.get('objectStorage.key'));
@@ -27,6 +41,9 @@ const defaultTempExpiresIn = parseInt(config.get('objectStorage.defaultTempExpir
 
 const s3ClientMock = mockClient(service._s3Client);
 
+const customerKey = 'MDEyMzQ1Njc4OWFiY2RlZjAxMjM0NTY3ODlhYmNkZWY=';
+const sse = { customerAlgorithm: 'AES256', customerKey: customerKey, customerKeyMD5: 'md5' };
+
 jest.mock('@aws-sdk/s3-request-presigner', () => ({
   getSignedUrl: jest.fn()
 }));
@@ -44,6 +61,48 @@ describe('_s3Client', () => {
   });
 });
 
+describe('abortMultipartUpload', () => {
+  beforeEach(() => {
+    s3ClientMock.on(AbortMultipartUploadCommand).resolves({});
+  });
+
+  it('should send an abort multipart upload command', () => {
+    const filePath = 'filePath';
+    const uploadId = 'uploadId';
+    const result = service.abortMultipartUpload({ filePath, uploadId });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(AbortMultipartUploadCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      UploadId: uploadId
+    }, true)).toHaveLength(1);
+  });
+});
+
+describe('completeMultipartUpload', () => {
+  beforeEach(() => {
+    s3ClientMock.on(CompleteMultipartUploadCommand).resolves({});
+  });
+
+  it('should send a complete multipart upload command', () => {
+    const filePath = 'filePath';
+    const uploadId = 'uploadId';
+    const parts = [{ ETag: 'a', PartNumber: 1 }, { ETag: 'b', PartNumber: 2 }];
+    const result = service.completeMultipartUpload({ filePath, uploadId, parts });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(CompleteMultipartUploadCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      MultipartUpload: { Parts: parts },
+      UploadId: uploadId
+    }, true)).toHaveLength(1);
+  });
+});
+
 describe('copyObject', () => {
   beforeEach(() => {
     s3ClientMock.on(CopyObjectCommand).resolves({});
@@ -77,7 +136,7 @@ describe('copyObject', () => {
     expect(s3ClientMock.calls()).toHaveLength(1);
     expect(s3ClientMock.commandCalls(CopyObjectCommand, {
       Bucket: bucket,
-      CopySource: `${bucket}/${copySource}`,
+      CopySource: `${bucket}/${copySource}?versionId=${versionId}`,
       Key: filePath,
       Metadata: undefined,
       MetadataDirective: MetadataDirective.COPY,
@@ -86,6 +145,19 @@ describe('copyObject', () => {
     }, true)).toHaveLength(1);
   });
 
+  it('should encode each segment of a copy source key containing reserved characters', () => {
+    const copySource = 'folder one/a b?#%+é.txt';
+    const filePath = 'folder one/copy.txt';
+    const versionId = '1234';
+    const result = service.copyObject({ copySource, filePath, versionId });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.commandCalls(CopyObjectCommand, {
+      CopySource: `${bucket}/folder%20one/a%20b%3F%23%25%2B%C3%A9.txt?versionId=${versionId}`,
+      Key: filePath
+    })).toHaveLength(1);
+  });
+
   it('should send a copy object command replacing the metadata', () => {
     const copySource = 'filePath';
     const filePath = 'filePath';
@@ -118,7 +190,7 @@ describe('copyObject', () => {
     expect(s3ClientMock.calls()).toHaveLength(1);
     expect(s3ClientMock.commandCalls(CopyObjectCommand, {
       Bucket: bucket,
-      CopySource: `${bucket}/${copySource}`,
+      CopySource: `${bucket}/${copySource}?versionId=${versionId}`,
       Key: filePath,
       Metadata: metadata,
       MetadataDirective: metadataDirective,
@@ -160,7 +232,7 @@ describe('copyObject', () => {
     expect(s3ClientMock.calls()).toHaveLength(1);
     expect(s3ClientMock.commandCalls(CopyObjectCommand, {
       Bucket: bucket,
-      CopySource: `${bucket}/${copySource}`,
+      CopySource: `${bucket}/${copySource}?versionId=${versionId}`,
       Key: filePath,
       Metadata: undefined,
       MetadataDirective: MetadataDirective.COPY,
@@ -171,6 +243,182 @@ describe('copyObject', () => {
   });
 });
 
+describe('copyObject with encryption', () => {
+  beforeEach(() => {
+    s3ClientMock.on(CopyObjectCommand).resolves({});
+  });
+
+  it('should send a copy object command with the customer-provided key for the source and copy', () => {
+    const copySource = 'filePath';
+    const filePath = 'filePath';
+    const result = service.copyObject({ copySource, filePath, sse });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(CopyObjectCommand, {
+      Bucket: bucket,
+      CopySource: `${bucket}/${copySource}`,
+      CopySourceSSECustomerAlgorithm: 'AES256',
+      CopySourceSSECustomerKey: customerKey,
+      CopySourceSSECustomerKeyMD5: 'md5',
+      Key: filePath,
+      Metadata: undefined,
+      MetadataDirective: MetadataDirective.COPY,
+      ServerSideEncryption: undefined,
+      SSECustomerAlgorithm: 'AES256',
+      SSECustomerKey: customerKey,
+      SSECustomerKeyMD5: 'md5',
+      TaggingDirective: TaggingDirective.COPY,
+      VersionId: undefined
+    }, true)).toHaveLength(1);
+  });
+});
+
+describe('copyObjectMultipart', () => {
+  const copySource = 'copySource';
+  const filePath = 'filePath';
+
+  beforeEach(() => {
+    s3ClientMock.on(HeadObjectCommand).resolves({ ContentLength: 25, ContentType: 'text/plain', Metadata: { id: 'id', name: 'foo.txt' } });
+    s3ClientMock.on(GetObjectTaggingCommand).resolves({ TagSet: [{ Key: 'foo', Value: 'bar' }] });
+    s3ClientMock.on(CreateMultipartUploadCommand).resolves({ UploadId: 'uploadId' });
+    s3ClientMock.on(UploadPartCopyCommand).resolves({ CopyPartResult: { ETag: 'etag' } });
+    s3ClientMock.on(CompleteMultipartUploadCommand).resolves({ VersionId: '1234' });
+    s3ClientMock.on(AbortMultipartUploadCommand).resolves({});
+  });
+
+  it('should copy the object in byte ranges with the given metadata and source tags', async () => {
+    const metadata = { id: 'id', name: 'bar.txt' };
+    const result = await service.copyObjectMultipart({ copySource, filePath, metadata, partLength: 10 });
+
+    expect(result).toEqual({ VersionId: '1234' });
+    expect(s3ClientMock.commandCalls(CreateMultipartUploadCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      ContentType: 'text/plain',
+      Metadata: metadata,
+      Tagging: 'foo=bar'
+    }, true)).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(UploadPartCopyCommand)).toHaveLength(3);
+    expect(s3ClientMock.commandCalls(UploadPartCopyCommand, {
+      CopySource: `${bucket}/${copySource}`,
+      CopySourceRange: 'bytes=20-24',
+      PartNumber: 3
+    })).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(CompleteMultipartUploadCommand, {
+      MultipartUpload: {
+        Parts: [
+          { ETag: 'etag', PartNumber: 1 },
+          { ETag: 'etag', PartNumber: 2 },
+          { ETag: 'etag', PartNumber: 3 }
+        ]
+      }
+    })).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(AbortMultipartUploadCommand)).toHaveLength(0);
+  });
+
+  it('should copy from a specific version using the source metadata', async () => {
+    const versionId = '5678';
+    await service.copyObjectMultipart({ copySource, filePath, versionId, partLength: 10 });
+
+    expect(s3ClientMock.commandCalls(CreateMultipartUploadCommand, {
+      Metadata: { id: 'id', name: 'foo.txt' }
+    })).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(UploadPartCopyCommand, {
+      CopySource: `${bucket}/${copySource}?versionId=${versionId}`,
+      CopySourceRange: 'bytes=0-9',
+      PartNumber: 1
+    })).toHaveLength(1);
+  });
+
+  it('should copy a source fitting within a single part with a copy object command', async () => {
+    s3ClientMock.on(CopyObjectCommand).resolves({ VersionId: '1234', CopyObjectResult: { ETag: 'etag' } });
+    const metadata = { id: 'id', name: 'bar.txt' };
+    const tags = { a: '1' };
+
+    const result = await service.copyObjectMultipart({ copySource, filePath, metadata, tags, partLength: 100 });
+
+    expect(result).toEqual(expect.objectContaining({ ETag: 'etag', VersionId: '1234' }));
+    expect(s3ClientMock.commandCalls(CopyObjectCommand, {
+      CopySource: `${bucket}/${copySource}`,
+      Key: filePath,
+      ContentType: 'text/plain',
+      Metadata: metadata,
+      MetadataDirective: MetadataDirective.REPLACE,
+      TaggingDirective: TaggingDirective.REPLACE,
+      Tagging: 'a=1'
+    })).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(CreateMultipartUploadCommand)).toHaveLength(0);
+    expect(s3ClientMock.commandCalls(GetObjectTaggingCommand)).toHaveLength(0);
+  });
+
+  it('should copy an empty source with its own metadata and tags', async () => {
+    s3ClientMock.on(HeadObjectCommand).resolves({ ContentLength: 0, ContentType: 'text/plain', Metadata: { id: 'id' } });
+    s3ClientMock.on(CopyObjectCommand).resolves({ VersionId: '1234', CopyObjectResult: { ETag: 'etag' } });
+
+    await service.copyObjectMultipart({ copySource, filePath });
+
+    expect(s3ClientMock.commandCalls(CopyObjectCommand, {
+      Metadata: { id: 'id' },
+      MetadataDirective: MetadataDirective.REPLACE,
+      TaggingDirective: TaggingDirective.COPY
+    })).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(UploadPartCopyCommand)).toHaveLength(0);
+  });
+
+  it('should abort the multipart upload when a part fails to copy', async () => {
+    s3ClientMock.on(UploadPartCopyCommand).rejects(new Error('error'));
+
+    await expect(service.copyObjectMultipart({ copySource, filePath, tags: { a: '1' }, partLength: 10 })).rejects.toThrow('error');
+    expect(s3ClientMock.commandCalls(GetObjectTaggingCommand)).toHaveLength(0);
+    expect(s3ClientMock.commandCalls(AbortMultipartUploadCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      UploadId: 'uploadId'
+    }, true)).toHaveLength(1);
+  });
+});
+
+describe('createMultipartUpload', () => {
+  beforeEach(() => {
+    s3ClientMock.on(CreateMultipartUploadCommand).resolves({});
+  });
+
+  it('should send a create multipart upload command', () => {
+    const filePath = 'filePath';
+    const mimeType = 'mimeType';
+    const metadata = { name: 'foo.txt', id: '1234' };
+    const result = service.createMultipartUpload({ filePath, mimeType, metadata });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(CreateMultipartUploadCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      ContentType: mimeType,
+      Metadata: metadata
+    }, true)).toHaveLength(1);
+  });
+
+  it('should send a create multipart upload command with tags', () => {
+    const filePath = 'filePath';
+    const mimeType = 'mimeType';
+    const metadata = { name: 'foo.txt', id: '1234' };
+    const tags = { foo: 'bar', baz: 'bam bam' };
+    const result = service.createMultipartUpload({ filePath, mimeType, metadata, tags });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(CreateMultipartUploadCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      ContentType: mimeType,
+      Metadata: metadata,
+      Tagging: 'foo=bar&baz=bam%20bam'
+    }, true)).toHaveLength(1);
+  });
+});
+
 describe('deleteObject', () => {
   beforeEach(() => {
     s3ClientMock.on(DeleteObjectCommand).resolves({});
@@ -204,6 +452,37 @@ describe('deleteObject', () => {
   });
 });
 
+describe('deleteObjects', () => {
+  it('should send a delete objects command', async () => {
+    s3ClientMock.on(DeleteObjectsCommand).resolves({
+      Deleted: [{ Key: 'a', VersionId: '1' }],
+      Errors: [{ Key: 'b', Code: 'AccessDenied' }]
+    });
+
+    const result = await service.deleteObjects({ objects: [{ filePath: 'a', versionId: '1' }, { filePath: 'b' }] });
+
+    expect(result).toEqual({ Deleted: [{ Key: 'a', VersionId: '1' }], Errors: [{ Key: 'b', Code: 'AccessDenied' }] });
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(DeleteObjectsCommand, {
+      Bucket: bucket,
+      Delete: {
+        Objects: [{ Key: 'a', VersionId: '1' }, { Key: 'b', VersionId: undefined }]
+      }
+    }, true)).toHaveLength(1);
+  });
+
+  it('should send at most MAXDELETEKEYS keys per command', async () => {
+    s3ClientMock.on(DeleteObjectsCommand).resolves({ Deleted: [{ Key: 'a' }] });
+    const objects = Array.from({ length: MAXDELETEKEYS + 1 }, (_v, i) => ({ filePath: `${i}` }));
+
+    const result = await service.deleteObjects({ objects });
+
+    expect(s3ClientMock.commandCalls(DeleteObjectsCommand)).toHaveLength(2);
+    expect(s3ClientMock.commandCalls(DeleteObjectsCommand)[1].args[0].input.Delete.Objects).toEqual([{ Key: `${MAXDELETEKEYS}`, VersionId: undefined }]);
+    expect(result).toEqual({ Deleted: [{ Key: 'a' }, { Key: 'a' }], Errors: [] });
+  });
+});
+
 describe('deleteObjectTagging', () => {
   beforeEach(() => {
     s3ClientMock.on(DeleteObjectTaggingCommand).resolves({});
@@ -237,6 +516,45 @@ describe('deleteObjectTagging', () => {
   });
 });
 
+describe('enforceBucketEncryption', () => {
+  it('should leave an existing default encryption in place', async () => {
+    s3ClientMock.on(GetBucketEncryptionCommand).resolves({
+      ServerSideEncryptionConfiguration: {
+        Rules: [{ ApplyServerSideEncryptionByDefault: { SSEAlgorithm: 'aws:kms' } }]
+      }
+    });
+
+    const result = await service.enforceBucketEncryption();
+
+    expect(result).toBeFalsy();
+    expect(s3ClientMock.commandCalls(PutBucketEncryptionCommand)).toHaveLength(0);
+  });
+
+  it('should apply default encryption when the bucket has none', async () => {
+    const err = new Error('not found');
+    err.name = 'ServerSideEncryptionConfigurationNotFoundError';
+    s3ClientMock.on(GetBucketEncryptionCommand).rejects(err);
+    s3ClientMock.on(PutBucketEncryptionCommand).resolves({});
+
+    const result = await service.enforceBucketEncryption();
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.commandCalls(PutBucketEncryptionCommand, {
+      Bucket: bucket,
+      ServerSideEncryptionConfiguration: {
+        Rules: [{ ApplyServerSideEncryptionByDefault: { SSEAlgorithm: 'AES256' } }]
+      }
+    }, true)).toHaveLength(1);
+  });
+
+  it('should rethrow other errors', async () => {
+    s3ClientMock.on(GetBucketEncryptionCommand).rejects(new Error('denied'));
+
+    await expect(service.enforceBucketEncryption()).rejects.toThrow('denied');
+    expect(s3ClientMock.commandCalls(PutBucketEncryptionCommand)).toHaveLength(0);
+  });
+});
+
 describe('headBucket', () => {
   beforeEach(() => {
     s3ClientMock.on(HeadBucketCommand).resolves({});
@@ -269,6 +587,72 @@ describe('getBucketVersioning', () => {
   });
 });
 
+describe('getObjectLegalHold', () => {
+  beforeEach(() => {
+    s3ClientMock.on(GetObjectLegalHoldCommand).resolves({});
+  });
+
+  it('should send a get object legal hold command', () => {
+    const filePath = 'filePath';
+    const result = service.getObjectLegalHold({ filePath });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(GetObjectLegalHoldCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      VersionId: undefined
+    }, true)).toHaveLength(1);
+  });
+
+  it('should send a get object legal hold command for a specific version', () => {
+    const filePath = 'filePath';
+    const versionId = '1234';
+    const result = service.getObjectLegalHold({ filePath, versionId });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(GetObjectLegalHoldCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      VersionId: versionId
+    }, true)).toHaveLength(1);
+  });
+});
+
+describe('getObjectRetention', () => {
+  beforeEach(() => {
+    s3ClientMock.on(GetObjectRetentionCommand).resolves({});
+  });
+
+  it('should send a get object retention command', () => {
+    const filePath = 'filePath';
+    const result = service.getObjectRetention({ filePath });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(GetObjectRetentionCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      VersionId: undefined
+    }, true)).toHaveLength(1);
+  });
+
+  it('should send a get object retention command for a specific version', () => {
+    const filePath = 'filePath';
+    const versionId = '1234';
+    const result = service.getObjectRetention({ filePath, versionId });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(GetObjectRetentionCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      VersionId: versionId
+    }, true)).toHaveLength(1);
+  });
+});
+
 describe('getObjectTagging', () => {
   beforeEach(() => {
     s3ClientMock.on(GetObjectTaggingCommand).resolves({});
@@ -321,6 +705,23 @@ describe('headObject', () => {
     }, true)).toHaveLength(1);
   });
 
+  it('should send a head object command with a customer-provided key', () => {
+    const filePath = 'filePath';
+    const result = service.headObject({ filePath, sse });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(HeadObjectCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      ServerSideEncryption: undefined,
+      SSECustomerAlgorithm: 'AES256',
+      SSECustomerKey: customerKey,
+      SSECustomerKeyMD5: 'md5',
+      VersionId: undefined
+    }, true)).toHaveLength(1);
+  });
+
   it('should not require a version ID parameter', () => {
     const filePath = 'filePath';
     const versionId = undefined;
@@ -369,6 +770,44 @@ describe('listObjects', () => {
   });
 });
 
+describe('listObjectsV2', () => {
+  beforeEach(() => {
+    s3ClientMock.on(ListObjectsV2Command).resolves({});
+  });
+
+  it('should send a list objects v2 command with default 2^31-1 maxKeys', () => {
+    const filePath = 'filePath';
+    const result = service.listObjectsV2({ filePath });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(ListObjectsV2Command, {
+      Bucket: bucket,
+      ContinuationToken: undefined,
+      Delimiter: undefined,
+      Prefix: filePath,
+      MaxKeys: (2 ** 31) - 1
+    }, true)).toHaveLength(1);
+  });
+
+  it('should send a list objects v2 command continuing from a token', () => {
+    const filePath = 'filePath';
+    const continuationToken = 'token';
+    const delimiter = '/';
+    const result = service.listObjectsV2({ filePath, continuationToken, delimiter, maxKeys: 100 });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(ListObjectsV2Command, {
+      Bucket: bucket,
+      ContinuationToken: continuationToken,
+      Delimiter: delimiter,
+      Prefix: filePath,
+      MaxKeys: 100
+    }, true)).toHaveLength(1);
+  });
+});
+
 describe('listObjectVersion', () => {
   beforeEach(() => {
     s3ClientMock.on(ListObjectVersionsCommand).resolves({});
@@ -382,9 +821,73 @@ describe('listObjectVersion', () => {
     expect(s3ClientMock.calls()).toHaveLength(1);
     expect(s3ClientMock.commandCalls(ListObjectVersionsCommand, {
       Bucket: bucket,
-      Prefix: filePath
+      KeyMarker: undefined,
+      Prefix: filePath,
+      VersionIdMarker: undefined,
+      MaxKeys: undefined
+    }, true)).toHaveLength(1);
+  });
+
+  it('should send a list object versions command for a later page', () => {
+    const filePath = 'filePath';
+    const result = service.listObjectVersion({ filePath, keyMarker: 'a', versionIdMarker: '1', maxKeys: 100 });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(ListObjectVersionsCommand, {
+      Bucket: bucket,
+      KeyMarker: 'a',
+      Prefix: filePath,
+      VersionIdMarker: '1',
+      MaxKeys: 100
+    }, true)).toHaveLength(1);
+  });
+});
+
+describe('listParts', () => {
+  it('should send a list parts command', async () => {
+    const filePath = 'filePath';
+    const uploadId = 'uploadId';
+    s3ClientMock.on(ListPartsCommand).resolves({ Parts: [{ PartNumber: 1 }] });
+
+    const result = await service.listParts({ filePath, uploadId });
+
+    expect(result).toEqual([{ PartNumber: 1 }]);
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(ListPartsCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      PartNumberMarker: undefined,
+      UploadId: uploadId
+    }, true)).toHaveLength(1);
+  });
+
+  it('should follow truncated part listings', async () => {
+    const filePath = 'filePath';
+    const uploadId = 'uploadId';
+    s3ClientMock.on(ListPartsCommand)
+      .resolvesOnce({ Parts: [{ PartNumber: 1 }], IsTruncated: true, NextPartNumberMarker: '1' })
+      .resolvesOnce({ Parts: [{ PartNumber: 2 }], IsTruncated: false });
+
+    const result = await service.listParts({ filePath, uploadId });
+
+    expect(result).toEqual([{ PartNumber: 1 }, { PartNumber: 2 }]);
+    expect(s3ClientMock.calls()).toHaveLength(2);
+    expect(s3ClientMock.commandCalls(ListPartsCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      PartNumberMarker: '1',
+      UploadId: uploadId
     }, true)).toHaveLength(1);
   });
+
+  it('should return an empty array when there are no parts', async () => {
+    s3ClientMock.on(ListPartsCommand).resolves({});
+
+    const result = await service.listParts({ filePath: 'filePath', uploadId: 'uploadId' });
+
+    expect(result).toEqual([]);
+  });
 });
 
 describe('presignUrl', () => {
@@ -441,6 +944,25 @@ describe('putObject', () => {
     }, true)).toHaveLength(1);
   });
 
+  it('should send a put object command to the given filePath', () => {
+    const stream = new Readable();
+    const id = 'id';
+    const filePath = 'foo/bar.txt';
+    const mimeType = 'mimeType';
+    const metadata = { name: 'bar.txt', id: id };
+    const result = service.putObject({ stream, id, filePath, mimeType, metadata });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(PutObjectCommand, {
+      Bucket: bucket,
+      ContentType: mimeType,
+      Key: filePath,
+      Body: stream,
+      Metadata: metadata
+    }, true)).toHaveLength(1);
+  });
+
   it('should send a put object command with custom metadata', () => {
     const stream = new Readable();
     const id = 'id';
@@ -478,6 +1000,122 @@ describe('putObject', () => {
       Tagging: 'foo=foo&bar=bar'
     }, true)).toHaveLength(1);
   });
+
+  it('should send a put object command with s3 managed encryption', () => {
+    const stream = new Readable();
+    const id = 'id';
+    const mimeType = 'mimeType';
+    const metadata = { name: 'originalName', id: id };
+    const result = service.putObject({ stream, id, mimeType, metadata, sse: { algorithm: 'AES256' } });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(PutObjectCommand, {
+      Bucket: bucket,
+      ContentType: mimeType,
+      Key: utils.joinPath(key, id),
+      Body: stream,
+      Metadata: metadata,
+      ServerSideEncryption: 'AES256',
+      SSECustomerAlgorithm: undefined,
+      SSECustomerKey: undefined,
+      SSECustomerKeyMD5: undefined
+    }, true)).toHaveLength(1);
+  });
+
+  it('should send a put object command S3 verifies against the provided checksums', () => {
+    const stream = new Readable();
+    const id = 'id';
+    const mimeType = 'mimeType';
+    const metadata = { name: 'originalName', id: id };
+    const result = service.putObject({ stream, id, mimeType, metadata, contentMD5: 'md5', checksumSHA256: 'sha256' });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(PutObjectCommand, {
+      Bucket: bucket,
+      ContentType: mimeType,
+      Key: utils.joinPath(key, id),
+      Body: stream,
+      Metadata: metadata,
+      ContentMD5: 'md5',
+      ChecksumAlgorithm: 'SHA256',
+      ChecksumSHA256: 'sha256'
+    }, true)).toHaveLength(1);
+  });
+});
+
+describe('putObjectLegalHold', () => {
+  beforeEach(() => {
+    s3ClientMock.on(PutObjectLegalHoldCommand).resolves({});
+  });
+
+  it('should send a put object legal hold command', () => {
+    const filePath = 'filePath';
+    const result = service.putObjectLegalHold({ filePath, status: 'ON' });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(PutObjectLegalHoldCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      LegalHold: { Status: 'ON' },
+      VersionId: undefined
+    }, true)).toHaveLength(1);
+  });
+
+  it('should send a put object legal hold command for a specific version', () => {
+    const filePath = 'filePath';
+    const versionId = '1234';
+    const result = service.putObjectLegalHold({ filePath, status: 'OFF', versionId });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(PutObjectLegalHoldCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      LegalHold: { Status: 'OFF' },
+      VersionId: versionId
+    }, true)).toHaveLength(1);
+  });
+});
+
+describe('putObjectRetention', () => {
+  const retainUntilDate = new Date('2030-01-01T00:00:00.000Z');
+
+  beforeEach(() => {
+    s3ClientMock.on(PutObjectRetentionCommand).resolves({});
+  });
+
+  it('should send a put object retention command', () => {
+    const filePath = 'filePath';
+    const result = service.putObjectRetention({ filePath, mode: 'GOVERNANCE', retainUntilDate });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(PutObjectRetentionCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      Retention: { Mode: 'GOVERNANCE', RetainUntilDate: retainUntilDate },
+      VersionId: undefined
+    }, true)).toHaveLength(1);
+  });
+
+  it('should send a put object retention command bypassing governance for a specific version', () => {
+    const filePath = 'filePath';
+    const versionId = '1234';
+    const result = service.putObjectRetention({ filePath, mode: 'COMPLIANCE', retainUntilDate, versionId, bypassGovernance: true });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(PutObjectRetentionCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      Retention: { Mode: 'COMPLIANCE', RetainUntilDate: retainUntilDate },
+      VersionId: versionId,
+      BypassGovernanceRetention: true
+    }, true)).toHaveLength(1);
+  });
 });
 
 describe('putObjectTagging', () => {
@@ -535,7 +1173,10 @@ describe('readObject', () => {
     expect(s3ClientMock.commandCalls(GetObjectCommand, {
       Bucket: bucket,
       Key: filePath,
-      VersionId: undefined
+      VersionId: undefined,
+      Range: undefined,
+      IfMatch: undefined,
+      IfUnmodifiedSince: undefined
     }, true)).toHaveLength(1);
   });
 
@@ -549,7 +1190,28 @@ describe('readObject', () => {
     expect(s3ClientMock.commandCalls(GetObjectCommand, {
       Bucket: bucket,
       Key: filePath,
-      VersionId: versionId
+      VersionId: versionId,
+      Range: undefined,
+      IfMatch: undefined,
+      IfUnmodifiedSince: undefined
+    }, true)).toHaveLength(1);
+  });
+
+  it('should send a conditional get object command for a byte range', () => {
+    const filePath = 'filePath';
+    const range = 'bytes=0-99';
+    const ifMatch = '"etag"';
+    const result = service.readObject({ filePath, range, ifMatch });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(GetObjectCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      VersionId: undefined,
+      Range: range,
+      IfMatch: ifMatch,
+      IfUnmodifiedSince: undefined
     }, true)).toHaveLength(1);
   });
 });
@@ -613,3 +1275,142 @@ describe('readSignedUrl', () => {
     }), expires);
   });
 });
+
+describe('uploadPart', () => {
+  beforeEach(() => {
+    s3ClientMock.on(UploadPartCommand).resolves({});
+  });
+
+  it('should send an upload part command', () => {
+    const filePath = 'filePath';
+    const uploadId = 'uploadId';
+    const partNumber = 3;
+    const stream = new Readable();
+    const length = 1234;
+    const result = service.uploadPart({ filePath, uploadId, partNumber, stream, length });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(UploadPartCommand, {
+      Bucket: bucket,
+      Key: filePath,
+      Body: stream,
+      ContentLength: length,
+      PartNumber: partNumber,
+      UploadId: uploadId
+    }, true)).toHaveLength(1);
+  });
+});
+
+describe('uploadPartCopy', () => {
+  beforeEach(() => {
+    s3ClientMock.on(UploadPartCopyCommand).resolves({});
+  });
+
+  it('should send an upload part copy command', () => {
+    const copySource = 'copySource';
+    const filePath = 'filePath';
+    const uploadId = 'uploadId';
+    const result = service.uploadPartCopy({ copySource, filePath, uploadId, partNumber: 2, range: 'bytes=0-9' });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.calls()).toHaveLength(1);
+    expect(s3ClientMock.commandCalls(UploadPartCopyCommand, {
+      Bucket: bucket,
+      CopySource: `${bucket}/${copySource}`,
+      CopySourceRange: 'bytes=0-9',
+      Key: filePath,
+      PartNumber: 2,
+      UploadId: uploadId
+    }, true)).toHaveLength(1);
+  });
+
+  it('should send an upload part copy command for a specific version', () => {
+    const copySource = 'copySource';
+    const versionId = '1234';
+    const result = service.uploadPartCopy({ copySource, filePath: 'filePath', uploadId: 'uploadId', partNumber: 1, range: 'bytes=0-9', versionId });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.commandCalls(UploadPartCopyCommand, {
+      CopySource: `${bucket}/${copySource}?versionId=${versionId}`
+    })).toHaveLength(1);
+  });
+
+  it('should encode each segment of a copy source key containing reserved characters', () => {
+    const copySource = 'folder one/a b?#%+é.txt';
+    const result = service.uploadPartCopy({ copySource, filePath: 'filePath', uploadId: 'uploadId', partNumber: 1, range: 'bytes=0-9' });
+
+    expect(result).toBeTruthy();
+    expect(s3ClientMock.commandCalls(UploadPartCopyCommand, {
+      CopySource: `${bucket}/folder%20one/a%20b%3F%23%25%2B%C3%A9.txt`
+    })).toHaveLength(1);
+  });
+});
+
+describe('writeSignedUrl', () => {
+  let presignUrlMock;
+
+  beforeEach(() => {
+    presignUrlMock = jest.spyOn(service, 'presignUrl').mockResolvedValue('url');
+  });
+
+  afterAll(() => {
+    presignUrlMock.mockRestore();
+  });
+
+  it('should call presignUrl with a put object command and default expiration', () => {
+    const filePath = 'filePath';
+    const mimeType = 'text/plain';
+    const metadata = { name: 'foo.txt', id: 'id' };
+    const result = service.writeSignedUrl({ filePath, mimeType, metadata });
+
+    expect(result).toBeTruthy();
+    expect(presignUrlMock).toHaveBeenCalledTimes(1);
+    expect(presignUrlMock).toHaveBeenCalledWith(expect.objectContaining({
+      input: {
+        Bucket: bucket,
+        Key: filePath,
+        ContentType: mimeType,
+        Metadata: metadata
+      }
+    }), defaultTempExpiresIn);
+  });
+
+  it('should call presignUrl with a put object command with tags and custom expiration', () => {
+    const filePath = 'filePath';
+    const mimeType = 'text/plain';
+    const metadata = { name: 'foo.txt', id: 'id' };
+    const tags = { foo: 'bar', baz: 'bam bam' };
+    const expires = '2345';
+    const result = service.writeSignedUrl({ filePath, mimeType, metadata, tags, expiresIn: expires });
+
+    expect(result).toBeTruthy();
+    expect(presignUrlMock).toHaveBeenCalledTimes(1);
+    expect(presignUrlMock).toHaveBeenCalledWith(expect.objectContaining({
+      input: {
+        Bucket: bucket,
+        Key: filePath,
+        ContentType: mimeType,
+        Metadata: metadata,
+        Tagging: 'foo=bar&baz=bam%20bam'
+      }
+    }), expires);
+  });
+
+  it('should call presignUrl with a put object command signing the content length', () => {
+    const filePath = 'filePath';
+    const mimeType = 'text/plain';
+    const result = service.writeSignedUrl({ filePath, mimeType, contentLength: 1234 });
+
+    expect(result).toBeTruthy();
+    expect(presignUrlMock).toHaveBeenCalledWith(expect.objectContaining({
+      input: {
+        Bucket: bucket,
+        Key: filePath,
+        ContentType: mimeType,
+        Metadata: undefined,
+        ContentLength: 1234
+      }
+    }), defaultTempExpiresIn);
+  });
+});
@@ -89,6 +89,58 @@ describe('type', () => {
     });
   });
 
+  describe('folder', () => {
+    it('matches the schema with nested folders', () => {
+      expect('reports/2022 Q1/').toMatchSchema(type.folder);
+    });
+
+    it('matches the schema with the root folder', () => {
+      expect('').toMatchSchema(type.folder);
+    });
+
+    it.each(['..', '../foo', 'foo/../bar', 'foo/.', 'foo\\bar'])('rejects the schema with the path %j', (value) => {
+      expect(value).not.toMatchSchema(type.folder);
+    });
+  });
+
+  describe('limit', () => {
+    it('matches the schema', () => {
+      expect(1).toMatchSchema(type.limit);
+      expect('1000').toMatchSchema(type.limit);
+    });
+
+    it.each([0, 1001, 1.5, 'abc'])('rejects the schema with the limit %j', (value) => {
+      expect(value).not.toMatchSchema(type.limit);
+    });
+  });
+
+  describe('order', () => {
+    it.each(['asc', 'desc'])('matches the schema with the order %j', (value) => {
+      expect(value).toMatchSchema(type.order);
+    });
+
+    it('rejects an unknown order', () => {
+      expect('up').not.toMatchSchema(type.order);
+    });
+  });
+
+  describe('page', () => {
+    it('matches the schema', () => {
+      expect('2').toMatchSchema(type.page);
+    });
+
+    it.each([0, -1, 1.5])('rejects the schema with the page %j', (value) => {
+      expect(value).not.toMatchSchema(type.page);
+    });
+  });
+
+  describe('sort', () => {
+    it('only permits the given columns', () => {
+      expect('name').toMatchSchema(type.sort(['name', 'createdAt']));
+      expect('id').not.toMatchSchema(type.sort(['name', 'createdAt']));
+    });
+  });
+
   describe('truthy', () => {
     const model = type.truthy.describe();
 
@@ -167,6 +219,43 @@ describe('type', () => {
     });
   });
 
+  describe('sse', () => {
+    const key = 'MDEyMzQ1Njc4OWFiY2RlZjAxMjM0NTY3ODlhYmNkZWY=';
+
+    it('matches the schema with s3 managed encryption', () => {
+      expect({ 'x-amz-server-side-encryption': 'AES256' }).toMatchSchema(type.sse);
+    });
+
+    it('matches the schema with a customer-provided key', () => {
+      expect({
+        'x-amz-server-side-encryption-customer-algorithm': 'AES256',
+        'x-amz-server-side-encryption-customer-key': key,
+        'x-amz-server-side-encryption-customer-key-md5': 'zZ5FnqcIqUjVwvWmyog4zw=='
+      }).toMatchSchema(type.sse);
+    });
+
+    it('permits unrelated headers', () => {
+      expect({ 'content-type': 'text/plain' }).toMatchSchema(type.sse);
+    });
+
+    it('rejects the schema with an unsupported algorithm', () => {
+      expect({ 'x-amz-server-side-encryption': 'aws:kms' }).not.toMatchSchema(type.sse);
+    });
+
+    it('rejects the schema with an incomplete customer-provided key', () => {
+      expect({ 'x-amz-server-side-encryption-customer-key': key }).not.toMatchSchema(type.sse);
+      expect({ 'x-amz-server-side-encryption-customer-algorithm': 'AES256' }).not.toMatchSchema(type.sse);
+    });
+
+    it('rejects the schema with both s3 managed and customer-provided encryption', () => {
+      expect({
+        'x-amz-server-side-encryption': 'AES256',
+        'x-amz-server-side-encryption-customer-algorithm': 'AES256',
+        'x-amz-server-side-encryption-customer-key': key
+      }).not.toMatchSchema(type.sse);
+    });
+  });
+
   describe('tagset', () => {
     const func = type.tagset(1);
     const model = func.describe();
@@ -409,4 +498,89 @@ describe('scheme', () => {
       expect('BADPERM').not.toMatchSchema(scheme.permCode);
     });
   });
+
+  describe('match', () => {
+    it('matches the schema with a single condition', () => {
+      expect({ metadata: 'foo', value: 'bar' }).toMatchSchema(scheme.match);
+      expect({ tag: 'foo', op: 'contains', value: 'bar', ignoreCase: true }).toMatchSchema(scheme.match);
+      expect({ metadata: 'foo', op: 'exists' }).toMatchSchema(scheme.match);
+      expect({ metadata: 'foo', op: 'in', value: ['bar', 'baz'] }).toMatchSchema(scheme.match);
+    });
+
+    it('matches the schema with numeric and date comparisons', () => {
+      expect({ metadata: 'foo', op: 'gte', type: 'number', value: 10 }).toMatchSchema(scheme.match);
+      expect({ metadata: 'foo', op: 'lt', type: 'date', value: '2022-01-01T00:00:00Z' }).toMatchSchema(scheme.match);
+    });
+
+    it('matches the schema with nested groups', () => {
+      expect({
+        or: [
+          { metadata: 'foo', op: 'prefix', value: 'bar' },
+          { and: [{ tag: 'baz', op: 'ne', value: 'qux' }, { metadata: 'quux', op: 'exists' }] }
+        ]
+      }).toMatchSchema(scheme.match);
+    });
+
+    it('rejects the schema with both or neither a metadata and tag key', () => {
+      expect({ metadata: 'foo', tag: 'foo', value: 'bar' }).not.toMatchSchema(scheme.match);
+      expect({ value: 'bar' }).not.toMatchSchema(scheme.match);
+    });
+
+    it('rejects the schema with an invalid operator or type', () => {
+      expect({ metadata: 'foo', op: 'like', value: 'bar' }).not.toMatchSchema(scheme.match);
+      expect({ metadata: 'foo', type: 'boolean', value: 'bar' }).not.toMatchSchema(scheme.match);
+    });
+
+    it('rejects the schema with a value that does not suit the operator', () => {
+      expect({ metadata: 'foo' }).not.toMatchSchema(scheme.match);
+      expect({ metadata: 'foo', op: 'exists', value: 'bar' }).not.toMatchSchema(scheme.match);
+      expect({ metadata: 'foo', op: 'in', value: 'bar' }).not.toMatchSchema(scheme.match);
+      expect({ metadata: 'foo', op: 'in', value: [] }).not.toMatchSchema(scheme.match);
+    });
+
+    it('rejects the schema with a value that does not suit the type', () => {
+      expect({ metadata: 'foo', op: 'gt', type: 'number', value: 'bar' }).not.toMatchSchema(scheme.match);
+      expect({ metadata: 'foo', op: 'gt', type: 'date', value: 'bar' }).not.toMatchSchema(scheme.match);
+      expect({ metadata: 'foo', op: 'prefix', type: 'number', value: '1' }).not.toMatchSchema(scheme.match);
+    });
+
+    it('rejects the schema with empty or ambiguous groups', () => {
+      expect({ or: [] }).not.toMatchSchema(scheme.match);
+      expect({ and: [{ metadata: 'foo', op: 'exists' }], or: [{ metadata: 'foo', op: 'exists' }] }).not.toMatchSchema(scheme.match);
+      expect({ or: [{ and: [{ foo: 'bar' }] }] }).not.toMatchSchema(scheme.match);
+    });
+  });
+
+  describe('objectSelection', () => {
+    const objId = '11bf5b37-e0b8-42e0-8dcf-dc8c4aefc000';
+
+    it('matches the schema with a list of object ids', () => {
+      expect({ objId: [objId] }).toMatchSchema(scheme.objectSelection);
+    });
+
+    it('matches the schema with a filter', () => {
+      expect({ filter: { path: 'foo/bar', metadata: { foo: 'bar' }, tagset: { baz: 'qux' } } }).toMatchSchema(scheme.objectSelection);
+    });
+
+    it('rejects the schema with both object ids and a filter', () => {
+      expect({ objId: [objId], filter: { path: 'foo' } }).not.toMatchSchema(scheme.objectSelection);
+    });
+
+    it('rejects the schema with neither object ids nor a filter', () => {
+      expect({}).not.toMatchSchema(scheme.objectSelection);
+    });
+
+    it('rejects the schema with an empty filter', () => {
+      expect({ filter: {} }).not.toMatchSchema(scheme.objectSelection);
+    });
+
+    it('rejects the schema with an empty or duplicated list of object ids', () => {
+      expect({ objId: [] }).not.toMatchSchema(scheme.objectSelection);
+      expect({ objId: [objId, objId] }).not.toMatchSchema(scheme.objectSelection);
+    });
+
+    it('rejects the schema with an invalid object id', () => {
+      expect({ objId: ['notauuidv4'] }).not.toMatchSchema(scheme.objectSelection);
+    });
+  });
 });
@@ -0,0 +1,52 @@
+const jestJoi = require('jest-joi');
+expect.extend(jestJoi.matchers);
+
+const schema = require('../../../src/validators/job').schema;
+const { type } = require('../../../src/validators/common');
+
+
+describe('readJob', () => {
+
+  describe('params', () => {
+    const params = schema.readJob.params.describe();
+
+    describe('jobId', () => {
+      const jobId = params.keys.jobId;
+
+      it('is the expected schema', () => {
+        expect(jobId).toEqual(type.uuidv4.describe());
+      });
+    });
+  });
+});
+
+describe('reconcile', () => {
+
+  describe('body', () => {
+    const body = schema.reconcile.body;
+
+    it('accepts a report or repair request', () => {
+      expect({}).toMatchSchema(body);
+      expect({ repair: true, dangling: 'remove' }).toMatchSchema(body);
+    });
+
+    it('rejects an unknown dangling action', () => {
+      expect({ repair: true, dangling: 'ignore' }).not.toMatchSchema(body);
+    });
+  });
+});
+
+describe('resumeJob', () => {
+
+  describe('params', () => {
+    const params = schema.resumeJob.params.describe();
+
+    describe('jobId', () => {
+      const jobId = params.keys.jobId;
+
+      it('is the expected schema', () => {
+        expect(jobId).toEqual(type.uuidv4.describe());
+      });
+    });
+  });
+});
@@ -14,7 +14,7 @@ describe('addMetadata', () => {
     const headers = schema.addMetadata.headers.describe();
 
     it('is the expected schema', () => {
-      expect(headers).toEqual(type.metadata(1).describe());
+      expect(headers).toEqual(type.metadata(1).concat(type.sse).describe());
     });
   });
 
@@ -78,13 +78,55 @@ describe('addTags', () => {
   });
 });
 
+describe('bulkAddMetadata', () => {
+
+  describe('headers', () => {
+    const headers = schema.bulkAddMetadata.headers.describe();
+
+    it('is the expected schema', () => {
+      expect(headers).toEqual(type.metadata(1).describe());
+    });
+  });
+
+  describe('body', () => {
+    const body = schema.bulkAddMetadata.body.describe();
+
+    it('is the expected schema', () => {
+      expect(body).toEqual(scheme.objectSelection.required().describe());
+    });
+  });
+});
+
+describe('bulkAddTags', () => {
+
+  describe('body', () => {
+    const body = schema.bulkAddTags.body.describe();
+
+    it('is the expected schema', () => {
+      expect(body).toEqual(scheme.objectSelection.required().describe());
+    });
+  });
+
+  describe('query', () => {
+    const query = schema.bulkAddTags.query.describe();
+
+    describe('tagset', () => {
+      const tagset = query.keys.tagset;
+
+      it('is the expected schema', () => {
+        expect(tagset).toEqual(type.tagset(1).min(1).max(10).required().describe());
+      });
+    });
+  });
+});
+
 describe('createObject', () => {
 
   describe('headers', () => {
     const headers = schema.createObjects.headers.describe();
 
     it('is the expected schema', () => {
-      expect(headers).toEqual(type.metadata(1).describe());
+      expect(headers).toEqual(type.metadata(1).concat(type.sse).describe());
     });
   });
 
@@ -103,6 +145,14 @@ describe('createObject', () => {
   describe('query', () => {
     const query = schema.createObjects.query.describe();
 
+    describe('path', () => {
+      const path = query.keys.path;
+
+      it('is the expected schema', () => {
+        expect(path).toEqual(type.folder.describe());
+      });
+    });
+
     describe('tagset', () => {
       const tagset = query.keys.tagset;
 
@@ -119,7 +169,7 @@ describe('deleteMetadata', () => {
     const headers = schema.deleteMetadata.headers.describe();
 
     it('is the expected schema', () => {
-      expect(headers).toEqual(type.metadata(0).describe());
+      expect(headers).toEqual(type.metadata(0).concat(type.sse).describe());
     });
   });
 
@@ -175,6 +225,34 @@ describe('deleteObject', () => {
   });
 });
 
+describe('deleteObjects', () => {
+
+  describe('body', () => {
+    const body = schema.deleteObjects.body;
+    const objId = crypto.randomUUID();
+
+    it('accepts objects and versions', () => {
+      expect([{ objId }, { objId, versionId: '1234' }]).toMatchSchema(body);
+    });
+
+    it('requires at least one item', () => {
+      expect([]).not.toMatchSchema(body);
+    });
+
+    it('requires an objId', () => {
+      expect([{ versionId: '1234' }]).not.toMatchSchema(body);
+    });
+
+    it('rejects duplicate items', () => {
+      expect([{ objId, versionId: '1234' }, { objId, versionId: '1234' }]).not.toMatchSchema(body);
+    });
+
+    it('rejects more than 1000 items', () => {
+      expect(Array.from({ length: 1001 }, () => ({ objId: crypto.randomUUID() }))).not.toMatchSchema(body);
+    });
+  });
+});
+
 describe('deleteTags', () => {
 
   describe('params', () => {
@@ -212,6 +290,14 @@ describe('deleteTags', () => {
 
 describe('headObject', () => {
 
+  describe('headers', () => {
+    const headers = schema.headObject.headers.describe();
+
+    it('is the expected schema', () => {
+      expect(headers).toEqual(type.sse.describe());
+    });
+  });
+
   describe('params', () => {
     const params = schema.headObject.params.describe();
 
@@ -237,6 +323,37 @@ describe('headObject', () => {
   });
 });
 
+describe('listFolder', () => {
+
+  describe('query', () => {
+    const query = schema.listFolder.query.describe();
+
+    describe('path', () => {
+      const path = query.keys.path;
+
+      it('is the expected schema', () => {
+        expect(path).toEqual(type.folder.describe());
+      });
+    });
+
+    describe('page', () => {
+      const page = query.keys.page;
+
+      it('is the expected schema', () => {
+        expect(page).toEqual(type.page.describe());
+      });
+    });
+
+    describe('limit', () => {
+      const limit = query.keys.limit;
+
+      it('is the expected schema', () => {
+        expect(limit).toEqual(type.limit.describe());
+      });
+    });
+  });
+});
+
 describe('listObjectVersion', () => {
 
   describe('params', () => {
@@ -252,8 +369,58 @@ describe('listObjectVersion', () => {
   });
 });
 
+describe('moveObject', () => {
+
+  describe('headers', () => {
+    const headers = schema.moveObject.headers.describe();
+
+    it('is the expected schema', () => {
+      expect(headers).toEqual(type.sse.describe());
+    });
+  });
+
+  describe('body', () => {
+    const body = schema.moveObject.body;
+
+    it('requires a path or name', () => {
+      expect({}).not.toMatchSchema(body);
+      expect(undefined).not.toMatchSchema(body);
+    });
+
+    it('accepts a path, a name or both', () => {
+      expect({ path: 'docs/2022' }).toMatchSchema(body);
+      expect({ name: 'foo.txt' }).toMatchSchema(body);
+      expect({ path: '', name: 'foo.txt' }).toMatchSchema(body);
+    });
+
+    it('rejects a path escaping its folder', () => {
+      expect({ path: '../docs' }).not.toMatchSchema(body);
+    });
+  });
+
+  describe('params', () => {
+    const params = schema.moveObject.params.describe();
+
+    describe('objId', () => {
+      const objId = params.keys.objId;
+
+      it('is the expected schema', () => {
+        expect(objId).toEqual(type.uuidv4.describe());
+      });
+    });
+  });
+});
+
 describe('readObject', () => {
 
+  describe('headers', () => {
+    const headers = schema.readObject.headers.describe();
+
+    it('is the expected schema', () => {
+      expect(headers).toEqual(type.sse.describe());
+    });
+  });
+
   describe('params', () => {
     const params = schema.readObject.params.describe();
 
@@ -303,7 +470,7 @@ describe('readObject', () => {
       const headers = schema.replaceMetadata.headers.describe();
 
       it('is the expected schema', () => {
-        expect(headers).toEqual(type.metadata(1).describe());
+        expect(headers).toEqual(type.metadata(1).concat(type.sse).describe());
       });
     });
 
@@ -368,6 +535,37 @@ describe('readObject', () => {
     });
   });
 
+  describe('restoreVersion', () => {
+
+    describe('headers', () => {
+      const headers = schema.restoreVersion.headers.describe();
+
+      it('is the expected schema', () => {
+        expect(headers).toEqual(type.sse.describe());
+      });
+    });
+
+    describe('params', () => {
+      const params = schema.restoreVersion.params.describe();
+
+      describe('objId', () => {
+        const objId = params.keys.objId;
+
+        it('is the expected schema', () => {
+          expect(objId).toEqual(type.uuidv4.describe());
+        });
+      });
+
+      describe('versionId', () => {
+        const versionId = params.keys.versionId;
+
+        it('is the expected schema', () => {
+          expect(versionId).toEqual(Joi.string().describe());
+        });
+      });
+    });
+  });
+
   describe('searchObjects', () => {
 
     describe('headers', () => {
@@ -492,6 +690,18 @@ describe('readObject', () => {
         });
       });
 
+      describe('hash', () => {
+        const hash = query.keys.hash;
+
+        it('is the expected schema', () => {
+          expect(hash).toEqual(Joi.string().base64().describe());
+        });
+
+        it('matches a base64 encoded checksum', () => {
+          expect('LPJNul+wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ=').toMatchSchema(Joi.string().base64());
+        });
+      });
+
       describe('tagset', () => {
         const tagset = query.keys.tagset;
 
@@ -515,6 +725,131 @@ describe('readObject', () => {
           expect(active).toEqual(type.truthy.describe());
         });
       });
+
+      describe('deleteMarker', () => {
+        const deleteMarker = query.keys.deleteMarker;
+
+        it('is the expected schema', () => {
+          expect(deleteMarker).toEqual(type.truthy.describe());
+        });
+      });
+
+      describe('latest', () => {
+        it('is the expected schema', () => {
+          expect(query.keys.latest).toEqual(type.truthy.describe());
+        });
+      });
+
+      describe('minSize and maxSize', () => {
+        it('permit sizes of zero or more bytes', () => {
+          expect({ minSize: '0', maxSize: 1024 }).toMatchSchema(schema.searchObjects.query);
+          expect({ minSize: -1 }).not.toMatchSchema(schema.searchObjects.query);
+          expect({ maxSize: 1.5 }).not.toMatchSchema(schema.searchObjects.query);
+        });
+      });
+
+      describe('createdAfter, createdBefore, updatedAfter and updatedBefore', () => {
+        it('permit ISO dates', () => {
+          expect({
+            createdAfter: '2022-01-01',
+            createdBefore: '2022-12-31T23:59:59Z',
+            updatedAfter: '2022-01-01T00:00:00.000-08:00',
+            updatedBefore: '2023-01-01'
+          }).toMatchSchema(schema.searchObjects.query);
+        });
+
+        it.each(['createdAfter', 'createdBefore', 'updatedAfter', 'updatedBefore'])('rejects a %s that is not a date', (key) => {
+          expect({ [key]: 'yesterday' }).not.toMatchSchema(schema.searchObjects.query);
+        });
+      });
+
+      describe('createdBy and updatedBy', () => {
+        it('is the expected schema', () => {
+          expect(query.keys.createdBy).toEqual(scheme.guid.describe());
+          expect(query.keys.updatedBy).toEqual(scheme.guid.describe());
+        });
+      });
+
+      describe('q', () => {
+        const q = query.keys.q;
+
+        it('is the expected schema', () => {
+          expect(q).toEqual(Joi.string().max(1024).describe());
+        });
+      });
+
+      describe('sort', () => {
+        const sort = query.keys.sort;
+
+        it('is the expected schema', () => {
+          expect(sort).toEqual(type.sort(['createdAt', 'updatedAt', 'path', 'name', 'mimeType', 'relevance']).describe());
+        });
+      });
+
+      describe('order', () => {
+        const order = query.keys.order;
+
+        it('is the expected schema', () => {
+          expect(order).toEqual(type.order.describe());
+        });
+      });
+
+      describe('page', () => {
+        const page = query.keys.page;
+
+        it('is the expected schema', () => {
+          expect(page).toEqual(type.page.describe());
+        });
+      });
+
+      describe('limit', () => {
+        const limit = query.keys.limit;
+
+        it('is the expected schema', () => {
+          expect(limit).toEqual(type.limit.describe());
+        });
+      });
+
+      describe('continuationToken', () => {
+        const continuationToken = query.keys.continuationToken;
+
+        it('is the expected schema', () => {
+          expect(continuationToken).toEqual(Joi.string().describe());
+        });
+      });
+    });
+  });
+
+  describe('searchObjectsByMatch', () => {
+
+    describe('headers', () => {
+      const headers = schema.searchObjectsByMatch.headers.describe();
+
+      it('is the expected schema', () => {
+        expect(headers).toEqual(type.metadata(0).describe());
+      });
+    });
+
+    describe('body', () => {
+      const body = schema.searchObjectsByMatch.body.describe();
+
+      describe('match', () => {
+        const match = body.keys.match;
+
+        it('is the expected schema', () => {
+          expect(match).toEqual(scheme.match.required().describe());
+        });
+      });
+    });
+
+    describe('query', () => {
+      const query = schema.searchObjectsByMatch.query.describe();
+
+      it('accepts the same parameters as searchObjects apart from the continuation token', () => {
+        // eslint-disable-next-line no-unused-vars
+        const { continuationToken, ...params } = schema.searchObjects.query.describe().keys;
+        expect(query.keys).toEqual(params);
+      });
     });
   });
 
@@ -546,13 +881,28 @@ describe('readObject', () => {
   });
 
 
+  describe('undeleteObject', () => {
+
+    describe('params', () => {
+      const params = schema.undeleteObject.params.describe();
+
+      describe('objId', () => {
+        const objId = params.keys.objId;
+
+        it('is the expected schema', () => {
+          expect(objId).toEqual(type.uuidv4.describe());
+        });
+      });
+    });
+  });
+
   describe('updateObject', () => {
 
     describe('headers', () => {
       const headers = schema.updateObject.headers.describe();
 
       it('is the expected schema', () => {
-        expect(headers).toEqual(type.metadata(1).describe());
+        expect(headers).toEqual(type.metadata(1).concat(type.sse).describe());
       });
     });
 
@@ -581,3 +931,504 @@ describe('readObject', () => {
     });
   });
 });
+
+describe('abortUpload', () => {
+
+  describe('params', () => {
+    const params = schema.abortUpload.params.describe();
+
+    describe('uploadId', () => {
+      const uploadId = params.keys.uploadId;
+
+      it('is the expected schema', () => {
+        expect(uploadId).toEqual(type.uuidv4.describe());
+      });
+    });
+  });
+});
+
+describe('cloneObject', () => {
+
+  describe('headers', () => {
+    const headers = schema.cloneObject.headers.describe();
+
+    it('is the expected schema', () => {
+      expect(headers).toEqual(type.metadata(1).concat(type.sse).describe());
+    });
+  });
+
+  describe('params', () => {
+    const params = schema.cloneObject.params.describe();
+
+    describe('objId', () => {
+      const objId = params.keys.objId;
+
+      it('is the expected schema', () => {
+        expect(objId).toEqual(type.uuidv4.describe());
+      });
+    });
+  });
+
+  describe('query', () => {
+    const query = schema.cloneObject.query.describe();
+
+    describe('versionId', () => {
+      const versionId = query.keys.versionId;
+
+      it('is the expected schema', () => {
+        expect(versionId).toEqual(Joi.string().describe());
+      });
+    });
+
+    describe('copyMetadata', () => {
+      const copyMetadata = query.keys.copyMetadata;
+
+      it('is the expected schema', () => {
+        expect(copyMetadata).toEqual(type.truthy.describe());
+      });
+    });
+
+    describe('copyTags', () => {
+      const copyTags = query.keys.copyTags;
+
+      it('is the expected schema', () => {
+        expect(copyTags).toEqual(type.truthy.describe());
+      });
+    });
+
+    describe('path', () => {
+      const path = query.keys.path;
+
+      it('is the expected schema', () => {
+        expect(path).toEqual(type.folder.describe());
+      });
+    });
+
+    describe('tagset', () => {
+      const tagset = query.keys.tagset;
+
+      it('is the expected schema', () => {
+        expect(tagset).toEqual(type.tagset(1).describe());
+      });
+    });
+  });
+});
+
+describe('completeUpload', () => {
+
+  describe('params', () => {
+    const params = schema.completeUpload.params.describe();
+
+    describe('uploadId', () => {
+      const uploadId = params.keys.uploadId;
+
+      it('is the expected schema', () => {
+        expect(uploadId).toEqual(type.uuidv4.describe());
+      });
+    });
+  });
+});
+
+describe('createUpload', () => {
+
+  describe('headers', () => {
+    const headers = schema.createUpload.headers.describe();
+
+    it('is the expected schema', () => {
+      expect(headers).toEqual(type.metadata(1).concat(type.sse).describe());
+    });
+  });
+
+  describe('body', () => {
+    const body = schema.createUpload.body;
+
+    it('requires a name', () => {
+      expect({ mimeType: 'text/plain' }).not.toMatchSchema(body);
+    });
+
+    it('accepts a name and mimeType', () => {
+      expect({ name: 'foo.txt', mimeType: 'text/plain' }).toMatchSchema(body);
+    });
+
+    it('accepts a folder path', () => {
+      expect({ name: 'foo.txt', path: 'reports/2022' }).toMatchSchema(body);
+    });
+
+    it('rejects unexpected keys', () => {
+      expect({ name: 'foo.txt', foo: 'bar' }).not.toMatchSchema(body);
+    });
+  });
+
+  describe('query', () => {
+    const query = schema.createUpload.query.describe();
+
+    describe('tagset', () => {
+      const tagset = query.keys.tagset;
+
+      it('is the expected schema', () => {
+        expect(tagset).toEqual(type.tagset(1).describe());
+      });
+    });
+  });
+});
+
+describe('finalizeUpload', () => {
+
+  describe('params', () => {
+    const params = schema.finalizeUpload.params.describe();
+
+    describe('uploadId', () => {
+      const uploadId = params.keys.uploadId;
+
+      it('is the expected schema', () => {
+        expect(uploadId).toEqual(type.uuidv4.describe());
+      });
+    });
+  });
+});
+
+describe('listUploads', () => {
+
+  describe('query', () => {
+    const query = schema.listUploads.query.describe();
+
+    describe('objId', () => {
+      const objId = query.keys.objId;
+
+      it('is the expected schema', () => {
+        expect(objId).toEqual(scheme.guid.describe());
+      });
+    });
+  });
+});
+
+describe('presignUpload', () => {
+
+  describe('headers', () => {
+    const headers = schema.presignUpload.headers.describe();
+
+    it('is the expected schema', () => {
+      expect(headers).toEqual(type.metadata(1).describe());
+    });
+  });
+
+  describe('body', () => {
+    const body = schema.presignUpload.body;
+
+    it('requires a name', () => {
+      expect({ mimeType: 'text/plain' }).not.toMatchSchema(body);
+    });
+
+    it('accepts a name and mimeType', () => {
+      expect({ name: 'foo.txt', mimeType: 'text/plain' }).toMatchSchema(body);
+    });
+
+    it('accepts a non-negative integer size', () => {
+      expect({ name: 'foo.txt', size: 1234 }).toMatchSchema(body);
+      expect({ name: 'foo.txt', size: -1 }).not.toMatchSchema(body);
+      expect({ name: 'foo.txt', size: 1.5 }).not.toMatchSchema(body);
+    });
+  });
+
+  describe('params', () => {
+    const params = schema.presignUpload.params.describe();
+
+    describe('objId', () => {
+      const objId = params.keys.objId;
+
+      it('is the expected schema', () => {
+        expect(objId).toEqual(type.uuidv4.describe());
+      });
+    });
+  });
+
+  describe('query', () => {
+    const query = schema.presignUpload.query.describe();
+
+    describe('expiresIn', () => {
+      const expiresIn = query.keys.expiresIn;
+
+      it('is the expected schema', () => {
+        expect(expiresIn).toEqual(Joi.number().describe());
+      });
+    });
+
+    describe('tagset', () => {
+      const tagset = query.keys.tagset;
+
+      it('is the expected schema', () => {
+        expect(tagset).toEqual(type.tagset(1).describe());
+      });
+    });
+  });
+});
+
+describe('readUpload', () => {
+
+  describe('params', () => {
+    const params = schema.readUpload.params.describe();
+
+    describe('uploadId', () => {
+      const uploadId = params.keys.uploadId;
+
+      it('is the expected schema', () => {
+        expect(uploadId).toEqual(type.uuidv4.describe());
+      });
+    });
+  });
+});
+
+describe('uploadPart', () => {
+
+  describe('headers', () => {
+    const headers = schema.uploadPart.headers;
+
+    it('requires a content-length', () => {
+      expect({}).not.toMatchSchema(headers);
+      expect({ 'content-length': '0' }).not.toMatchSchema(headers);
+      expect({ 'content-length': '5242880', 'content-type': 'application/octet-stream' }).toMatchSchema(headers);
+    });
+
+    it('accepts a customer-provided key', () => {
+      expect({
+        'content-length': '5242880',
+        'x-amz-server-side-encryption-customer-algorithm': 'AES256',
+        'x-amz-server-side-encryption-customer-key': 'MDEyMzQ1Njc4OWFiY2RlZjAxMjM0NTY3ODlhYmNkZWY='
+      }).toMatchSchema(headers);
+    });
+  });
+
+  describe('params', () => {
+    const params = schema.uploadPart.params;
+
+    describe('uploadId', () => {
+      const uploadId = params.describe().keys.uploadId;
+
+      it('is the expected schema', () => {
+        expect(uploadId).toEqual(type.uuidv4.describe());
+      });
+    });
+
+    describe('partNumber', () => {
+      const uploadId = '11111111-1111-4111-8111-111111111111';
+
+      it('must be between 1 and 10000', () => {
+        expect({ uploadId, partNumber: 1 }).toMatchSchema(params);
+        expect({ uploadId, partNumber: 10000 }).toMatchSchema(params);
+        expect({ uploadId, partNumber: 0 }).not.toMatchSchema(params);
+        expect({ uploadId, partNumber: 10001 }).not.toMatchSchema(params);
+      });
+    });
+  });
+});
+
+describe('verifyObject', () => {
+
+  describe('headers', () => {
+    const headers = schema.verifyObject.headers.describe();
+
+    it('is the expected schema', () => {
+      expect(headers).toEqual(type.sse.describe());
+    });
+  });
+
+  describe('params', () => {
+    const params = schema.verifyObject.params.describe();
+
+    describe('objId', () => {
+      const objId = params.keys.objId;
+
+      it('is the expected schema', () => {
+        expect(objId).toEqual(type.uuidv4.describe());
+      });
+    });
+  });
+
+  describe('query', () => {
+    const query = schema.verifyObject.query.describe();
+
+    describe('versionId', () => {
+      const versionId = query.keys.versionId;
+
+      it('is a string', () => {
+        expect(versionId).toBeTruthy();
+        expect(versionId.type).toEqual('string');
+      });
+    });
+  });
+});
+
+describe('readLegalHold', () => {
+
+  describe('params', () => {
+    const params = schema.readLegalHold.params.describe();
+
+    describe('objId', () => {
+      const objId = params.keys.objId;
+
+      it('is the expected schema', () => {
+        expect(objId).toEqual(type.uuidv4.describe());
+      });
+    });
+  });
+
+  describe('query', () => {
+    const query = schema.readLegalHold.query.describe();
+
+    describe('versionId', () => {
+      const versionId = query.keys.versionId;
+
+      it('is the expected schema', () => {
+        expect(versionId).toEqual(Joi.string().describe());
+      });
+    });
+  });
+});
+
+describe('readRetention', () => {
+
+  describe('params', () => {
+    const params = schema.readRetention.params.describe();
+
+    describe('objId', () => {
+      const objId = params.keys.objId;
+
+      it('is the expected schema', () => {
+        expect(objId).toEqual(type.uuidv4.describe());
+      });
+    });
+  });
+
+  describe('query', () => {
+    const query = schema.readRetention.query.describe();
+
+    describe('versionId', () => {
+      const versionId = query.keys.versionId;
+
+      it('is the expected schema', () => {
+        expect(versionId).toEqual(Joi.string().describe());
+      });
+    });
+  });
+});
+
+describe('updateLegalHold', () => {
+
+  describe('params', () => {
+    const params = schema.updateLegalHold.params.describe();
+
+    describe('objId', () => {
+      const objId = params.keys.objId;
+
+      it('is the expected schema', () => {
+        expect(objId).toEqual(type.uuidv4.describe());
+      });
+    });
+  });
+
+  describe('query', () => {
+    const query = schema.updateLegalHold.query.describe();
+
+    describe('versionId', () => {
+      const versionId = query.keys.versionId;
+
+      it('is the expected schema', () => {
+        expect(versionId).toEqual(Joi.string().describe());
+      });
+    });
+  });
+
+  describe('body', () => {
+    const body = schema.updateLegalHold.body;
+
+    it('requires a status', () => {
+      expect({}).not.toMatchSchema(body);
+    });
+
+    it.each(['ON', 'OFF'])('accepts the status %s', (status) => {
+      expect({ status }).toMatchSchema(body);
+    });
+
+    it('rejects an unknown status', () => {
+      expect({ status: 'on' }).not.toMatchSchema(body);
+    });
+  });
+});
+
+describe('updateRetention', () => {
+
+  describe('params', () => {
+    const params = schema.updateRetention.params.describe();
+
+    describe('objId', () => {
+      const objId = params.keys.objId;
+
+      it('is the expected schema', () => {
+        expect(objId).toEqual(type.uuidv4.describe());
+      });
+    });
+  });
+
+  describe('query', () => {
+    const query = schema.updateRetention.query.describe();
+
+    describe('versionId', () => {
+      const versionId = query.keys.versionId;
+
+      it('is the expected schema', () => {
+        expect(versionId).toEqual(Joi.string().describe());
+      });
+    });
+
+    describe('bypassGovernance', () => {
+      const bypassGovernance = query.keys.bypassGovernance;
+
+      it('is the expected schema', () => {
+        expect(bypassGovernance).toEqual(type.truthy.describe());
+      });
+    });
+  });
+
+  describe('body', () => {
+    const body = schema.updateRetention.body;
+    const future = new Date(Date.now() + 86400000).toISOString();
+
+    it('requires a mode and retainUntilDate', () => {
+      expect({ mode: 'GOVERNANCE' }).not.toMatchSchema(body);
+      expect({ retainUntilDate: future }).not.toMatchSchema(body);
+    });
+
+    it.each(['GOVERNANCE', 'COMPLIANCE'])('accepts the mode %s', (mode) => {
+      expect({ mode, retainUntilDate: future }).toMatchSchema(body);
+    });
+
+    it('rejects an unknown mode', () => {
+      expect({ mode: 'LEGAL', retainUntilDate: future }).not.toMatchSchema(body);
+    });
+
+    it('rejects a retainUntilDate in the past', () => {
+      expect({ mode: 'GOVERNANCE', retainUntilDate: '2000-01-01T00:00:00Z' }).not.toMatchSchema(body);
+    });
+  });
+});
+
+describe('zipObjects', () => {
+
+  describe('headers', () => {
+    const headers = schema.zipObjects.headers.describe();
+
+    it('is the expected schema', () => {
+      expect(headers).toEqual(type.metadata(0).describe());
+    });
+  });
+
+  describe('query', () => {
+    const query = schema.zipObjects.query.describe();
+
+    it('accepts the same filters as searchObjects', () => {
+      // eslint-disable-next-line no-unused-vars
+      const { sort, order, page, limit, continuationToken, ...filters } = schema.searchObjects.query.describe().keys;
+      expect(query.keys).toEqual(filters);
+    });
+  });
+});
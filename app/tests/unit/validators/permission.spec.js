@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jestJoi = require('jest-joi');
 expect.extend(jestJoi.matchers);
 
@@ -44,6 +45,24 @@ describe('searchPermissions', () => {
         expect(permCode).toEqual(scheme.permCode.describe());
       });
     });
+
+    describe('sort', () => {
+      it('is the expected schema', () => {
+        expect(query.keys.sort).toEqual(type.sort(['createdAt', 'updatedAt', 'permCode']).describe());
+      });
+    });
+
+    describe('paging', () => {
+      it('is the expected schema', () => {
+        expect(query.keys.order).toEqual(type.order.describe());
+        expect(query.keys.page).toEqual(type.page.describe());
+        expect(query.keys.limit).toEqual(type.limit.describe());
+      });
+
+      it('rejects out of range limits', () => {
+        expect({ objId: crypto.randomUUID(), limit: 1001 }).not.toMatchSchema(schema.searchPermissions.query);
+      });
+    });
   });
 });
 
@@ -170,6 +170,24 @@ describe('searchUsers', () => {
       });
     });
 
+    describe('sort', () => {
+      it('is the expected schema', () => {
+        expect(query.keys.sort).toEqual(type.sort(['createdAt', 'updatedAt', 'username', 'email', 'name']).describe());
+      });
+    });
+
+    describe('paging', () => {
+      it('is the expected schema', () => {
+        expect(query.keys.order).toEqual(type.order.describe());
+        expect(query.keys.page).toEqual(type.page.describe());
+        expect(query.keys.limit).toEqual(type.limit.describe());
+      });
+
+      it('rejects out of range limits', () => {
+        expect({ search: 'foo', limit: 0 }).not.toMatchSchema(schema.searchUsers.query);
+      });
+    });
+
     describe('userId', () => {
       const userId = query.keys.userId;
 